@@ -2,15 +2,40 @@ import React from 'react';
 import { Admin, Resource } from 'react-admin';
 
 import jobBoardDataProvider from './jobBoardDataProvider';
+import jobBoardAuthProvider, { fileClient, httpClient } from './authProvider';
 import Organization from './organization';
 import JobPosting from './job-posting';
+import AuditLog from './audit-log';
+import { Menu } from './Menu';
+import { moderationRoutes } from './moderation';
+import { trashRoutes } from './trash';
 
-const dataProvider = jobBoardDataProvider('http://localhost:8001/api');
+const apiUrl = 'http://localhost:8001/api';
+const dataProvider = jobBoardDataProvider(apiUrl, httpClient, fileClient);
+const authProvider = jobBoardAuthProvider(apiUrl);
 
 const App = () => (
-    <Admin dataProvider={dataProvider}>
-        <Resource name="organizations" {...Organization} />
-        <Resource name="job-postings" {...JobPosting} />
+    <Admin
+        dataProvider={dataProvider}
+        authProvider={authProvider}
+        menu={Menu}
+        customRoutes={[...moderationRoutes, ...trashRoutes]}
+    >
+        {(permissions) => [
+            <Resource
+                key="organizations"
+                name="organizations"
+                {...Organization}
+                create={
+                    permissions === 'admin' ? Organization.create : undefined
+                }
+            />,
+            <Resource key="job-postings" name="job-postings" {...JobPosting} />,
+            <Resource key="applications" name="applications" />,
+            permissions === 'admin' ? (
+                <Resource key="audit-logs" name="audit-logs" {...AuditLog} />
+            ) : null,
+        ]}
     </Admin>
 );
 
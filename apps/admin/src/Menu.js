@@ -0,0 +1,88 @@
+import React, { createElement } from 'react';
+import { PropTypes } from 'prop-types';
+import { useSelector, shallowEqual } from 'react-redux';
+import {
+    getResources,
+    MenuItemLink,
+    usePermissions,
+    useQuery,
+} from 'react-admin';
+import Badge from '@material-ui/core/Badge';
+import useMediaQuery from '@material-ui/core/useMediaQuery';
+import DefaultIcon from '@material-ui/icons/ViewList';
+import ModerationIcon from '@material-ui/icons/RateReview';
+import TrashIcon from '@material-ui/icons/Delete';
+
+// the number of job postings waiting for a review, refreshed with the views
+const PendingJobPostingsIcon = () => {
+    const { total } = useQuery({
+        type: 'getList',
+        resource: 'job-postings',
+        payload: {
+            pagination: { page: 1, perPage: 1 },
+            sort: { field: 'statusUpdatedAt', order: 'ASC' },
+            filter: { status: 'pending' },
+        },
+    });
+
+    return (
+        <Badge badgeContent={total || 0} color="secondary">
+            <ModerationIcon />
+        </Badge>
+    );
+};
+
+/**
+ * The menu of the resources, with the moderation queue and the trash for the admins
+ */
+export const Menu = ({ onMenuClick, logout }) => {
+    const isXSmall = useMediaQuery((theme) => theme.breakpoints.down('xs'));
+    const open = useSelector((state) => state.admin.ui.sidebarOpen);
+    const resources = useSelector(getResources, shallowEqual);
+    const { permissions } = usePermissions();
+    // Used to force redraw on navigation
+    useSelector((state) => state.router.location.pathname);
+
+    return (
+        <div>
+            {resources
+                .filter((resource) => resource.hasList)
+                .map((resource) => (
+                    <MenuItemLink
+                        key={resource.name}
+                        to={`/${resource.name}`}
+                        primaryText={
+                            (resource.options && resource.options.label) ||
+                            resource.name
+                        }
+                        leftIcon={createElement(resource.icon || DefaultIcon)}
+                        onClick={onMenuClick}
+                        sidebarIsOpen={open}
+                    />
+                ))}
+            {permissions === 'admin' && (
+                <MenuItemLink
+                    to="/moderation"
+                    primaryText="Modération"
+                    leftIcon={<PendingJobPostingsIcon />}
+                    onClick={onMenuClick}
+                    sidebarIsOpen={open}
+                />
+            )}
+            {permissions === 'admin' && (
+                <MenuItemLink
+                    to="/trash/job-postings"
+                    primaryText="Corbeille"
+                    leftIcon={<TrashIcon />}
+                    onClick={onMenuClick}
+                    sidebarIsOpen={open}
+                />
+            )}
+            {isXSmall && logout}
+        </div>
+    );
+};
+Menu.propTypes = {
+    logout: PropTypes.element,
+    onMenuClick: PropTypes.func,
+};
@@ -0,0 +1,117 @@
+import React from 'react';
+import { PropTypes } from 'prop-types';
+import {
+    Button,
+    Datagrid,
+    DateField,
+    EmailField,
+    Pagination,
+    ReferenceManyField,
+    TextField,
+    useDataProvider,
+    useMutation,
+    useNotify,
+} from 'react-admin';
+import MenuItem from '@material-ui/core/MenuItem';
+import Select from '@material-ui/core/Select';
+import DownloadIcon from '@material-ui/icons/GetApp';
+
+import { applicationStatuses } from './index';
+
+const ApplicationStatusSelect = ({ record }) => {
+    const notify = useNotify();
+    const [mutate, { loading }] = useMutation();
+    if (!record) {
+        return null;
+    }
+
+    const handleChange = (event) =>
+        mutate(
+            {
+                type: 'update',
+                resource: 'applications',
+                payload: {
+                    id: record.id,
+                    data: { status: event.target.value },
+                    previousData: record,
+                },
+            },
+            {
+                onSuccess: () => notify('Statut de la candidature mis à jour'),
+                onFailure: (error) => notify(error.message, 'warning'),
+            }
+        );
+
+    return (
+        <Select
+            value={record.status}
+            onChange={handleChange}
+            disabled={loading}
+        >
+            {applicationStatuses.map(({ id, name }) => (
+                <MenuItem key={id} value={id}>
+                    {name}
+                </MenuItem>
+            ))}
+        </Select>
+    );
+};
+ApplicationStatusSelect.propTypes = {
+    record: PropTypes.shape({
+        id: PropTypes.string,
+        status: PropTypes.string,
+    }),
+};
+
+const ApplicationCvButton = ({ record }) => {
+    const dataProvider = useDataProvider();
+    const notify = useNotify();
+    if (!record) {
+        return null;
+    }
+
+    const handleClick = () =>
+        dataProvider
+            .getApplicationCv(record)
+            .then((file) => {
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(file);
+                link.download = record.cv.fileName;
+                link.click();
+                URL.revokeObjectURL(link.href);
+            })
+            .catch((error) => notify(error.message, 'warning'));
+
+    return (
+        <Button label="CV" onClick={handleClick}>
+            <DownloadIcon />
+        </Button>
+    );
+};
+ApplicationCvButton.propTypes = {
+    record: PropTypes.shape({
+        cv: PropTypes.shape({
+            fileName: PropTypes.string,
+        }),
+    }),
+};
+
+export const JobPostingApplications = (props) => (
+    <ReferenceManyField
+        {...props}
+        label="Candidatures reçues"
+        reference="applications"
+        target="jobPostingId"
+        sort={{ field: 'createdAt', order: 'DESC' }}
+        pagination={<Pagination />}
+    >
+        <Datagrid>
+            <DateField source="createdAt" label="Reçue le" showTime />
+            <TextField source="name" label="Nom" />
+            <EmailField source="email" label="E-mail" sortable={false} />
+            <TextField source="message" label="Message" sortable={false} />
+            <ApplicationStatusSelect label="Statut" sortBy="status" />
+            <ApplicationCvButton />
+        </Datagrid>
+    </ReferenceManyField>
+);
@@ -0,0 +1,10 @@
+import { JobPostingApplications } from './JobPostingApplications';
+
+export const applicationStatuses = [
+    { id: 'received', name: 'Reçue' },
+    { id: 'reviewed', name: 'Étudiée' },
+    { id: 'rejected', name: 'Refusée' },
+    { id: 'hired', name: 'Retenue' },
+];
+
+export { JobPostingApplications };
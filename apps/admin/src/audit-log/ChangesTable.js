@@ -0,0 +1,37 @@
+import React from 'react';
+import { PropTypes } from 'prop-types';
+import Table from '@material-ui/core/Table';
+import TableBody from '@material-ui/core/TableBody';
+import TableCell from '@material-ui/core/TableCell';
+import TableHead from '@material-ui/core/TableHead';
+import TableRow from '@material-ui/core/TableRow';
+
+const formatValue = (value) =>
+    value === null || typeof value !== 'object'
+        ? String(value)
+        : JSON.stringify(value);
+
+// the changed fields of a write, with their values before and after it
+export const ChangesTable = ({ changes }) => (
+    <Table size="small">
+        <TableHead>
+            <TableRow>
+                <TableCell>Champ</TableCell>
+                <TableCell>Avant</TableCell>
+                <TableCell>Après</TableCell>
+            </TableRow>
+        </TableHead>
+        <TableBody>
+            {Object.keys(changes).map((field) => (
+                <TableRow key={field}>
+                    <TableCell>{field}</TableCell>
+                    <TableCell>{formatValue(changes[field].before)}</TableCell>
+                    <TableCell>{formatValue(changes[field].after)}</TableCell>
+                </TableRow>
+            ))}
+        </TableBody>
+    </Table>
+);
+ChangesTable.propTypes = {
+    changes: PropTypes.object.isRequired,
+};
@@ -0,0 +1,76 @@
+import React from 'react';
+import { PropTypes } from 'prop-types';
+import {
+    Datagrid,
+    DateField,
+    Filter,
+    List,
+    Pagination,
+    SelectField,
+    SelectInput,
+    TextField,
+    TextInput,
+} from 'react-admin';
+
+import { ChangesTable } from './ChangesTable';
+import { auditLogActions, auditLogResources } from './index';
+
+const AuditLogFilter = (props) => (
+    <Filter {...props}>
+        <SelectInput
+            source="resource"
+            label="Filtre par ressource"
+            choices={auditLogResources}
+            alwaysOn
+        />
+        <SelectInput
+            source="action"
+            label="Filtre par action"
+            choices={auditLogActions}
+            alwaysOn
+        />
+        <TextInput source="username" label="Filtre par utilisateur" alwaysOn />
+        <TextInput source="resourceId" label="Filtre par identifiant" />
+    </Filter>
+);
+
+const AuditLogChanges = ({ record }) => (
+    <ChangesTable changes={record.changes} />
+);
+AuditLogChanges.propTypes = {
+    record: PropTypes.shape({
+        changes: PropTypes.object.isRequired,
+    }),
+};
+
+export const AuditLogList = (props) => (
+    <List
+        {...props}
+        filters={<AuditLogFilter />}
+        sort={{ field: 'createdAt', order: 'DESC' }}
+        exporter={false}
+        bulkActionButtons={false}
+        pagination={<Pagination />}
+        title="Journal d'audit"
+    >
+        <Datagrid expand={<AuditLogChanges />}>
+            <DateField source="createdAt" label="Date" showTime />
+            <TextField source="username" label="Utilisateur" />
+            <SelectField
+                source="action"
+                label="Action"
+                choices={auditLogActions}
+            />
+            <SelectField
+                source="resource"
+                label="Ressource"
+                choices={auditLogResources}
+            />
+            <TextField
+                source="resourceId"
+                label="Identifiant"
+                sortable={false}
+            />
+        </Datagrid>
+    </List>
+);
@@ -0,0 +1,21 @@
+import AuditLogIcon from '@material-ui/icons/History';
+
+import { AuditLogList } from './List';
+
+export const auditLogActions = [
+    { id: 'create', name: 'Création' },
+    { id: 'update', name: 'Modification' },
+    { id: 'delete', name: 'Suppression' },
+];
+
+export const auditLogResources = [
+    { id: 'organization', name: 'Entreprise' },
+    { id: 'contactPoint', name: 'Contact' },
+    { id: 'jobPosting', name: "Offre d'emploi" },
+];
+
+export default {
+    icon: AuditLogIcon,
+    list: AuditLogList,
+    options: { label: "Journal d'audit" },
+};
@@ -0,0 +1,115 @@
+import { fetchUtils, HttpError } from 'ra-core';
+
+const TOKEN_KEY = 'jobboard.token';
+const USER_KEY = 'jobboard.user';
+
+const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+const getUser = () => JSON.parse(localStorage.getItem(USER_KEY) || 'null');
+
+const clearSession = () => {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+};
+
+/**
+ * Check if the logged user can edit an organization and its job postings
+ *
+ * @param {string} permissions - the role of the logged user
+ * @param {string} organizationId - the organization identifier
+ * @returns {boolean}
+ */
+export const canManageOrganization = (permissions, organizationId) => {
+    if (permissions === 'admin') {
+        return true;
+    }
+    const user = getUser();
+
+    return (
+        permissions === 'recruiter' &&
+        !!user &&
+        (user.organizationIds || []).includes(organizationId)
+    );
+};
+
+/**
+ * An httpClient adding the authentication token of the logged user to all requests
+ *
+ * @param {string} url - the requested url
+ * @param {object} options - the fetch options
+ * @returns {Promise} the fetchJson promise
+ */
+export const httpClient = (url, options = {}) => {
+    const headers =
+        options.headers || new Headers({ Accept: 'application/json' });
+    const token = getToken();
+    if (token) {
+        headers.set('Authorization', `Bearer ${token}`);
+    }
+
+    return fetchUtils.fetchJson(url, { ...options, headers });
+};
+
+/**
+ * Fetch a file, like the CV of an application, with the authentication token of the logged user
+ *
+ * @param {string} url - the requested url
+ * @returns {Promise} the file as a Blob
+ */
+export const fileClient = (url) => {
+    const headers = new Headers();
+    const token = getToken();
+    if (token) {
+        headers.set('Authorization', `Bearer ${token}`);
+    }
+
+    return fetch(url, { headers }).then((response) => {
+        if (!response.ok) {
+            throw new HttpError(response.statusText, response.status);
+        }
+
+        return response.blob();
+    });
+};
+
+/**
+ * Authenticates the react-admin users against the JobBoard API
+ *
+ * @example
+ *
+ * login => POST http://my.api.url/authenticate
+ */
+export default (apiUrl) => ({
+    login: ({ username, password }) =>
+        fetchUtils
+            .fetchJson(`${apiUrl}/authenticate`, {
+                method: 'POST',
+                body: JSON.stringify({ username, password }),
+            })
+            .then(({ json }) => {
+                localStorage.setItem(TOKEN_KEY, json.token);
+                localStorage.setItem(USER_KEY, JSON.stringify(json.user));
+            }),
+
+    logout: () => {
+        clearSession();
+        return Promise.resolve();
+    },
+
+    checkAuth: () => (getToken() ? Promise.resolve() : Promise.reject()),
+
+    // only an expired or invalid token ends the session: a 403 is a legitimate refusal,
+    // such as a recruiter opening the record of another organization, notified by react-admin
+    checkError: ({ status }) => {
+        if (status === 401) {
+            clearSession();
+            return Promise.reject();
+        }
+        return Promise.resolve();
+    },
+
+    getPermissions: () => {
+        const user = getUser();
+        return user ? Promise.resolve(user.role) : Promise.reject();
+    },
+});
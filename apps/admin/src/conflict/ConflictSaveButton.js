@@ -0,0 +1,100 @@
+import React, { Fragment, useState } from 'react';
+import { PropTypes } from 'prop-types';
+import {
+    Button,
+    CRUD_UPDATE,
+    SaveButton,
+    useNotify,
+    useRedirect,
+    useRefresh,
+    useUpdate,
+} from 'react-admin';
+import Dialog from '@material-ui/core/Dialog';
+import DialogActions from '@material-ui/core/DialogActions';
+import DialogContent from '@material-ui/core/DialogContent';
+import DialogContentText from '@material-ui/core/DialogContentText';
+import DialogTitle from '@material-ui/core/DialogTitle';
+
+// a save button opening a dialog when the record was changed by someone else
+// since it was loaded, instead of silently overwriting their changes
+export const ConflictSaveButton = ({
+    record,
+    resource,
+    basePath,
+    ...props
+}) => {
+    const [update, { loading }] = useUpdate(resource, record.id, {}, record);
+    const notify = useNotify();
+    const redirect = useRedirect();
+    const refresh = useRefresh();
+    const [conflict, setConflict] = useState(null);
+
+    const save = (data, redirectTo, overwrite = false) =>
+        update(
+            { payload: { data, overwrite } },
+            {
+                action: CRUD_UPDATE,
+                onSuccess: () => {
+                    setConflict(null);
+                    notify('ra.notification.updated', 'info', {
+                        smart_count: 1,
+                    });
+                    redirect(redirectTo, basePath, record.id, data);
+                },
+                onFailure: (error) => {
+                    if (error.status === 412) {
+                        setConflict({ data, redirectTo });
+                        return;
+                    }
+                    notify(error.message, 'warning');
+                },
+            }
+        );
+
+    const handleReload = () => {
+        setConflict(null);
+        refresh();
+    };
+
+    return (
+        <Fragment>
+            <SaveButton
+                record={record}
+                resource={resource}
+                basePath={basePath}
+                onSave={save}
+                {...props}
+                saving={loading}
+            />
+            <Dialog open={!!conflict} onClose={() => setConflict(null)}>
+                <DialogTitle>Modification concurrente</DialogTitle>
+                <DialogContent>
+                    <DialogContentText>
+                        Cette fiche a été modifiée par quelqu&apos;un
+                        d&apos;autre depuis son ouverture. Rechargez-la pour
+                        voir ses modifications, au prix des vôtres, ou écrasez
+                        les champs que vous avez modifiés.
+                    </DialogContentText>
+                </DialogContent>
+                <DialogActions>
+                    <Button label="Annuler" onClick={() => setConflict(null)} />
+                    <Button label="Recharger" onClick={handleReload} />
+                    <Button
+                        label="Écraser"
+                        disabled={loading}
+                        onClick={() =>
+                            save(conflict.data, conflict.redirectTo, true)
+                        }
+                    />
+                </DialogActions>
+            </Dialog>
+        </Fragment>
+    );
+};
+ConflictSaveButton.propTypes = {
+    record: PropTypes.shape({
+        id: PropTypes.string,
+    }),
+    resource: PropTypes.string,
+    basePath: PropTypes.string,
+};
@@ -5,11 +5,19 @@ import {
     SimpleForm,
     SelectInput,
     DateInput,
+    NumberInput,
     ReferenceInput,
     required,
 } from 'react-admin';
 
-import { jobTypes } from './index';
+import {
+    currencies,
+    formatSkills,
+    jobLocationTypes,
+    jobTypes,
+    parseSkills,
+    salaryUnits,
+} from './index';
 
 export const JobPostingCreate = (props) => {
     return (
@@ -38,6 +46,9 @@ export const JobPostingCreate = (props) => {
                 <TextInput
                     source="skills"
                     label="Compétences demandées"
+                    helperText="Séparées par des virgules"
+                    format={formatSkills}
+                    parse={parseSkills}
                     fullWidth
                     validate={required()}
                 />
@@ -49,6 +60,36 @@ export const JobPostingCreate = (props) => {
                     choices={jobTypes}
                     validate={required()}
                 />
+                <SelectInput
+                    source="jobLocationType"
+                    label="Lieu de travail"
+                    fullWidth
+                    choices={jobLocationTypes}
+                    initialValue="ONSITE"
+                    validate={required()}
+                />
+                <NumberInput
+                    source="baseSalary.minValue"
+                    label="Salaire minimum"
+                    min={0}
+                />
+                <NumberInput
+                    source="baseSalary.maxValue"
+                    label="Salaire maximum"
+                    min={0}
+                />
+                <SelectInput
+                    source="baseSalary.currency"
+                    label="Devise"
+                    choices={currencies}
+                    initialValue="EUR"
+                />
+                <SelectInput
+                    source="baseSalary.unitText"
+                    label="Période du salaire"
+                    choices={salaryUnits}
+                    initialValue="YEAR"
+                />
                 <DateInput
                     source="jobStartDate"
                     label="Date de prise de poste"
@@ -1,65 +1,129 @@
 import React from 'react';
 import {
+    DeleteButton,
     Edit,
+    FormTab,
     TextInput,
-    SimpleForm,
+    TabbedForm,
     SelectInput,
     DateInput,
+    NumberInput,
     ReferenceInput,
+    Toolbar,
 } from 'react-admin';
 
-import { jobTypes } from './index';
+import {
+    currencies,
+    formatSkills,
+    jobLocationTypes,
+    jobTypes,
+    parseSkills,
+    salaryUnits,
+} from './index';
+import { JobPostingApplications } from '../application';
+import { JobPostingStatusActions } from './StatusActions';
+import { ConflictSaveButton } from '../conflict/ConflictSaveButton';
+import { RevisionHistory } from '../revision/RevisionHistory';
 
 const JobPostingTitle = ({ record }) =>
     record ? `Edition de l'offre "${record.title}"` : null;
 
+const JobPostingEditToolbar = (props) => (
+    <Toolbar {...props}>
+        <ConflictSaveButton />
+        <DeleteButton />
+    </Toolbar>
+);
+
 export const JobPostingEdit = (props) => {
     return (
         <Edit title={<JobPostingTitle />} {...props}>
-            <SimpleForm>
-                <TextInput source="title" label="titre" fullWidth />
-                <TextInput
-                    source="employerOverview"
-                    multiline
-                    label="Description"
-                    fullWidth
-                />
-                <TextInput
-                    source="experienceRequirements"
-                    multiline
-                    label="Experience requise"
-                    fullWidth
-                />
-                <TextInput
-                    source="skills"
-                    label="Compétences demandées"
-                    fullWidth
-                />
-                <TextInput source="url" label="Lien vers l'annonce" fullWidth />
-                <SelectInput
-                    source="employmentType"
-                    label="Type de contrat"
-                    fullWidth
-                    choices={jobTypes}
-                />
-                <DateInput
-                    source="jobStartDate"
-                    label="Date de prise de poste"
-                    fullWidth
-                />
-                <DateInput
-                    source="validThrough"
-                    label="Valide jusqu'au"
-                    fullWidth
-                />
-                <ReferenceInput
-                    label="Entreprise"
-                    source="hiringOrganization.identifier"
-                    reference="organizations"
-                >
-                    <SelectInput optionText="name" />
-                </ReferenceInput>
-            </SimpleForm>
+            <TabbedForm toolbar={<JobPostingEditToolbar />}>
+                <FormTab label="L'offre">
+                    <JobPostingStatusActions />
+                    <TextInput source="title" label="titre" fullWidth />
+                    <TextInput
+                        source="employerOverview"
+                        multiline
+                        label="Description"
+                        fullWidth
+                    />
+                    <TextInput
+                        source="experienceRequirements"
+                        multiline
+                        label="Experience requise"
+                        fullWidth
+                    />
+                    <TextInput
+                        source="skills"
+                        label="Compétences demandées"
+                        helperText="Séparées par des virgules"
+                        format={formatSkills}
+                        parse={parseSkills}
+                        fullWidth
+                    />
+                    <TextInput
+                        source="url"
+                        label="Lien vers l'annonce"
+                        fullWidth
+                    />
+                    <SelectInput
+                        source="employmentType"
+                        label="Type de contrat"
+                        fullWidth
+                        choices={jobTypes}
+                    />
+                    <SelectInput
+                        source="jobLocationType"
+                        label="Lieu de travail"
+                        fullWidth
+                        choices={jobLocationTypes}
+                    />
+                    <NumberInput
+                        source="baseSalary.minValue"
+                        label="Salaire minimum"
+                        min={0}
+                    />
+                    <NumberInput
+                        source="baseSalary.maxValue"
+                        label="Salaire maximum"
+                        min={0}
+                    />
+                    <SelectInput
+                        source="baseSalary.currency"
+                        label="Devise"
+                        choices={currencies}
+                        initialValue="EUR"
+                    />
+                    <SelectInput
+                        source="baseSalary.unitText"
+                        label="Période du salaire"
+                        choices={salaryUnits}
+                        initialValue="YEAR"
+                    />
+                    <DateInput
+                        source="jobStartDate"
+                        label="Date de prise de poste"
+                        fullWidth
+                    />
+                    <DateInput
+                        source="validThrough"
+                        label="Valide jusqu'au"
+                        fullWidth
+                    />
+                    <ReferenceInput
+                        label="Entreprise"
+                        source="hiringOrganization.identifier"
+                        reference="organizations"
+                    >
+                        <SelectInput optionText="name" />
+                    </ReferenceInput>
+                    <JobPostingApplications fullWidth />
+                </FormTab>
+                <FormTab label="Historique">
+                    <RevisionHistory />
+                </FormTab>
+            </TabbedForm>
         </Edit>
     );
 };
@@ -1,29 +1,69 @@
 import React from 'react';
+import { PropTypes } from 'prop-types';
 import {
+    BulkDeleteButton,
     Datagrid,
     DateInput,
     EditButton,
     Filter,
+    FunctionField,
     List,
+    NumberInput,
     Pagination,
     ReferenceField,
     TextField,
     TextInput,
+    SelectField,
     SelectInput,
+    usePermissions,
 } from 'react-admin';
 
-import { jobTypes } from './index';
+import { canManageOrganization } from '../authProvider';
+
+import {
+    formatBaseSalary,
+    formatSkills,
+    jobLocationTypes,
+    jobPostingStatuses,
+    jobTypes,
+    parseSkills,
+} from './index';
 
 const JobPostingFilter = (props) => (
     <Filter {...props}>
         <TextInput source="title" label="Filtre par titre" alwaysOn />
-        <TextInput source="skills" label="Compétences" alwaysOn />
+        <SelectInput
+            source="status"
+            label="Statut"
+            choices={jobPostingStatuses}
+            alwaysOn
+        />
+        <TextInput
+            source="skills"
+            label="Compétences"
+            format={formatSkills}
+            parse={parseSkills}
+            alwaysOn
+        />
         <SelectInput
             source="employmentType"
             label="Type de contrat"
             choices={jobTypes}
             alwaysOn
         />
+        <SelectInput
+            source="jobLocationType"
+            label="Lieu de travail"
+            choices={jobLocationTypes}
+        />
+        <NumberInput
+            source="baseSalary_min_gte"
+            label="Salaire minimum à partir de"
+        />
+        <NumberInput
+            source="baseSalary_max_lte"
+            label="Salaire maximum jusqu'à"
+        />
         <TextInput
             source="hiringOrganizationName"
             label="Nom d'entreprise"
@@ -37,6 +77,8 @@ const JobPostingFilter = (props) => (
             source="hiringOrganizationPostalCode"
             label="Code postal de l'entreprise"
         />
+        <TextInput source="nearTown" label="Autour de la ville" />
+        <NumberInput source="radiusKm" label="Dans un rayon de (km)" />
         <DateInput source="datePosted_before" label="Postée avant le" />
         <DateInput source="datePosted_after" label="Postée après le" />
         <DateInput
@@ -62,20 +104,53 @@ const Organization = ({ record }) => {
     return `${record.name} (${record.address.postalCode} ${record.address.addressLocality})`;
 };
 
+const JobPostingEditButton = ({ record, ...props }) => {
+    const { permissions } = usePermissions();
+    const organizationId = record && record.hiringOrganization.identifier;
+
+    return canManageOrganization(permissions, organizationId) ? (
+        <EditButton record={record} {...props} />
+    ) : null;
+};
+JobPostingEditButton.propTypes = {
+    record: PropTypes.shape({
+        hiringOrganization: PropTypes.shape({
+            identifier: PropTypes.string,
+        }),
+    }),
+};
+
 export const JobPostingList = (props) => {
     return (
         <List
             {...props}
             filters={<JobPostingFilter />}
-            sort={{ field: 'name', order: 'ASC' }}
+            sort={{ field: 'datePosted', order: 'ASC' }}
             exporter={false}
             pagination={<JobPostingPagination />}
-            bulkActionButtons={false}
+            bulkActionButtons={<BulkDeleteButton undoable={false} />}
             title="Liste des Offres d'Emploi"
         >
             <Datagrid>
                 <TextField source="title" label="Titre de l'offre" />
+                <SelectField
+                    source="status"
+                    label="Statut"
+                    choices={jobPostingStatuses}
+                    sortable={false}
+                />
                 <TextField source="employmentType" label="Type de contrat" />
+                <SelectField
+                    source="jobLocationType"
+                    label="Lieu de travail"
+                    choices={jobLocationTypes}
+                    sortable={false}
+                />
+                <FunctionField
+                    label="Salaire"
+                    sortBy="baseSalaryMinValue"
+                    render={(record) => formatBaseSalary(record.baseSalary)}
+                />
                 <ReferenceField
                     sortable={false}
                     label="Entreprise"
@@ -84,10 +159,9 @@ export const JobPostingList = (props) => {
                 >
                     <Organization source="name" />
                 </ReferenceField>
-                <TextField
-                    source="skills"
+                <FunctionField
                     label="Compétences demandées"
-                    sortable={false}
+                    render={(record) => formatSkills(record.skills)}
                 />
                 <TextField source="datePosted" label="Date de création" />
                 <TextField
@@ -95,7 +169,7 @@ export const JobPostingList = (props) => {
                     label="Date de prise de poste"
                 />
                 <TextField source="validThrough" label="Valable jusqu'au" />
-                <EditButton />
+                <JobPostingEditButton />
             </Datagrid>
         </List>
     );
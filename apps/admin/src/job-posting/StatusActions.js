@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { PropTypes } from 'prop-types';
+import {
+    Button,
+    Labeled,
+    useDataProvider,
+    useNotify,
+    usePermissions,
+    useRefresh,
+} from 'react-admin';
+
+import {
+    adminOnlyStatuses,
+    jobPostingStatuses,
+    jobPostingTransitions,
+} from './index';
+
+// the label of the button leading to each status
+const transitionLabels = {
+    draft: 'Repasser en brouillon',
+    pending: 'Soumettre à relecture',
+    published: 'Publier',
+    expired: 'Déclarer expirée',
+    archived: 'Archiver',
+};
+
+const getStatusName = (status) => {
+    const jobPostingStatus = jobPostingStatuses.find(({ id }) => id === status);
+
+    return jobPostingStatus ? jobPostingStatus.name : status;
+};
+
+export const JobPostingStatusActions = ({ record }) => {
+    const dataProvider = useDataProvider();
+    const notify = useNotify();
+    const refresh = useRefresh();
+    const { permissions } = usePermissions();
+    const [loading, setLoading] = useState(false);
+    if (!record || !record.status) {
+        return null;
+    }
+
+    const reachableStatuses = (
+        jobPostingTransitions[record.status] || []
+    ).filter(
+        (status) =>
+            permissions === 'admin' || !adminOnlyStatuses.includes(status)
+    );
+
+    const handleClick = (status) => () => {
+        setLoading(true);
+        dataProvider
+            .transitionJobPosting({ id: record.id, status })
+            .then(() => {
+                notify(`Offre passée au statut "${getStatusName(status)}"`);
+                refresh();
+            })
+            .catch((error) => notify(error.message, 'warning'))
+            .finally(() => setLoading(false));
+    };
+
+    return (
+        <Labeled label={`Statut : ${getStatusName(record.status)}`}>
+            <div>
+                {reachableStatuses.map((status) => (
+                    <Button
+                        key={status}
+                        label={transitionLabels[status]}
+                        onClick={handleClick(status)}
+                        disabled={loading}
+                    />
+                ))}
+            </div>
+        </Labeled>
+    );
+};
+JobPostingStatusActions.propTypes = {
+    record: PropTypes.shape({
+        id: PropTypes.string,
+        status: PropTypes.string,
+    }),
+};
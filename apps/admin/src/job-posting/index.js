@@ -11,6 +11,67 @@ export const jobTypes = [
     { id: 'Autre', name: 'Autres' },
 ];
 
+export const jobLocationTypes = [
+    { id: 'ONSITE', name: 'Sur site' },
+    { id: 'HYBRID', name: 'Hybride' },
+    { id: 'TELECOMMUTE', name: 'Télétravail' },
+];
+
+export const salaryUnits = [
+    { id: 'HOUR', name: 'Par heure' },
+    { id: 'DAY', name: 'Par jour' },
+    { id: 'WEEK', name: 'Par semaine' },
+    { id: 'MONTH', name: 'Par mois' },
+    { id: 'YEAR', name: 'Par an' },
+];
+
+export const currencies = [
+    { id: 'EUR', name: 'Euro' },
+    { id: 'CHF', name: 'Franc suisse' },
+    { id: 'GBP', name: 'Livre sterling' },
+    { id: 'USD', name: 'Dollar américain' },
+];
+
+export const jobPostingStatuses = [
+    { id: 'draft', name: 'Brouillon' },
+    { id: 'pending', name: 'En attente de relecture' },
+    { id: 'published', name: 'Publiée' },
+    { id: 'expired', name: 'Expirée' },
+    { id: 'archived', name: 'Archivée' },
+];
+
+// the statuses a job posting can reach from each status, as checked by the API
+export const jobPostingTransitions = {
+    draft: ['pending', 'archived'],
+    pending: ['published', 'draft', 'archived'],
+    published: ['expired', 'archived'],
+    expired: ['pending', 'published', 'archived'],
+    archived: ['draft'],
+};
+
+// only an admin can publish a job posting or declare it expired
+export const adminOnlyStatuses = ['published', 'expired'];
+
+export const formatBaseSalary = (baseSalary) => {
+    if (!baseSalary) {
+        return '';
+    }
+    const { minValue, maxValue, currency } = baseSalary;
+    const amounts = [minValue, maxValue]
+        .filter((amount) => amount !== null && amount !== undefined)
+        .join(' - ');
+    const unit = salaryUnits.find(({ id }) => id === baseSalary.unitText);
+
+    return `${amounts} ${currency} ${
+        unit ? unit.name.toLowerCase() : ''
+    }`.trim();
+};
+
+// the skills are edited as a comma-separated text
+export const formatSkills = (skills) =>
+    Array.isArray(skills) ? skills.join(', ') : skills;
+export const parseSkills = (value) => (value ? value.split(/, ?/) : []);
+
 export default {
     create: JobPostingCreate,
     edit: JobPostingEdit,
@@ -12,27 +12,150 @@ const getXTotalCountHeaderValue = (headers) => {
     return parseInt(headers.get('x-total-count'), 10);
 };
 
+// the ETags of the records read, sent back in the If-Match header of their writes:
+// the API refuses a write with a 412 error if someone else changed the record since
+const etags = new Map();
+
+const saveETag = (resource, id, headers) => {
+    if (headers.has('etag')) {
+        etags.set(`${resource}/${id}`, headers.get('etag'));
+    }
+};
+
+const getIfMatchHeader = (resource, id) =>
+    etags.has(`${resource}/${id}`)
+        ? { 'If-Match': etags.get(`${resource}/${id}`) }
+        : {};
+
+/**
+ * The applications are a sub resource of the job postings:
+ * they are only listed from the job posting they are sent to.
+ *
+ * getManyReference => GET http://my.api.url/job-postings/123/applications?sort=['createdAt','DESC']&currentPage=1&perPage=10
+ */
+const getJobPostingApplications = (apiUrl, httpClient, params) => {
+    const { page, perPage } = params.pagination;
+    const { field, order } = params.sort;
+    const query = {
+        sort: JSON.stringify([field, order]),
+        filters: JSON.stringify(params.filter),
+        currentPage: page,
+        perPage,
+    };
+    const url = `${apiUrl}/job-postings/${params.id}/applications?${stringify(
+        query
+    )}`;
+
+    return httpClient(url).then(({ headers, json }) => ({
+        data: json,
+        total: getXTotalCountHeaderValue(headers),
+    }));
+};
+
+/**
+ * Only the status of an application can be updated
+ *
+ * update => PUT http://my.api.url/job-postings/123/applications/456
+ */
+const updateApplicationStatus = (apiUrl, httpClient, params) =>
+    httpClient(
+        `${apiUrl}/job-postings/${params.previousData.jobPostingId}/applications/${params.id}`,
+        {
+            method: 'PUT',
+            body: JSON.stringify({ status: params.data.status }),
+        }
+    ).then(({ json }) => ({ data: json }));
+
+// the status of a job posting only changes through its transitions
+const jobPostingReadOnlyFields = [
+    'id',
+    'hiringOrganization',
+    'status',
+    'statusUpdatedAt',
+    'publishedAt',
+    'renewedAt',
+    'deletedAt',
+];
+
+/**
+ * Return the fields changed by a form, as a JSON Merge Patch:
+ * only these fields are sent, and an emptied field is sent as null
+ *
+ * @param {object} data - the data of the form
+ * @param {object} previousData - the record before its edition
+ * @returns {object} the merge patch
+ */
+const getMergePatch = (data, previousData) =>
+    Object.keys(data)
+        .filter(
+            (key) =>
+                JSON.stringify(data[key]) !== JSON.stringify(previousData[key])
+        )
+        .reduce(
+            (patch, key) => ({
+                ...patch,
+                [key]: data[key] === undefined ? null : data[key],
+            }),
+            {}
+        );
+
+/**
+ * Return the merge patch of an edited job posting,
+ * its hiring organization is sent by its identifier
+ *
+ * @param {object} params - the react-admin update parameters
+ * @returns {object} the merge patch
+ */
+const getJobPostingMergePatch = ({ data, previousData }) => {
+    const patch = getMergePatch(
+        omit(data, jobPostingReadOnlyFields),
+        omit(previousData, jobPostingReadOnlyFields)
+    );
+    const { identifier } = data.hiringOrganization || {};
+
+    return identifier !== previousData.hiringOrganization.identifier
+        ? { ...patch, hiringOrganizationId: identifier }
+        : patch;
+};
+
 /**
  * Maps react-admin queries to a simple REST API
  *
  * @example
  *
  * getList     => GET http://my.api.url/posts?sort=['title','ASC']&currentPage=1&perPage=24
- * getOne      => GET http://my.api.url/posts/123
- * getMany     => GET http://my.api.url/posts?filter={id:[123,456,789]}&currentPage=1&perPage=24
- * update      => PUT http://my.api.url/posts/123
+ *                the includeDeleted filter is sent as a query parameter, to list the trash
+ * getOne      => GET http://my.api.url/posts/123, the ETag of the record is kept for its writes
+ * getMany     => GET http://my.api.url/posts?ids=[123,456,789]&perPage=3
+ * update      => PATCH http://my.api.url/posts/123, with the changed fields as a JSON Merge Patch
+ *                and the If-Match header, unless the overwrite param forces the update
+ * updateMany  => PATCH http://my.api.url/posts, with {ids: [123,456], data}
  * create      => POST http://my.api.url/posts
- * delete      => DELETE http://my.api.url/posts/123
+ * delete      => DELETE http://my.api.url/posts/123, with the If-Match header
+ * deleteMany  => DELETE http://my.api.url/posts?ids=[123,456]
+ *
+ * getApplicationCv => GET http://my.api.url/job-postings/123/applications/456/cv
+ * transitionJobPosting => POST http://my.api.url/job-postings/123/transitions
+ * transitionJobPostings => POST http://my.api.url/job-postings/transitions, with {ids: [123,456], data}
+ * getRevisions => GET http://my.api.url/posts/123/revisions
+ * restoreRevision => POST http://my.api.url/posts/123/revisions/2/restore
+ * restore => POST http://my.api.url/posts/123/restore
  */
-export default (apiUrl, httpClient = fetchUtils.fetchJson) => ({
+export default (
+    apiUrl,
+    httpClient = fetchUtils.fetchJson,
+    fileClient = (url) => fetch(url).then((response) => response.blob())
+) => ({
     getList: (resource, params) => {
         const { currentPage, perPage } = params;
         const { field, order } = params.sort;
+        const { includeDeleted, ...filter } = params.filter;
         const query = {
             sort: JSON.stringify([field, order]),
-            filters: JSON.stringify(params.filter),
+            filters: JSON.stringify(filter),
             currentPage,
             perPage,
+            ...(includeDeleted ? { includeDeleted } : {}),
         };
         const url = `${apiUrl}/${resource}?${stringify(query)}`;
 
@@ -45,19 +168,27 @@ export default (apiUrl, httpClient = fetchUtils.fetchJson) => ({
     },
 
     getOne: (resource, params) =>
-        httpClient(`${apiUrl}/${resource}/${params.id}`).then(({ json }) => ({
-            data: json,
-        })),
+        httpClient(`${apiUrl}/${resource}/${params.id}`).then(
+            ({ headers, json }) => {
+                saveETag(resource, params.id, headers);
+
+                return { data: json };
+            }
+        ),
 
     getMany: (resource, params) => {
         const query = {
-            filter: JSON.stringify({ id: params.ids }),
+            ids: JSON.stringify(params.ids),
+            perPage: params.ids.length,
         };
         const url = `${apiUrl}/${resource}?${stringify(query)}`;
         return httpClient(url).then(({ json }) => ({ data: json }));
     },
 
     getManyReference: (resource, params) => {
+        if (resource === 'applications') {
+            return getJobPostingApplications(apiUrl, httpClient, params);
+        }
         const { currentPage, perPage } = params;
         const { field, order } = params.sort;
         const query = {
@@ -80,42 +211,45 @@ export default (apiUrl, httpClient = fetchUtils.fetchJson) => ({
     },
 
     update: (resource, params) => {
-        let data;
-        if (resource === 'job-postings') {
-            data = {
-                ...omit(params.data, ['id', 'hiringOrganization']),
-                hiringOrganizationId: params.data.hiringOrganization.identifier,
-            };
-        } else {
-            data = params.data;
+        if (resource === 'applications') {
+            return updateApplicationStatus(apiUrl, httpClient, params);
         }
+        const patch =
+            resource === 'job-postings'
+                ? getJobPostingMergePatch(params)
+                : getMergePatch(
+                      omit(params.data, ['id', 'deletedAt']),
+                      params.previousData
+                  );
         return httpClient(`${apiUrl}/${resource}/${params.id}`, {
-            method: 'PUT',
-            body: JSON.stringify(data),
-        }).then(({ json }) => ({ data: json }));
+            method: 'PATCH',
+            headers: new Headers({
+                Accept: 'application/json',
+                'Content-Type': 'application/merge-patch+json',
+                ...(params.overwrite
+                    ? {}
+                    : getIfMatchHeader(resource, params.id)),
+            }),
+            body: JSON.stringify(patch),
+        }).then(({ headers, json }) => {
+            saveETag(resource, params.id, headers);
+
+            return { data: json };
+        });
     },
 
-    // JobBoard API doesn't handle provide an updateMany route yet,
-    // so we fallback to calling update n times instead
+    // only the sent fields are updated, the same for each record
     updateMany: (resource, params) =>
-        Promise.all(
-            params.ids.map((id) => {
-                let data;
-                if (resource === 'job-postings') {
-                    data = {
-                        ...omit(params.data, ['id', 'hiringOrganization']),
-                        hiringOrganizationId:
-                            params.data.hiringOrganization.identifier,
-                    };
-                } else {
-                    data = params.data;
-                }
-                return httpClient(`${apiUrl}/${resource}/${id}`, {
-                    method: 'PUT',
-                    body: JSON.stringify(data),
-                }).then(({ json }) => ({ data: json }));
-            })
-        ).then((responses) => ({ data: responses.map(({ json }) => json.id) })),
+        httpClient(`${apiUrl}/${resource}`, {
+            method: 'PATCH',
+            body: JSON.stringify({
+                ids: params.ids,
+                data:
+                    resource === 'job-postings'
+                        ? omit(params.data, jobPostingReadOnlyFields)
+                        : params.data,
+            }),
+        }).then(({ json }) => ({ data: json.map(({ id }) => id) })),
 
     create: (resource, params) => {
         let data;
@@ -160,19 +294,61 @@ export default (apiUrl, httpClient = fetchUtils.fetchJson) => ({
         }));
     },
 
+    // the CV is a file: it is fetched as a Blob by the fileClient
+    getApplicationCv: ({ id, jobPostingId }) =>
+        fileClient(
+            `${apiUrl}/job-postings/${jobPostingId}/applications/${id}/cv`
+        ),
+
+    transitionJobPosting: ({ id, status, reason }) =>
+        httpClient(`${apiUrl}/job-postings/${id}/transitions`, {
+            method: 'POST',
+            body: JSON.stringify({ status, reason }),
+        }).then(({ json }) => ({ data: json })),
+
+    transitionJobPostings: ({ ids, status, reason }) =>
+        httpClient(`${apiUrl}/job-postings/transitions`, {
+            method: 'POST',
+            body: JSON.stringify({ ids, data: { status, reason } }),
+        }).then(({ json }) => ({ data: json.map(({ id }) => id) })),
+
+    getRevisions: ({ resource, id }) =>
+        httpClient(`${apiUrl}/${resource}/${id}/revisions`).then(
+            ({ json }) => ({
+                data: json,
+            })
+        ),
+
+    restoreRevision: ({ resource, id, number }) =>
+        httpClient(`${apiUrl}/${resource}/${id}/revisions/${number}/restore`, {
+            method: 'POST',
+        }).then(({ json }) => ({ data: json })),
+
+    restore: ({ resource, id }) =>
+        httpClient(`${apiUrl}/${resource}/${id}/restore`, {
+            method: 'POST',
+        }).then(({ json }) => ({ data: json })),
+
     delete: (resource, params) =>
         httpClient(`${apiUrl}/${resource}/${params.id}`, {
             method: 'DELETE',
-        }).then(({ json }) => ({ data: json })),
+            headers: new Headers({
+                Accept: 'application/json',
+                ...getIfMatchHeader(resource, params.id),
+            }),
+        }).then(({ json }) => {
+            etags.delete(`${resource}/${params.id}`);
+
+            return { data: json };
+        }),
 
-    // JobBoard doesn't handle filters on DELETE route yet,
-    // so we fallback to calling DELETE n times instead
     deleteMany: (resource, params) =>
-        Promise.all(
-            params.ids.map((id) =>
-                httpClient(`${apiUrl}/${resource}/${id}`, {
-                    method: 'DELETE',
-                })
-            )
-        ).then((responses) => ({ data: responses.map(({ json }) => json.id) })),
+        httpClient(
+            `${apiUrl}/${resource}?${stringify({
+                ids: JSON.stringify(params.ids),
+            })}`,
+            {
+                method: 'DELETE',
+            }
+        ).then(({ json }) => ({ data: json.map(({ id }) => id) })),
 });
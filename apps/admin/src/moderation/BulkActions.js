@@ -0,0 +1,130 @@
+import React, { Fragment, useState } from 'react';
+import { PropTypes } from 'prop-types';
+import {
+    Button,
+    useDataProvider,
+    useNotify,
+    useRefresh,
+    useUnselectAll,
+} from 'react-admin';
+import Dialog from '@material-ui/core/Dialog';
+import DialogActions from '@material-ui/core/DialogActions';
+import DialogContent from '@material-ui/core/DialogContent';
+import DialogTitle from '@material-ui/core/DialogTitle';
+import TextField from '@material-ui/core/TextField';
+import ApproveIcon from '@material-ui/icons/ThumbUp';
+import RejectIcon from '@material-ui/icons/ThumbDown';
+
+/**
+ * Return a function moving the selected job postings to a new status,
+ * then refreshing the moderation queue
+ *
+ * @param {Array} selectedIds - the identifiers of the selected job postings
+ * @param {string} resource - the resource of the list
+ * @returns {Array} the transition function and its loading state
+ */
+const useTransitionSelection = (selectedIds, resource) => {
+    const dataProvider = useDataProvider();
+    const notify = useNotify();
+    const refresh = useRefresh();
+    const unselectAll = useUnselectAll();
+    const [loading, setLoading] = useState(false);
+
+    const transition = ({ status, reason, message }) => {
+        setLoading(true);
+        return dataProvider
+            .transitionJobPostings({ ids: selectedIds, status, reason })
+            .then(() => {
+                notify(message);
+                unselectAll(resource);
+                refresh();
+            })
+            .catch((error) => notify(error.message, 'warning'))
+            .finally(() => setLoading(false));
+    };
+
+    return [transition, loading];
+};
+
+export const ApproveButton = ({ selectedIds, resource }) => {
+    const [transition, loading] = useTransitionSelection(selectedIds, resource);
+
+    return (
+        <Button
+            label="Publier"
+            disabled={loading}
+            onClick={() =>
+                transition({
+                    status: 'published',
+                    message: `${selectedIds.length} offre(s) publiée(s)`,
+                })
+            }
+        >
+            <ApproveIcon />
+        </Button>
+    );
+};
+ApproveButton.propTypes = {
+    selectedIds: PropTypes.array,
+    resource: PropTypes.string,
+};
+
+// the reason of the rejection is sent to the contact points of the organizations
+export const RejectButton = ({ selectedIds, resource }) => {
+    const [transition, loading] = useTransitionSelection(selectedIds, resource);
+    const [open, setOpen] = useState(false);
+    const [reason, setReason] = useState('');
+
+    const handleConfirm = () =>
+        transition({
+            status: 'draft',
+            reason,
+            message: `${selectedIds.length} offre(s) refusée(s)`,
+        }).then(() => {
+            setOpen(false);
+            setReason('');
+        });
+
+    return (
+        <Fragment>
+            <Button label="Refuser" onClick={() => setOpen(true)}>
+                <RejectIcon />
+            </Button>
+            <Dialog open={open} onClose={() => setOpen(false)} fullWidth>
+                <DialogTitle>
+                    Refuser {selectedIds.length} offre(s) d&apos;emploi
+                </DialogTitle>
+                <DialogContent>
+                    <TextField
+                        label="Raison du refus, envoyée aux contacts des entreprises"
+                        value={reason}
+                        onChange={(event) => setReason(event.target.value)}
+                        multiline
+                        rows={4}
+                        fullWidth
+                        autoFocus
+                    />
+                </DialogContent>
+                <DialogActions>
+                    <Button label="Annuler" onClick={() => setOpen(false)} />
+                    <Button
+                        label="Refuser"
+                        onClick={handleConfirm}
+                        disabled={loading || !reason.trim()}
+                    />
+                </DialogActions>
+            </Dialog>
+        </Fragment>
+    );
+};
+RejectButton.propTypes = {
+    selectedIds: PropTypes.array,
+    resource: PropTypes.string,
+};
+
+export const ModerationBulkActions = (props) => (
+    <Fragment>
+        <ApproveButton {...props} />
+        <RejectButton {...props} />
+    </Fragment>
+);
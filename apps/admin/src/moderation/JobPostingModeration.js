@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { PropTypes } from 'prop-types';
+import { Datagrid, DateField, List, Pagination, TextField } from 'react-admin';
+import Card from '@material-ui/core/Card';
+import CardContent from '@material-ui/core/CardContent';
+import Typography from '@material-ui/core/Typography';
+
+import {
+    formatBaseSalary,
+    formatSkills,
+    jobLocationTypes,
+} from '../job-posting';
+import { ModerationBulkActions } from './BulkActions';
+
+const getChoiceName = (choices, id) => {
+    const choice = choices.find((item) => item.id === id);
+
+    return choice ? choice.name : id;
+};
+
+// the list controller gives the loaded job postings to the aside component
+const JobPostingPreview = ({ data, previewId }) => {
+    const record = data && previewId ? data[previewId] : null;
+
+    return (
+        <Card style={{ width: '40%', marginLeft: '1em' }}>
+            <CardContent>
+                {record ? (
+                    <div>
+                        <Typography variant="h6">{record.title}</Typography>
+                        <Typography variant="subtitle1" gutterBottom>
+                            {record.hiringOrganization.name} -{' '}
+                            {record.employmentType} -{' '}
+                            {getChoiceName(
+                                jobLocationTypes,
+                                record.jobLocationType
+                            )}
+                        </Typography>
+                        <Typography variant="body2" paragraph>
+                            {record.employerOverview}
+                        </Typography>
+                        <Typography variant="body2" paragraph>
+                            Expérience requise : {record.experienceRequirements}
+                        </Typography>
+                        <Typography variant="body2" paragraph>
+                            Compétences : {formatSkills(record.skills)}
+                        </Typography>
+                        <Typography variant="body2" paragraph>
+                            Salaire : {formatBaseSalary(record.baseSalary)}
+                        </Typography>
+                        <Typography variant="body2">
+                            Prise de poste : {record.jobStartDate || '-'},
+                            valable jusqu&apos;au : {record.validThrough || '-'}
+                        </Typography>
+                        {record.url && (
+                            <Typography variant="body2">
+                                <a
+                                    href={record.url}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                >
+                                    {record.url}
+                                </a>
+                            </Typography>
+                        )}
+                    </div>
+                ) : (
+                    <Typography variant="body2">
+                        Cliquez sur une offre pour la relire.
+                    </Typography>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+JobPostingPreview.propTypes = {
+    data: PropTypes.object,
+    previewId: PropTypes.string,
+};
+
+export const JobPostingModeration = (props) => {
+    const [previewId, setPreviewId] = useState(null);
+
+    return (
+        <List
+            {...props}
+            filter={{ status: 'pending' }}
+            sort={{ field: 'statusUpdatedAt', order: 'ASC' }}
+            exporter={false}
+            pagination={<Pagination />}
+            bulkActionButtons={<ModerationBulkActions />}
+            aside={<JobPostingPreview previewId={previewId} />}
+            title="Offres d'emploi à relire"
+        >
+            <Datagrid
+                rowClick={(id) => {
+                    setPreviewId(id);
+                    return false;
+                }}
+            >
+                <TextField source="title" label="Titre de l'offre" />
+                <TextField
+                    source="hiringOrganization.name"
+                    label="Entreprise"
+                    sortBy="hiringOrganizationName"
+                />
+                <DateField
+                    source="statusUpdatedAt"
+                    label="Soumise le"
+                    showTime
+                />
+            </Datagrid>
+        </List>
+    );
+};
@@ -0,0 +1,26 @@
+import React from 'react';
+import { Route } from 'react-router-dom';
+
+import { JobPostingModeration } from './JobPostingModeration';
+
+// the moderation queue is a filtered list of the job-postings resource
+export const moderationRoutes = [
+    <Route
+        exact
+        key="moderation"
+        path="/moderation"
+        render={(routeProps) => (
+            <JobPostingModeration
+                {...routeProps}
+                resource="job-postings"
+                basePath="/job-postings"
+                hasCreate={false}
+                hasEdit
+                hasList
+                hasShow={false}
+            />
+        )}
+    />,
+];
+
+export { JobPostingModeration };
@@ -1,9 +1,31 @@
 import React from 'react';
-import { Edit, TextInput, TabbedForm, FormTab } from 'react-admin';
+import {
+    DeleteButton,
+    Edit,
+    FormTab,
+    TabbedForm,
+    TextInput,
+    Toolbar,
+    usePermissions,
+} from 'react-admin';
+
+import { ConflictSaveButton } from '../conflict/ConflictSaveButton';
+import { RevisionHistory } from '../revision/RevisionHistory';
 
 const OrganizationTitle = ({ record }) =>
     record ? `Entreprise ${record.name}` : null;
 
+const OrganizationEditToolbar = (props) => {
+    const { permissions } = usePermissions();
+
+    return (
+        <Toolbar {...props}>
+            <ConflictSaveButton />
+            {permissions === 'admin' && <DeleteButton />}
+        </Toolbar>
+    );
+};
+
 export const OrganizationEdit = (props) => {
     const handleStringify = React.useCallback(
         (v) => JSON.stringify(v, null, 2),
@@ -13,7 +35,7 @@ export const OrganizationEdit = (props) => {
 
     return (
         <Edit title={<OrganizationTitle />} {...props}>
-            <TabbedForm>
+            <TabbedForm toolbar={<OrganizationEditToolbar />}>
                 <FormTab label="L'entreprise">
                     <TextInput source="name" label="Nom" fullWidth />
                     <TextInput
@@ -57,6 +79,9 @@ export const OrganizationEdit = (props) => {
                         parse={handleParse}
                     />
                 </FormTab>
+                <FormTab label="Historique">
+                    <RevisionHistory />
+                </FormTab>
             </TabbedForm>
         </Edit>
     );
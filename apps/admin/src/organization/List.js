@@ -1,6 +1,7 @@
 import React from 'react';
 import { PropTypes } from 'prop-types';
 import {
+    BulkDeleteButton,
     List,
     Datagrid,
     TextField,
@@ -8,8 +9,11 @@ import {
     Filter,
     TextInput,
     Pagination,
+    usePermissions,
 } from 'react-admin';
 
+import { canManageOrganization } from '../authProvider';
+
 const OrganizationLogo = ({ record }) => {
     return record && record.image ? (
         <img src={record.image} height="50" alt={record.name} />
@@ -46,11 +50,26 @@ const OrganizationFilter = (props) => (
     </Filter>
 );
 
+const OrganizationEditButton = ({ record, ...props }) => {
+    const { permissions } = usePermissions();
+
+    return record && canManageOrganization(permissions, record.id) ? (
+        <EditButton record={record} {...props} />
+    ) : null;
+};
+OrganizationEditButton.propTypes = {
+    record: PropTypes.shape({
+        id: PropTypes.string,
+    }),
+};
+
 const OrganizationPagination = (props) => (
     <Pagination rowsPerPageOptions={[1, 10, 25, 50]} {...props} />
 );
 
 export const OrganizationList = (props) => {
+    const { permissions } = usePermissions();
+
     return (
         <List
             {...props}
@@ -58,14 +77,20 @@ export const OrganizationList = (props) => {
             sort={{ field: 'name', order: 'ASC' }}
             exporter={false}
             pagination={<OrganizationPagination />}
-            bulkActionButtons={false}
+            bulkActionButtons={
+                permissions === 'admin' ? (
+                    <BulkDeleteButton undoable={false} />
+                ) : (
+                    false
+                )
+            }
             title="Liste des Entreprises"
         >
             <Datagrid>
                 <OrganizationLogo label="Logo" />
                 <TextField source="name" label="Nom de l'entreprise" />
                 <OrganizationAddress label="Adresse" />
-                <EditButton />
+                <OrganizationEditButton />
             </Datagrid>
         </List>
     );
@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react';
+import { PropTypes } from 'prop-types';
+import {
+    Button,
+    Labeled,
+    useDataProvider,
+    useNotify,
+    useRefresh,
+    useVersion,
+} from 'react-admin';
+import Card from '@material-ui/core/Card';
+import CardContent from '@material-ui/core/CardContent';
+import CardHeader from '@material-ui/core/CardHeader';
+import RestoreIcon from '@material-ui/icons/Restore';
+
+import { ChangesTable } from '../audit-log/ChangesTable';
+
+const getRevisionTitle = ({ number, restoredFrom }) =>
+    restoredFrom
+        ? `Version ${number}, restauration de la version ${restoredFrom}`
+        : `Version ${number}`;
+
+const getRevisionSubheader = ({ createdAt, username }) =>
+    `${new Date(createdAt).toLocaleString()}${
+        username ? ` par ${username}` : ''
+    }`;
+
+// the versions of a job posting or an organization, the most recent first,
+// with the fields changed by each of them
+export const RevisionHistory = ({ record, resource }) => {
+    const dataProvider = useDataProvider();
+    const notify = useNotify();
+    const refresh = useRefresh();
+    const version = useVersion();
+    const [revisions, setRevisions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const id = record ? record.id : null;
+
+    useEffect(() => {
+        if (!id) {
+            return;
+        }
+        dataProvider
+            .getRevisions({ resource, id })
+            .then(({ data }) => setRevisions(data))
+            .catch((error) => notify(error.message, 'warning'));
+    }, [dataProvider, notify, resource, id, version]);
+
+    if (!id) {
+        return null;
+    }
+
+    const handleRestore = (number) => () => {
+        setLoading(true);
+        dataProvider
+            .restoreRevision({ resource, id, number })
+            .then(() => {
+                notify(`Version ${number} restaurée`);
+                refresh();
+            })
+            .catch((error) => notify(error.message, 'warning'))
+            .finally(() => setLoading(false));
+    };
+
+    return (
+        <Labeled label="Historique des versions" fullWidth>
+            <div>
+                {revisions.length === 0 && <p>Aucune modification</p>}
+                {revisions.map((revision, index) => (
+                    <Card key={revision.id} variant="outlined">
+                        <CardHeader
+                            title={getRevisionTitle(revision)}
+                            subheader={getRevisionSubheader(revision)}
+                            action={
+                                index > 0 && (
+                                    <Button
+                                        label="Restaurer"
+                                        onClick={handleRestore(revision.number)}
+                                        disabled={loading}
+                                    >
+                                        <RestoreIcon />
+                                    </Button>
+                                )
+                            }
+                        />
+                        {Object.keys(revision.changes).length > 0 && (
+                            <CardContent>
+                                <ChangesTable changes={revision.changes} />
+                            </CardContent>
+                        )}
+                    </Card>
+                ))}
+            </div>
+        </Labeled>
+    );
+};
+RevisionHistory.propTypes = {
+    record: PropTypes.shape({
+        id: PropTypes.string,
+    }),
+    resource: PropTypes.string,
+};
@@ -0,0 +1,40 @@
+import React, { useState } from 'react';
+import { PropTypes } from 'prop-types';
+import { Button, useDataProvider, useNotify, useRefresh } from 'react-admin';
+import RestoreIcon from '@material-ui/icons/RestoreFromTrash';
+
+export const RestoreButton = ({ record, resource }) => {
+    const dataProvider = useDataProvider();
+    const notify = useNotify();
+    const refresh = useRefresh();
+    const [loading, setLoading] = useState(false);
+    if (!record) {
+        return null;
+    }
+
+    const handleClick = (event) => {
+        // the click must not reach the datagrid row
+        event.stopPropagation();
+        setLoading(true);
+        dataProvider
+            .restore({ resource, id: record.id })
+            .then(() => {
+                notify('Élément restauré');
+                refresh();
+            })
+            .catch((error) => notify(error.message, 'warning'))
+            .finally(() => setLoading(false));
+    };
+
+    return (
+        <Button label="Restaurer" onClick={handleClick} disabled={loading}>
+            <RestoreIcon />
+        </Button>
+    );
+};
+RestoreButton.propTypes = {
+    record: PropTypes.shape({
+        id: PropTypes.string,
+    }),
+    resource: PropTypes.string,
+};
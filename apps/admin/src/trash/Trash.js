@@ -0,0 +1,93 @@
+import React from 'react';
+import { PropTypes } from 'prop-types';
+import { Link } from 'react-router-dom';
+import {
+    Datagrid,
+    DateField,
+    List,
+    Pagination,
+    TextField,
+    TopToolbar,
+} from 'react-admin';
+import Tab from '@material-ui/core/Tab';
+import Tabs from '@material-ui/core/Tabs';
+
+import { RestoreButton } from './RestoreButton';
+
+// only the deleted items of the resource are listed
+const trashFilter = { deleted: true, includeDeleted: true };
+
+const TrashTabs = ({ resource }) => (
+    <TopToolbar>
+        <Tabs value={resource} indicatorColor="primary">
+            <Tab
+                label="Offres d'emploi"
+                value="job-postings"
+                component={Link}
+                to="/trash/job-postings"
+            />
+            <Tab
+                label="Entreprises"
+                value="organizations"
+                component={Link}
+                to="/trash/organizations"
+            />
+        </Tabs>
+    </TopToolbar>
+);
+TrashTabs.propTypes = {
+    resource: PropTypes.string,
+};
+
+export const JobPostingTrash = (props) => (
+    <List
+        {...props}
+        filter={trashFilter}
+        sort={{ field: 'deletedAt', order: 'DESC' }}
+        exporter={false}
+        bulkActionButtons={false}
+        actions={<TrashTabs />}
+        pagination={<Pagination />}
+        title="Corbeille"
+    >
+        <Datagrid>
+            <TextField source="title" label="Titre de l'offre" />
+            <TextField
+                source="hiringOrganization.name"
+                label="Entreprise"
+                sortBy="hiringOrganizationName"
+            />
+            <DateField source="deletedAt" label="Supprimée le" showTime />
+            <RestoreButton />
+        </Datagrid>
+    </List>
+);
+
+export const OrganizationTrash = (props) => (
+    <List
+        {...props}
+        filter={trashFilter}
+        sort={{ field: 'deleted_at', order: 'DESC' }}
+        exporter={false}
+        bulkActionButtons={false}
+        actions={<TrashTabs />}
+        pagination={<Pagination />}
+        title="Corbeille"
+    >
+        <Datagrid>
+            <TextField source="name" label="Nom" />
+            <TextField
+                source="address.addressLocality"
+                label="Ville"
+                sortBy="address_locality"
+            />
+            <DateField
+                source="deletedAt"
+                label="Supprimée le"
+                sortBy="deleted_at"
+                showTime
+            />
+            <RestoreButton />
+        </Datagrid>
+    </List>
+);
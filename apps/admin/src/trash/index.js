@@ -0,0 +1,31 @@
+import React from 'react';
+import { Route } from 'react-router-dom';
+
+import { JobPostingTrash, OrganizationTrash } from './Trash';
+
+// the trash is a filtered list of each resource, with the deleted items only
+const trashRoute = (resource, TrashList) => (
+    <Route
+        exact
+        key={`trash-${resource}`}
+        path={`/trash/${resource}`}
+        render={(routeProps) => (
+            <TrashList
+                {...routeProps}
+                resource={resource}
+                basePath={`/${resource}`}
+                hasCreate={false}
+                hasEdit={false}
+                hasList
+                hasShow={false}
+            />
+        )}
+    />
+);
+
+export const trashRoutes = [
+    trashRoute('job-postings', JobPostingTrash),
+    trashRoute('organizations', OrganizationTrash),
+];
+
+export { JobPostingTrash, OrganizationTrash };
@@ -0,0 +1,45 @@
+const knex = require('knex');
+const signale = require('signale');
+
+const knexConfig = require('../knexfile');
+const { createUser, userRoles } = require('../src/user/repository');
+
+const pg = knex(knexConfig);
+
+const [
+    username,
+    password,
+    role = 'admin',
+    organizationIds = '',
+] = process.argv.slice(2);
+
+if (!username || !password) {
+    const availableRoles = userRoles.join('|');
+    signale.error(
+        `Usage: node cli/create-user <username> <password> [${availableRoles}] [organizationId,...]`
+    );
+    process.exit(1);
+}
+
+createUser({
+    client: pg,
+    apiData: {
+        username,
+        password,
+        role,
+        organizationIds: organizationIds.split(',').filter((id) => id),
+    },
+})
+    .then((user) => {
+        if (user.error) {
+            throw user.error;
+        }
+        signale.info(
+            `L'utilisateur ${user.username} (${user.role}) a été créé`
+        );
+        process.exit(0);
+    })
+    .catch((error) => {
+        signale.error("Erreur lors de la création de l'utilisateur : ", error);
+        process.exit(1);
+    });
@@ -0,0 +1,113 @@
+const knex = require('knex');
+const signale = require('signale');
+
+const config = require('../src/config');
+const knexConfig = require('../knexfile');
+const {
+    getJobPostingsToExpire,
+    getJobPostingsToWarnBeforeExpiration,
+    markJobPostingAsWarned,
+    transitionJobPosting,
+} = require('../src/job-posting/repository');
+const {
+    getJobPostingRecipients,
+    sendJobPostingExpirationWarning,
+} = require('../src/job-posting/notification');
+
+const pg = knex(knexConfig);
+const { maxAge, expirationWarningDelay } = config.jobPostings;
+
+const expireJobPostings = async () => {
+    const jobPostings = await getJobPostingsToExpire({ client: pg, maxAge });
+    signale.info(`Expiration de ${jobPostings.length} offres`);
+
+    let nbExpiredJobPostings = 0;
+    for (let i = 0; i < jobPostings.length; i++) {
+        const jobPosting = jobPostings[i];
+        // the command line tools transition the jobPostings without user
+        const expiredJobPosting = await transitionJobPosting({
+            client: pg,
+            user: null,
+            jobPostingId: jobPosting.id,
+            status: 'expired',
+            reason: jobPosting.outdated
+                ? 'Date de validité dépassée'
+                : `Offre publiée depuis plus de ${maxAge} jours`,
+        });
+        if (expiredJobPosting.error) {
+            signale.error(
+                `Erreur lors de l'expiration de l'offre ${jobPosting.id} : `,
+                expiredJobPosting.error
+            );
+            continue;
+        }
+
+        nbExpiredJobPostings++;
+    }
+
+    return nbExpiredJobPostings;
+};
+
+const warnJobPostingsBeforeExpiration = async () => {
+    const warnedAt = new Date();
+    const jobPostings = await getJobPostingsToWarnBeforeExpiration({
+        client: pg,
+        maxAge,
+        warningDelay: expirationWarningDelay,
+    });
+    signale.info(
+        `Envoi du lien de renouvellement de ${jobPostings.length} offres`
+    );
+
+    let nbSentWarnings = 0;
+    for (let i = 0; i < jobPostings.length; i++) {
+        const jobPosting = jobPostings[i];
+        try {
+            const { emails } = await getJobPostingRecipients({
+                client: pg,
+                jobPostingId: jobPosting.id,
+            });
+            if (emails.length) {
+                await sendJobPostingExpirationWarning({ jobPosting, emails });
+                nbSentWarnings++;
+            } else {
+                signale.warn(
+                    `Aucun contact à prévenir de l'expiration de l'offre ${jobPosting.id}`
+                );
+            }
+
+            await markJobPostingAsWarned({
+                client: pg,
+                jobPostingId: jobPosting.id,
+                warnedAt,
+            });
+        } catch (error) {
+            // the jobPosting is not marked as warned, the warning will be sent on next run
+            signale.error(
+                `Erreur lors de l'envoi du lien de renouvellement de l'offre ${jobPosting.id} : `,
+                error
+            );
+        }
+    }
+
+    return nbSentWarnings;
+};
+
+const expireAndWarnJobPostings = async () => {
+    const nbExpiredJobPostings = await expireJobPostings();
+    const nbSentWarnings = await warnJobPostingsBeforeExpiration();
+
+    return { nbExpiredJobPostings, nbSentWarnings };
+};
+
+expireAndWarnJobPostings()
+    .then(({ nbExpiredJobPostings, nbSentWarnings }) => {
+        signale.info(
+            `Fin de l'expiration des offres : ${nbExpiredJobPostings} offres expirées, ${nbSentWarnings} e-mails envoyés`
+        );
+        process.exit(0);
+    })
+    .catch((error) => {
+        signale.error("Erreur lors de l'expiration des offres : ", error);
+        process.exit(1);
+    });
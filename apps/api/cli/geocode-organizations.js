@@ -0,0 +1,55 @@
+const knex = require('knex');
+const signale = require('signale');
+
+const knexConfig = require('../knexfile');
+const { geocodeAddress } = require('../src/toolbox/geocoding');
+
+const pg = knex(knexConfig);
+
+// without --all, only the organizations without coordinates are geocoded
+const geocodeAll = process.argv.slice(2).includes('--all');
+
+const geocodeOrganizations = async () => {
+    const query = pg('organization').select(
+        'id',
+        'name',
+        'addressLocality',
+        'postalCode'
+    );
+    if (!geocodeAll) {
+        query.whereNull('latitude');
+    }
+    const organizations = await query;
+    signale.info(`Géocodage de ${organizations.length} entreprises`);
+
+    let nbGeocodedOrganizations = 0;
+    for (let i = 0; i < organizations.length; i++) {
+        const organization = organizations[i];
+        const coordinates = geocodeAddress(organization);
+        if (coordinates.latitude === null) {
+            signale.warn(
+                `La ville de l'entreprise ${organization.name} (${organization.postalCode} ${organization.addressLocality}) est inconnue`
+            );
+        }
+        await pg('organization')
+            .where({ id: organization.id })
+            .update(coordinates);
+        if (coordinates.latitude !== null) {
+            nbGeocodedOrganizations++;
+        }
+    }
+
+    return nbGeocodedOrganizations;
+};
+
+geocodeOrganizations()
+    .then((nbGeocodedOrganizations) => {
+        signale.info(
+            `Fin du géocodage : ${nbGeocodedOrganizations} entreprises géocodées`
+        );
+        process.exit(0);
+    })
+    .catch((error) => {
+        signale.error('Erreur lors du géocodage des entreprises : ', error);
+        process.exit(1);
+    });
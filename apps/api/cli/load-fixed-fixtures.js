@@ -3,7 +3,14 @@ const omit = require('lodash.omit');
 const signale = require('signale');
 
 const fixtures = require('../fixtures/fixed-fixtures.json');
+const users = require('../fixtures/fixed-users.json');
 const knexConfig = require('../knexfile');
+const { createUser } = require('../src/user/repository');
+const { setJobPostingSkills } = require('../src/skill/repository');
+const { geocodeAddress } = require('../src/toolbox/geocoding');
+const {
+    prepareJobPostingDataForSave,
+} = require('../src/job-posting/repository');
 
 const pg = knex(knexConfig);
 
@@ -17,6 +24,7 @@ const getOrganizationFromJobPosting = (jobPosting) => {
                 jobPosting.hiringOrganization.address.addressLocality,
             postalCode: jobPosting.hiringOrganization.address.postalCode,
             streetAddress: jobPosting.hiringOrganization.address.streetAddress,
+            ...geocodeAddress(jobPosting.hiringOrganization.address),
         },
         ['address', 'contactPoints']
     );
@@ -28,9 +36,13 @@ const getContactPointFromJobPosting = (jobPosting) =>
 const importFixtures = async () => {
     signale.info('Importation des fixtures fixes');
     await pg('organization').del();
+    await pg('skill').del();
     for (let i = 0; i < fixtures.length; i++) {
         try {
-            const jobPosting = omit(fixtures[i], ['hiringOrganization']);
+            const { jobPosting, skills } = prepareJobPostingDataForSave({
+                ...omit(fixtures[i], ['hiringOrganization']),
+                skills: fixtures[i].skills.split(','),
+            });
             const organization = getOrganizationFromJobPosting(fixtures[i]);
             const contactPoint = getContactPointFromJobPosting(fixtures[i]);
 
@@ -43,14 +55,25 @@ const importFixtures = async () => {
                 organizationId,
             });
 
-            await pg('job_posting').insert({
-                ...jobPosting,
-                hiringOrganizationId: organizationId,
-                datePosted: new Date(jobPosting.datePosted),
-                jobStartDate: new Date(jobPosting.jobStartDate),
-                validThrough: jobPosting.validThrough
-                    ? new Date(jobPosting.validThrough)
-                    : null,
+            const [jobPostingId] = await pg('job_posting')
+                .returning('id')
+                .insert({
+                    ...jobPosting,
+                    hiringOrganizationId: organizationId,
+                    datePosted: new Date(jobPosting.datePosted),
+                    jobStartDate: new Date(jobPosting.jobStartDate),
+                    validThrough: jobPosting.validThrough
+                        ? new Date(jobPosting.validThrough)
+                        : null,
+                    // the fixtures are published to be seen on the JobBoard
+                    status: 'published',
+                    publishedAt: new Date(),
+                });
+
+            await setJobPostingSkills({
+                client: pg,
+                jobPostingId,
+                names: skills,
             });
         } catch (error) {
             signale.error("Erreur lors de la création d'une offre : ", error);
@@ -59,8 +82,30 @@ const importFixtures = async () => {
     return fixtures.length;
 };
 
+const importUsers = async () => {
+    signale.info('Importation des utilisateurs fixes');
+    await pg('user').del();
+    for (let i = 0; i < users.length; i++) {
+        const organizationIds = await pg('organization')
+            .select('id')
+            .whereIn('name', users[i].organizations || [])
+            .then((organizations) => organizations.map(({ id }) => id));
+        const user = await createUser({
+            client: pg,
+            apiData: { ...omit(users[i], ['organizations']), organizationIds },
+        });
+        if (user.error) {
+            signale.error(
+                "Erreur lors de la création d'un utilisateur : ",
+                user.error
+            );
+        }
+    }
+};
+
 importFixtures()
-    .then((nbJobPosting) => {
+    .then(async (nbJobPosting) => {
+        await importUsers();
         signale.info(
             `Fin de l'importation des ${nbJobPosting} offres d'emploi`
         );
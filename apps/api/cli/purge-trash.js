@@ -0,0 +1,60 @@
+const knex = require('knex');
+const signale = require('signale');
+
+const config = require('../src/config');
+const knexConfig = require('../knexfile');
+const { purgeDeletedJobPostings } = require('../src/job-posting/repository');
+const { purgeDeletedOrganizations } = require('../src/organization/repository');
+const { getStorage } = require('../src/toolbox/storage');
+
+const pg = knex(knexConfig);
+const { retentionDays } = config.trash;
+
+const removeCvFiles = async (cvFileKeys) => {
+    let nbRemovedFiles = 0;
+    for (let i = 0; i < cvFileKeys.length; i++) {
+        try {
+            await getStorage().remove(cvFileKeys[i]);
+            nbRemovedFiles++;
+        } catch (error) {
+            // the application is already purged, the file can only be removed by hand
+            signale.error(
+                `Erreur lors de la suppression du CV ${cvFileKeys[i]} : `,
+                error
+            );
+        }
+    }
+
+    return nbRemovedFiles;
+};
+
+const purgeTrash = async () => {
+    // the jobPostings are purged first, to know the CV files of their applications
+    const { jobPostingIds, cvFileKeys } = await purgeDeletedJobPostings({
+        client: pg,
+        retentionDays,
+    });
+    const nbRemovedFiles = await removeCvFiles(cvFileKeys);
+    const organizationIds = await purgeDeletedOrganizations({
+        client: pg,
+        retentionDays,
+    });
+
+    return {
+        nbJobPostings: jobPostingIds.length,
+        nbOrganizations: organizationIds.length,
+        nbRemovedFiles,
+    };
+};
+
+purgeTrash()
+    .then(({ nbJobPostings, nbOrganizations, nbRemovedFiles }) => {
+        signale.info(
+            `Fin de la purge de la corbeille : ${nbJobPostings} offres, ${nbOrganizations} entreprises et ${nbRemovedFiles} CV supprimés`
+        );
+        process.exit(0);
+    })
+    .catch((error) => {
+        signale.error('Erreur lors de la purge de la corbeille : ', error);
+        process.exit(1);
+    });
@@ -0,0 +1,69 @@
+const knex = require('knex');
+const { attachPaginate } = require('knex-paginate');
+const signale = require('signale');
+
+const knexConfig = require('../knexfile');
+const {
+    getConfirmedSavedSearches,
+    getNewJobPostingsOfSavedSearch,
+    markSavedSearchAsChecked,
+} = require('../src/saved-search/repository');
+const { sendSavedSearchDigest } = require('../src/saved-search/notification');
+
+attachPaginate();
+const pg = knex(knexConfig);
+
+const sendJobAlerts = async () => {
+    // the jobPostings created during the sending will be in the next alerts
+    const checkedAt = new Date();
+    const savedSearches = await getConfirmedSavedSearches({ client: pg });
+    signale.info(
+        `Recherche des nouvelles offres de ${savedSearches.length} alertes`
+    );
+
+    let nbSentAlerts = 0;
+    for (let i = 0; i < savedSearches.length; i++) {
+        const savedSearch = savedSearches[i];
+        try {
+            const newJobPostings = await getNewJobPostingsOfSavedSearch({
+                client: pg,
+                savedSearch,
+                until: checkedAt,
+            });
+            if (newJobPostings.error) {
+                throw newJobPostings.error;
+            }
+
+            if (newJobPostings.total) {
+                await sendSavedSearchDigest({ savedSearch, ...newJobPostings });
+                nbSentAlerts++;
+            }
+
+            await markSavedSearchAsChecked({
+                client: pg,
+                savedSearchId: savedSearch.id,
+                checkedAt,
+            });
+        } catch (error) {
+            // the alert is not marked as checked, its new jobPostings will be sent on next run
+            signale.error(
+                `Erreur lors de l'envoi de l'alerte ${savedSearch.id} : `,
+                error
+            );
+        }
+    }
+
+    return nbSentAlerts;
+};
+
+sendJobAlerts()
+    .then((nbSentAlerts) => {
+        signale.info(
+            `Fin de l'envoi des alertes : ${nbSentAlerts} e-mails envoyés`
+        );
+        process.exit(0);
+    })
+    .catch((error) => {
+        signale.error("Erreur lors de l'envoi des alertes : ", error);
+        process.exit(1);
+    });
@@ -3,6 +3,7 @@ module.exports = {
     name: 'api',
     displayName: "Tests unitaires de l'API",
     rootDir: './src',
+    setupFiles: ['<rootDir>/../jest.setup.js'],
     resetMocks: true,
     resetModules: true,
     verbose: true,
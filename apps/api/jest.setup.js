@@ -0,0 +1,2 @@
+// the configuration refuses to load without a secret to sign the tokens
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
@@ -0,0 +1,13 @@
+exports.up = function (knex) {
+    return knex.schema.createTable('user', function (table) {
+        table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+        table.string('username', 150).notNullable().unique();
+        table.string('password', 100).notNullable();
+        table.enu('role', ['admin', 'recruiter']).notNullable();
+        table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    });
+};
+
+exports.down = function (knex) {
+    return knex.schema.dropTable('user');
+};
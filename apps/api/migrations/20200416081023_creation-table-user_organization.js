@@ -0,0 +1,16 @@
+exports.up = function (knex) {
+    return knex.schema.createTable('user_organization', function (table) {
+        table.uuid('user_id').notNullable();
+        table.foreign('user_id').references('user.id').onDelete('CASCADE');
+        table.uuid('organization_id').notNullable();
+        table
+            .foreign('organization_id')
+            .references('organization.id')
+            .onDelete('CASCADE');
+        table.primary(['user_id', 'organization_id']);
+    });
+};
+
+exports.down = function (knex) {
+    return knex.schema.dropTable('user_organization');
+};
@@ -0,0 +1,24 @@
+exports.up = function (knex) {
+    return knex
+        .raw(
+            `ALTER TABLE job_posting ADD COLUMN search_vector tsvector
+            GENERATED ALWAYS AS (
+                setweight(to_tsvector('french', coalesce(title, '')), 'A') ||
+                setweight(to_tsvector('french', coalesce(skills, '')), 'A') ||
+                setweight(to_tsvector('french', coalesce(employer_overview, '')), 'B') ||
+                setweight(to_tsvector('french', coalesce(experience_requirements, '')), 'B')
+            ) STORED`
+        )
+        .then(() =>
+            knex.raw(
+                'CREATE INDEX job_posting_search_vector_index ON job_posting USING GIN (search_vector)'
+            )
+        );
+};
+
+exports.down = function (knex) {
+    // the GIN index is dropped with the column
+    return knex.schema.table('job_posting', function (table) {
+        table.dropColumn('search_vector');
+    });
+};
@@ -0,0 +1,108 @@
+const createSearchVector = (knex, columns) =>
+    knex
+        .raw(
+            `ALTER TABLE job_posting ADD COLUMN search_vector tsvector
+            GENERATED ALWAYS AS (${columns
+                .map(
+                    ([column, weight]) =>
+                        `setweight(to_tsvector('french', coalesce(${column}, '')), '${weight}')`
+                )
+                .join(' || ')}) STORED`
+        )
+        .then(() =>
+            knex.raw(
+                'CREATE INDEX job_posting_search_vector_index ON job_posting USING GIN (search_vector)'
+            )
+        );
+
+const dropSearchVector = (knex) =>
+    knex.schema.table('job_posting', function (table) {
+        table.dropColumn('search_vector');
+    });
+
+exports.up = async function (knex) {
+    await knex.schema.createTable('skill', function (table) {
+        table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+        table.string('name', 100).notNullable();
+    });
+    await knex.raw(
+        'CREATE UNIQUE INDEX skill_name_unique ON skill (lower(name))'
+    );
+
+    await knex.schema.createTable('job_posting_skill', function (table) {
+        table.uuid('job_posting_id').notNullable();
+        table
+            .foreign('job_posting_id')
+            .references('job_posting.id')
+            .onDelete('CASCADE');
+        table.uuid('skill_id').notNullable();
+        table.foreign('skill_id').references('skill.id').onDelete('CASCADE');
+        table.integer('position').notNullable().defaultTo(0);
+        table.primary(['job_posting_id', 'skill_id']);
+    });
+
+    // split the existing comma-separated skills into the new tables
+    const jobPostings = await knex('job_posting').select('id', 'skills');
+    for (const { id, skills } of jobPostings) {
+        const names = skills
+            .split(',')
+            .map((name) => name.trim())
+            .filter((name) => name)
+            .filter(
+                (name, index, all) =>
+                    all.findIndex(
+                        (other) => other.toLowerCase() === name.toLowerCase()
+                    ) === index
+            );
+        for (let position = 0; position < names.length; position++) {
+            const {
+                rows: [skill],
+            } = await knex.raw(
+                `INSERT INTO skill (name) VALUES (?)
+                ON CONFLICT ((lower(name))) DO UPDATE SET name = skill.name
+                RETURNING id`,
+                [names[position]]
+            );
+            await knex('job_posting_skill').insert({
+                jobPostingId: id,
+                skillId: skill.id,
+                position,
+            });
+        }
+    }
+
+    // the generated search vector depends on the skills column
+    await dropSearchVector(knex);
+    await knex.schema.table('job_posting', function (table) {
+        table.dropColumn('skills');
+    });
+    await createSearchVector(knex, [
+        ['title', 'A'],
+        ['employer_overview', 'B'],
+        ['experience_requirements', 'B'],
+    ]);
+};
+
+exports.down = async function (knex) {
+    await dropSearchVector(knex);
+    await knex.schema.table('job_posting', function (table) {
+        table.string('skills').notNullable().defaultTo('');
+    });
+    await knex.raw(
+        `UPDATE job_posting SET skills = coalesce((
+            SELECT string_agg(skill.name, ', ' ORDER BY job_posting_skill.position)
+            FROM job_posting_skill
+            JOIN skill ON skill.id = job_posting_skill.skill_id
+            WHERE job_posting_skill.job_posting_id = job_posting.id
+        ), '')`
+    );
+    await createSearchVector(knex, [
+        ['title', 'A'],
+        ['skills', 'A'],
+        ['employer_overview', 'B'],
+        ['experience_requirements', 'B'],
+    ]);
+
+    await knex.schema.dropTable('job_posting_skill');
+    await knex.schema.dropTable('skill');
+};
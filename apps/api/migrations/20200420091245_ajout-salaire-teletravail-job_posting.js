@@ -0,0 +1,31 @@
+exports.up = function (knex) {
+    return knex.schema.table('job_posting', function (table) {
+        table.decimal('base_salary_min_value', 10, 2).nullable();
+        table.decimal('base_salary_max_value', 10, 2).nullable();
+        table.string('base_salary_currency', 3).notNullable().defaultTo('EUR');
+        table
+            .enu('base_salary_unit_text', [
+                'HOUR',
+                'DAY',
+                'WEEK',
+                'MONTH',
+                'YEAR',
+            ])
+            .notNullable()
+            .defaultTo('YEAR');
+        table
+            .enu('job_location_type', ['ONSITE', 'HYBRID', 'TELECOMMUTE'])
+            .notNullable()
+            .defaultTo('ONSITE');
+    });
+};
+
+exports.down = function (knex) {
+    return knex.schema.table('job_posting', function (table) {
+        table.dropColumn('base_salary_min_value');
+        table.dropColumn('base_salary_max_value');
+        table.dropColumn('base_salary_currency');
+        table.dropColumn('base_salary_unit_text');
+        table.dropColumn('job_location_type');
+    });
+};
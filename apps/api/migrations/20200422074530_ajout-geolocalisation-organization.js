@@ -0,0 +1,20 @@
+exports.up = async function (knex) {
+    await knex.raw('CREATE EXTENSION IF NOT EXISTS cube');
+    await knex.raw('CREATE EXTENSION IF NOT EXISTS earthdistance');
+    await knex.schema.table('organization', function (table) {
+        table.double('latitude').nullable();
+        table.double('longitude').nullable();
+    });
+    await knex.raw(
+        'CREATE INDEX organization_location_index ON organization USING gist (ll_to_earth(latitude, longitude))'
+    );
+    // the existing organizations are geocoded by the geocode-organizations command
+};
+
+exports.down = function (knex) {
+    // the gist index is dropped with the columns
+    return knex.schema.table('organization', function (table) {
+        table.dropColumn('latitude');
+        table.dropColumn('longitude');
+    });
+};
@@ -0,0 +1,27 @@
+exports.up = function (knex) {
+    return knex.schema.createTable('application', function (table) {
+        table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+        table.uuid('job_posting_id').notNullable();
+        table
+            .foreign('job_posting_id')
+            .references('job_posting.id')
+            .onDelete('CASCADE');
+        table.string('name', 300).notNullable();
+        table.string('email', 150).notNullable();
+        table.text('message').nullable();
+        table.string('cv_file_key', 100).notNullable();
+        table.string('cv_file_name', 300).notNullable();
+        table.string('cv_mime_type', 100).notNullable();
+        table.integer('cv_size').notNullable();
+        table
+            .enu('status', ['received', 'reviewed', 'rejected', 'hired'])
+            .notNullable()
+            .defaultTo('received');
+        table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+        table.index('job_posting_id');
+    });
+};
+
+exports.down = function (knex) {
+    return knex.schema.dropTable('application');
+};
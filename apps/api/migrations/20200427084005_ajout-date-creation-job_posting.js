@@ -0,0 +1,11 @@
+exports.up = function (knex) {
+    return knex.schema.table('job_posting', function (table) {
+        table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    });
+};
+
+exports.down = function (knex) {
+    return knex.schema.table('job_posting', function (table) {
+        table.dropColumn('created_at');
+    });
+};
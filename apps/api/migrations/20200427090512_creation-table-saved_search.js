@@ -0,0 +1,16 @@
+exports.up = function (knex) {
+    return knex.schema.createTable('saved_search', function (table) {
+        table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+        table.string('email', 150).notNullable();
+        table.jsonb('filters').notNullable().defaultTo('{}');
+        table.string('confirmation_token', 64).notNullable().unique();
+        table.string('unsubscribe_token', 64).notNullable().unique();
+        table.timestamp('confirmed_at').nullable();
+        table.timestamp('last_checked_at').nullable();
+        table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    });
+};
+
+exports.down = function (knex) {
+    return knex.schema.dropTable('saved_search');
+};
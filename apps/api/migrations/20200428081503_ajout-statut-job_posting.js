@@ -0,0 +1,53 @@
+const jobPostingStatuses = [
+    'draft',
+    'pending',
+    'published',
+    'expired',
+    'archived',
+];
+
+exports.up = async function (knex) {
+    // the existing jobPostings were already public, they stay published
+    await knex.schema.table('job_posting', function (table) {
+        table
+            .enu('status', jobPostingStatuses)
+            .notNullable()
+            .defaultTo('published')
+            .index();
+        table
+            .timestamp('status_updated_at')
+            .notNullable()
+            .defaultTo(knex.fn.now());
+        table.timestamp('published_at').nullable();
+    });
+    await knex('job_posting').update({ published_at: knex.ref('created_at') });
+    await knex.raw(
+        "ALTER TABLE job_posting ALTER COLUMN status SET DEFAULT 'draft'"
+    );
+
+    await knex.schema.createTable('job_posting_transition', function (table) {
+        table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+        table.uuid('job_posting_id').notNullable();
+        table
+            .foreign('job_posting_id')
+            .references('job_posting.id')
+            .onDelete('CASCADE');
+        table.enu('from_status', jobPostingStatuses).notNullable();
+        table.enu('to_status', jobPostingStatuses).notNullable();
+        // the transitions made by the command line tools have no user
+        table.uuid('user_id').nullable();
+        table.foreign('user_id').references('user.id').onDelete('SET NULL');
+        table.text('reason').nullable();
+        table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+        table.index('job_posting_id');
+    });
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTable('job_posting_transition');
+    await knex.schema.table('job_posting', function (table) {
+        table.dropColumn('status');
+        table.dropColumn('status_updated_at');
+        table.dropColumn('published_at');
+    });
+};
@@ -0,0 +1,15 @@
+exports.up = function (knex) {
+    return knex.schema.table('job_posting', function (table) {
+        // the maximum age of a jobPosting counts from its last publication or renewal
+        table.timestamp('renewed_at').nullable();
+        // the renewal link is sent once before each expiration
+        table.timestamp('expiration_warned_at').nullable();
+    });
+};
+
+exports.down = function (knex) {
+    return knex.schema.table('job_posting', function (table) {
+        table.dropColumn('renewed_at');
+        table.dropColumn('expiration_warned_at');
+    });
+};
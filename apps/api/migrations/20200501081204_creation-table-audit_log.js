@@ -0,0 +1,20 @@
+exports.up = function (knex) {
+    return knex.schema.createTable('audit_log', function (table) {
+        table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+        // the username is kept if the user is deleted, anonymous writes have none
+        table.uuid('user_id').nullable();
+        table.foreign('user_id').references('user.id').onDelete('SET NULL');
+        table.string('username', 150).nullable();
+        table.enu('action', ['create', 'update', 'delete']).notNullable();
+        table.string('resource', 50).notNullable();
+        table.uuid('resource_id').notNullable();
+        table.jsonb('changes').notNullable().defaultTo('{}');
+        table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+        table.index(['resource', 'resource_id']);
+        table.index('created_at');
+    });
+};
+
+exports.down = function (knex) {
+    return knex.schema.dropTable('audit_log');
+};
@@ -0,0 +1,21 @@
+exports.up = function (knex) {
+    return knex.schema.createTable('revision', function (table) {
+        table.uuid('id').primary().defaultTo(knex.raw('uuid_generate_v4()'));
+        table.string('resource', 50).notNullable();
+        table.uuid('resource_id').notNullable();
+        table.integer('number').notNullable();
+        // the editable fields of the version, in the format of the update route
+        table.jsonb('data').notNullable();
+        // the original version, recorded with the first update, has no author
+        table.uuid('user_id').nullable();
+        table.foreign('user_id').references('user.id').onDelete('SET NULL');
+        table.string('username', 150).nullable();
+        table.integer('restored_from').nullable();
+        table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+        table.unique(['resource', 'resource_id', 'number']);
+    });
+};
+
+exports.down = function (knex) {
+    return knex.schema.dropTable('revision');
+};
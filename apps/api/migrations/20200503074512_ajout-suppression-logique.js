@@ -0,0 +1,18 @@
+exports.up = async function (knex) {
+    // the deleted organizations and jobPostings stay in the trash until they are purged
+    await knex.schema.table('organization', function (table) {
+        table.timestamp('deleted_at').nullable().index();
+    });
+    await knex.schema.table('job_posting', function (table) {
+        table.timestamp('deleted_at').nullable().index();
+    });
+};
+
+exports.down = async function (knex) {
+    await knex.schema.table('job_posting', function (table) {
+        table.dropColumn('deleted_at');
+    });
+    await knex.schema.table('organization', function (table) {
+        table.dropColumn('deleted_at');
+    });
+};
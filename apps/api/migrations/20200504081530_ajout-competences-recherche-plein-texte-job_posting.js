@@ -0,0 +1,101 @@
+// the skills are stored in their own table, which a generated column cannot read:
+// the search vector becomes a column maintained by triggers, so that its GIN index
+// is used by the full-text searches including the skills
+exports.up = async function (knex) {
+    await knex.schema.table('job_posting', function (table) {
+        table.dropColumn('search_vector');
+    });
+    await knex.schema.table('job_posting', function (table) {
+        table.specificType('search_vector', 'tsvector');
+    });
+
+    await knex.raw(
+        `CREATE FUNCTION job_posting_search_vector(posting job_posting) RETURNS tsvector AS $$
+            SELECT setweight(to_tsvector('french', coalesce(posting.title, '')), 'A') ||
+                setweight(to_tsvector('french', coalesce((
+                    SELECT string_agg(skill.name, ' ' ORDER BY job_posting_skill.position)
+                    FROM job_posting_skill
+                    JOIN skill ON skill.id = job_posting_skill.skill_id
+                    WHERE job_posting_skill.job_posting_id = posting.id
+                ), '')), 'A') ||
+                setweight(to_tsvector('french', coalesce(posting.employer_overview, '')), 'B') ||
+                setweight(to_tsvector('french', coalesce(posting.experience_requirements, '')), 'B')
+        $$ LANGUAGE SQL STABLE`
+    );
+
+    await knex.raw(
+        `CREATE FUNCTION job_posting_search_vector_update() RETURNS trigger AS $$
+        BEGIN
+            NEW.search_vector := job_posting_search_vector(NEW);
+            RETURN NEW;
+        END
+        $$ LANGUAGE plpgsql`
+    );
+    await knex.raw(
+        `CREATE TRIGGER job_posting_search_vector_update
+        BEFORE INSERT OR UPDATE OF title, employer_overview, experience_requirements ON job_posting
+        FOR EACH ROW EXECUTE PROCEDURE job_posting_search_vector_update()`
+    );
+
+    // the names of the skills never change, only the links between the jobPostings and the skills
+    await knex.raw(
+        `CREATE FUNCTION job_posting_skill_search_vector_update() RETURNS trigger AS $$
+        BEGIN
+            UPDATE job_posting SET search_vector = job_posting_search_vector(job_posting)
+            WHERE job_posting.id IN (
+                SELECT job_posting_id FROM changed_job_posting_skill
+            );
+            RETURN NULL;
+        END
+        $$ LANGUAGE plpgsql`
+    );
+    for (const [event, transitionTable] of [
+        ['INSERT', 'NEW'],
+        ['UPDATE', 'NEW'],
+        ['DELETE', 'OLD'],
+    ]) {
+        await knex.raw(
+            `CREATE TRIGGER job_posting_skill_search_vector_${event.toLowerCase()}
+            AFTER ${event} ON job_posting_skill
+            REFERENCING ${transitionTable} TABLE AS changed_job_posting_skill
+            FOR EACH STATEMENT EXECUTE PROCEDURE job_posting_skill_search_vector_update()`
+        );
+    }
+
+    await knex.raw(
+        'UPDATE job_posting SET search_vector = job_posting_search_vector(job_posting)'
+    );
+    await knex.raw(
+        'CREATE INDEX job_posting_search_vector_index ON job_posting USING GIN (search_vector)'
+    );
+};
+
+exports.down = async function (knex) {
+    for (const event of ['insert', 'update', 'delete']) {
+        await knex.raw(
+            `DROP TRIGGER job_posting_skill_search_vector_${event} ON job_posting_skill`
+        );
+    }
+    await knex.raw('DROP FUNCTION job_posting_skill_search_vector_update()');
+    await knex.raw(
+        'DROP TRIGGER job_posting_search_vector_update ON job_posting'
+    );
+    await knex.raw('DROP FUNCTION job_posting_search_vector_update()');
+    await knex.raw('DROP FUNCTION job_posting_search_vector(job_posting)');
+
+    // the GIN index is dropped with the column
+    await knex.schema.table('job_posting', function (table) {
+        table.dropColumn('search_vector');
+    });
+    await knex.raw(
+        `ALTER TABLE job_posting ADD COLUMN search_vector tsvector
+        GENERATED ALWAYS AS (
+            setweight(to_tsvector('french', coalesce(title, '')), 'A') ||
+            setweight(to_tsvector('french', coalesce(employer_overview, '')), 'B') ||
+            setweight(to_tsvector('french', coalesce(experience_requirements, '')), 'B')
+        ) STORED`
+    );
+    await knex.raw(
+        'CREATE INDEX job_posting_search_vector_index ON job_posting USING GIN (search_vector)'
+    );
+};
@@ -0,0 +1,64 @@
+const signale = require('signale');
+
+const { sendMail } = require('../toolbox/mailer');
+const { getJobPostingRecipients } = require('../job-posting/notification');
+
+/**
+ * Return the e-mail notifying a hiring organization of a new application
+ *
+ * @param {object} jobPosting - The jobPosting, with its title
+ * @param {object} application - The application formatted for the API
+ * @returns {object} - the subject and text of the e-mail
+ */
+const getApplicationReceivedMail = ({ jobPosting, application }) => ({
+    subject: `Nouvelle candidature pour l'offre "${jobPosting.title}"`,
+    text: [
+        'Bonjour,',
+        '',
+        `${application.name} (${application.email}) vient de postuler à votre offre d'emploi "${jobPosting.title}" sur le JobBoard des CaenCamp.s.`,
+        '',
+        ...(application.message ? [application.message, ''] : []),
+        `Son CV (${application.cv.fileName}) est disponible dans l'administration du JobBoard, avec l'ensemble des candidatures reçues.`,
+    ].join('\n'),
+});
+
+/**
+ * Notify the hiring organization of a new application by e-mail.
+ * A notification failure is only logged: the application is saved anyway.
+ *
+ * @param {object} client - The Database client
+ * @param {object} application - The created application formatted for the API
+ * @returns {Promise} - true if the notification was sent
+ */
+const notifyApplicationReceived = async ({ client, application }) => {
+    try {
+        const { jobPosting, emails } = await getJobPostingRecipients({
+            client,
+            jobPostingId: application.jobPostingId,
+        });
+        if (!emails.length) {
+            signale.warn(
+                `No contact e-mail to notify the application ${application.id}`
+            );
+            return false;
+        }
+
+        await sendMail({
+            to: emails,
+            ...getApplicationReceivedMail({ jobPosting, application }),
+        });
+
+        return true;
+    } catch (error) {
+        signale.error(
+            `The application ${application.id} notification failed`,
+            error
+        );
+        return false;
+    }
+};
+
+module.exports = {
+    getApplicationReceivedMail,
+    notifyApplicationReceived,
+};
@@ -0,0 +1,38 @@
+const { getApplicationReceivedMail } = require('./notification');
+
+describe('Application notification', () => {
+    describe('getApplicationReceivedMail', () => {
+        const application = {
+            name: 'Ada Lovelace',
+            email: 'ada@lovelace.org',
+            message: 'Votre offre me plait beaucoup.',
+            cv: { fileName: 'cv-ada.pdf' },
+        };
+
+        it('should describe the application in the mail', () => {
+            const mail = getApplicationReceivedMail({
+                jobPosting: { title: 'Data Science Lead' },
+                application,
+            });
+
+            expect(mail.subject).toEqual(
+                'Nouvelle candidature pour l\'offre "Data Science Lead"'
+            );
+            expect(mail.text).toContain(
+                'Ada Lovelace (ada@lovelace.org) vient de postuler'
+            );
+            expect(mail.text).toContain('Votre offre me plait beaucoup.');
+            expect(mail.text).toContain('cv-ada.pdf');
+        });
+
+        it('should not contain an empty line for a missing message', () => {
+            const mail = getApplicationReceivedMail({
+                jobPosting: { title: 'Data Science Lead' },
+                application: { ...application, message: null },
+            });
+
+            expect(mail.text).not.toContain('null');
+            expect(mail.text).not.toContain('\n\n\n');
+        });
+    });
+});
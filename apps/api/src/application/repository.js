@@ -0,0 +1,392 @@
+const omit = require('lodash.omit');
+
+const {
+    addFiltersToQuery,
+    addSortToQuery,
+    listFiltersSanitizer,
+    paginationSanitizer,
+    sortSanitizer,
+} = require('../toolbox/sanitizers');
+const {
+    canManageOrganization,
+    getForbiddenOrganizationError,
+} = require('../user/repository');
+const { getStorage } = require('../toolbox/storage');
+const { getJobPosting } = require('../job-posting/repository');
+
+const applicationStatuses = ['received', 'reviewed', 'rejected', 'hired'];
+
+const applicationSortableFields = ['createdAt', 'name', 'status'];
+
+// the filters of the application list, all of them use the filter grammar of the sanitizers
+const applicationFilterableFields = {
+    status: { column: 'application.status', type: 'string' },
+};
+
+// the accepted CV formats, with the extension of the stored file
+const cvMimeTypes = {
+    'application/pdf': '.pdf',
+    'application/msword': '.doc',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+        '.docx',
+    'application/vnd.oasis.opendocument.text': '.odt',
+};
+
+/**
+ * Transforms a db queried application into an application object for API.
+ * The storage key of the CV file must never leave the repository.
+ *
+ * @param {object} dbApplication - application data from database
+ * @returns {object} an application object for the API
+ */
+const formatApplicationForAPI = (dbApplication) => {
+    if (!dbApplication) {
+        return {};
+    }
+
+    return {
+        ...omit(dbApplication, [
+            'cvFileKey',
+            'cvFileName',
+            'cvMimeType',
+            'cvSize',
+        ]),
+        cv: {
+            fileName: dbApplication.cvFileName,
+            mimeType: dbApplication.cvMimeType,
+            size: dbApplication.cvSize,
+        },
+        createdAt:
+            dbApplication.createdAt instanceof Date
+                ? dbApplication.createdAt.toISOString()
+                : dbApplication.createdAt,
+    };
+};
+
+/**
+ * Return the error explaining why an uploaded CV can not be saved
+ *
+ * @param {object} cvFile - the uploaded file, with its mimetype and size
+ * @returns {Error} - the error, or null if the CV is valid
+ */
+const getCvFileError = (cvFile) => {
+    if (!cvFile || !cvFile.size) {
+        return new Error('The CV file is missing');
+    }
+    if (!cvMimeTypes[cvFile.mimetype]) {
+        return new Error(
+            `The CV file must be a PDF, DOC, DOCX or ODT file, not ${cvFile.mimetype}`
+        );
+    }
+
+    return null;
+};
+
+/**
+ * Return the jobPosting of the applications, if the user manages its hiring organization
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user
+ * @param {string} jobPostingId - The jobPosting identifier
+ * @returns {Promise} - the jobPosting, an empty object if it does not exist or an error
+ */
+const getManagedJobPosting = async ({ client, user, jobPostingId }) => {
+    const jobPosting = await client
+        .first('id', 'title', 'hiringOrganizationId')
+        .from('job_posting')
+        .where({ id: jobPostingId })
+        .whereNull('deleted_at')
+        .catch((error) => ({ error }));
+    if (!jobPosting || jobPosting.error) {
+        return jobPosting || {};
+    }
+
+    if (
+        !(await canManageOrganization({
+            client,
+            user,
+            organizationId: jobPosting.hiringOrganizationId,
+        }))
+    ) {
+        return { error: getForbiddenOrganizationError() };
+    }
+
+    return jobPosting;
+};
+
+/**
+ * Knex query for filtrated application list of a jobPosting
+ *
+ * @param {object} client - The Database client
+ * @param {string} jobPostingId - The jobPosting identifier
+ * @param {object} filters - Application Filter
+ * @param {Array} sort - Sort parameters [[columnName, direction], ...]
+ * @returns {Promise} - Knew query for filtrated application list
+ */
+const getFilteredApplicationsQuery = (client, jobPostingId, filters, sort) => {
+    const query = client
+        .select('application.*')
+        .from('application')
+        .where({ jobPostingId });
+    addFiltersToQuery(query, filters, applicationFilterableFields);
+
+    if (sort && sort.length) {
+        addSortToQuery(query, sort, 'application.id');
+    }
+
+    return query;
+};
+
+/**
+ * Return paginated and filtered list of the applications to a jobPosting
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user
+ * @param {string} jobPostingId - The jobPosting identifier
+ * @param {object} filters - Application Filter
+ * @param {Array} sort - Sort parameters [[columnName, direction], ...]
+ * @param {object} pagination - Pagination {perPage: 10, currentPage: 1}
+ * @returns {Promise} - paginated object with paginated application list and totalCount
+ */
+const getApplicationPaginatedList = async ({
+    client,
+    user,
+    jobPostingId,
+    filters,
+    sort,
+    pagination,
+}) => {
+    const jobPosting = await getManagedJobPosting({
+        client,
+        user,
+        jobPostingId,
+    });
+    if (!jobPosting.id) {
+        return jobPosting;
+    }
+
+    const sanitizedList = listFiltersSanitizer(
+        filters,
+        applicationFilterableFields
+    );
+    if (sanitizedList.error) {
+        return sanitizedList;
+    }
+    const sanitizedSort = sortSanitizer(sort, applicationSortableFields, [
+        ['createdAt', 'DESC'],
+    ]);
+    if (sanitizedSort.error) {
+        return sanitizedSort;
+    }
+    const query = getFilteredApplicationsQuery(
+        client,
+        jobPostingId,
+        sanitizedList.filters,
+        sanitizedSort.sort
+    );
+    const [perPage, currentPage] = paginationSanitizer(pagination);
+
+    return query
+        .paginate({ perPage, currentPage, isLengthAware: true })
+        .then((result) => ({
+            applications: result.data.map(formatApplicationForAPI),
+            pagination: result.pagination,
+        }))
+        .catch((error) => ({ error }));
+};
+
+/**
+ * Return an application to a jobPosting
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user
+ * @param {string} jobPostingId - The jobPosting identifier
+ * @param {string} applicationId - The application identifier
+ * @returns {Promise} - the application from db, an empty object if it does not exist or an error
+ */
+const getDbApplication = async ({
+    client,
+    user,
+    jobPostingId,
+    applicationId,
+}) => {
+    const jobPosting = await getManagedJobPosting({
+        client,
+        user,
+        jobPostingId,
+    });
+    if (!jobPosting.id) {
+        return jobPosting;
+    }
+
+    return client
+        .first('*')
+        .from('application')
+        .where({ id: applicationId, jobPostingId })
+        .then((dbApplication) => dbApplication || {})
+        .catch((error) => ({ error }));
+};
+
+/**
+ * Return an application to a jobPosting
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user
+ * @param {string} jobPostingId - The jobPosting identifier
+ * @param {string} applicationId - The application identifier
+ * @returns {Promise} - the application
+ */
+const getApplication = async ({
+    client,
+    user,
+    jobPostingId,
+    applicationId,
+}) => {
+    const dbApplication = await getDbApplication({
+        client,
+        user,
+        jobPostingId,
+        applicationId,
+    });
+    if (!dbApplication.id) {
+        return dbApplication;
+    }
+
+    return formatApplicationForAPI(dbApplication);
+};
+
+/**
+ * Return the CV file of an application to a jobPosting
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user
+ * @param {string} jobPostingId - The jobPosting identifier
+ * @param {string} applicationId - The application identifier
+ * @returns {Promise} - the file name, mime type and content of the CV
+ */
+const getApplicationCv = async ({
+    client,
+    user,
+    jobPostingId,
+    applicationId,
+}) => {
+    const dbApplication = await getDbApplication({
+        client,
+        user,
+        jobPostingId,
+        applicationId,
+    });
+    if (!dbApplication.id) {
+        return dbApplication;
+    }
+
+    return getStorage()
+        .read(dbApplication.cvFileKey)
+        .then((content) => ({
+            id: dbApplication.id,
+            fileName: dbApplication.cvFileName,
+            mimeType: dbApplication.cvMimeType,
+            content,
+        }))
+        .catch((error) => ({ error }));
+};
+
+/**
+ * Return the created application, after saving its CV in the storage.
+ * Anyone can apply to a published jobPosting, without being authenticated.
+ *
+ * @param {object} client - The Database client
+ * @param {string} jobPostingId - The jobPosting identifier
+ * @param {object} apiData - The validated data sent from API: name, email and message
+ * @param {object} cvFile - The uploaded CV, with its originalname, mimetype, size and buffer
+ * @returns {Promise} - the created application or an empty object if the jobPosting is not published
+ */
+const createApplication = async ({ client, jobPostingId, apiData, cvFile }) => {
+    const jobPosting = await getJobPosting({ client, jobPostingId });
+    if (!jobPosting.id) {
+        return jobPosting;
+    }
+
+    const cvFileError = getCvFileError(cvFile);
+    if (cvFileError) {
+        return { error: cvFileError };
+    }
+
+    const storage = getStorage();
+    const cvFileKey = await storage.save({
+        content: cvFile.buffer,
+        extension: cvMimeTypes[cvFile.mimetype],
+    });
+
+    return client('application')
+        .returning('*')
+        .insert({
+            jobPostingId,
+            name: apiData.name,
+            email: apiData.email,
+            message: apiData.message || null,
+            cvFileKey,
+            cvFileName: cvFile.originalname,
+            cvMimeType: cvFile.mimetype,
+            cvSize: cvFile.size,
+        })
+        .then(([newApplication]) => formatApplicationForAPI(newApplication))
+        .catch(async (error) => {
+            await storage.remove(cvFileKey).catch(() => null);
+
+            return { error };
+        });
+};
+
+/**
+ * Update the status of an application to a jobPosting
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user
+ * @param {string} jobPostingId - The jobPosting identifier
+ * @param {string} applicationId - The application identifier
+ * @param {string} status - The new status of the application
+ * @returns {Promise} - the updated application
+ */
+const updateApplicationStatus = async ({
+    client,
+    user,
+    jobPostingId,
+    applicationId,
+    status,
+}) => {
+    if (!applicationStatuses.includes(status)) {
+        return { error: new Error(`the status ${status} does not exist`) };
+    }
+
+    const dbApplication = await getDbApplication({
+        client,
+        user,
+        jobPostingId,
+        applicationId,
+    });
+    if (!dbApplication.id) {
+        return dbApplication;
+    }
+
+    return client('application')
+        .returning('*')
+        .where({ id: applicationId })
+        .update({ status })
+        .then(([updatedApplication]) =>
+            formatApplicationForAPI(updatedApplication)
+        )
+        .catch((error) => ({ error }));
+};
+
+module.exports = {
+    applicationStatuses,
+    createApplication,
+    cvMimeTypes,
+    formatApplicationForAPI,
+    getApplication,
+    getApplicationCv,
+    getApplicationPaginatedList,
+    getCvFileError,
+    updateApplicationStatus,
+};
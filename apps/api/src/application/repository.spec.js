@@ -0,0 +1,65 @@
+const { formatApplicationForAPI, getCvFileError } = require('./repository');
+
+describe('Application Repository', () => {
+    describe('formatApplicationForAPI', () => {
+        it('should return an empty object if data is not provided', () => {
+            expect(formatApplicationForAPI()).toEqual({});
+        });
+
+        it('should group the CV data and never return its storage key', () => {
+            const dbApplication = {
+                id: '3f2c1b9e-8d4a-4c6f-a1e2-7b9d0c5e4f21',
+                jobPostingId: 'a122edec-5580-4a93-aff7-fc18b41e4c57',
+                name: 'Ada Lovelace',
+                email: 'ada@lovelace.org',
+                message: null,
+                cvFileKey: '0123456789abcdef0123456789abcdef.pdf',
+                cvFileName: 'cv-ada.pdf',
+                cvMimeType: 'application/pdf',
+                cvSize: 1234,
+                status: 'received',
+                createdAt: new Date('2020-04-24T08:30:15.000Z'),
+            };
+
+            expect(formatApplicationForAPI(dbApplication)).toEqual({
+                id: '3f2c1b9e-8d4a-4c6f-a1e2-7b9d0c5e4f21',
+                jobPostingId: 'a122edec-5580-4a93-aff7-fc18b41e4c57',
+                name: 'Ada Lovelace',
+                email: 'ada@lovelace.org',
+                message: null,
+                status: 'received',
+                createdAt: '2020-04-24T08:30:15.000Z',
+                cv: {
+                    fileName: 'cv-ada.pdf',
+                    mimeType: 'application/pdf',
+                    size: 1234,
+                },
+            });
+        });
+    });
+
+    describe('getCvFileError', () => {
+        it('should return an error if the CV is missing or empty', () => {
+            expect(getCvFileError(undefined).message).toEqual(
+                'The CV file is missing'
+            );
+            expect(
+                getCvFileError({ mimetype: 'application/pdf', size: 0 }).message
+            ).toEqual('The CV file is missing');
+        });
+
+        it('should return an error if the CV is not a document', () => {
+            expect(
+                getCvFileError({ mimetype: 'image/png', size: 1234 }).message
+            ).toEqual(
+                'The CV file must be a PDF, DOC, DOCX or ODT file, not image/png'
+            );
+        });
+
+        it('should return null for a PDF CV', () => {
+            expect(
+                getCvFileError({ mimetype: 'application/pdf', size: 1234 })
+            ).toBeNull();
+        });
+    });
+});
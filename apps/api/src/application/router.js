@@ -0,0 +1,163 @@
+const Router = require('koa-router');
+
+const {
+    createApplication,
+    getApplication,
+    getApplicationCv,
+    getApplicationPaginatedList,
+    updateApplicationStatus,
+} = require('./repository');
+const { notifyApplicationReceived } = require('./notification');
+const {
+    parseJsonQueryParameter,
+    parseSortParameter,
+    formatPaginationToLinkHeader,
+} = require('../toolbox/sanitizers');
+const { authorize } = require('../toolbox/middleware/authentication');
+const { roles } = require('../toolbox/authentication');
+
+const router = new Router({
+    prefix: '/api/job-postings/:jobPostingId/applications',
+});
+
+const canManageApplications = authorize([roles.ADMIN, roles.RECRUITER]);
+
+/**
+ * Throw the error of a repository result, or a 404 if the application does not exist
+ *
+ * @param {object} ctx - the koa context
+ * @param {object} result - the result of the repository
+ */
+const throwApplicationError = (ctx, result) => {
+    if (result.error) {
+        const explainedError = new Error(result.error.message);
+        explainedError.status = result.error.status || 400;
+
+        throw explainedError;
+    }
+
+    if (!result.id) {
+        const explainedError = new Error(
+            `The application of id ${ctx.params.applicationId} does not exist for the jobPosting of id ${ctx.params.jobPostingId}.`
+        );
+        explainedError.status = 404;
+
+        throw explainedError;
+    }
+};
+
+router.get('/', canManageApplications, async (ctx) => {
+    const applicationList = await getApplicationPaginatedList({
+        client: ctx.db,
+        user: ctx.user,
+        jobPostingId: ctx.params.jobPostingId,
+        filters: parseJsonQueryParameter(ctx.query.filters),
+        sort: parseSortParameter(ctx.query.sort),
+        pagination: {
+            currentPage: ctx.query.currentPage,
+            perPage: ctx.query.perPage,
+        },
+    });
+
+    if (applicationList.error) {
+        const explainedError = new Error(applicationList.error.message);
+        explainedError.status = applicationList.error.status || 400;
+
+        throw explainedError;
+    }
+
+    if (!applicationList.applications) {
+        const explainedError = new Error(
+            `The jobPosting of id ${ctx.params.jobPostingId} does not exist.`
+        );
+        explainedError.status = 404;
+
+        throw explainedError;
+    }
+
+    const { applications, pagination } = applicationList;
+    const linkHeaderValue = formatPaginationToLinkHeader({
+        resourceURI: `${ctx.origin}/api/job-postings/${ctx.params.jobPostingId}/applications`,
+        pagination,
+        query: ctx.query,
+    });
+
+    ctx.set('X-Total-Count', pagination.total);
+    if (linkHeaderValue) {
+        ctx.set('Link', linkHeaderValue);
+    }
+    ctx.body = applications;
+});
+
+router.post('/', async (ctx) => {
+    const newApplication = await createApplication({
+        client: ctx.db,
+        jobPostingId: ctx.params.jobPostingId,
+        apiData: ctx.request.body,
+        cvFile: ctx.request.file,
+    });
+
+    if (newApplication.error) {
+        const explainedError = new Error(newApplication.error.message);
+        explainedError.status = newApplication.error.status || 400;
+
+        throw explainedError;
+    }
+
+    if (!newApplication.id) {
+        const explainedError = new Error(
+            `The jobPosting of id ${ctx.params.jobPostingId} does not exist.`
+        );
+        explainedError.status = 404;
+
+        throw explainedError;
+    }
+
+    await notifyApplicationReceived({
+        client: ctx.db,
+        application: newApplication,
+    });
+
+    ctx.body = newApplication;
+});
+
+router.get('/:applicationId', canManageApplications, async (ctx) => {
+    const application = await getApplication({
+        client: ctx.db,
+        user: ctx.user,
+        jobPostingId: ctx.params.jobPostingId,
+        applicationId: ctx.params.applicationId,
+    });
+    throwApplicationError(ctx, application);
+
+    ctx.body = application;
+});
+
+router.get('/:applicationId/cv', canManageApplications, async (ctx) => {
+    const cv = await getApplicationCv({
+        client: ctx.db,
+        user: ctx.user,
+        jobPostingId: ctx.params.jobPostingId,
+        applicationId: ctx.params.applicationId,
+    });
+    throwApplicationError(ctx, cv);
+
+    ctx.attachment(cv.fileName);
+    ctx.type = cv.mimeType;
+    ctx.body = cv.content;
+});
+
+router.put('/:applicationId', canManageApplications, async (ctx) => {
+    const updatedApplication = await updateApplicationStatus({
+        client: ctx.db,
+        user: ctx.user,
+        jobPostingId: ctx.params.jobPostingId,
+        applicationId: ctx.params.applicationId,
+        status: ctx.request.body.status,
+    });
+    throwApplicationError(ctx, updatedApplication);
+
+    ctx.body = updatedApplication;
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+const { createAuditLogs, getAuditLogsOfWrite } = require('./repository');
+
+/**
+ * Record the audit logs of a written resource, in the transaction of the write
+ *
+ * @param {object} client - the transaction of the write
+ * @param {object} user - the authenticated user, anonymous for the e-mail links
+ * @param {string} action - create, update or delete
+ * @param {string} resource - the name of the written resource
+ * @param {string} resourceId - the identifier of the written resource
+ * @param {object} before - the resource before the write
+ * @param {Function} getRecord - returns a promise of the resource formatted for the API, from a db client and its identifier
+ * @param {object} nestedResources - the nested resource name of each field holding nested resources
+ * @returns {Promise} - the number of recorded audit logs
+ */
+const recordAuditLogs = async ({
+    client,
+    user,
+    action,
+    resource,
+    resourceId,
+    before,
+    getRecord,
+    nestedResources,
+}) => {
+    const after =
+        action === 'delete' ? null : await getRecord(client, resourceId);
+
+    return createAuditLogs({
+        client,
+        user,
+        auditLogs: getAuditLogsOfWrite({
+            action,
+            resource,
+            resourceId,
+            before,
+            after,
+            nestedResources,
+        }),
+    });
+};
+
+/**
+ * Run the next middlewares in a transaction, used as their db client.
+ * The transaction is committed if they succeed, and rolled back if they throw.
+ *
+ * @param {object} ctx - the koa context
+ * @param {Function} write - returns a promise of the write, from the transaction
+ * @returns {Promise} - the result of the write
+ */
+const runInTransaction = async (ctx, write) => {
+    const client = ctx.db;
+    try {
+        return await client.transaction(async (trx) => {
+            ctx.db = trx;
+            return write(trx);
+        });
+    } finally {
+        ctx.db = client;
+    }
+};
+
+/**
+ * Return a middleware recording the audit logs of a write route.
+ * The write and its audit logs are made in the same transaction, so that they are saved or fail together:
+ * the resource is locked and read before the write, read again after it to log the changed fields,
+ * and nothing is logged if the write fails.
+ *
+ * @param {string} action - create, update or delete
+ * @param {string} resource - the name of the written resource
+ * @param {Function} getResourceId - returns the identifier of the written resource from the koa context, nothing for a creation
+ * @param {Function} getRecord - returns a promise of the resource formatted for the API, from a db client and its identifier
+ * @param {Function} lockRecord - same as getRecord, locking the resource until the end of the transaction
+ * @param {object} nestedResources - the nested resource name of each field holding nested resources
+ * @returns {Function} the koa middleware
+ */
+const auditWrite = ({
+    action,
+    resource,
+    getResourceId,
+    getRecord,
+    lockRecord,
+    nestedResources,
+}) => (ctx, next) =>
+    runInTransaction(ctx, async (trx) => {
+        const resourceId = getResourceId(ctx);
+        const before = resourceId ? await lockRecord(trx, resourceId) : null;
+
+        await next();
+
+        const writtenResourceId = resourceId || (ctx.body && ctx.body.id);
+        if (!writtenResourceId) {
+            return;
+        }
+
+        await recordAuditLogs({
+            client: trx,
+            user: ctx.user,
+            action,
+            resource,
+            resourceId: writtenResourceId,
+            before,
+            getRecord,
+            nestedResources,
+        });
+    });
+
+/**
+ * Return a middleware recording the audit logs of a bulk write route, for each written resource.
+ * As for a single write, the resources are locked before the bulk write,
+ * in the order of their identifiers, and logged in its transaction.
+ *
+ * @param {string} action - update or delete
+ * @param {string} resource - the name of the written resources
+ * @param {Function} getResourceIds - returns the identifiers of the written resources from the koa context
+ * @param {Function} getRecord - returns a promise of the resource formatted for the API, from a db client and its identifier
+ * @param {Function} lockRecord - same as getRecord, locking the resource until the end of the transaction
+ * @param {object} nestedResources - the nested resource name of each field holding nested resources
+ * @returns {Function} the koa middleware
+ */
+const auditBulkWrite = ({
+    action,
+    resource,
+    getResourceIds,
+    getRecord,
+    lockRecord,
+    nestedResources,
+}) => (ctx, next) =>
+    runInTransaction(ctx, async (trx) => {
+        const resourceIds = [...new Set(getResourceIds(ctx) || [])].sort();
+        const befores = [];
+        for (const resourceId of resourceIds) {
+            befores.push(await lockRecord(trx, resourceId));
+        }
+
+        await next();
+
+        for (let i = 0; i < resourceIds.length; i++) {
+            await recordAuditLogs({
+                client: trx,
+                user: ctx.user,
+                action,
+                resource,
+                resourceId: resourceIds[i],
+                before: befores[i],
+                getRecord,
+                nestedResources,
+            });
+        }
+    });
+
+module.exports = {
+    auditBulkWrite,
+    auditWrite,
+};
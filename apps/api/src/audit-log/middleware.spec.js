@@ -0,0 +1,100 @@
+const { auditWrite } = require('./middleware');
+
+const resourceId = '9a6c8995-df54-446c-a5b8-71532c304751';
+
+// a db client whose transaction records the inserted rows, and forgets them on rollback
+const getClient = ({ insertError } = {}) => {
+    const client = { rows: [] };
+    client.transaction = async (handler) => {
+        const rows = [];
+        const trx = () => ({
+            insert: async (inserted) => {
+                if (insertError) {
+                    throw insertError;
+                }
+                rows.push(...inserted);
+            },
+        });
+        const result = await handler(trx);
+        client.rows.push(...rows);
+
+        return result;
+    };
+
+    return client;
+};
+
+const getMiddleware = (lockRecord) =>
+    auditWrite({
+        action: 'update',
+        resource: 'organization',
+        getResourceId: (ctx) => ctx.params.organizationId,
+        getRecord: async () => ({ id: resourceId, name: 'after' }),
+        lockRecord,
+    });
+
+const getContext = (db) => ({
+    db,
+    params: { organizationId: resourceId },
+    user: { id: 'user-id', username: 'admin' },
+});
+
+describe('Audit log middleware', () => {
+    describe('auditWrite', () => {
+        it('should lock the resource and record its audit log in the transaction of the write', async () => {
+            const client = getClient();
+            const ctx = getContext(client);
+            const lockRecord = jest.fn(async () => ({
+                id: resourceId,
+                name: 'before',
+            }));
+            const next = jest.fn(async () => {
+                expect(ctx.db).not.toBe(client);
+                expect(lockRecord).toHaveBeenCalledWith(ctx.db, resourceId);
+            });
+
+            await getMiddleware(lockRecord)(ctx, next);
+
+            expect(next).toHaveBeenCalledTimes(1);
+            expect(ctx.db).toBe(client);
+            expect(client.rows).toEqual([
+                {
+                    userId: 'user-id',
+                    username: 'admin',
+                    action: 'update',
+                    resource: 'organization',
+                    resourceId,
+                    changes: { name: { before: 'before', after: 'after' } },
+                },
+            ]);
+        });
+
+        it('should not record anything if the write fails', async () => {
+            const client = getClient();
+            const ctx = getContext(client);
+            const writeError = new Error('write failed');
+
+            await expect(
+                getMiddleware(async () => ({ id: resourceId }))(ctx, () =>
+                    Promise.reject(writeError)
+                )
+            ).rejects.toBe(writeError);
+            expect(ctx.db).toBe(client);
+            expect(client.rows).toEqual([]);
+        });
+
+        it('should fail the write if its audit log cannot be recorded', async () => {
+            const insertError = new Error('insert failed');
+            const client = getClient({ insertError });
+            const ctx = getContext(client);
+
+            await expect(
+                getMiddleware(async () => ({
+                    id: resourceId,
+                    name: 'before',
+                }))(ctx, async () => {})
+            ).rejects.toBe(insertError);
+            expect(ctx.db).toBe(client);
+        });
+    });
+});
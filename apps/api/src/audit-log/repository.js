@@ -0,0 +1,265 @@
+const {
+    addFiltersToQuery,
+    addSortToQuery,
+    listFiltersSanitizer,
+    paginationSanitizer,
+    sortSanitizer,
+} = require('../toolbox/sanitizers');
+
+const auditLogSortableFields = ['createdAt', 'resource', 'action', 'username'];
+
+// the filters of the audit log list, all of them use the filter grammar of the sanitizers
+const auditLogFilterableFields = {
+    action: { column: 'audit_log.action', type: 'string' },
+    resource: { column: 'audit_log.resource', type: 'string' },
+    resourceId: { column: 'audit_log.resource_id', type: 'string' },
+    userId: { column: 'audit_log.user_id', type: 'string' },
+    username: {
+        column: 'audit_log.username',
+        type: 'string',
+        operator: 'like',
+    },
+    createdAt: { column: 'audit_log.created_at', type: 'date' },
+};
+
+/**
+ * Return the fields changed by a write, with their values before and after it.
+ * A created resource has no value before, a deleted one has no value after.
+ *
+ * @param {object} before - the resource formatted for the API before the write, or null
+ * @param {object} after - the resource formatted for the API after the write, or null
+ * @returns {object} - the changed fields, as { field: { before, after } }
+ */
+const getAuditChanges = (before, after) => {
+    const previous = before || {};
+    const next = after || {};
+
+    return [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+        .filter((field) => !['id', 'identifier'].includes(field))
+        .filter(
+            (field) =>
+                JSON.stringify(previous[field]) !== JSON.stringify(next[field])
+        )
+        .reduce(
+            (changes, field) => ({
+                ...changes,
+                [field]: {
+                    before:
+                        previous[field] === undefined ? null : previous[field],
+                    after: next[field] === undefined ? null : next[field],
+                },
+            }),
+            {}
+        );
+};
+
+/**
+ * Return the audit logs of the nested resources of a write, like the contact points of an organization.
+ * The nested resources are created, updated or deleted with their parent.
+ *
+ * @param {string} resource - the name of the nested resource
+ * @param {Array} before - the nested resources before the write
+ * @param {Array} after - the nested resources after the write
+ * @returns {Array} - the audit logs of the created, updated and deleted nested resources
+ */
+const getNestedAuditLogs = (resource, before, after) => {
+    const getId = (nested) => nested.identifier || nested.id;
+    const previous = before || [];
+    const next = after || [];
+
+    return [
+        ...next.map((nested) => {
+            const previousNested = previous.find(
+                (item) => getId(item) === getId(nested)
+            );
+
+            return {
+                action: previousNested ? 'update' : 'create',
+                resource,
+                resourceId: getId(nested),
+                changes: getAuditChanges(previousNested, nested),
+            };
+        }),
+        ...previous
+            .filter(
+                (nested) => !next.find((item) => getId(item) === getId(nested))
+            )
+            .map((nested) => ({
+                action: 'delete',
+                resource,
+                resourceId: getId(nested),
+                changes: getAuditChanges(nested, null),
+            })),
+    ].filter(({ changes }) => Object.keys(changes).length);
+};
+
+/**
+ * Return the audit logs of a write on a resource and on its nested resources.
+ * An update without change is not logged.
+ *
+ * @param {string} action - create, update or delete
+ * @param {string} resource - the name of the written resource
+ * @param {string} resourceId - the identifier of the written resource
+ * @param {object} before - the resource formatted for the API before the write, or null
+ * @param {object} after - the resource formatted for the API after the write, or null
+ * @param {object} nestedResources - the nested resource name of each field holding nested resources
+ * @returns {Array} - the audit logs to record
+ */
+const getAuditLogsOfWrite = ({
+    action,
+    resource,
+    resourceId,
+    before,
+    after,
+    nestedResources = {},
+}) => {
+    const nestedFields = Object.keys(nestedResources);
+    const omitNestedFields = (record) =>
+        record
+            ? Object.keys(record)
+                  .filter((field) => !nestedFields.includes(field))
+                  .reduce(
+                      (fields, field) => ({
+                          ...fields,
+                          [field]: record[field],
+                      }),
+                      {}
+                  )
+            : null;
+
+    const auditLog = {
+        action,
+        resource,
+        resourceId,
+        changes: getAuditChanges(
+            omitNestedFields(before),
+            omitNestedFields(after)
+        ),
+    };
+
+    return [
+        ...(action !== 'update' || Object.keys(auditLog.changes).length
+            ? [auditLog]
+            : []),
+        ...nestedFields.reduce(
+            (nestedAuditLogs, field) => [
+                ...nestedAuditLogs,
+                ...getNestedAuditLogs(
+                    nestedResources[field],
+                    before && before[field],
+                    after && after[field]
+                ),
+            ],
+            []
+        ),
+    ];
+};
+
+/**
+ * Record the audit logs of a write made by a user
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user, anonymous for the e-mail links
+ * @param {Array} auditLogs - The audit logs to record
+ * @returns {Promise} - the number of recorded audit logs
+ */
+const createAuditLogs = async ({ client, user, auditLogs }) => {
+    if (!auditLogs.length) {
+        return 0;
+    }
+
+    return client('audit_log')
+        .insert(
+            auditLogs.map(({ action, resource, resourceId, changes }) => ({
+                userId: user.id || null,
+                username: user.username || null,
+                action,
+                resource,
+                resourceId,
+                changes,
+            }))
+        )
+        .then(() => auditLogs.length);
+};
+
+/**
+ * Transforms a db queried audit log into an audit log object for API.
+ *
+ * @param {object} dbAuditLog - audit log data from database
+ * @returns {object} an audit log object as describe in OpenAPI contract
+ */
+const formatAuditLogForAPI = (dbAuditLog) => ({
+    ...dbAuditLog,
+    createdAt: dbAuditLog.createdAt.toISOString(),
+});
+
+/**
+ * Knex query for filtered audit log list
+ *
+ * @param {object} client - The Database client
+ * @param {object} filters - Audit log Filter
+ * @param {Array} sort - Sort parameters [[columnName, direction], ...]
+ * @returns {object} - The knex query
+ */
+const getFilteredAuditLogsQuery = (client, filters, sort) => {
+    const query = client.select('audit_log.*').from('audit_log');
+    addFiltersToQuery(query, filters, auditLogFilterableFields);
+
+    if (sort && sort.length) {
+        addSortToQuery(query, sort, 'audit_log.id');
+    }
+
+    return query;
+};
+
+/**
+ * Return paginated and filtered list of the audit logs, the most recent first by default
+ *
+ * @param {object} client - The Database client
+ * @param {object} filters - Audit log Filter
+ * @param {Array} sort - Sort parameters [[columnName, direction], ...]
+ * @param {object} pagination - Pagination {perPage: 10, currentPage: 1}
+ * @returns {Promise} - paginated object with paginated audit log list and totalCount
+ */
+const getAuditLogPaginatedList = async ({
+    client,
+    filters,
+    sort,
+    pagination,
+}) => {
+    const sanitizedList = listFiltersSanitizer(
+        filters,
+        auditLogFilterableFields
+    );
+    if (sanitizedList.error) {
+        return sanitizedList;
+    }
+    const sanitizedSort = sortSanitizer(sort, auditLogSortableFields, [
+        ['createdAt', 'DESC'],
+    ]);
+    if (sanitizedSort.error) {
+        return sanitizedSort;
+    }
+    const query = getFilteredAuditLogsQuery(
+        client,
+        sanitizedList.filters,
+        sanitizedSort.sort
+    );
+    const [perPage, currentPage] = paginationSanitizer(pagination);
+
+    return query
+        .paginate({ perPage, currentPage, isLengthAware: true })
+        .then((result) => ({
+            auditLogs: result.data.map(formatAuditLogForAPI),
+            pagination: result.pagination,
+        }))
+        .catch((error) => ({ error }));
+};
+
+module.exports = {
+    createAuditLogs,
+    formatAuditLogForAPI,
+    getAuditChanges,
+    getAuditLogPaginatedList,
+    getAuditLogsOfWrite,
+};
@@ -0,0 +1,225 @@
+const knex = require('knex')({ client: 'pg' });
+
+const {
+    getAuditChanges,
+    getAuditLogPaginatedList,
+    getAuditLogsOfWrite,
+} = require('./repository');
+
+describe('AuditLog repository', () => {
+    describe('getAuditChanges', () => {
+        it('should only return the changed fields, with their values before and after', () => {
+            expect(
+                getAuditChanges(
+                    {
+                        id: 'job-posting-id',
+                        title: 'Developpeur Python',
+                        skills: ['Python'],
+                        validThrough: null,
+                    },
+                    {
+                        id: 'job-posting-id',
+                        title: 'Developpeur Python senior',
+                        skills: ['Python'],
+                        validThrough: '2020-12-31',
+                    }
+                )
+            ).toEqual({
+                title: {
+                    before: 'Developpeur Python',
+                    after: 'Developpeur Python senior',
+                },
+                validThrough: { before: null, after: '2020-12-31' },
+            });
+        });
+
+        it('should compare the nested values', () => {
+            expect(
+                getAuditChanges(
+                    { skills: ['Python', 'Django'] },
+                    { skills: ['Python', 'Flask'] }
+                )
+            ).toEqual({
+                skills: {
+                    before: ['Python', 'Django'],
+                    after: ['Python', 'Flask'],
+                },
+            });
+        });
+
+        it('should return every field of a created or deleted resource', () => {
+            expect(
+                getAuditChanges(null, {
+                    id: 'organization-id',
+                    name: 'Flexcity',
+                })
+            ).toEqual({ name: { before: null, after: 'Flexcity' } });
+            expect(
+                getAuditChanges(
+                    { id: 'organization-id', name: 'Flexcity' },
+                    null
+                )
+            ).toEqual({ name: { before: 'Flexcity', after: null } });
+        });
+    });
+
+    describe('getAuditLogsOfWrite', () => {
+        const nestedResources = { contactPoints: 'contactPoint' };
+        const organization = {
+            id: 'organization-id',
+            name: 'Flexcity',
+            contactPoints: [
+                {
+                    identifier: 'contact-1',
+                    email: 'ada@flexcity.fr',
+                    name: 'Ada',
+                },
+                {
+                    identifier: 'contact-2',
+                    email: 'alan@flexcity.fr',
+                    name: 'Alan',
+                },
+            ],
+        };
+
+        it('should log the written resource without its nested resources', () => {
+            const auditLogs = getAuditLogsOfWrite({
+                action: 'update',
+                resource: 'organization',
+                resourceId: 'organization-id',
+                before: organization,
+                after: { ...organization, name: 'Flexcity SAS' },
+                nestedResources,
+            });
+
+            expect(auditLogs).toEqual([
+                {
+                    action: 'update',
+                    resource: 'organization',
+                    resourceId: 'organization-id',
+                    changes: {
+                        name: { before: 'Flexcity', after: 'Flexcity SAS' },
+                    },
+                },
+            ]);
+        });
+
+        it('should log the created, updated and deleted nested resources', () => {
+            const auditLogs = getAuditLogsOfWrite({
+                action: 'update',
+                resource: 'organization',
+                resourceId: 'organization-id',
+                before: organization,
+                after: {
+                    ...organization,
+                    contactPoints: [
+                        {
+                            identifier: 'contact-1',
+                            email: 'ada.lovelace@flexcity.fr',
+                            name: 'Ada',
+                        },
+                        {
+                            identifier: 'contact-3',
+                            email: 'grace@flexcity.fr',
+                            name: 'Grace',
+                        },
+                    ],
+                },
+                nestedResources,
+            });
+
+            expect(auditLogs).toEqual([
+                {
+                    action: 'update',
+                    resource: 'contactPoint',
+                    resourceId: 'contact-1',
+                    changes: {
+                        email: {
+                            before: 'ada@flexcity.fr',
+                            after: 'ada.lovelace@flexcity.fr',
+                        },
+                    },
+                },
+                {
+                    action: 'create',
+                    resource: 'contactPoint',
+                    resourceId: 'contact-3',
+                    changes: {
+                        email: { before: null, after: 'grace@flexcity.fr' },
+                        name: { before: null, after: 'Grace' },
+                    },
+                },
+                {
+                    action: 'delete',
+                    resource: 'contactPoint',
+                    resourceId: 'contact-2',
+                    changes: {
+                        email: { before: 'alan@flexcity.fr', after: null },
+                        name: { before: 'Alan', after: null },
+                    },
+                },
+            ]);
+        });
+
+        it('should log the deletion of the nested resources with their parent', () => {
+            const auditLogs = getAuditLogsOfWrite({
+                action: 'delete',
+                resource: 'organization',
+                resourceId: 'organization-id',
+                before: organization,
+                after: null,
+                nestedResources,
+            });
+
+            expect(
+                auditLogs.map(({ action, resource, resourceId }) => ({
+                    action,
+                    resource,
+                    resourceId,
+                }))
+            ).toEqual([
+                {
+                    action: 'delete',
+                    resource: 'organization',
+                    resourceId: 'organization-id',
+                },
+                {
+                    action: 'delete',
+                    resource: 'contactPoint',
+                    resourceId: 'contact-1',
+                },
+                {
+                    action: 'delete',
+                    resource: 'contactPoint',
+                    resourceId: 'contact-2',
+                },
+            ]);
+        });
+
+        it('should not log an update without change', () => {
+            expect(
+                getAuditLogsOfWrite({
+                    action: 'update',
+                    resource: 'organization',
+                    resourceId: 'organization-id',
+                    before: organization,
+                    after: organization,
+                    nestedResources,
+                })
+            ).toEqual([]);
+        });
+    });
+
+    describe('getAuditLogPaginatedList', () => {
+        it('should return a 400 error for a date filter which is not a date', async () => {
+            const { error } = await getAuditLogPaginatedList({
+                client: knex,
+                filters: { createdAt_before: 'yesterday' },
+            });
+            expect(error.status).toEqual(400);
+            expect(error.message).toEqual(
+                'The filter createdAt_before must be a date.'
+            );
+        });
+    });
+});
@@ -0,0 +1,50 @@
+const Router = require('koa-router');
+
+const { getAuditLogPaginatedList } = require('./repository');
+const {
+    parseJsonQueryParameter,
+    parseSortParameter,
+    formatPaginationToLinkHeader,
+} = require('../toolbox/sanitizers');
+const { authorize } = require('../toolbox/middleware/authentication');
+const { roles } = require('../toolbox/authentication');
+
+const router = new Router({
+    prefix: '/api/audit-logs',
+});
+
+const canReadAuditLogs = authorize([roles.ADMIN]);
+
+router.get('/', canReadAuditLogs, async (ctx) => {
+    const auditLogList = await getAuditLogPaginatedList({
+        client: ctx.db,
+        filters: parseJsonQueryParameter(ctx.query.filters),
+        sort: parseSortParameter(ctx.query.sort),
+        pagination: {
+            currentPage: ctx.query.currentPage,
+            perPage: ctx.query.perPage,
+        },
+    });
+
+    if (auditLogList.error) {
+        const explainedError = new Error(auditLogList.error.message);
+        explainedError.status = 400;
+
+        throw explainedError;
+    }
+
+    const { auditLogs, pagination } = auditLogList;
+    const linkHeaderValue = formatPaginationToLinkHeader({
+        resourceURI: `${ctx.origin}/api/audit-logs`,
+        pagination,
+        query: ctx.query,
+    });
+
+    ctx.set('X-Total-Count', pagination.total);
+    if (linkHeaderValue) {
+        ctx.set('Link', linkHeaderValue);
+    }
+    ctx.body = auditLogs;
+});
+
+module.exports = router;
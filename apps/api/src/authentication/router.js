@@ -0,0 +1,39 @@
+const Router = require('koa-router');
+
+const { getUserByCredentials } = require('../user/repository');
+const { createToken } = require('../toolbox/authentication');
+
+const router = new Router({
+    prefix: '/api/authenticate',
+});
+
+router.post('/', async (ctx) => {
+    const { username, password } = ctx.request.body || {};
+    const user =
+        username && password
+            ? await getUserByCredentials({
+                  client: ctx.db,
+                  username,
+                  password,
+              })
+            : {};
+
+    if (!user.id) {
+        const explainedError = new Error('Invalid username or password.');
+        explainedError.status = 401;
+
+        throw explainedError;
+    }
+
+    ctx.body = {
+        token: createToken(user),
+        user: {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            organizationIds: user.organizationIds,
+        },
+    };
+});
+
+module.exports = router;
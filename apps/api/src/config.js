@@ -1,4 +1,5 @@
 const convict = require('convict');
+const path = require('path');
 
 const config = convict({
     env: {
@@ -39,6 +40,157 @@ const config = convict({
             env: 'POSTGRES_PASSWORD',
         },
     },
+    cors: {
+        origins: {
+            doc: 'Comma separated list of the origins allowed to call the API',
+            format: String,
+            default: 'http://localhost:8000,http://localhost:8002',
+            env: 'CORS_ORIGINS',
+        },
+    },
+    security: {
+        jwtSecret: {
+            doc:
+                'Secret used to sign the authentication tokens, the API does not start without it',
+            format: (value) => {
+                if (typeof value !== 'string' || !value.trim()) {
+                    throw new Error(
+                        'must be a non-empty string, set the JWT_SECRET environment variable'
+                    );
+                }
+            },
+            default: '',
+            env: 'JWT_SECRET',
+            sensitive: true,
+        },
+        jwtExpiresIn: {
+            doc: 'Validity of an authentication token (see zeit/ms syntax)',
+            format: String,
+            default: '8h',
+            env: 'JWT_EXPIRES_IN',
+        },
+        trustProxy: {
+            doc:
+                'Trust the X-Forwarded-Host and X-Forwarded-Proto headers of a reverse proxy, used in the absolute links of the API',
+            format: Boolean,
+            default: false,
+            env: 'TRUST_PROXY',
+        },
+    },
+    urls: {
+        front: {
+            doc:
+                'Public URL of the JobBoard site, used in the links of the e-mails',
+            format: 'url',
+            default: 'http://localhost:8000',
+            env: 'FRONT_URL',
+        },
+        api: {
+            doc: 'Public URL of the API, used in the links of the e-mails',
+            format: 'url',
+            default: 'http://localhost:8001',
+            env: 'API_URL',
+        },
+    },
+    pagination: {
+        maxPerPage: {
+            doc:
+                'Maximum number of items in a page of the lists, the larger perPage parameters being reduced to it. The OpenAPI contract refuses more than 100 items per page.',
+            format: 'nat',
+            default: 100,
+            env: 'PAGINATION_MAX_PER_PAGE',
+        },
+    },
+    storage: {
+        driver: {
+            doc: 'Storage used for the uploaded files',
+            format: ['local'],
+            default: 'local',
+            env: 'STORAGE_DRIVER',
+        },
+        directory: {
+            doc: 'Directory of the uploaded files with the local storage',
+            format: String,
+            default: path.resolve(__dirname, '../uploads'),
+            env: 'STORAGE_DIRECTORY',
+        },
+        maxFileSize: {
+            doc: 'Maximum size of an uploaded file, in bytes',
+            format: 'nat',
+            default: 5 * 1024 * 1024,
+            env: 'STORAGE_MAX_FILE_SIZE',
+        },
+    },
+    jobPostings: {
+        maxAge: {
+            doc:
+                'Number of days after its publication or renewal before a job posting expires',
+            format: 'nat',
+            default: 90,
+            env: 'JOB_POSTING_MAX_AGE',
+        },
+        expirationWarningDelay: {
+            doc:
+                'Number of days before its expiration to send the renewal link of a job posting',
+            format: 'nat',
+            default: 7,
+            env: 'JOB_POSTING_EXPIRATION_WARNING_DELAY',
+        },
+        renewalTokenExpiresIn: {
+            doc: 'Validity of a renewal link (see zeit/ms syntax)',
+            format: String,
+            default: '30d',
+            env: 'JOB_POSTING_RENEWAL_TOKEN_EXPIRES_IN',
+        },
+    },
+    trash: {
+        retentionDays: {
+            doc:
+                'Number of days a deleted job posting or organization stays in the trash before being purged',
+            format: 'nat',
+            default: 30,
+            env: 'TRASH_RETENTION_DAYS',
+        },
+    },
+    mailer: {
+        transport: {
+            doc: 'Transport of the e-mails: smtp, or json to only log them',
+            format: ['smtp', 'json'],
+            default: 'json',
+            env: 'MAILER_TRANSPORT',
+        },
+        host: {
+            doc: 'SMTP server host name/IP',
+            format: '*',
+            default: 'localhost',
+            env: 'MAILER_HOST',
+        },
+        port: {
+            doc: 'SMTP server port',
+            format: 'port',
+            default: 25,
+            env: 'MAILER_PORT',
+        },
+        user: {
+            doc: 'SMTP user, leave empty without authentication',
+            format: String,
+            default: '',
+            env: 'MAILER_USER',
+        },
+        password: {
+            doc: 'SMTP password',
+            format: String,
+            default: '',
+            env: 'MAILER_PASSWORD',
+            sensitive: true,
+        },
+        from: {
+            doc: 'Sender of the e-mails',
+            format: String,
+            default: 'JobBoard CaenCamp.s <jobboard@caen.camp>',
+            env: 'MAILER_FROM',
+        },
+    },
 });
 
 config.validate({ allowed: 'strict' });
@@ -6,18 +6,40 @@ const serve = require('koa-static');
 const { oas } = require('koa-oas3');
 const error = require('koa-json-error');
 
+const config = require('./config');
 const dbMiddleware = require('./toolbox/middleware/db');
+const {
+    authenticationMiddleware,
+} = require('./toolbox/middleware/authentication');
+const { uploadSingleFile } = require('./toolbox/middleware/upload');
+const { mergePatchContentType } = require('./toolbox/merge-patch');
+const authenticationRouter = require('./authentication/router');
 const organizationRouter = require('./organization/router');
 const jobPostingRouter = require('./job-posting/router');
+const skillRouter = require('./skill/router');
+const applicationRouter = require('./application/router');
+const savedSearchRouter = require('./saved-search/router');
+const auditLogRouter = require('./audit-log/router');
 
 const app = new Koa();
+// behind a reverse proxy, ctx.origin is read from its X-Forwarded-* headers
+app.proxy = config.security.trustProxy;
+
+const allowedOrigins = config.cors.origins
+    .split(',')
+    .map((origin) => origin.trim());
 
 // See https://github.com/zadzbw/koa2-cors for configuration
 app.use(
     cors({
-        origin: '*',
-        allowHeaders: ['Origin, Content-Type, Accept'],
-        exposeHeaders: ['X-Total-Count', 'Link'],
+        origin: (ctx) =>
+            allowedOrigins.includes(ctx.get('Origin'))
+                ? ctx.get('Origin')
+                : false,
+        allowHeaders: [
+            'Origin, Content-Type, Accept, Authorization, If-Match, If-None-Match',
+        ],
+        exposeHeaders: ['X-Total-Count', 'Link', 'ETag'],
     })
 );
 
@@ -40,13 +62,17 @@ const errorHandler = (error) => {
     const updatedError = new Error(
         `${error.message}${errorDetails ? ` (${errorDetails.join(', ')})` : ''}`
     );
-    updatedError.status = 400;
+    // the partial updates only accept the merge patch media type
+    updatedError.status = error.message.startsWith('Unsupported mediaType')
+        ? 415
+        : 400;
 
     throw updatedError;
 };
 
 /**
- * This method is used to format message return by the global error middleware
+ * This method is used to format message return by the global error middleware.
+ * The errors of the bulk routes also return the result of each write.
  *
  * @param {object} error - the catched error
  * @return {object} the content of the json error return
@@ -55,10 +81,15 @@ const formatError = (error) => {
     return {
         status: error.status,
         message: error.message,
+        ...(error.results ? { results: error.results } : {}),
     };
 };
 
-app.use(bodyParser());
+app.use(
+    bodyParser({
+        extendTypes: { json: [mergePatchContentType] },
+    })
+);
 app.use(error(formatError));
 app.use(
     oas({
@@ -68,6 +99,11 @@ app.use(
         validateResponse: true,
         validatePaths: ['/api'],
         errorHandler,
+        // json bodies are already parsed by bodyParser, multipart ones
+        // are only parsed for the operations accepting a file
+        requestBodyHandler: {
+            'multipart/form-data': uploadSingleFile('cv'),
+        },
     })
 );
 
@@ -87,7 +123,15 @@ router.get('/api', (ctx) => {
 });
 app.use(router.routes()).use(router.allowedMethods());
 app.use(dbMiddleware);
+app.use(authenticationMiddleware);
+app.use(authenticationRouter.routes()).use(
+    authenticationRouter.allowedMethods()
+);
 app.use(organizationRouter.routes()).use(organizationRouter.allowedMethods());
 app.use(jobPostingRouter.routes()).use(jobPostingRouter.allowedMethods());
+app.use(skillRouter.routes()).use(skillRouter.allowedMethods());
+app.use(applicationRouter.routes()).use(applicationRouter.allowedMethods());
+app.use(savedSearchRouter.routes()).use(savedSearchRouter.allowedMethods());
+app.use(auditLogRouter.routes()).use(auditLogRouter.allowedMethods());
 
 app.listen(3001, () => global.console.log('API started on port 3001'));
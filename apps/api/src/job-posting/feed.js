@@ -0,0 +1,99 @@
+const { Feed } = require('feed');
+
+const config = require('../config');
+const { escapeHtml } = require('../toolbox/html');
+
+// the content types of the feeds, by format
+const feedContentTypes = {
+    rss: 'application/rss+xml',
+    atom: 'application/atom+xml',
+};
+
+// the number of jobPostings in a feed without perPage parameter
+const defaultFeedSize = 30;
+
+/**
+ * Return the HTML description of a jobPosting in a feed, with the logo of its hiring organization
+ *
+ * @param {object} jobPosting - The jobPosting formatted for the API
+ * @returns {string} the HTML description
+ */
+const getJobPostingFeedContent = ({
+    hiringOrganization,
+    employmentType,
+    skills,
+    jobStartDate,
+}) => {
+    const { name, image, address } = hiringOrganization;
+    const location = address && address.addressLocality;
+
+    return [
+        image
+            ? `<p><img src="${escapeHtml(image)}" alt="${escapeHtml(
+                  name
+              )}" /></p>`
+            : '',
+        `<p><strong>${escapeHtml(name)}</strong> recrute en ${escapeHtml(
+            employmentType
+        )}${location ? ` à ${escapeHtml(location)}` : ''}${
+            jobStartDate ? `, à partir du ${escapeHtml(jobStartDate)}` : ''
+        }.</p>`,
+        skills && skills.length
+            ? `<p>Compétences : ${skills.map(escapeHtml).join(', ')}</p>`
+            : '',
+    ].join('');
+};
+
+/**
+ * Return a RSS 2.0 or Atom 1.0 feed of jobPostings
+ *
+ * @param {Array} jobPostings - The jobPostings formatted for the API, the most recent first
+ * @param {string} format - The feed format, rss or atom
+ * @param {string} selfUrl - The requested url of the feed, with its filters
+ * @returns {string} the XML feed
+ */
+const getJobPostingFeed = ({ jobPostings, format, selfUrl }) => {
+    const lastDatePosted = jobPostings
+        .map(({ datePosted }) => datePosted)
+        .filter((datePosted) => datePosted)
+        .sort()
+        .pop();
+    const feed = new Feed({
+        title: "Les offres d'emploi du JobBoard des CaenCamp.s",
+        description:
+            "Les offres d'emploi de la communauté des développeurs caennais",
+        id: `${config.urls.front}/jobs`,
+        link: `${config.urls.front}/jobs`,
+        language: 'fr',
+        copyright: 'CaenCamp.s',
+        updated: lastDatePosted ? new Date(lastDatePosted) : new Date(),
+        feedLinks: { [format]: selfUrl },
+    });
+
+    jobPostings.forEach((jobPosting) => {
+        const link = `${config.urls.front}/jobs/${jobPosting.id}`;
+        feed.addItem({
+            title: `${jobPosting.title} - ${jobPosting.hiringOrganization.name}`,
+            id: link,
+            link,
+            date: new Date(jobPosting.datePosted),
+            description: getJobPostingFeedContent(jobPosting),
+            author: [
+                {
+                    name: jobPosting.hiringOrganization.name,
+                    link: jobPosting.hiringOrganization.url || undefined,
+                },
+            ],
+            category: (jobPosting.skills || []).map((name) => ({ name })),
+        });
+    });
+
+    return format === 'atom' ? feed.atom1() : feed.rss2();
+};
+
+module.exports = {
+    defaultFeedSize,
+    feedContentTypes,
+    getJobPostingFeed,
+    getJobPostingFeedContent,
+};
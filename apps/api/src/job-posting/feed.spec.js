@@ -0,0 +1,81 @@
+const config = require('../config');
+const { getJobPostingFeed, getJobPostingFeedContent } = require('./feed');
+
+describe('JobPosting feed', () => {
+    const jobPosting = {
+        id: 'a122edec-5580-4a93-aff7-fc18b41e4c57',
+        title: 'Developpeur Javascript',
+        datePosted: '2020-04-01',
+        jobStartDate: '2020-05-02',
+        employmentType: 'CDI',
+        skills: ['JavaScript', 'Node.js'],
+        hiringOrganization: {
+            name: 'Qwarry & co',
+            image: 'https://www.qwarry.com/logo.png',
+            url: 'https://www.qwarry.com/',
+            address: { addressLocality: 'Caen' },
+        },
+    };
+
+    describe('getJobPostingFeedContent', () => {
+        it('should describe the jobPosting with the escaped logo and name of its organization', () => {
+            expect(getJobPostingFeedContent(jobPosting)).toEqual(
+                '<p><img src="https://www.qwarry.com/logo.png" alt="Qwarry &amp; co" /></p>' +
+                    '<p><strong>Qwarry &amp; co</strong> recrute en CDI à Caen, à partir du 2020-05-02.</p>' +
+                    '<p>Compétences : JavaScript, Node.js</p>'
+            );
+        });
+
+        it('should not contain an image without organization logo', () => {
+            expect(
+                getJobPostingFeedContent({
+                    ...jobPosting,
+                    hiringOrganization: {
+                        ...jobPosting.hiringOrganization,
+                        image: null,
+                    },
+                })
+            ).not.toContain('<img');
+        });
+    });
+
+    describe('getJobPostingFeed', () => {
+        it('should return a RSS feed linking to the jobPostings on the front', () => {
+            const feed = getJobPostingFeed({
+                jobPostings: [jobPosting],
+                format: 'rss',
+                selfUrl: `${config.urls.api}/api/job-postings/feed.rss`,
+            });
+
+            expect(feed).toContain('<rss version="2.0"');
+            expect(feed).toContain(
+                '<title><![CDATA[Developpeur Javascript - Qwarry & co]]></title>'
+            );
+            expect(feed).toContain(
+                `<link>${config.urls.front}/jobs/a122edec-5580-4a93-aff7-fc18b41e4c57</link>`
+            );
+            expect(feed).toContain(
+                '<pubDate>Wed, 01 Apr 2020 00:00:00 GMT</pubDate>'
+            );
+        });
+
+        it('should return an Atom feed with the organization as author', () => {
+            const feed = getJobPostingFeed({
+                jobPostings: [jobPosting],
+                format: 'atom',
+                selfUrl: `${config.urls.api}/api/job-postings/feed.atom`,
+            });
+
+            expect(feed).toContain(
+                '<feed xmlns="http://www.w3.org/2005/Atom">'
+            );
+            expect(feed).toContain(
+                `<link rel="self" href="${config.urls.api}/api/job-postings/feed.atom"/>`
+            );
+            expect(feed).toContain('<name>Qwarry &amp; co</name>');
+            expect(feed).toContain(
+                '<updated>2020-04-01T00:00:00.000Z</updated>'
+            );
+        });
+    });
+});
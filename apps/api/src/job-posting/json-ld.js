@@ -0,0 +1,117 @@
+const config = require('../config');
+const { escapeHtml } = require('../toolbox/html');
+const {
+    formatOrganizationForJsonLd,
+    formatPostalAddressForJsonLd,
+} = require('../organization/json-ld');
+
+// the schema.org employment types of the JobBoard contracts
+const employmentTypes = {
+    CDI: 'FULL_TIME',
+    CDD: 'TEMPORARY',
+    Alternance: 'INTERN',
+    Autre: 'OTHER',
+};
+
+/**
+ * Return the HTML description of a jobPosting, required by Google for Jobs
+ *
+ * @param {object} jobPosting - The jobPosting formatted for the API
+ * @returns {string} the HTML description
+ */
+const getJobPostingJsonLdDescription = ({
+    employerOverview,
+    experienceRequirements,
+    skills,
+}) =>
+    [
+        employerOverview ? `<p>${escapeHtml(employerOverview)}</p>` : '',
+        experienceRequirements
+            ? `<p>Expérience requise : ${escapeHtml(
+                  experienceRequirements
+              )}</p>`
+            : '',
+        skills && skills.length
+            ? `<p>Compétences : ${skills.map(escapeHtml).join(', ')}</p>`
+            : '',
+    ].join('');
+
+/**
+ * Transforms a jobPosting into its schema.org JSON-LD representation,
+ * following the Google for Jobs structured data requirements.
+ * The full hiring organization is needed for the job location address.
+ *
+ * @see https://developers.google.com/search/docs/data-types/job-posting
+ * @param {object} jobPosting - The jobPosting formatted for the API
+ * @param {object} organization - The hiring organization formatted for the API
+ * @returns {object} the JSON-LD JobPosting
+ */
+const formatJobPostingForJsonLd = ({ jobPosting, organization }) => {
+    const { baseSalary } = jobPosting;
+    const { address } = organization;
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'JobPosting',
+        '@id': `${config.urls.front}/jobs/${jobPosting.id}`,
+        identifier: {
+            '@type': 'PropertyValue',
+            name: 'JobBoard CaenCamp.s',
+            value: jobPosting.id,
+        },
+        url: `${config.urls.front}/jobs/${jobPosting.id}`,
+        title: jobPosting.title,
+        description: getJobPostingJsonLdDescription(jobPosting),
+        datePosted: jobPosting.datePosted,
+        ...(jobPosting.validThrough
+            ? { validThrough: `${jobPosting.validThrough}T23:59:59` }
+            : {}),
+        ...(jobPosting.jobStartDate
+            ? { jobStartDate: jobPosting.jobStartDate }
+            : {}),
+        employmentType: employmentTypes[jobPosting.employmentType] || 'OTHER',
+        experienceRequirements: jobPosting.experienceRequirements,
+        skills: (jobPosting.skills || []).join(', '),
+        hiringOrganization: formatOrganizationForJsonLd(organization, {
+            withContext: false,
+        }),
+        jobLocation: {
+            '@type': 'Place',
+            address: formatPostalAddressForJsonLd(address),
+        },
+        ...(jobPosting.jobLocationType === 'TELECOMMUTE'
+            ? {
+                  jobLocationType: 'TELECOMMUTE',
+                  applicantLocationRequirements: {
+                      '@type': 'Country',
+                      name: address.addressCountry,
+                  },
+              }
+            : {}),
+        ...(baseSalary
+            ? {
+                  baseSalary: {
+                      '@type': 'MonetaryAmount',
+                      currency: baseSalary.currency,
+                      value: {
+                          '@type': 'QuantitativeValue',
+                          ...(baseSalary.minValue !== null
+                              ? { minValue: baseSalary.minValue }
+                              : {}),
+                          ...(baseSalary.maxValue !== null
+                              ? { maxValue: baseSalary.maxValue }
+                              : {}),
+                          unitText: baseSalary.unitText,
+                      },
+                  },
+              }
+            : {}),
+        // the candidates apply on the JobBoard, without leaving it
+        directApply: true,
+    };
+};
+
+module.exports = {
+    formatJobPostingForJsonLd,
+    getJobPostingJsonLdDescription,
+};
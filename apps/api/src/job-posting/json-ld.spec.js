@@ -0,0 +1,134 @@
+const config = require('../config');
+const {
+    formatJobPostingForJsonLd,
+    getJobPostingJsonLdDescription,
+} = require('./json-ld');
+
+describe('JobPosting JSON-LD', () => {
+    const organization = {
+        id: 'a122edec-5580-4a93-aff7-fc18b41e4c57',
+        name: 'Qwarry',
+        url: 'https://www.qwarry.com/',
+        image: 'https://www.qwarry.com/logo.png',
+        address: {
+            streetAddress: '1 rue de Bras',
+            addressLocality: 'Caen',
+            postalCode: '14000',
+            addressCountry: 'France',
+        },
+    };
+    const jobPosting = {
+        id: 'b5c6d7e8-5580-4a93-aff7-fc18b41e4c57',
+        title: 'Developpeur Javascript',
+        datePosted: '2020-04-01',
+        validThrough: '2020-06-30',
+        jobStartDate: '2020-05-02',
+        employmentType: 'CDI',
+        employerOverview: 'Une équipe de <passionnés>',
+        experienceRequirements: "3 ans d'experience sur un projet Javascript",
+        skills: ['JavaScript', 'Node.js'],
+        jobLocationType: 'HYBRID',
+        baseSalary: {
+            currency: 'EUR',
+            minValue: 30000,
+            maxValue: null,
+            unitText: 'YEAR',
+        },
+        hiringOrganization: { identifier: organization.id, name: 'Qwarry' },
+    };
+
+    describe('getJobPostingJsonLdDescription', () => {
+        it('should return an escaped HTML description', () => {
+            expect(getJobPostingJsonLdDescription(jobPosting)).toEqual(
+                '<p>Une équipe de &lt;passionnés&gt;</p>' +
+                    "<p>Expérience requise : 3 ans d'experience sur un projet Javascript</p>" +
+                    '<p>Compétences : JavaScript, Node.js</p>'
+            );
+        });
+    });
+
+    describe('formatJobPostingForJsonLd', () => {
+        it('should contain the properties required by Google for Jobs', () => {
+            const jsonLd = formatJobPostingForJsonLd({
+                jobPosting,
+                organization,
+            });
+
+            expect(jsonLd).toEqual(
+                expect.objectContaining({
+                    '@context': 'https://schema.org',
+                    '@type': 'JobPosting',
+                    title: 'Developpeur Javascript',
+                    datePosted: '2020-04-01',
+                    validThrough: '2020-06-30T23:59:59',
+                    employmentType: 'FULL_TIME',
+                    url: `${config.urls.front}/jobs/b5c6d7e8-5580-4a93-aff7-fc18b41e4c57`,
+                    jobLocation: {
+                        '@type': 'Place',
+                        address: {
+                            '@type': 'PostalAddress',
+                            streetAddress: '1 rue de Bras',
+                            addressLocality: 'Caen',
+                            postalCode: '14000',
+                            addressCountry: 'France',
+                        },
+                    },
+                })
+            );
+            expect(jsonLd.description).toContain('<p>');
+            expect(jsonLd.hiringOrganization).toEqual(
+                expect.objectContaining({
+                    '@type': 'Organization',
+                    name: 'Qwarry',
+                    sameAs: 'https://www.qwarry.com/',
+                    logo: 'https://www.qwarry.com/logo.png',
+                })
+            );
+        });
+
+        it('should only contain the known bounds of the salary', () => {
+            expect(
+                formatJobPostingForJsonLd({ jobPosting, organization })
+                    .baseSalary
+            ).toEqual({
+                '@type': 'MonetaryAmount',
+                currency: 'EUR',
+                value: {
+                    '@type': 'QuantitativeValue',
+                    minValue: 30000,
+                    unitText: 'YEAR',
+                },
+            });
+        });
+
+        it('should require the applicants to live in the organization country for a remote job', () => {
+            const jsonLd = formatJobPostingForJsonLd({
+                jobPosting: { ...jobPosting, jobLocationType: 'TELECOMMUTE' },
+                organization,
+            });
+
+            expect(jsonLd.jobLocationType).toEqual('TELECOMMUTE');
+            expect(jsonLd.applicantLocationRequirements).toEqual({
+                '@type': 'Country',
+                name: 'France',
+            });
+        });
+
+        it('should not contain the optional dates and salary when missing', () => {
+            const jsonLd = formatJobPostingForJsonLd({
+                jobPosting: {
+                    ...jobPosting,
+                    validThrough: null,
+                    jobStartDate: null,
+                    baseSalary: null,
+                },
+                organization,
+            });
+
+            expect(jsonLd).not.toHaveProperty('validThrough');
+            expect(jsonLd).not.toHaveProperty('jobStartDate');
+            expect(jsonLd).not.toHaveProperty('baseSalary');
+            expect(jsonLd).not.toHaveProperty('jobLocationType');
+        });
+    });
+});
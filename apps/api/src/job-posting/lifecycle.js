@@ -0,0 +1,138 @@
+const { roles } = require('../toolbox/authentication');
+
+const jobPostingStatuses = [
+    'draft',
+    'pending',
+    'published',
+    'expired',
+    'archived',
+];
+
+// the statuses a jobPosting can reach from each status
+const jobPostingTransitions = {
+    draft: ['pending', 'archived'],
+    pending: ['published', 'draft', 'archived'],
+    published: ['expired', 'archived'],
+    expired: ['pending', 'published', 'archived'],
+    archived: ['draft'],
+};
+
+// the recruiters submit their jobPostings for review, only an admin publishes them
+const adminOnlyStatuses = ['published', 'expired'];
+
+/**
+ * Check if the validThrough date of a jobPosting is over
+ *
+ * @param {object} jobPosting - The jobPosting formatted for the API
+ * @param {Date} now - The current date
+ * @returns {boolean} true if the jobPosting is no longer valid
+ */
+const isJobPostingOutdated = ({ validThrough }, now = new Date()) =>
+    !!validThrough && validThrough < now.toISOString().substring(0, 10);
+
+/**
+ * Return the validThrough date of a renewed jobPosting.
+ * A renewal keeps the jobPosting online for its maximum age, even if its validThrough date was sooner.
+ *
+ * @param {object} jobPosting - The jobPosting formatted for the API
+ * @param {number} maxAge - The maximum age of a jobPosting, in days
+ * @param {Date} now - The date of the renewal
+ * @returns {string} the new validThrough date, or null for a jobPosting without validThrough
+ */
+const getRenewedValidThrough = ({ validThrough }, maxAge, now = new Date()) => {
+    if (!validThrough) {
+        return null;
+    }
+
+    const renewedUntil = new Date(now.getTime() + maxAge * 24 * 60 * 60 * 1000)
+        .toISOString()
+        .substring(0, 10);
+
+    return validThrough < renewedUntil ? renewedUntil : validThrough;
+};
+
+/**
+ * Return an error with an HTTP status
+ *
+ * @param {string} message - The error message
+ * @param {number} status - The HTTP status of the error
+ * @returns {Error} the explained error
+ */
+const getTransitionError = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+
+    return error;
+};
+
+/**
+ * Check that a jobPosting can go to a new status.
+ * The command line tools transition the jobPostings without user, as an admin would.
+ *
+ * @param {object} jobPosting - The jobPosting formatted for the API, with its current status
+ * @param {string} status - The new status
+ * @param {object} user - The authenticated user, or null for the command line tools
+ * @param {Date} now - The current date
+ * @returns {Error} - an explained error, or null if the transition is allowed
+ */
+const getJobPostingTransitionError = ({
+    jobPosting,
+    status,
+    user,
+    now = new Date(),
+}) => {
+    if (!jobPostingStatuses.includes(status)) {
+        return getTransitionError(`The status ${status} does not exist.`, 400);
+    }
+
+    if (!jobPostingTransitions[jobPosting.status].includes(status)) {
+        return getTransitionError(
+            `A jobPosting cannot go from the ${jobPosting.status} status to the ${status} status.`,
+            409
+        );
+    }
+
+    if (
+        adminOnlyStatuses.includes(status) &&
+        user &&
+        user.role !== roles.ADMIN
+    ) {
+        return getTransitionError(
+            `Only an administrator can set the ${status} status of a jobPosting.`,
+            403
+        );
+    }
+
+    if (status === 'published' && isJobPostingOutdated(jobPosting, now)) {
+        return getTransitionError(
+            'A jobPosting cannot be published after its validThrough date.',
+            400
+        );
+    }
+
+    return null;
+};
+
+/**
+ * Check if a transition is the rejection of a jobPosting by a moderator,
+ * when an admin sends a pending jobPosting back to draft
+ *
+ * @param {string} fromStatus - The status before the transition
+ * @param {string} toStatus - The status after the transition
+ * @param {object} user - The authenticated user
+ * @returns {boolean} true if the hiring organization must be told about the rejection
+ */
+const isJobPostingRejection = ({ fromStatus, toStatus, user }) =>
+    fromStatus === 'pending' &&
+    toStatus === 'draft' &&
+    !!user &&
+    user.role === roles.ADMIN;
+
+module.exports = {
+    getJobPostingTransitionError,
+    getRenewedValidThrough,
+    isJobPostingOutdated,
+    isJobPostingRejection,
+    jobPostingStatuses,
+    jobPostingTransitions,
+};
@@ -0,0 +1,173 @@
+const {
+    getJobPostingTransitionError,
+    getRenewedValidThrough,
+    isJobPostingOutdated,
+    isJobPostingRejection,
+    jobPostingStatuses,
+    jobPostingTransitions,
+} = require('./lifecycle');
+
+describe('jobPosting lifecycle', () => {
+    const admin = { id: 'admin-id', role: 'admin' };
+    const recruiter = { id: 'recruiter-id', role: 'recruiter' };
+    const now = new Date('2020-04-28T10:00:00.000Z');
+
+    describe('jobPostingTransitions', () => {
+        it('should only lead to existing statuses', () => {
+            expect(Object.keys(jobPostingTransitions).sort()).toEqual(
+                [...jobPostingStatuses].sort()
+            );
+            Object.values(jobPostingTransitions).forEach((statuses) => {
+                statuses.forEach((status) => {
+                    expect(jobPostingStatuses).toContain(status);
+                });
+            });
+        });
+    });
+
+    describe('isJobPostingOutdated', () => {
+        it('should return false for a jobPosting without validThrough', () => {
+            expect(isJobPostingOutdated({ validThrough: null }, now)).toBe(
+                false
+            );
+        });
+
+        it('should return false until the end of the validThrough day', () => {
+            expect(
+                isJobPostingOutdated({ validThrough: '2020-04-28' }, now)
+            ).toBe(false);
+        });
+
+        it('should return true after the validThrough day', () => {
+            expect(
+                isJobPostingOutdated({ validThrough: '2020-04-27' }, now)
+            ).toBe(true);
+        });
+    });
+
+    describe('getRenewedValidThrough', () => {
+        it('should keep a jobPosting without validThrough', () => {
+            expect(
+                getRenewedValidThrough({ validThrough: null }, 90, now)
+            ).toBeNull();
+        });
+
+        it('should push a sooner validThrough to the end of the maximum age', () => {
+            expect(
+                getRenewedValidThrough({ validThrough: '2020-05-01' }, 90, now)
+            ).toEqual('2020-07-27');
+        });
+
+        it('should keep a later validThrough', () => {
+            expect(
+                getRenewedValidThrough({ validThrough: '2020-12-31' }, 90, now)
+            ).toEqual('2020-12-31');
+        });
+    });
+
+    describe('getJobPostingTransitionError', () => {
+        it('should return null for an allowed transition', () => {
+            expect(
+                getJobPostingTransitionError({
+                    jobPosting: { status: 'draft' },
+                    status: 'pending',
+                    user: recruiter,
+                    now,
+                })
+            ).toBeNull();
+        });
+
+        it('should return a 400 error for an unknown status', () => {
+            const error = getJobPostingTransitionError({
+                jobPosting: { status: 'draft' },
+                status: 'deleted',
+                user: admin,
+                now,
+            });
+            expect(error.message).toEqual('The status deleted does not exist.');
+            expect(error.status).toEqual(400);
+        });
+
+        it('should return a 409 error for a forbidden transition', () => {
+            const error = getJobPostingTransitionError({
+                jobPosting: { status: 'draft' },
+                status: 'published',
+                user: admin,
+                now,
+            });
+            expect(error.message).toEqual(
+                'A jobPosting cannot go from the draft status to the published status.'
+            );
+            expect(error.status).toEqual(409);
+        });
+
+        it('should return a 403 error if a recruiter publishes a jobPosting', () => {
+            const error = getJobPostingTransitionError({
+                jobPosting: { status: 'pending' },
+                status: 'published',
+                user: recruiter,
+                now,
+            });
+            expect(error.message).toEqual(
+                'Only an administrator can set the published status of a jobPosting.'
+            );
+            expect(error.status).toEqual(403);
+        });
+
+        it('should allow the command line tools to expire a jobPosting', () => {
+            expect(
+                getJobPostingTransitionError({
+                    jobPosting: { status: 'published' },
+                    status: 'expired',
+                    user: null,
+                    now,
+                })
+            ).toBeNull();
+        });
+
+        it('should return a 400 error when publishing an outdated jobPosting', () => {
+            const error = getJobPostingTransitionError({
+                jobPosting: { status: 'pending', validThrough: '2020-04-01' },
+                status: 'published',
+                user: admin,
+                now,
+            });
+            expect(error.message).toEqual(
+                'A jobPosting cannot be published after its validThrough date.'
+            );
+            expect(error.status).toEqual(400);
+        });
+    });
+
+    describe('isJobPostingRejection', () => {
+        it('should be true when an admin sends a pending jobPosting back to draft', () => {
+            expect(
+                isJobPostingRejection({
+                    fromStatus: 'pending',
+                    toStatus: 'draft',
+                    user: admin,
+                })
+            ).toBe(true);
+        });
+
+        it('should be false when a recruiter withdraws their jobPosting', () => {
+            expect(
+                isJobPostingRejection({
+                    fromStatus: 'pending',
+                    toStatus: 'draft',
+                    user: recruiter,
+                })
+            ).toBe(false);
+        });
+
+        it('should be false for the other transitions', () => {
+            expect(
+                isJobPostingRejection({
+                    fromStatus: 'archived',
+                    toStatus: 'draft',
+                    user: admin,
+                })
+            ).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,141 @@
+const signale = require('signale');
+
+const { sendMail } = require('../toolbox/mailer');
+const { getRenewalUrl } = require('./renewal');
+
+/**
+ * Return the e-mails of the contact points of the organization hiring for a jobPosting.
+ * Without contact point, the e-mail of the organization is used.
+ *
+ * @param {object} client - The Database client
+ * @param {string} jobPostingId - The jobPosting identifier
+ * @returns {Promise} - the jobPosting title and the e-mails to notify
+ */
+const getJobPostingRecipients = async ({ client, jobPostingId }) => {
+    const jobPosting = await client
+        .first('job_posting.title', 'organization.email')
+        .from('job_posting')
+        .join('organization', {
+            'organization.id': 'job_posting.hiring_organization_id',
+        })
+        .where({ 'job_posting.id': jobPostingId });
+    const contactPoints = await client
+        .select('contact_point.email')
+        .from('contact_point')
+        .join('job_posting', {
+            'job_posting.hiring_organization_id':
+                'contact_point.organization_id',
+        })
+        .where({ 'job_posting.id': jobPostingId });
+
+    return {
+        jobPosting: { title: jobPosting.title },
+        emails: contactPoints.length
+            ? contactPoints.map(({ email }) => email)
+            : [jobPosting.email].filter((email) => email),
+    };
+};
+
+/**
+ * Return the e-mail explaining to a hiring organization why its jobPosting was not published
+ *
+ * @param {object} jobPosting - The jobPosting, with its title
+ * @param {string} reason - The reason of the rejection given by the moderator
+ * @returns {object} - the subject and text of the e-mail
+ */
+const getJobPostingRejectedMail = ({ jobPosting, reason }) => ({
+    subject: `Votre offre "${jobPosting.title}" n'a pas été publiée`,
+    text: [
+        'Bonjour,',
+        '',
+        `Votre offre d'emploi "${jobPosting.title}" a été relue par l'équipe du JobBoard des CaenCamp.s, mais n'a pas pu être publiée en l'état.`,
+        '',
+        reason ? `Raison : ${reason}` : "Aucune raison n'a été précisée.",
+        '',
+        "L'offre est repassée en brouillon : vous pouvez la corriger dans l'administration du JobBoard, puis la soumettre à nouveau à relecture.",
+    ].join('\n'),
+});
+
+/**
+ * Notify the hiring organization of the rejection of its jobPosting by e-mail.
+ * A notification failure is only logged: the jobPosting is rejected anyway.
+ *
+ * @param {object} client - The Database client
+ * @param {string} jobPostingId - The rejected jobPosting identifier
+ * @param {string} reason - The reason of the rejection
+ * @returns {Promise} - true if the notification was sent
+ */
+const notifyJobPostingRejected = async ({ client, jobPostingId, reason }) => {
+    try {
+        const { jobPosting, emails } = await getJobPostingRecipients({
+            client,
+            jobPostingId,
+        });
+        if (!emails.length) {
+            signale.warn(
+                `No contact e-mail to notify the rejection of the jobPosting ${jobPostingId}`
+            );
+            return false;
+        }
+
+        await sendMail({
+            to: emails,
+            ...getJobPostingRejectedMail({ jobPosting, reason }),
+        });
+
+        return true;
+    } catch (error) {
+        signale.error(
+            `The jobPosting ${jobPostingId} rejection notification failed`,
+            error
+        );
+        return false;
+    }
+};
+
+/**
+ * Return the e-mail warning a hiring organization of the coming expiration of its jobPosting,
+ * with the link renewing it
+ *
+ * @param {object} jobPosting - The jobPosting, with its id, title and expiration date
+ * @returns {object} - the subject and text of the e-mail
+ */
+const getJobPostingExpirationWarningMail = ({ jobPosting }) => ({
+    subject: `Votre offre "${jobPosting.title}" va bientôt expirer`,
+    text: [
+        'Bonjour,',
+        '',
+        `Votre offre d'emploi "${
+            jobPosting.title
+        }" publiée sur le JobBoard des CaenCamp.s expirera le ${jobPosting.expiresOn
+            .split('-')
+            .reverse()
+            .join('/')}.`,
+        '',
+        "Si le poste est toujours à pourvoir, vous pouvez renouveler l'offre en un clic :",
+        getRenewalUrl(jobPosting.id),
+        '',
+        "Sans renouvellement, l'offre ne sera plus visible sur le JobBoard après cette date.",
+    ].join('\n'),
+});
+
+/**
+ * Send the expiration warning of a jobPosting to the contacts of its hiring organization
+ *
+ * @param {object} jobPosting - The jobPosting, with its id, title and expiration date
+ * @param {Array} emails - The e-mails of the contacts to warn
+ * @returns {Promise} - the sent e-mail
+ */
+const sendJobPostingExpirationWarning = ({ jobPosting, emails }) =>
+    sendMail({
+        to: emails,
+        ...getJobPostingExpirationWarningMail({ jobPosting }),
+    });
+
+module.exports = {
+    getJobPostingExpirationWarningMail,
+    getJobPostingRecipients,
+    getJobPostingRejectedMail,
+    notifyJobPostingRejected,
+    sendJobPostingExpirationWarning,
+};
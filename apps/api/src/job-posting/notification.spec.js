@@ -0,0 +1,58 @@
+jest.mock('./renewal', () => ({
+    getRenewalUrl: (jobPostingId) =>
+        `http://localhost:8001/api/job-postings/renew/token-of-${jobPostingId}`,
+}));
+
+const {
+    getJobPostingExpirationWarningMail,
+    getJobPostingRejectedMail,
+} = require('./notification');
+
+describe('JobPosting notification', () => {
+    describe('getJobPostingRejectedMail', () => {
+        it('should give the reason of the rejection in the mail', () => {
+            const mail = getJobPostingRejectedMail({
+                jobPosting: { title: 'Data Science Lead' },
+                reason: 'Le salaire doit être précisé.',
+            });
+
+            expect(mail.subject).toEqual(
+                'Votre offre "Data Science Lead" n\'a pas été publiée'
+            );
+            expect(mail.text).toContain(
+                'Raison : Le salaire doit être précisé.'
+            );
+            expect(mail.text).toContain('soumettre à nouveau à relecture');
+        });
+
+        it('should tell that no reason was given', () => {
+            const mail = getJobPostingRejectedMail({
+                jobPosting: { title: 'Data Science Lead' },
+                reason: null,
+            });
+
+            expect(mail.text).toContain("Aucune raison n'a été précisée.");
+            expect(mail.text).not.toContain('null');
+        });
+    });
+
+    describe('getJobPostingExpirationWarningMail', () => {
+        it('should give the expiration date and the renewal link', () => {
+            const mail = getJobPostingExpirationWarningMail({
+                jobPosting: {
+                    id: 'job-posting-id',
+                    title: 'Data Science Lead',
+                    expiresOn: '2020-07-27',
+                },
+            });
+
+            expect(mail.subject).toEqual(
+                'Votre offre "Data Science Lead" va bientôt expirer'
+            );
+            expect(mail.text).toContain('expirera le 27/07/2020');
+            expect(mail.text).toContain(
+                'http://localhost:8001/api/job-postings/renew/token-of-job-posting-id'
+            );
+        });
+    });
+});
@@ -0,0 +1,55 @@
+const jwt = require('jsonwebtoken');
+
+const config = require('../config');
+
+// the audience keeps the renewal links from being used as authentication tokens
+const renewalAudience = 'job-posting-renewal';
+
+/**
+ * Create the signed token of the renewal link of a jobPosting
+ *
+ * @param {string} jobPostingId - The jobPosting identifier
+ * @returns {string} the JWT token
+ */
+const createRenewalToken = (jobPostingId) =>
+    jwt.sign({}, config.security.jwtSecret, {
+        subject: jobPostingId,
+        audience: renewalAudience,
+        expiresIn: config.jobPostings.renewalTokenExpiresIn,
+    });
+
+/**
+ * Return the jobPosting identifier of a renewal token, and its issue date
+ * telling if the jobPosting has been renewed since the link was sent
+ *
+ * @param {string} token - The JWT token of the renewal link
+ * @returns {(object|boolean)} the {jobPostingId, issuedAt} of the token, issuedAt being to the second, or false if the token is invalid or expired
+ */
+const getRenewalFromToken = (token) => {
+    try {
+        const { sub, iat } = jwt.verify(token, config.security.jwtSecret, {
+            audience: renewalAudience,
+        });
+
+        return { jobPostingId: sub, issuedAt: new Date(iat * 1000) };
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Return the renewal link of a jobPosting, sent by e-mail before its expiration.
+ * The link opens a page of the site confirming the renewal: the mail link scanners
+ * prefetching the URLs must not renew the jobPosting.
+ *
+ * @param {string} jobPostingId - The jobPosting identifier
+ * @returns {string} the URL of the renewal page of the jobPosting
+ */
+const getRenewalUrl = (jobPostingId) =>
+    `${config.urls.front}/renew/${createRenewalToken(jobPostingId)}`;
+
+module.exports = {
+    createRenewalToken,
+    getRenewalFromToken,
+    getRenewalUrl,
+};
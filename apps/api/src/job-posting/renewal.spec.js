@@ -0,0 +1,69 @@
+jest.mock('../config', () => ({
+    security: { jwtSecret: 'test-secret' },
+    jobPostings: { renewalTokenExpiresIn: '30d' },
+    urls: { front: 'http://localhost:8000' },
+}));
+
+const jwt = require('jsonwebtoken');
+
+const {
+    createRenewalToken,
+    getRenewalFromToken,
+    getRenewalUrl,
+} = require('./renewal');
+const { getUserFromToken } = require('../toolbox/authentication');
+
+describe('JobPosting renewal', () => {
+    const jobPostingId = '7e7aa6a2-2a7c-4d5a-8c46-e2f4a5b0d0a1';
+
+    describe('getRenewalFromToken', () => {
+        it('should return the jobPosting identifier and the issue date of a valid token', () => {
+            const token = jwt.sign(
+                { iat: Date.parse('2020-05-04T08:00:00.000Z') / 1000 },
+                'test-secret',
+                {
+                    subject: jobPostingId,
+                    audience: 'job-posting-renewal',
+                    expiresIn: '100y',
+                }
+            );
+            expect(getRenewalFromToken(token)).toEqual({
+                jobPostingId,
+                issuedAt: new Date('2020-05-04T08:00:00.000Z'),
+            });
+        });
+
+        it('should return false if the token is expired', () => {
+            const token = jwt.sign({}, 'test-secret', {
+                subject: jobPostingId,
+                audience: 'job-posting-renewal',
+                expiresIn: '-1h',
+            });
+            expect(getRenewalFromToken(token)).toBe(false);
+        });
+
+        it('should return false for an authentication token', () => {
+            const token = jwt.sign({ role: 'admin' }, 'test-secret', {
+                subject: jobPostingId,
+                audience: 'authentication',
+            });
+            expect(getRenewalFromToken(token)).toBe(false);
+        });
+    });
+
+    describe('createRenewalToken', () => {
+        it('should not be accepted as an authentication token', () => {
+            expect(getUserFromToken(createRenewalToken(jobPostingId))).toBe(
+                false
+            );
+        });
+    });
+
+    describe('getRenewalUrl', () => {
+        it('should return the renewal page of the site', () => {
+            expect(getRenewalUrl(jobPostingId)).toMatch(
+                /^http:\/\/localhost:8000\/renew\/[\w-]+\.[\w-]+\.[\w-]+$/
+            );
+        });
+    });
+});
@@ -1,11 +1,34 @@
 const omit = require('lodash.omit');
-const signale = require('signale');
+const pick = require('lodash.pick');
 
 const {
-    filtersSanitizer,
+    addFiltersToQuery,
+    addSortToQuery,
+    idFilterSanitizer,
+    listFiltersSanitizer,
     paginationSanitizer,
     sortSanitizer,
 } = require('../toolbox/sanitizers');
+const {
+    canManageOrganization,
+    getForbiddenOrganizationError,
+} = require('../user/repository');
+const { setJobPostingSkills } = require('../skill/repository');
+const { addVisibilityToQuery } = require('./visibility');
+const { findTowns, parseTownSearch } = require('../toolbox/geocoding');
+const { runBulkWrite } = require('../toolbox/bulk');
+const { paginateWithCursor } = require('../toolbox/cursor');
+const { mergePatchResource } = require('../toolbox/merge-patch');
+const { getPreconditionError } = require('../toolbox/etag');
+const {
+    createRevision,
+    getRevision,
+    getRevisions,
+} = require('../revision/repository');
+const {
+    getJobPostingTransitionError,
+    getRenewedValidThrough,
+} = require('./lifecycle');
 
 const jobPostingSortableFields = [
     'datePosted',
@@ -14,123 +37,375 @@ const jobPostingSortableFields = [
     'validThrough',
     'employmentType',
     'hiringOrganizationName',
-    'hiringOrganizationIdentifier',
     'hiringOrganizationPostalCode',
     'hiringOrganizationAddressLocality',
     'hiringOrganizationAddressCountry',
+    'baseSalaryMinValue',
+    'baseSalaryMaxValue',
+    'statusUpdatedAt',
+    'deletedAt',
+    'relevance',
+    'distance',
+];
+
+// the columns and types of the sorts usable with a cursor: the relevance and the distance are computed,
+// and the timestamps are more precise than the dates of the cursors
+const jobPostingCursorColumns = {
+    datePosted: { column: 'job_posting.date_posted', type: 'date' },
+    title: { column: 'job_posting.title', type: 'string' },
+    jobStartDate: { column: 'job_posting.job_start_date', type: 'date' },
+    validThrough: { column: 'job_posting.valid_through', type: 'date' },
+    employmentType: { column: 'job_posting.employment_type', type: 'string' },
+    hiringOrganizationName: { column: 'organization.name', type: 'string' },
+    hiringOrganizationPostalCode: {
+        column: 'organization.postal_code',
+        type: 'string',
+    },
+    hiringOrganizationAddressLocality: {
+        column: 'organization.address_locality',
+        type: 'string',
+    },
+    hiringOrganizationAddressCountry: {
+        column: 'organization.address_country',
+        type: 'string',
+    },
+    baseSalaryMinValue: {
+        column: 'job_posting.base_salary_min_value',
+        type: 'number',
+    },
+    baseSalaryMaxValue: {
+        column: 'job_posting.base_salary_max_value',
+        type: 'number',
+    },
+};
+
+// the filters of the jobPosting list: the fields with a column use the filter grammar
+// of the sanitizers, the other ones are applied by getFilteredJobPostingsQuery
+const jobPostingFilterableFields = {
+    id: {},
+    q: {},
+    title: { column: 'job_posting.title', type: 'string', operator: 'like' },
+    skills: {},
+    skills_in: {},
+    employmentType: { column: 'job_posting.employment_type', type: 'string' },
+    jobLocationType: {
+        column: 'job_posting.job_location_type',
+        type: 'string',
+    },
+    baseSalary_min: {
+        column: 'job_posting.base_salary_min_value',
+        type: 'number',
+    },
+    baseSalary_max: {
+        column: 'job_posting.base_salary_max_value',
+        type: 'number',
+    },
+    near: {},
+    nearTown: {},
+    radiusKm: {},
+    datePosted: { column: 'job_posting.date_posted', type: 'date' },
+    jobStartDate: { column: 'job_posting.job_start_date', type: 'date' },
+    validThrough: { column: 'job_posting.valid_through', type: 'date' },
+    createdAt: { column: 'job_posting.created_at', type: 'date' },
+    publishedAt: { column: 'job_posting.published_at', type: 'date' },
+    status: { column: 'job_posting.status', type: 'string' },
+    deleted: {},
+    hiringOrganizationName: {
+        column: 'organization.name',
+        type: 'string',
+        operator: 'like',
+    },
+    hiringOrganizationPostalCode: {
+        column: 'organization.postal_code',
+        type: 'string',
+        operator: 'prefix',
+    },
+    hiringOrganizationAddressLocality: {
+        column: 'organization.address_locality',
+        type: 'string',
+        operator: 'prefix',
+    },
+    hiringOrganizationAddressCountry: {
+        column: 'organization.address_country',
+        type: 'string',
+        operator: 'prefix',
+    },
+};
+
+// the fields only updated by the transitions, renewals and deletions of the jobPosting lifecycle
+const jobPostingLifecycleFields = [
+    'status',
+    'statusUpdatedAt',
+    'publishedAt',
+    'renewedAt',
+    'expirationWarnedAt',
+    'deletedAt',
 ];
 
-const jobPostingFilterableFields = [
+// the fields of a jobPosting saved in its revisions, as sent to the update route
+const jobPostingRevisionFields = [
     'title',
-    'skills',
+    'url',
+    'datePosted',
+    'employerOverview',
     'employmentType',
-    'datePosted_before',
-    'datePosted_after',
-    'jobStartDate_before',
-    'jobStartDate_after',
-    'validThrough_before',
-    'validThrough_after',
-    'hiringOrganizationName',
-    'hiringOrganizationPostalCode',
-    'hiringOrganizationAddressLocality',
-    'hiringOrganizationAddressCountry',
+    'experienceRequirements',
+    'jobStartDate',
+    'skills',
+    'baseSalary',
+    'jobLocationType',
+    'validThrough',
 ];
 
+// the radius of a nearTown filter without radiusKm
+const defaultNearRadiusKm = 30;
+
+// the skills of the jobPosting, in the order they were entered
+const skillsSubQuery = `array(SELECT skill.name FROM job_posting_skill
+    JOIN skill ON skill.id = job_posting_skill.skill_id
+    WHERE job_posting_skill.job_posting_id = job_posting.id
+    ORDER BY job_posting_skill.position)`;
+
 /**
- * Knex query for filtrated jobPosting list
+ * Knex query for the jobPosting list, with the hiring organization fields and the skills
  *
  * @param {object} client - The Database client
- * @param {object} filters - jobPosting Filter
- * @param {Array} sort - Sort parameters [columnName, direction]
- * @returns {Promise} - Knew query for filtrated jobPosting list
+ * @param {string} method - The knex method to use, select or first
+ * @returns {object} - The knex query
  */
-const getFilteredJobPostingsQuery = (client, filters, sort) => {
-    const {
-        title,
-        skills,
-        employmentType,
-        hiringOrganizationName,
-        hiringOrganizationPostalCode,
-        hiringOrganizationAddressLocality,
-        hiringOrganizationAddressCountry,
-        ...restFiltersThatMustBeDates
-    } = filters;
-    const query = client
-        .select(
-            'job_posting.*',
-            'organization.name as hiringOrganizationName',
-            'organization.postal_code as hiringOrganizationPostalCode',
-            'organization.address_locality as hiringOrganizationAddressLocality',
-            'organization.address_country as hiringOrganizationAddressCountry',
-            'organization.image as hiringOrganizationImage',
-            'organization.url as hiringOrganizationUrl'
-        )
+const getJobPostingsBaseQuery = (client, method = 'select') =>
+    client[method](
+        'job_posting.*',
+        'organization.name as hiringOrganizationName',
+        'organization.postal_code as hiringOrganizationPostalCode',
+        'organization.address_locality as hiringOrganizationAddressLocality',
+        'organization.address_country as hiringOrganizationAddressCountry',
+        'organization.image as hiringOrganizationImage',
+        'organization.url as hiringOrganizationUrl',
+        client.raw(`${skillsSubQuery} as skills`)
+    )
         .from('job_posting')
         .join('organization', {
             'organization.id': 'job_posting.hiring_organization_id',
         });
 
-    if (title) {
-        query.andWhere('title', 'LIKE', `%${title}%`);
-    }
-    if (skills) {
-        query.andWhere('skills', 'LIKE', `%${skills}%`);
+/**
+ * Add the full-text search on title, skills, employerOverview and experienceRequirements
+ * to a jobPosting query, with the relevance of each result and highlighted snippets.
+ *
+ * @param {object} client - The Database client
+ * @param {object} query - The jobPosting knex query
+ * @param {string} q - The searched terms, in web search engine syntax
+ * @returns {object} - The knex query
+ */
+const addFullTextSearchToQuery = (client, query, q) => {
+    const tsQuery = "websearch_to_tsquery('french', ?)";
+    // the indexed search_vector already contains the skills, kept up to date by database triggers
+    const searchVector = 'job_posting.search_vector';
+    const headlineOptions = {
+        full: "'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'",
+        snippet:
+            "'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=10'",
+    };
+
+    return query
+        .select(
+            client.raw(`ts_rank(${searchVector}, ${tsQuery}) as search_rank`, [
+                q,
+            ]),
+            client.raw(
+                `ts_headline('french', job_posting.title, ${tsQuery}, ${headlineOptions.full}) as highlight_title`,
+                [q]
+            ),
+            client.raw(
+                `ts_headline('french', array_to_string(${skillsSubQuery}, ', '), ${tsQuery}, ${headlineOptions.full}) as highlight_skills`,
+                [q]
+            ),
+            client.raw(
+                `ts_headline('french', job_posting.employer_overview, ${tsQuery}, ${headlineOptions.snippet}) as highlight_employer_overview`,
+                [q]
+            ),
+            client.raw(
+                `ts_headline('french', job_posting.experience_requirements, ${tsQuery}, ${headlineOptions.snippet}) as highlight_experience_requirements`,
+                [q]
+            )
+        )
+        .andWhereRaw(`${searchVector} @@ ${tsQuery}`, [q]);
+};
+
+/**
+ * Add the geographic search to a jobPosting query, with the distance in km
+ * between the hiring organization and the searched point.
+ * The earth_box condition uses the index on the organization location,
+ * the earth_distance one removes the corners of the box.
+ *
+ * @param {object} client - The Database client
+ * @param {object} query - The jobPosting knex query
+ * @param {object} near - The searched point {latitude, longitude, radiusKm}
+ * @returns {object} - The knex query
+ */
+const addGeographicSearchToQuery = (
+    client,
+    query,
+    { latitude, longitude, radiusKm }
+) => {
+    const searchedPoint = 'll_to_earth(?, ?)';
+    const organizationPoint =
+        'll_to_earth(organization.latitude, organization.longitude)';
+    const radiusInMeters = radiusKm * 1000;
+
+    return query
+        .select(
+            client.raw(
+                `round((earth_distance(${organizationPoint}, ${searchedPoint}) / 1000)::numeric, 1) as distance`,
+                [latitude, longitude]
+            )
+        )
+        .andWhereRaw(`earth_box(${searchedPoint}, ?) @> ${organizationPoint}`, [
+            latitude,
+            longitude,
+            radiusInMeters,
+        ])
+        .andWhereRaw(
+            `earth_distance(${organizationPoint}, ${searchedPoint}) <= ?`,
+            [latitude, longitude, radiusInMeters]
+        );
+};
+
+/**
+ * Knex subquery for the skills of the current jobPosting matching one of the names, whatever the case
+ *
+ * @param {object} client - The Database client
+ * @param {Array} names - The skill names
+ * @returns {object} - The knex subquery
+ */
+const getJobPostingSkillsQuery = (client, names) =>
+    client
+        .select('job_posting_skill.skill_id')
+        .from('job_posting_skill')
+        .join('skill', { 'skill.id': 'job_posting_skill.skill_id' })
+        .whereRaw('job_posting_skill.job_posting_id = job_posting.id')
+        .whereIn(
+            client.raw('lower(skill.name)'),
+            names.map((name) => `${name}`.trim().toLowerCase())
+        );
+
+/**
+ * Knex query for filtrated jobPosting list
+ *
+ * @param {object} client - The Database client
+ * @param {object} filters - jobPosting Filter
+ * @param {Array} sort - Sort parameters [[columnName, direction], ...]
+ * @param {object} user - The authenticated user, or nothing for the public lists
+ * @param {boolean} includeDeleted - true to also list the jobPostings in the trash
+ * @returns {Promise} - Knew query for filtrated jobPosting list
+ */
+const getFilteredJobPostingsQuery = (
+    client,
+    filters,
+    sort,
+    user,
+    includeDeleted
+) => {
+    const { id, q, deleted, skills, skills_in, near } = filters;
+    const query = addVisibilityToQuery(
+        client,
+        getJobPostingsBaseQuery(client),
+        user,
+        includeDeleted
+    );
+
+    if (id) {
+        query.whereIn('job_posting.id', idFilterSanitizer(id));
     }
-    if (employmentType) {
-        query.andWhere('employmentType', employmentType);
+    if (q) {
+        addFullTextSearchToQuery(client, query, q);
     }
-    if (hiringOrganizationPostalCode) {
-        query.andWhere(
-            'organization.postal_code',
-            'LIKE',
-            `${hiringOrganizationPostalCode}%`
-        );
+    if (near) {
+        addGeographicSearchToQuery(client, query, near);
     }
-    if (hiringOrganizationName) {
-        query.andWhere(
-            'organization.name',
-            'LIKE',
-            `%${hiringOrganizationName}%`
-        );
+    if (skills) {
+        // the jobPosting must have all the skills
+        [].concat(skills).forEach((skill) => {
+            query.whereExists(getJobPostingSkillsQuery(client, [skill]));
+        });
     }
-    if (hiringOrganizationAddressLocality) {
-        query.andWhere(
-            'organization.address_locality',
-            'LIKE',
-            `${hiringOrganizationAddressLocality}%`
+    if (skills_in) {
+        // the jobPosting must have at least one of the skills
+        query.whereExists(
+            getJobPostingSkillsQuery(client, [].concat(skills_in))
         );
     }
-    if (hiringOrganizationAddressCountry) {
-        query.andWhere(
-            'organization.address_country',
-            'LIKE',
-            `${hiringOrganizationAddressCountry}%`
-        );
+    if (deleted !== undefined) {
+        // the trash lists the deleted jobPostings only
+        query[deleted ? 'whereNotNull' : 'whereNull']('job_posting.deleted_at');
     }
-
-    Object.keys(restFiltersThatMustBeDates).map((key) => {
-        try {
-            const queryDate = new Date(restFiltersThatMustBeDates[key]);
-            const [what, when] = key.split('_');
-            if (when && ['after', 'before'].includes(when)) {
-                query.andWhere(
-                    what,
-                    when === 'after' ? '>' : '<',
-                    queryDate.toISOString()
-                );
-            }
-        } catch (error) {
-            signale.debug('the date in filter is not well formated');
-        }
-    });
+    addFiltersToQuery(query, filters, jobPostingFilterableFields);
 
     if (sort && sort.length) {
-        query.orderBy(...sort);
+        // the relevance and the distance only exist with the q and near filters
+        const sortColumns = sort.map(([field, direction]) => {
+            if (field === 'relevance') {
+                return [
+                    q ? 'searchRank' : jobPostingSortableFields[0],
+                    direction,
+                ];
+            }
+            if (field === 'distance') {
+                return [
+                    near ? 'distance' : jobPostingSortableFields[0],
+                    direction,
+                ];
+            }
+            return [field, direction];
+        });
+        addSortToQuery(query, sortColumns, 'job_posting.id');
     }
 
     return query;
 };
 
+/**
+ * Return the highlighted snippets of a full-text search result
+ *
+ * @param {object} dbJobPosting - jobPosting data from database
+ * @returns {object} the highlighted fields or undefined if not a search result
+ */
+const getJobPostingHighlight = (dbJobPosting) =>
+    dbJobPosting.highlightTitle !== undefined
+        ? {
+              title: dbJobPosting.highlightTitle,
+              skills: dbJobPosting.highlightSkills,
+              employerOverview: dbJobPosting.highlightEmployerOverview,
+              experienceRequirements:
+                  dbJobPosting.highlightExperienceRequirements,
+          }
+        : undefined;
+
+/**
+ * Return the salary of a jobPosting as a schema.org MonetaryAmount
+ *
+ * @param {object} dbJobPosting - jobPosting data from database
+ * @returns {object} the salary or null if no amount is defined
+ */
+const getJobPostingBaseSalary = (dbJobPosting) => {
+    const [minValue, maxValue] = [
+        dbJobPosting.baseSalaryMinValue,
+        dbJobPosting.baseSalaryMaxValue,
+    ].map((amount) =>
+        amount === null || amount === undefined ? null : Number(amount)
+    );
+
+    return minValue === null && maxValue === null
+        ? null
+        : {
+              currency: dbJobPosting.baseSalaryCurrency,
+              minValue,
+              maxValue,
+              unitText: dbJobPosting.baseSalaryUnitText,
+          };
+};
+
 /**
  * Transforms a db queried organization into an organization object for API.
  *
@@ -141,6 +416,12 @@ const formatJobPostingForAPI = (dbJobPosting) => {
     return dbJobPosting
         ? {
               ...omit(dbJobPosting, [
+                  'searchVector',
+                  'searchRank',
+                  'highlightTitle',
+                  'highlightSkills',
+                  'highlightEmployerOverview',
+                  'highlightExperienceRequirements',
                   'hiringOrganizationId',
                   'hiringOrganizationName',
                   'hiringOrganizationPostalCode',
@@ -148,7 +429,14 @@ const formatJobPostingForAPI = (dbJobPosting) => {
                   'hiringOrganizationAddressCountry',
                   'hiringOrganizationImage',
                   'hiringOrganizationUrl',
+                  'baseSalaryMinValue',
+                  'baseSalaryMaxValue',
+                  'baseSalaryCurrency',
+                  'baseSalaryUnitText',
+                  'createdAt',
+                  'expirationWarnedAt',
               ]),
+              baseSalary: getJobPostingBaseSalary(dbJobPosting),
               hiringOrganization: {
                   identifier: dbJobPosting.hiringOrganizationId,
                   name: dbJobPosting.hiringOrganizationName,
@@ -171,17 +459,170 @@ const formatJobPostingForAPI = (dbJobPosting) => {
               validThrough: dbJobPosting.validThrough
                   ? dbJobPosting.validThrough.toISOString().substring(0, 10)
                   : null,
+              ...(dbJobPosting.status !== undefined
+                  ? {
+                        statusUpdatedAt: dbJobPosting.statusUpdatedAt.toISOString(),
+                        publishedAt: dbJobPosting.publishedAt
+                            ? dbJobPosting.publishedAt.toISOString()
+                            : null,
+                        renewedAt: dbJobPosting.renewedAt
+                            ? dbJobPosting.renewedAt.toISOString()
+                            : null,
+                    }
+                  : {}),
+              ...(dbJobPosting.deletedAt !== undefined
+                  ? {
+                        deletedAt: dbJobPosting.deletedAt
+                            ? dbJobPosting.deletedAt.toISOString()
+                            : null,
+                    }
+                  : {}),
+              ...(dbJobPosting.distance !== undefined
+                  ? { distance: Number(dbJobPosting.distance) }
+                  : {}),
+              ...(getJobPostingHighlight(dbJobPosting)
+                  ? { highlight: getJobPostingHighlight(dbJobPosting) }
+                  : {}),
           }
         : {};
 };
 
+/**
+ * Returns a jobPosting and its skills ready to be saved.
+ * The salary is flattened into its columns, and reset when it is not sent.
+ * The status is ignored, it only changes through the lifecycle transitions.
+ *
+ * @param {object} dataFromApi - The validated data sent from API to save a jobPosting
+ * @returns {object} - an object with valid data for a jobPosting and its skills
+ */
+const prepareJobPostingDataForSave = ({
+    skills,
+    baseSalary,
+    ...jobPosting
+}) => {
+    const {
+        minValue = null,
+        maxValue = null,
+        currency = 'EUR',
+        unitText = 'YEAR',
+    } = baseSalary || {};
+
+    return {
+        jobPosting: {
+            ...omit(jobPosting, jobPostingLifecycleFields),
+            baseSalaryMinValue: minValue,
+            baseSalaryMaxValue: maxValue,
+            baseSalaryCurrency: currency,
+            baseSalaryUnitText: unitText,
+        },
+        skills,
+    };
+};
+
+/**
+ * Return the data of a jobPosting saved in its revisions, in the format of the update route
+ *
+ * @param {object} jobPosting - The jobPosting formatted for the API
+ * @returns {object} - the revision data
+ */
+const getJobPostingRevisionData = (jobPosting) => ({
+    ...pick(jobPosting, jobPostingRevisionFields),
+    hiringOrganizationId: jobPosting.hiringOrganization.identifier,
+});
+
+/**
+ * Check that the salary range of a jobPosting is consistent
+ *
+ * @param {object} baseSalary - The salary sent from API
+ * @returns {Error} - an explained error, or null if the salary is valid
+ */
+const getBaseSalaryError = (baseSalary) => {
+    if (
+        baseSalary &&
+        typeof baseSalary.minValue === 'number' &&
+        typeof baseSalary.maxValue === 'number' &&
+        baseSalary.minValue > baseSalary.maxValue
+    ) {
+        return new Error(
+            'The baseSalary minValue must be lower than or equal to its maxValue'
+        );
+    }
+
+    return null;
+};
+
+/**
+ * Return the searched point of the near or nearTown filters
+ *
+ * @param {object} near - a point {lat, lng, radiusKm}
+ * @param {string} nearTown - a French town name, with its postal code when the name is ambiguous, searched within radiusKm
+ * @param {number} radiusKm - the radius around the town
+ * @returns {object} the searched point {latitude, longitude, radiusKm}, null without
+ * geographic filter, or an explained error if the filter is not valid
+ */
+const getNearFilter = ({ near, nearTown, radiusKm }) => {
+    if (nearTown) {
+        const towns = findTowns(parseTownSearch(nearTown));
+        if (!towns.length) {
+            return { error: new Error(`The town ${nearTown} is unknown`) };
+        }
+        if (towns.length > 1) {
+            const townNames = towns
+                .map(({ name, postalCodes }) => `${name} (${postalCodes[0]})`)
+                .join(', ');
+            return {
+                error: new Error(
+                    `The town ${nearTown} is ambiguous, add its postal code: ${townNames}`
+                ),
+            };
+        }
+        const [town] = towns;
+        if (town.latitude === null) {
+            return {
+                error: new Error(
+                    `The coordinates of the town ${nearTown} are unknown`
+                ),
+            };
+        }
+        return {
+            latitude: town.latitude,
+            longitude: town.longitude,
+            radiusKm: Number(radiusKm) || defaultNearRadiusKm,
+        };
+    }
+
+    if (near) {
+        const [latitude, longitude, nearRadiusKm] = [
+            near.lat,
+            near.lng,
+            near.radiusKm,
+        ].map((value) =>
+            value === null || value === undefined || value === ''
+                ? NaN
+                : Number(value)
+        );
+        if ([latitude, longitude, nearRadiusKm].some(Number.isNaN)) {
+            return {
+                error: new Error(
+                    'The near filter must be an object with lat, lng and radiusKm numbers'
+                ),
+            };
+        }
+        return { latitude, longitude, radiusKm: nearRadiusKm };
+    }
+
+    return null;
+};
+
 /**
  * Return paginated and filtered list of jobPosting
  *
  * @param {object} client - The Database client
  * @param {object} filters - JobPosting Filters
- * @param {Array} sort - Sort parameters [columnName, direction]
- * @param {object} pagination - Pagination {perPage: 10, currentPage: 1}
+ * @param {Array} sort - Sort parameters [[columnName, direction], ...]
+ * @param {object} pagination - Pagination {perPage: 10, currentPage: 1}, or {perPage: 10, after: cursor} for the cursor mode
+ * @param {object} user - The authenticated user, or nothing for the public lists
+ * @param {boolean} includeDeleted - true to also list the jobPostings in the trash
  * @returns {Promise} - paginated object with paginated jobPosting list and totalCount
  */
 const getJobPostingPaginatedList = async ({
@@ -189,20 +630,78 @@ const getJobPostingPaginatedList = async ({
     filters,
     sort,
     pagination,
+    user,
+    includeDeleted = false,
 }) => {
+    const sanitizedList = listFiltersSanitizer(
+        filters,
+        jobPostingFilterableFields
+    );
+    if (sanitizedList.error) {
+        return sanitizedList;
+    }
+    const {
+        near,
+        nearTown,
+        radiusKm,
+        ...sanitizedFilters
+    } = sanitizedList.filters;
+    const nearFilter = getNearFilter({ near, nearTown, radiusKm });
+    if (nearFilter && nearFilter.error) {
+        return nearFilter;
+    }
+    // without explicit sort, the results of a full-text search are sorted by relevance,
+    // and the results of a geographic search by distance
+    let defaultSort;
+    if (sanitizedFilters.q) {
+        defaultSort = [['relevance', 'DESC']];
+    } else if (nearFilter) {
+        defaultSort = [['distance', 'ASC']];
+    }
+    const sanitizedSort = sortSanitizer(
+        sort,
+        jobPostingSortableFields,
+        defaultSort
+    );
+    if (sanitizedSort.error) {
+        return sanitizedSort;
+    }
     const query = getFilteredJobPostingsQuery(
         client,
-        filtersSanitizer(filters, jobPostingFilterableFields),
-        sortSanitizer(sort, jobPostingSortableFields)
+        { ...sanitizedFilters, near: nearFilter },
+        sanitizedSort.sort,
+        user,
+        includeDeleted
     );
     const [perPage, currentPage] = paginationSanitizer(pagination);
 
+    // the cursor mode neither counts the jobPostings nor skips them with an offset
+    if (pagination.after !== undefined || pagination.before !== undefined) {
+        const page = await paginateWithCursor({
+            query,
+            sort: sanitizedSort.sort,
+            columns: jobPostingCursorColumns,
+            idColumn: 'job_posting.id',
+            perPage,
+            after: pagination.after,
+            before: pagination.before,
+        });
+
+        return page.error
+            ? page
+            : {
+                  jobPostings: page.data.map(formatJobPostingForAPI),
+                  pagination: page.pagination,
+              };
+    }
+
     return query
         .paginate({ perPage, currentPage, isLengthAware: true })
         .then((result) => ({
             jobPostings: result.data.map(formatJobPostingForAPI),
             pagination: result.pagination,
-        }));
+        }))
+        .catch((error) => ({ error }));
 };
 
 /**
@@ -210,60 +709,108 @@ const getJobPostingPaginatedList = async ({
  *
  * @param {object} client - The Database client
  * @param {string} jobPostingId - jobPosting Id
+ * @param {boolean} includeDeleted - true to also find a jobPosting in the trash
  * @returns {Promise} - Knew query for single jobPosting
  */
-const getJobPostingByIdQuery = (client, jobPostingId) => {
-    return client
-        .first(
-            'job_posting.*',
-            'organization.name as hiringOrganizationName',
-            'organization.postal_code as hiringOrganizationPostalCode',
-            'organization.address_locality as hiringOrganizationAddressLocality',
-            'organization.address_country as hiringOrganizationAddressCountry',
-            'organization.image as hiringOrganizationImage',
-            'organization.url as hiringOrganizationUrl'
-        )
-        .from('job_posting')
-        .join('organization', {
-            'organization.id': 'job_posting.hiring_organization_id',
-        })
-        .where({ 'job_posting.id': jobPostingId });
+const getJobPostingByIdQuery = (
+    client,
+    jobPostingId,
+    includeDeleted = false
+) => {
+    const query = getJobPostingsBaseQuery(client, 'first').where({
+        'job_posting.id': jobPostingId,
+    });
+
+    return includeDeleted ? query : query.whereNull('job_posting.deleted_at');
 };
 
 /**
- * Return a jobPosting
+ * Return a jobPosting, if the user is allowed to see it
  *
  * @param {object} client - The Database client
- * @param {object} organizationId - The jobPosting identifier
+ * @param {object} jobPostingId - The jobPosting identifier
+ * @param {object} user - The authenticated user, or nothing for a public jobPosting
+ * @param {boolean} includeDeleted - true to also find a jobPosting in the trash
  * @returns {Promise} - the jobPosting
  */
-const getJobPosting = async ({ client, jobPostingId }) => {
-    return getJobPostingByIdQuery(client, jobPostingId)
+const getJobPosting = async ({
+    client,
+    jobPostingId,
+    user,
+    includeDeleted = false,
+}) => {
+    return addVisibilityToQuery(
+        client,
+        getJobPostingByIdQuery(client, jobPostingId, true),
+        user,
+        includeDeleted
+    )
         .then(formatJobPostingForAPI)
         .catch((error) => ({ error }));
 };
 
+/**
+ * Return a jobPosting whatever its visibility, even in the trash, to record its state in the audit log
+ *
+ * @param {object} client - The Database client
+ * @param {object} jobPostingId - The jobPosting identifier
+ * @returns {Promise} - the jobPosting, or an empty object if it does not exist
+ */
+const getJobPostingSnapshot = ({ client, jobPostingId }) =>
+    getJobPostingByIdQuery(client, jobPostingId, true).then(
+        formatJobPostingForAPI
+    );
+
 /**
  * Return the created jobPosting
  *
  * @param {object} client - The Database client
+ * @param {object} user - The authenticated user creating the jobPosting
  * @param {object} apiData - The validated data sent from API to create a new jobPosting
  * @returns {Promise} - the created jobPosting
  */
-const createJobPosting = async ({ client, apiData }) => {
+const createJobPosting = async ({ client, user, apiData }) => {
     const organization = await client
         .first('id')
         .from('organization')
-        .where({ id: apiData.hiringOrganizationId });
+        .where({ id: apiData.hiringOrganizationId })
+        .whereNull('deleted_at');
 
     if (!organization) {
         return { error: new Error('this organization does not exist') };
     }
 
-    return client('job_posting')
-        .returning('id')
-        .insert(apiData)
-        .then(([newJobPostingId]) => {
+    if (
+        !(await canManageOrganization({
+            client,
+            user,
+            organizationId: organization.id,
+        }))
+    ) {
+        return { error: getForbiddenOrganizationError() };
+    }
+
+    const baseSalaryError = getBaseSalaryError(apiData.baseSalary);
+    if (baseSalaryError) {
+        return { error: baseSalaryError };
+    }
+
+    const { jobPosting, skills } = prepareJobPostingDataForSave(apiData);
+
+    return client
+        .transaction(async (trx) => {
+            const [newJobPostingId] = await trx('job_posting')
+                .returning('id')
+                .insert(jobPosting);
+            await setJobPostingSkills({
+                client: trx,
+                jobPostingId: newJobPostingId,
+                names: skills,
+            });
+
+            return newJobPostingId;
+        })
+        .then((newJobPostingId) => {
             return getJobPostingByIdQuery(client, newJobPostingId).then(
                 formatJobPostingForAPI
             );
@@ -272,60 +819,286 @@ const createJobPosting = async ({ client, apiData }) => {
 };
 
 /**
- * Delete a jobPosting
+ * Lock a jobPosting until the end of the transaction writing it,
+ * and check that it has not changed since the client read it
+ *
+ * @param {object} client - The transaction of the write
+ * @param {object} jobPostingId - The jobPosting identifier
+ * @param {string} ifMatch - The If-Match header of the request, empty to write the jobPosting whatever its version
+ * @param {boolean} includeDeleted - true to also lock a jobPosting in the trash
+ * @returns {Promise} - the current jobPosting, rejected with a 412 error if it has changed
+ */
+const lockJobPosting = ({
+    client,
+    jobPostingId,
+    ifMatch,
+    includeDeleted = false,
+}) =>
+    getJobPostingByIdQuery(client, jobPostingId, includeDeleted)
+        .forUpdate('job_posting')
+        .then(formatJobPostingForAPI)
+        .then((jobPosting) => {
+            const preconditionError = jobPosting.id
+                ? getPreconditionError(ifMatch, 'jobPosting', jobPosting)
+                : null;
+            if (preconditionError) {
+                throw preconditionError;
+            }
+
+            return jobPosting;
+        });
+
+/**
+ * Delete a jobPosting, by moving it to the trash until it is purged
  *
  * @param {object} client - The Database client
+ * @param {object} user - The authenticated user deleting the jobPosting
  * @param {object} jobPostingId - The jobPosting identifier
+ * @param {string} ifMatch - The If-Match header of the request, to delete the jobPosting only if it has not changed
  * @returns {Promise} - the id of the deleted jobPosting or an empty object if jobPosting is not in db
  */
-const deleteJobPosting = async ({ client, jobPostingId }) => {
-    return client('job_posting')
+const deleteJobPosting = async ({ client, user, jobPostingId, ifMatch }) => {
+    const currentJobPosting = await client
+        .first('id', 'hiringOrganizationId')
+        .from('job_posting')
         .where({ id: jobPostingId })
-        .del()
+        .whereNull('deleted_at')
+        .catch((error) => ({ error }));
+    if (!currentJobPosting || currentJobPosting.error) {
+        return currentJobPosting || {};
+    }
+
+    if (
+        !(await canManageOrganization({
+            client,
+            user,
+            organizationId: currentJobPosting.hiringOrganizationId,
+        }))
+    ) {
+        return { error: getForbiddenOrganizationError() };
+    }
+
+    return client
+        .transaction(async (trx) => {
+            await lockJobPosting({ client: trx, jobPostingId, ifMatch });
+
+            return trx('job_posting')
+                .where({ id: jobPostingId })
+                .whereNull('deleted_at')
+                .update({ deletedAt: new Date() });
+        })
         .then((nbDeletion) => {
             return nbDeletion ? { id: jobPostingId } : {};
         })
         .catch((error) => ({ error }));
 };
 
+/**
+ * Delete several jobPostings in a single transaction, none of them is deleted if one of them fails
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user deleting the jobPostings
+ * @param {Array} jobPostingIds - The jobPostings identifiers
+ * @returns {Promise} - the result of the deletion of each jobPosting
+ */
+const deleteJobPostings = ({ client, user, jobPostingIds }) =>
+    runBulkWrite({
+        client,
+        resource: 'jobPosting',
+        ids: jobPostingIds,
+        write: (trx, jobPostingId) =>
+            deleteJobPosting({ client: trx, user, jobPostingId }),
+    });
+
+/**
+ * Restore a jobPosting from the trash.
+ * The jobPosting of a deleted organization can only be restored with its organization.
+ *
+ * @param {object} client - The Database client
+ * @param {object} jobPostingId - The jobPosting identifier
+ * @returns {Promise} - the restored jobPosting or an empty object if jobPosting is not in the trash
+ */
+const restoreJobPosting = async ({ client, jobPostingId }) => {
+    const deletedJobPosting = await client
+        .first(
+            'job_posting.id',
+            'organization.deleted_at as organizationDeletedAt'
+        )
+        .from('job_posting')
+        .join('organization', {
+            'organization.id': 'job_posting.hiring_organization_id',
+        })
+        .where({ 'job_posting.id': jobPostingId })
+        .whereNotNull('job_posting.deleted_at')
+        .catch((error) => ({ error }));
+    if (!deletedJobPosting || deletedJobPosting.error) {
+        return deletedJobPosting || {};
+    }
+
+    if (deletedJobPosting.organizationDeletedAt) {
+        const error = new Error(
+            'The hiring organization of the jobPosting is deleted, it must be restored first.'
+        );
+        error.status = 409;
+
+        return { error };
+    }
+
+    return client('job_posting')
+        .where({ id: jobPostingId })
+        .update({ deletedAt: null })
+        .then(() => getJobPostingByIdQuery(client, jobPostingId))
+        .then(formatJobPostingForAPI)
+        .catch((error) => ({ error }));
+};
+
+/**
+ * Purge the jobPostings deleted for longer than the retention period,
+ * with those of the organizations purged at the same time.
+ * The CV files of their applications must then be removed from the storage.
+ *
+ * @param {object} client - The Database client
+ * @param {number} retentionDays - The number of days a deleted jobPosting stays in the trash
+ * @returns {Promise} - the ids of the purged jobPostings and the storage keys of their CV files
+ */
+const purgeDeletedJobPostings = ({ client, retentionDays }) =>
+    client.transaction(async (trx) => {
+        const isOutOfTrash = function () {
+            this.whereRaw('job_posting.deleted_at < now() - ?::interval', [
+                `${retentionDays} days`,
+            ]).orWhereIn(
+                'job_posting.hiring_organization_id',
+                trx
+                    .select('id')
+                    .from('organization')
+                    .whereRaw('deleted_at < now() - ?::interval', [
+                        `${retentionDays} days`,
+                    ])
+            );
+        };
+        const jobPostingIds = await trx
+            .select('job_posting.id')
+            .from('job_posting')
+            .where(isOutOfTrash)
+            .then((jobPostings) => jobPostings.map(({ id }) => id));
+        const cvFileKeys = await trx
+            .select('cv_file_key')
+            .from('application')
+            .whereIn('job_posting_id', jobPostingIds)
+            .then((applications) =>
+                applications.map(({ cvFileKey }) => cvFileKey)
+            );
+        await trx('job_posting').whereIn('id', jobPostingIds).del();
+
+        return { jobPostingIds, cvFileKeys };
+    });
+
 /**
  * Update a jobPosting
  *
  * @param {object} client - The Database client
+ * @param {object} user - The authenticated user updating the jobPosting
  * @param {object} jobPostingId - The jobPosting identifier
  * @param {object} apiData - The validated data sent from API to update the jobPosting
+ * @param {number} restoredFrom - The number of the restored revision, if the update is a restoration
+ * @param {string} ifMatch - The If-Match header of the request, to update the jobPosting only if it has not changed
  * @returns {Promise} - the updated JobPosting
  */
-const updateJobPosting = async ({ client, jobPostingId, apiData }) => {
+const updateJobPosting = async ({
+    client,
+    user,
+    jobPostingId,
+    apiData,
+    restoredFrom,
+    ifMatch,
+}) => {
     // check that jobPosting exist
     const currentJobPosting = await client
         .first('id', 'hiringOrganizationId')
         .from('job_posting')
-        .where({ id: jobPostingId });
+        .where({ id: jobPostingId })
+        .whereNull('deleted_at');
     if (!currentJobPosting) {
         return {};
     }
 
+    // check that the user manage the current hiring organization
+    if (
+        !(await canManageOrganization({
+            client,
+            user,
+            organizationId: currentJobPosting.hiringOrganizationId,
+        }))
+    ) {
+        return { error: getForbiddenOrganizationError() };
+    }
+
     // check that if the hiringOrganizationId has change, the new organization exist
+    // and is also managed by the user
     if (
         currentJobPosting.hiringOrganizationId !== apiData.hiringOrganizationId
     ) {
         const organization = await client
             .first('id')
             .from('organization')
-            .where({ id: apiData.hiringOrganizationId });
+            .where({ id: apiData.hiringOrganizationId })
+            .whereNull('deleted_at');
 
         if (!organization) {
             return {
                 error: new Error('the new hiring organization does not exist'),
             };
         }
+
+        if (
+            !(await canManageOrganization({
+                client,
+                user,
+                organizationId: organization.id,
+            }))
+        ) {
+            return { error: getForbiddenOrganizationError() };
+        }
     }
 
-    // update the jobPosting
-    const updatedJobPosting = await client('job_posting')
-        .where({ id: jobPostingId })
-        .update(apiData)
+    const baseSalaryError = getBaseSalaryError(apiData.baseSalary);
+    if (baseSalaryError) {
+        return { error: baseSalaryError };
+    }
+
+    // update the jobPosting and its skills, and record its new version
+    const { jobPosting, skills } = prepareJobPostingDataForSave(apiData);
+    const updatedJobPosting = await client
+        .transaction(async (trx) => {
+            const previousJobPosting = await lockJobPosting({
+                client: trx,
+                jobPostingId,
+                ifMatch,
+            });
+            await trx('job_posting')
+                .where({ id: jobPostingId })
+                .update(jobPosting);
+            await setJobPostingSkills({
+                client: trx,
+                jobPostingId,
+                names: skills,
+            });
+            const nextJobPosting = await getJobPostingByIdQuery(
+                trx,
+                jobPostingId
+            ).then(formatJobPostingForAPI);
+            await createRevision({
+                client: trx,
+                user,
+                resource: 'jobPosting',
+                resourceId: jobPostingId,
+                before: getJobPostingRevisionData(previousJobPosting),
+                after: getJobPostingRevisionData(nextJobPosting),
+                restoredFrom,
+            });
+
+            return { id: jobPostingId };
+        })
         .catch((error) => ({ error }));
     if (updatedJobPosting.error) {
         return updatedJobPosting;
@@ -337,11 +1110,542 @@ const updateJobPosting = async ({ client, jobPostingId, apiData }) => {
         .catch((error) => ({ error }));
 };
 
+/**
+ * Update the fields of a jobPosting sent in a JSON Merge Patch, the other fields are kept
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user updating the jobPosting
+ * @param {object} jobPostingId - The jobPosting identifier
+ * @param {object} patch - The validated merge patch sent from API
+ * @param {string} ifMatch - The If-Match header of the request, to update the jobPosting only if it has not changed
+ * @returns {Promise} - the updated jobPosting or an empty object if jobPosting is not in db
+ */
+const patchJobPosting = ({ client, user, jobPostingId, patch, ifMatch }) =>
+    client
+        .transaction(async (trx) => {
+            // the patch is merged onto the locked jobPosting,
+            // so that a concurrent update of other fields is not overwritten
+            const jobPosting = await lockJobPosting({
+                client: trx,
+                jobPostingId,
+            });
+            if (!jobPosting.id) {
+                return {};
+            }
+
+            // the user must manage the jobPosting before its version is checked,
+            // not to tell them the version of a jobPosting they cannot see
+            if (
+                !(await canManageOrganization({
+                    client: trx,
+                    user,
+                    organizationId: jobPosting.hiringOrganization.identifier,
+                }))
+            ) {
+                throw getForbiddenOrganizationError();
+            }
+            const preconditionError = getPreconditionError(
+                ifMatch,
+                'jobPosting',
+                jobPosting
+            );
+            if (preconditionError) {
+                throw preconditionError;
+            }
+
+            return updateJobPosting({
+                client: trx,
+                user,
+                jobPostingId,
+                apiData: mergePatchResource(
+                    getJobPostingRevisionData(jobPosting),
+                    patch
+                ),
+                ifMatch,
+            });
+        })
+        .catch((error) => ({ error }));
+
+/**
+ * Update several jobPostings with the same merge patch in a single transaction,
+ * none of them is updated if one of them fails
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user updating the jobPostings
+ * @param {Array} jobPostingIds - The jobPostings identifiers
+ * @param {object} apiData - The validated merge patch sent from API to update the jobPostings
+ * @returns {Promise} - the result of the update of each jobPosting
+ */
+const updateJobPostings = ({ client, user, jobPostingIds, apiData }) =>
+    runBulkWrite({
+        client,
+        resource: 'jobPosting',
+        ids: jobPostingIds,
+        write: (trx, jobPostingId) =>
+            patchJobPosting({
+                client: trx,
+                user,
+                jobPostingId,
+                patch: apiData,
+            }),
+    });
+
+/**
+ * Change the status of a jobPosting, and keep track of the transition
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user, or null for the command line tools
+ * @param {object} jobPostingId - The jobPosting identifier
+ * @param {string} status - The new status of the jobPosting
+ * @param {string} reason - The reason of the transition, optional
+ * @returns {Promise} - the updated jobPosting or an empty object if jobPosting is not in db
+ */
+const transitionJobPosting = async ({
+    client,
+    user,
+    jobPostingId,
+    status,
+    reason,
+}) => {
+    const currentJobPosting = await getJobPostingByIdQuery(client, jobPostingId)
+        .then(formatJobPostingForAPI)
+        .catch((error) => ({ error }));
+    if (!currentJobPosting.id) {
+        return currentJobPosting;
+    }
+
+    if (
+        user &&
+        !(await canManageOrganization({
+            client,
+            user,
+            organizationId: currentJobPosting.hiringOrganization.identifier,
+        }))
+    ) {
+        return { error: getForbiddenOrganizationError() };
+    }
+
+    const transitionError = getJobPostingTransitionError({
+        jobPosting: currentJobPosting,
+        status,
+        user,
+    });
+    if (transitionError) {
+        return { error: transitionError };
+    }
+
+    const transition = await client
+        .transaction(async (trx) => {
+            const now = new Date();
+            // the status condition protects from a concurrent transition
+            const nbUpdates = await trx('job_posting')
+                .where({ id: jobPostingId, status: currentJobPosting.status })
+                .update({
+                    status,
+                    statusUpdatedAt: now,
+                    ...(status === 'published' ? { publishedAt: now } : {}),
+                });
+            if (!nbUpdates) {
+                const error = new Error(
+                    'The status of the jobPosting has changed in the meantime.'
+                );
+                error.status = 409;
+                throw error;
+            }
+
+            await trx('job_posting_transition').insert({
+                jobPostingId,
+                fromStatus: currentJobPosting.status,
+                toStatus: status,
+                userId: user ? user.id : null,
+                reason: reason || null,
+                createdAt: now,
+            });
+
+            return { id: jobPostingId };
+        })
+        .catch((error) => ({ error }));
+    if (transition.error) {
+        return transition;
+    }
+
+    return getJobPostingByIdQuery(client, jobPostingId)
+        .then(formatJobPostingForAPI)
+        .catch((error) => ({ error }));
+};
+
+/**
+ * Change the status of several jobPostings in a single transaction,
+ * none of them is changed if one of them fails
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user changing the status of the jobPostings
+ * @param {Array} jobPostingIds - The jobPostings identifiers
+ * @param {string} status - The new status of the jobPostings
+ * @param {string} reason - The reason of the transitions, optional
+ * @returns {Promise} - the result of the transition of each jobPosting
+ */
+const transitionJobPostings = ({
+    client,
+    user,
+    jobPostingIds,
+    status,
+    reason,
+}) =>
+    runBulkWrite({
+        client,
+        resource: 'jobPosting',
+        ids: jobPostingIds,
+        write: (trx, jobPostingId) =>
+            transitionJobPosting({
+                client: trx,
+                user,
+                jobPostingId,
+                status,
+                reason,
+            }),
+    });
+
+// the maximum age of a published jobPosting counts from its last publication or renewal
+const lastPublicationDateExpression =
+    'greatest(job_posting.published_at, job_posting.renewed_at)';
+
+// the expiration date of a published jobPosting, its validThrough date or the end of its maximum age
+const expirationDateExpression = `least(job_posting.valid_through, (${lastPublicationDateExpression} + ?::interval)::date)`;
+
+/**
+ * Return the published jobPostings whose validThrough date is over, or older than the maximum age
+ *
+ * @param {object} client - The Database client
+ * @param {number} maxAge - The maximum age of a jobPosting, in days
+ * @returns {Promise} - the id, title and outdated flag of the jobPostings to expire
+ */
+const getJobPostingsToExpire = ({ client, maxAge }) =>
+    client
+        .select(
+            'job_posting.id',
+            'job_posting.title',
+            client.raw(
+                'coalesce(job_posting.valid_through < current_date, false) as outdated'
+            )
+        )
+        .from('job_posting')
+        .where('job_posting.status', 'published')
+        .whereNull('job_posting.deleted_at')
+        .andWhere(function () {
+            this.where(
+                'job_posting.valid_through',
+                '<',
+                client.raw('current_date')
+            ).orWhereRaw(
+                `${lastPublicationDateExpression} < now() - ?::interval`,
+                [`${maxAge} days`]
+            );
+        })
+        .orderBy('job_posting.published_at');
+
+/**
+ * Return the published jobPostings expiring soon, whose contacts have not been warned yet
+ *
+ * @param {object} client - The Database client
+ * @param {number} maxAge - The maximum age of a jobPosting, in days
+ * @param {number} warningDelay - The number of days before the expiration to warn the contacts
+ * @returns {Promise} - the id, title and expiration date of the jobPostings
+ */
+const getJobPostingsToWarnBeforeExpiration = ({
+    client,
+    maxAge,
+    warningDelay,
+}) =>
+    client
+        .select(
+            'job_posting.id',
+            'job_posting.title',
+            client.raw(`${expirationDateExpression} as expires_on`, [
+                `${maxAge} days`,
+            ])
+        )
+        .from('job_posting')
+        .where('job_posting.status', 'published')
+        .whereNull('job_posting.deleted_at')
+        .whereNull('job_posting.expiration_warned_at')
+        .whereRaw(`${expirationDateExpression} <= current_date + ?::integer`, [
+            `${maxAge} days`,
+            warningDelay,
+        ])
+        .orderBy('expires_on')
+        .then((jobPostings) =>
+            jobPostings.map((jobPosting) => ({
+                ...jobPosting,
+                expiresOn: jobPosting.expiresOn.toISOString().substring(0, 10),
+            }))
+        );
+
+/**
+ * Mark the contacts of a jobPosting as warned of its expiration
+ *
+ * @param {object} client - The Database client
+ * @param {string} jobPostingId - The jobPosting identifier
+ * @param {Date} warnedAt - The date of the warning
+ * @returns {Promise} - the number of updated jobPostings
+ */
+const markJobPostingAsWarned = ({ client, jobPostingId, warnedAt }) =>
+    client('job_posting')
+        .where({ id: jobPostingId })
+        .update({ expirationWarnedAt: warnedAt });
+
+/**
+ * Renew a published or expired jobPosting, from the link sent before its expiration.
+ * The maximum age counts again from the renewal, and an expired jobPosting is published again,
+ * in the same transaction as its renewal.
+ * A link is used once: the jobPosting must not have been renewed since the link was sent.
+ *
+ * @param {object} client - The Database client
+ * @param {string} jobPostingId - The jobPosting identifier
+ * @param {Date} issuedAt - The date the renewal link was created, to the second
+ * @param {number} maxAge - The maximum age of a jobPosting, in days
+ * @returns {Promise} - the renewed jobPosting, or an empty object if it does not exist
+ */
+const renewJobPosting = ({ client, jobPostingId, issuedAt, maxAge }) =>
+    client
+        .transaction(async (trx) => {
+            const currentJobPosting = await lockJobPosting({
+                client: trx,
+                jobPostingId,
+            });
+            if (!currentJobPosting.id) {
+                return currentJobPosting;
+            }
+
+            if (!['published', 'expired'].includes(currentJobPosting.status)) {
+                const error = new Error(
+                    'Only a published or expired jobPosting can be renewed.'
+                );
+                error.status = 409;
+                throw error;
+            }
+
+            const now = new Date();
+            // the issue date of the link has no milliseconds: the renewal date is compared
+            // to the second, to accept a link sent in the second of a previous renewal
+            const nbUpdates = await trx('job_posting')
+                .where({ id: jobPostingId })
+                .andWhere((query) =>
+                    query
+                        .whereNull('renewed_at')
+                        .orWhereRaw("date_trunc('second', renewed_at) <= ?", [
+                            issuedAt,
+                        ])
+                )
+                .update({
+                    renewedAt: now,
+                    expirationWarnedAt: null,
+                    validThrough: getRenewedValidThrough(
+                        currentJobPosting,
+                        maxAge,
+                        now
+                    ),
+                });
+            if (!nbUpdates) {
+                const error = new Error(
+                    'The renewal link has already been used.'
+                );
+                error.status = 409;
+                throw error;
+            }
+
+            if (currentJobPosting.status === 'expired') {
+                // the renewal is made from an e-mail link, without user
+                const transition = await transitionJobPosting({
+                    client: trx,
+                    user: null,
+                    jobPostingId,
+                    status: 'published',
+                    reason: "Renouvellement par l'entreprise",
+                });
+                if (transition.error) {
+                    throw transition.error;
+                }
+
+                return transition;
+            }
+
+            return getJobPostingByIdQuery(trx, jobPostingId).then(
+                formatJobPostingForAPI
+            );
+        })
+        .catch((error) => ({ error }));
+
+/**
+ * Transforms a db queried transition into a transition object for API.
+ *
+ * @param {object} dbTransition - transition data from database
+ * @returns {object} a transition object as describe in OpenAPI contract
+ */
+const formatJobPostingTransitionForAPI = (dbTransition) => ({
+    ...dbTransition,
+    createdAt: dbTransition.createdAt.toISOString(),
+});
+
+/**
+ * Return a jobPosting if the user manages its hiring organization
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user
+ * @param {object} jobPostingId - The jobPosting identifier
+ * @returns {Promise} - the jobPosting id and hiringOrganizationId, an empty object if it does not exist or an error
+ */
+const getManagedJobPosting = async ({ client, user, jobPostingId }) => {
+    const currentJobPosting = await client
+        .first('id', 'hiringOrganizationId')
+        .from('job_posting')
+        .where({ id: jobPostingId })
+        .whereNull('deleted_at')
+        .catch((error) => ({ error }));
+    if (!currentJobPosting || currentJobPosting.error) {
+        return currentJobPosting || {};
+    }
+
+    if (
+        !(await canManageOrganization({
+            client,
+            user,
+            organizationId: currentJobPosting.hiringOrganizationId,
+        }))
+    ) {
+        return { error: getForbiddenOrganizationError() };
+    }
+
+    return currentJobPosting;
+};
+
+/**
+ * Return the status transitions of a jobPosting, the oldest first
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user
+ * @param {object} jobPostingId - The jobPosting identifier
+ * @returns {Promise} - the transitions or an empty object if jobPosting is not in db
+ */
+const getJobPostingTransitions = async ({ client, user, jobPostingId }) => {
+    const managedJobPosting = await getManagedJobPosting({
+        client,
+        user,
+        jobPostingId,
+    });
+    if (!managedJobPosting.id) {
+        return managedJobPosting;
+    }
+
+    return client
+        .select(
+            'job_posting_transition.id',
+            'job_posting_transition.from_status',
+            'job_posting_transition.to_status',
+            'job_posting_transition.reason',
+            'job_posting_transition.user_id',
+            'user.username',
+            'job_posting_transition.created_at'
+        )
+        .from('job_posting_transition')
+        .leftJoin('user', { 'user.id': 'job_posting_transition.user_id' })
+        .where({ 'job_posting_transition.job_posting_id': jobPostingId })
+        .orderBy('job_posting_transition.created_at', 'ASC')
+        .then((dbTransitions) => ({
+            id: jobPostingId,
+            transitions: dbTransitions.map(formatJobPostingTransitionForAPI),
+        }))
+        .catch((error) => ({ error }));
+};
+
+/**
+ * Return the revisions of a jobPosting, the most recent first
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user
+ * @param {object} jobPostingId - The jobPosting identifier
+ * @returns {Promise} - the jobPosting id and its revisions, an empty object if it does not exist or an error
+ */
+const getJobPostingRevisions = async ({ client, user, jobPostingId }) => {
+    const managedJobPosting = await getManagedJobPosting({
+        client,
+        user,
+        jobPostingId,
+    });
+    if (!managedJobPosting.id) {
+        return managedJobPosting;
+    }
+
+    return getRevisions({
+        client,
+        resource: 'jobPosting',
+        resourceId: jobPostingId,
+    })
+        .then((revisions) => ({ id: jobPostingId, revisions }))
+        .catch((error) => ({ error }));
+};
+
+/**
+ * Restore a revision of a jobPosting, as a new update of the jobPosting
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user
+ * @param {object} jobPostingId - The jobPosting identifier
+ * @param {number} number - The number of the restored revision
+ * @returns {Promise} - the restored jobPosting, an empty object if the revision does not exist or an error
+ */
+const restoreJobPostingRevision = async ({
+    client,
+    user,
+    jobPostingId,
+    number,
+}) => {
+    const revision = await getRevision({
+        client,
+        resource: 'jobPosting',
+        resourceId: jobPostingId,
+        number,
+    }).catch((error) => ({ error }));
+    if (!revision || revision.error) {
+        return revision || {};
+    }
+
+    return updateJobPosting({
+        client,
+        user,
+        jobPostingId,
+        apiData: revision.data,
+        restoredFrom: number,
+    });
+};
+
 module.exports = {
     createJobPosting,
     deleteJobPosting,
+    deleteJobPostings,
     formatJobPostingForAPI,
+    formatJobPostingTransitionForAPI,
+    getBaseSalaryError,
+    getNearFilter,
     getJobPosting,
     getJobPostingPaginatedList,
+    getJobPostingRevisionData,
+    getJobPostingRevisions,
+    getJobPostingSnapshot,
+    getJobPostingsToExpire,
+    getJobPostingsToWarnBeforeExpiration,
+    getJobPostingTransitions,
+    jobPostingFilterableFields,
+    lockJobPosting,
+    markJobPostingAsWarned,
+    patchJobPosting,
+    prepareJobPostingDataForSave,
+    purgeDeletedJobPostings,
+    renewJobPosting,
+    restoreJobPosting,
+    restoreJobPostingRevision,
+    transitionJobPosting,
+    transitionJobPostings,
     updateJobPosting,
+    updateJobPostings,
 };
@@ -1,4 +1,10 @@
-const { formatJobPostingForAPI } = require('./repository');
+const {
+    formatJobPostingForAPI,
+    getBaseSalaryError,
+    getJobPostingRevisionData,
+    getNearFilter,
+    prepareJobPostingDataForSave,
+} = require('./repository');
 
 describe('jobPosting repository', () => {
     describe('formatJobPostingForAPI', () => {
@@ -16,8 +22,13 @@ describe('jobPosting repository', () => {
                 employmentType: 'CDI',
                 experienceRequirements: 'experiences',
                 jobStartDate: new Date('2020-05-02'),
-                skills: 'Machine learning, Python, Spark, SQL',
+                skills: ['Machine learning', 'Python', 'Spark', 'SQL'],
                 validThrough: null,
+                baseSalaryMinValue: '45000.00',
+                baseSalaryMaxValue: null,
+                baseSalaryCurrency: 'EUR',
+                baseSalaryUnitText: 'YEAR',
+                jobLocationType: 'HYBRID',
                 hiringOrganizationId: 'ac3ab955-041e-4007-869d-21c5967e55cb',
                 hiringOrganizationName: 'Qwarry',
                 hiringOrganizationImage:
@@ -36,8 +47,15 @@ describe('jobPosting repository', () => {
                 employmentType: 'CDI',
                 experienceRequirements: 'experiences',
                 jobStartDate: '2020-05-02',
-                skills: 'Machine learning, Python, Spark, SQL',
+                skills: ['Machine learning', 'Python', 'Spark', 'SQL'],
                 validThrough: null,
+                baseSalary: {
+                    currency: 'EUR',
+                    minValue: 45000,
+                    maxValue: null,
+                    unitText: 'YEAR',
+                },
+                jobLocationType: 'HYBRID',
                 hiringOrganization: {
                     identifier: 'ac3ab955-041e-4007-869d-21c5967e55cb',
                     name: 'Qwarry',
@@ -52,5 +70,248 @@ describe('jobPosting repository', () => {
                 },
             });
         });
+        it('should return the highlighted snippets of a full-text search result without the search columns', () => {
+            const dbJobPosting = {
+                id: '095e0d16-705d-4934-aa34-8f973eab0bdd',
+                title: 'Data Science Lead',
+                datePosted: new Date('2019-12-01'),
+                jobStartDate: null,
+                validThrough: null,
+                skills: ['Machine learning', 'Python', 'Spark', 'SQL'],
+                hiringOrganizationId: 'ac3ab955-041e-4007-869d-21c5967e55cb',
+                hiringOrganizationName: 'Qwarry',
+                searchVector: "'data':1A 'lead':3A",
+                searchRank: 0.6,
+                highlightTitle: 'Data Science Lead',
+                highlightSkills:
+                    'Machine learning, <mark>Python</mark>, Spark, SQL',
+                highlightEmployerOverview: 'overview',
+                highlightExperienceRequirements: 'du <mark>Python</mark>',
+            };
+            const jobPosting = formatJobPostingForAPI(dbJobPosting);
+            expect(jobPosting.highlight).toEqual({
+                title: 'Data Science Lead',
+                skills: 'Machine learning, <mark>Python</mark>, Spark, SQL',
+                employerOverview: 'overview',
+                experienceRequirements: 'du <mark>Python</mark>',
+            });
+            expect(jobPosting).not.toHaveProperty('searchVector');
+            expect(jobPosting).not.toHaveProperty('searchRank');
+            expect(jobPosting).not.toHaveProperty('highlightTitle');
+        });
+
+        it('should not return highlighted snippets outside of a full-text search', () => {
+            const jobPosting = formatJobPostingForAPI({
+                id: '095e0d16-705d-4934-aa34-8f973eab0bdd',
+                datePosted: new Date('2019-12-01'),
+                jobStartDate: null,
+                validThrough: null,
+                searchVector: "'data':1A 'lead':3A",
+            });
+            expect(jobPosting).not.toHaveProperty('highlight');
+            expect(jobPosting).not.toHaveProperty('searchVector');
+        });
+        it('should return a null baseSalary if no amount is defined', () => {
+            const jobPosting = formatJobPostingForAPI({
+                id: '095e0d16-705d-4934-aa34-8f973eab0bdd',
+                datePosted: new Date('2019-12-01'),
+                jobStartDate: null,
+                validThrough: null,
+                baseSalaryMinValue: null,
+                baseSalaryMaxValue: null,
+                baseSalaryCurrency: 'EUR',
+                baseSalaryUnitText: 'YEAR',
+            });
+            expect(jobPosting.baseSalary).toBeNull();
+            expect(jobPosting).not.toHaveProperty('baseSalaryCurrency');
+        });
+
+        it('should return the status with the dates of its last change and publication', () => {
+            const jobPosting = formatJobPostingForAPI({
+                id: '095e0d16-705d-4934-aa34-8f973eab0bdd',
+                datePosted: new Date('2019-12-01'),
+                jobStartDate: null,
+                validThrough: null,
+                status: 'pending',
+                statusUpdatedAt: new Date('2020-04-28T08:15:03.000Z'),
+                publishedAt: null,
+            });
+            expect(jobPosting.status).toEqual('pending');
+            expect(jobPosting.statusUpdatedAt).toEqual(
+                '2020-04-28T08:15:03.000Z'
+            );
+            expect(jobPosting.publishedAt).toBeNull();
+        });
+
+        it('should return the deletion date of a jobPosting in the trash', () => {
+            const jobPosting = formatJobPostingForAPI({
+                id: '095e0d16-705d-4934-aa34-8f973eab0bdd',
+                datePosted: new Date('2019-12-01'),
+                jobStartDate: null,
+                validThrough: null,
+                deletedAt: new Date('2020-05-03T07:45:12.000Z'),
+            });
+            expect(jobPosting.deletedAt).toEqual('2020-05-03T07:45:12.000Z');
+        });
+    });
+
+    describe('prepareJobPostingDataForSave', () => {
+        it('should flatten the baseSalary into its columns and separate the skills', () => {
+            expect(
+                prepareJobPostingDataForSave({
+                    title: 'Data Science Lead',
+                    skills: ['Python'],
+                    baseSalary: {
+                        currency: 'USD',
+                        minValue: 50,
+                        maxValue: 60,
+                        unitText: 'HOUR',
+                    },
+                })
+            ).toEqual({
+                jobPosting: {
+                    title: 'Data Science Lead',
+                    baseSalaryMinValue: 50,
+                    baseSalaryMaxValue: 60,
+                    baseSalaryCurrency: 'USD',
+                    baseSalaryUnitText: 'HOUR',
+                },
+                skills: ['Python'],
+            });
+        });
+
+        it('should reset the baseSalary columns if no baseSalary is sent', () => {
+            expect(
+                prepareJobPostingDataForSave({ title: 'Data Science Lead' })
+                    .jobPosting
+            ).toEqual({
+                title: 'Data Science Lead',
+                baseSalaryMinValue: null,
+                baseSalaryMaxValue: null,
+                baseSalaryCurrency: 'EUR',
+                baseSalaryUnitText: 'YEAR',
+            });
+        });
+
+        it('should ignore the status, only changed by the lifecycle transitions', () => {
+            expect(
+                prepareJobPostingDataForSave({
+                    title: 'Data Science Lead',
+                    status: 'published',
+                    statusUpdatedAt: '2020-04-28T08:15:03.000Z',
+                    publishedAt: '2020-04-28T08:15:03.000Z',
+                }).jobPosting
+            ).toEqual({
+                title: 'Data Science Lead',
+                baseSalaryMinValue: null,
+                baseSalaryMaxValue: null,
+                baseSalaryCurrency: 'EUR',
+                baseSalaryUnitText: 'YEAR',
+            });
+        });
+    });
+
+    describe('getBaseSalaryError', () => {
+        it('should accept a missing or partial baseSalary', () => {
+            expect(getBaseSalaryError(null)).toBeNull();
+            expect(getBaseSalaryError({ minValue: 30000 })).toBeNull();
+            expect(
+                getBaseSalaryError({ minValue: 30000, maxValue: 30000 })
+            ).toBeNull();
+        });
+
+        it('should return an error if the minValue is greater than the maxValue', () => {
+            expect(
+                getBaseSalaryError({ minValue: 34000, maxValue: 30000 })
+            ).toBeInstanceOf(Error);
+        });
+    });
+    describe('getNearFilter', () => {
+        it('should return null without geographic filter', () => {
+            expect(getNearFilter({})).toBeNull();
+        });
+
+        it('should return the coordinates of the nearTown filter, with a default radius', () => {
+            expect(getNearFilter({ nearTown: 'Caen' })).toEqual({
+                latitude: 49.18585,
+                longitude: -0.35912,
+                radiusKm: 30,
+            });
+            expect(
+                getNearFilter({ nearTown: 'Caen', radiusKm: '10' }).radiusKm
+            ).toEqual(10);
+        });
+
+        it('should return an error for an unknown town', () => {
+            expect(
+                getNearFilter({ nearTown: 'Ville Imaginaire' }).error.message
+            ).toEqual('The town Ville Imaginaire is unknown');
+        });
+
+        it('should return an error for an ambiguous town without postal code', () => {
+            expect(
+                getNearFilter({ nearTown: 'Saint-Aubin-sur-Mer' }).error.message
+            ).toEqual(
+                'The town Saint-Aubin-sur-Mer is ambiguous, add its postal code: Saint-Aubin-sur-Mer (14750), Saint-Aubin-sur-Mer (76740)'
+            );
+            expect(
+                getNearFilter({ nearTown: 'Saint-Aubin-sur-Mer (14750)' })
+            ).toEqual({
+                latitude: 49.32787,
+                longitude: -0.38696,
+                radiusKm: 30,
+            });
+        });
+
+        it('should return the point of the near filter', () => {
+            expect(
+                getNearFilter({ near: { lat: 49.2, lng: '-0.3', radiusKm: 5 } })
+            ).toEqual({ latitude: 49.2, longitude: -0.3, radiusKm: 5 });
+        });
+
+        it('should return an error if the near filter is not complete', () => {
+            expect(
+                getNearFilter({ near: { lat: 49.2, radiusKm: 5 } }).error
+            ).toBeInstanceOf(Error);
+        });
+    });
+
+    describe('getJobPostingRevisionData', () => {
+        it('should return the updatable fields of the jobPosting, in the format of the update route', () => {
+            expect(
+                getJobPostingRevisionData({
+                    identifier: 'job-posting-id',
+                    title: 'Developpeur Python',
+                    url: 'https://www.example.com/jobs/python',
+                    datePosted: '2020-05-02',
+                    employerOverview: null,
+                    employmentType: 'FULL_TIME',
+                    experienceRequirements: null,
+                    jobStartDate: null,
+                    skills: ['Python'],
+                    baseSalary: null,
+                    jobLocationType: 'ONSITE',
+                    validThrough: '2020-07-31',
+                    status: 'published',
+                    hiringOrganization: {
+                        identifier: 'organization-id',
+                        name: 'Flexcity',
+                    },
+                })
+            ).toEqual({
+                title: 'Developpeur Python',
+                url: 'https://www.example.com/jobs/python',
+                datePosted: '2020-05-02',
+                employerOverview: null,
+                employmentType: 'FULL_TIME',
+                experienceRequirements: null,
+                jobStartDate: null,
+                skills: ['Python'],
+                baseSalary: null,
+                jobLocationType: 'ONSITE',
+                validThrough: '2020-07-31',
+                hiringOrganizationId: 'organization-id',
+            });
+        });
     });
 });
@@ -3,62 +3,358 @@ const Router = require('koa-router');
 const {
     createJobPosting,
     deleteJobPosting,
+    deleteJobPostings,
     getJobPosting,
     getJobPostingPaginatedList,
+    getJobPostingRevisions,
+    getJobPostingSnapshot,
+    getJobPostingTransitions,
+    lockJobPosting,
+    patchJobPosting,
+    renewJobPosting,
+    restoreJobPosting,
+    restoreJobPostingRevision,
+    transitionJobPosting,
+    transitionJobPostings,
     updateJobPosting,
+    updateJobPostings,
 } = require('./repository');
 const {
-    parseJsonQueryParameter,
+    defaultFeedSize,
+    feedContentTypes,
+    getJobPostingFeed,
+} = require('./feed');
+const { formatJobPostingForJsonLd } = require('./json-ld');
+const { isJobPostingRejection } = require('./lifecycle');
+const { notifyJobPostingRejected } = require('./notification');
+const { getRenewalFromToken } = require('./renewal');
+const { auditBulkWrite, auditWrite } = require('../audit-log/middleware');
+const { getOrganization } = require('../organization/repository');
+const { jsonLdContentType } = require('../organization/json-ld');
+const config = require('../config');
+const {
+    idsSanitizer,
+    includeDeletedSanitizer,
+    parseListFilters,
+    parseSortParameter,
     formatPaginationToLinkHeader,
 } = require('../toolbox/sanitizers');
+const { setBodyWithETag } = require('../toolbox/etag');
+const { authorize } = require('../toolbox/middleware/authentication');
+const { roles } = require('../toolbox/authentication');
 
 const router = new Router({
     prefix: '/api/job-postings',
 });
 
+const canWriteJobPostings = authorize([roles.ADMIN, roles.RECRUITER]);
+const canRestoreJobPostings = authorize([roles.ADMIN]);
+
+/**
+ * Return the middleware recording the audit logs of a jobPosting write
+ *
+ * @param {string} action - create, update or delete
+ * @param {Function} getResourceId - returns the jobPosting identifier from the koa context
+ * @returns {Function} the koa middleware
+ */
+const auditJobPosting = (
+    action,
+    getResourceId = (ctx) => ctx.params.jobPostingId
+) =>
+    auditWrite({
+        action,
+        resource: 'jobPosting',
+        getResourceId,
+        getRecord: (client, jobPostingId) =>
+            getJobPostingSnapshot({ client, jobPostingId }),
+        lockRecord: (client, jobPostingId) =>
+            lockJobPosting({ client, jobPostingId, includeDeleted: true }),
+    });
+
+/**
+ * Return the middleware recording the audit logs of a bulk write of jobPostings
+ *
+ * @param {string} action - update or delete
+ * @param {Function} getResourceIds - returns the jobPostings identifiers from the koa context
+ * @returns {Function} the koa middleware
+ */
+const auditJobPostings = (action, getResourceIds) =>
+    auditBulkWrite({
+        action,
+        resource: 'jobPosting',
+        getResourceIds,
+        getRecord: (client, jobPostingId) =>
+            getJobPostingSnapshot({ client, jobPostingId }),
+        lockRecord: (client, jobPostingId) =>
+            lockJobPosting({ client, jobPostingId, includeDeleted: true }),
+    });
+
+/**
+ * Send the filtered jobPostings as a RSS or Atom feed, the most recent first by default.
+ * The feeds are public, they only contain the published jobPostings.
+ *
+ * @param {object} ctx - the koa context
+ * @param {string} format - the feed format, rss or atom
+ */
+const sendJobPostingFeed = async (ctx, format) => {
+    const jobPostingList = await getJobPostingPaginatedList({
+        client: ctx.db,
+        filters: parseListFilters(ctx.query),
+        sort: parseSortParameter(ctx.query.sort) || ['datePosted', 'DESC'],
+        pagination: {
+            currentPage: ctx.query.currentPage,
+            perPage: ctx.query.perPage || defaultFeedSize,
+            after: ctx.query.after,
+            before: ctx.query.before,
+        },
+    });
+
+    if (jobPostingList.error) {
+        const explainedError = new Error(jobPostingList.error.message);
+        explainedError.status = 400;
+
+        throw explainedError;
+    }
+
+    const linkHeaderValue = formatPaginationToLinkHeader({
+        resourceURI: `${ctx.origin}${ctx.path}`,
+        pagination: jobPostingList.pagination,
+        query: ctx.query,
+    });
+    if (linkHeaderValue) {
+        ctx.set('Link', linkHeaderValue);
+    }
+    ctx.type = feedContentTypes[format];
+    ctx.body = getJobPostingFeed({
+        jobPostings: jobPostingList.jobPostings,
+        format,
+        selfUrl: `${ctx.origin}${ctx.originalUrl}`,
+    });
+};
+
 router.get('/', async (ctx) => {
-    const { jobPostings, pagination } = await getJobPostingPaginatedList({
+    const acceptedType = ctx.accepts(
+        'application/json',
+        feedContentTypes.rss,
+        feedContentTypes.atom
+    );
+    if (acceptedType === feedContentTypes.rss) {
+        return sendJobPostingFeed(ctx, 'rss');
+    }
+    if (acceptedType === feedContentTypes.atom) {
+        return sendJobPostingFeed(ctx, 'atom');
+    }
+
+    const jobPostingList = await getJobPostingPaginatedList({
         client: ctx.db,
-        filters: parseJsonQueryParameter(ctx.query.filters),
-        sort: parseJsonQueryParameter(ctx.query.sort),
+        filters: parseListFilters(ctx.query),
+        sort: parseSortParameter(ctx.query.sort),
         pagination: {
             currentPage: ctx.query.currentPage,
             perPage: ctx.query.perPage,
+            after: ctx.query.after,
+            before: ctx.query.before,
         },
+        user: ctx.user,
+        includeDeleted: includeDeletedSanitizer(
+            ctx.query.includeDeleted,
+            ctx.user
+        ),
     });
 
+    if (jobPostingList.error) {
+        const explainedError = new Error(jobPostingList.error.message);
+        explainedError.status = 400;
+
+        throw explainedError;
+    }
+
+    const { jobPostings, pagination } = jobPostingList;
     const linkHeaderValue = formatPaginationToLinkHeader({
-        resourceURI: '/api/job-postings',
+        resourceURI: `${ctx.origin}/api/job-postings`,
         pagination,
+        query: ctx.query,
     });
 
-    ctx.set('X-Total-Count', pagination.total);
+    // the jobPostings are not counted in the cursor mode
+    if (pagination.total !== undefined) {
+        ctx.set('X-Total-Count', pagination.total);
+    }
     if (linkHeaderValue) {
         ctx.set('Link', linkHeaderValue);
     }
     ctx.body = jobPostings;
 });
 
-router.post('/', async (ctx) => {
-    const newJobPosting = await createJobPosting({
-        client: ctx.db,
-        apiData: ctx.request.body,
-    });
+router.get('/feed.rss', (ctx) => sendJobPostingFeed(ctx, 'rss'));
 
-    if (newJobPosting.error) {
-        const explainedError = new Error(newJobPosting.error.message);
-        explainedError.status = 400;
+router.get('/feed.atom', (ctx) => sendJobPostingFeed(ctx, 'atom'));
 
-        throw explainedError;
+router.post(
+    '/renew/:token',
+    auditJobPosting(
+        'update',
+        (ctx) => (getRenewalFromToken(ctx.params.token) || {}).jobPostingId
+    ),
+    async (ctx) => {
+        const renewal = getRenewalFromToken(ctx.params.token);
+        const renewedJobPosting = renewal
+            ? await renewJobPosting({
+                  client: ctx.db,
+                  jobPostingId: renewal.jobPostingId,
+                  issuedAt: renewal.issuedAt,
+                  maxAge: config.jobPostings.maxAge,
+              })
+            : {};
+
+        if (renewedJobPosting.error) {
+            const explainedError = new Error(renewedJobPosting.error.message);
+            explainedError.status = renewedJobPosting.error.status || 400;
+
+            throw explainedError;
+        }
+
+        if (!renewedJobPosting.id) {
+            const explainedError = new Error(
+                'The renewal link is invalid or expired.'
+            );
+            explainedError.status = 404;
+
+            throw explainedError;
+        }
+
+        ctx.body = renewedJobPosting;
     }
+);
 
-    ctx.body = newJobPosting;
-});
+router.post(
+    '/',
+    canWriteJobPostings,
+    auditJobPosting('create'),
+    async (ctx) => {
+        const newJobPosting = await createJobPosting({
+            client: ctx.db,
+            user: ctx.user,
+            apiData: ctx.request.body,
+        });
+
+        if (newJobPosting.error) {
+            const explainedError = new Error(newJobPosting.error.message);
+            explainedError.status = newJobPosting.error.status || 400;
+
+            throw explainedError;
+        }
+
+        ctx.body = newJobPosting;
+    }
+);
+
+router.patch(
+    '/',
+    canWriteJobPostings,
+    auditJobPostings('update', (ctx) => ctx.request.body.ids),
+    async (ctx) => {
+        const updatedJobPostings = await updateJobPostings({
+            client: ctx.db,
+            user: ctx.user,
+            jobPostingIds: ctx.request.body.ids,
+            apiData: ctx.request.body.data,
+        });
+
+        if (updatedJobPostings.error) {
+            const explainedError = new Error(updatedJobPostings.error.message);
+            explainedError.status = updatedJobPostings.error.status || 400;
+            explainedError.results = updatedJobPostings.results;
+
+            throw explainedError;
+        }
+
+        ctx.body = updatedJobPostings.results;
+    }
+);
+
+router.delete(
+    '/',
+    canWriteJobPostings,
+    auditJobPostings('delete', (ctx) => idsSanitizer(ctx.query.ids)),
+    async (ctx) => {
+        const deletedJobPostings = await deleteJobPostings({
+            client: ctx.db,
+            user: ctx.user,
+            jobPostingIds: idsSanitizer(ctx.query.ids),
+        });
+
+        if (deletedJobPostings.error) {
+            const explainedError = new Error(deletedJobPostings.error.message);
+            explainedError.status = deletedJobPostings.error.status || 400;
+            explainedError.results = deletedJobPostings.results;
+
+            throw explainedError;
+        }
+
+        ctx.body = deletedJobPostings.results;
+    }
+);
+
+router.post(
+    '/transitions',
+    canWriteJobPostings,
+    auditJobPostings('update', (ctx) => ctx.request.body.ids),
+    async (ctx) => {
+        const { ids, data } = ctx.request.body;
+        // the previous statuses tell which transitions reject a pending jobPosting
+        const previousJobPostings = await Promise.all(
+            [...new Set(ids)].map((jobPostingId) =>
+                getJobPosting({ client: ctx.db, jobPostingId, user: ctx.user })
+            )
+        );
+        const transitionedJobPostings = await transitionJobPostings({
+            client: ctx.db,
+            user: ctx.user,
+            jobPostingIds: ids,
+            status: data.status,
+            reason: data.reason,
+        });
+
+        if (transitionedJobPostings.error) {
+            const explainedError = new Error(
+                transitionedJobPostings.error.message
+            );
+            explainedError.status = transitionedJobPostings.error.status || 400;
+            explainedError.results = transitionedJobPostings.results;
+
+            throw explainedError;
+        }
+
+        for (const previousJobPosting of previousJobPostings) {
+            if (
+                isJobPostingRejection({
+                    fromStatus: previousJobPosting.status,
+                    toStatus: data.status,
+                    user: ctx.user,
+                })
+            ) {
+                await notifyJobPostingRejected({
+                    client: ctx.db,
+                    jobPostingId: previousJobPosting.id,
+                    reason: data.reason,
+                });
+            }
+        }
+
+        ctx.body = transitionedJobPostings.results;
+    }
+);
 
 router.get('/:jobPostingId', async (ctx) => {
     const jobPosting = await getJobPosting({
         client: ctx.db,
         jobPostingId: ctx.params.jobPostingId,
+        user: ctx.user,
+        includeDeleted: includeDeletedSanitizer(
+            ctx.query.includeDeleted,
+            ctx.user
+        ),
     });
 
     if (jobPosting.error) {
@@ -77,23 +373,165 @@ router.get('/:jobPostingId', async (ctx) => {
         throw explainedError;
     }
 
-    ctx.body = jobPosting;
+    if (
+        ctx.accepts('application/json', jsonLdContentType) === jsonLdContentType
+    ) {
+        const organization = await getOrganization({
+            client: ctx.db,
+            organizationId: jobPosting.hiringOrganization.identifier,
+        });
+        // the type must be set after the body, koa sets the json type for objects
+        ctx.body = formatJobPostingForJsonLd({ jobPosting, organization });
+        ctx.type = jsonLdContentType;
+        return;
+    }
+
+    setBodyWithETag(ctx, jobPosting);
 });
 
-router.delete('/:jobPostingId', async (ctx) => {
-    const deletedJobPosting = await deleteJobPosting({
+router.delete(
+    '/:jobPostingId',
+    canWriteJobPostings,
+    auditJobPosting('delete'),
+    async (ctx) => {
+        const deletedJobPosting = await deleteJobPosting({
+            client: ctx.db,
+            user: ctx.user,
+            jobPostingId: ctx.params.jobPostingId,
+            ifMatch: ctx.get('If-Match'),
+        });
+
+        if (deletedJobPosting.error) {
+            const explainedError = new Error(deletedJobPosting.error.message);
+            explainedError.status = deletedJobPosting.error.status || 400;
+
+            throw explainedError;
+        }
+
+        if (!deletedJobPosting.id) {
+            const explainedError = new Error(
+                `The jobPosting of id ${ctx.params.jobPostingId} does not exist.`
+            );
+            explainedError.status = 404;
+
+            throw explainedError;
+        }
+
+        ctx.body = deletedJobPosting;
+    }
+);
+
+router.post(
+    '/:jobPostingId/restore',
+    canRestoreJobPostings,
+    auditJobPosting('update'),
+    async (ctx) => {
+        const restoredJobPosting = await restoreJobPosting({
+            client: ctx.db,
+            jobPostingId: ctx.params.jobPostingId,
+        });
+
+        if (restoredJobPosting.error) {
+            const explainedError = new Error(restoredJobPosting.error.message);
+            explainedError.status = restoredJobPosting.error.status || 400;
+
+            throw explainedError;
+        }
+
+        if (!restoredJobPosting.id) {
+            const explainedError = new Error(
+                `The jobPosting of id ${ctx.params.jobPostingId} is not in the trash, so it could not be restored`
+            );
+            explainedError.status = 404;
+
+            throw explainedError;
+        }
+
+        ctx.body = restoredJobPosting;
+    }
+);
+
+router.put(
+    '/:jobPostingId',
+    canWriteJobPostings,
+    auditJobPosting('update'),
+    async (ctx) => {
+        const updatedJobPosting = await updateJobPosting({
+            client: ctx.db,
+            user: ctx.user,
+            jobPostingId: ctx.params.jobPostingId,
+            apiData: ctx.request.body,
+            ifMatch: ctx.get('If-Match'),
+        });
+
+        if (updatedJobPosting.error) {
+            const explainedError = new Error(updatedJobPosting.error.message);
+            explainedError.status = updatedJobPosting.error.status || 400;
+
+            throw explainedError;
+        }
+
+        if (!updatedJobPosting.id) {
+            const explainedError = new Error(
+                `The jobPosting of id ${ctx.params.jobPostingId} does not exist, so it could not be updated`
+            );
+            explainedError.status = 404;
+
+            throw explainedError;
+        }
+
+        setBodyWithETag(ctx, updatedJobPosting);
+    }
+);
+
+router.patch(
+    '/:jobPostingId',
+    canWriteJobPostings,
+    auditJobPosting('update'),
+    async (ctx) => {
+        const patchedJobPosting = await patchJobPosting({
+            client: ctx.db,
+            user: ctx.user,
+            jobPostingId: ctx.params.jobPostingId,
+            patch: ctx.request.body,
+            ifMatch: ctx.get('If-Match'),
+        });
+
+        if (patchedJobPosting.error) {
+            const explainedError = new Error(patchedJobPosting.error.message);
+            explainedError.status = patchedJobPosting.error.status || 400;
+
+            throw explainedError;
+        }
+
+        if (!patchedJobPosting.id) {
+            const explainedError = new Error(
+                `The jobPosting of id ${ctx.params.jobPostingId} does not exist, so it could not be updated`
+            );
+            explainedError.status = 404;
+
+            throw explainedError;
+        }
+
+        setBodyWithETag(ctx, patchedJobPosting);
+    }
+);
+
+router.get('/:jobPostingId/transitions', canWriteJobPostings, async (ctx) => {
+    const jobPostingTransitions = await getJobPostingTransitions({
         client: ctx.db,
+        user: ctx.user,
         jobPostingId: ctx.params.jobPostingId,
     });
 
-    if (deletedJobPosting.error) {
-        const explainedError = new Error(deletedJobPosting.error.message);
-        explainedError.status = 400;
+    if (jobPostingTransitions.error) {
+        const explainedError = new Error(jobPostingTransitions.error.message);
+        explainedError.status = jobPostingTransitions.error.status || 400;
 
         throw explainedError;
     }
 
-    if (!deletedJobPosting.id) {
+    if (!jobPostingTransitions.id) {
         const explainedError = new Error(
             `The jobPosting of id ${ctx.params.jobPostingId} does not exist.`
         );
@@ -102,33 +540,121 @@ router.delete('/:jobPostingId', async (ctx) => {
         throw explainedError;
     }
 
-    ctx.body = deletedJobPosting;
+    ctx.body = jobPostingTransitions.transitions;
 });
 
-router.put('/:jobPostingId', async (ctx) => {
-    const updatedJobPosting = await updateJobPosting({
+router.post(
+    '/:jobPostingId/transitions',
+    canWriteJobPostings,
+    auditJobPosting('update'),
+    async (ctx) => {
+        const { status, reason } = ctx.request.body;
+        // the previous status tells if the transition rejects a pending jobPosting
+        const previousJobPosting = await getJobPosting({
+            client: ctx.db,
+            jobPostingId: ctx.params.jobPostingId,
+            user: ctx.user,
+        });
+        const transitionedJobPosting = await transitionJobPosting({
+            client: ctx.db,
+            user: ctx.user,
+            jobPostingId: ctx.params.jobPostingId,
+            status,
+            reason,
+        });
+
+        if (transitionedJobPosting.error) {
+            const explainedError = new Error(
+                transitionedJobPosting.error.message
+            );
+            explainedError.status = transitionedJobPosting.error.status || 400;
+
+            throw explainedError;
+        }
+
+        if (!transitionedJobPosting.id) {
+            const explainedError = new Error(
+                `The jobPosting of id ${ctx.params.jobPostingId} does not exist, so its status could not be changed`
+            );
+            explainedError.status = 404;
+
+            throw explainedError;
+        }
+
+        if (
+            isJobPostingRejection({
+                fromStatus: previousJobPosting.status,
+                toStatus: transitionedJobPosting.status,
+                user: ctx.user,
+            })
+        ) {
+            await notifyJobPostingRejected({
+                client: ctx.db,
+                jobPostingId: transitionedJobPosting.id,
+                reason,
+            });
+        }
+
+        ctx.body = transitionedJobPosting;
+    }
+);
+
+router.get('/:jobPostingId/revisions', canWriteJobPostings, async (ctx) => {
+    const jobPostingRevisions = await getJobPostingRevisions({
         client: ctx.db,
+        user: ctx.user,
         jobPostingId: ctx.params.jobPostingId,
-        apiData: ctx.request.body,
     });
 
-    if (updatedJobPosting.error) {
-        const explainedError = new Error(updatedJobPosting.error.message);
-        explainedError.status = 400;
+    if (jobPostingRevisions.error) {
+        const explainedError = new Error(jobPostingRevisions.error.message);
+        explainedError.status = jobPostingRevisions.error.status || 400;
 
         throw explainedError;
     }
 
-    if (!updatedJobPosting.id) {
+    if (!jobPostingRevisions.id) {
         const explainedError = new Error(
-            `The jobPosting of id ${ctx.params.jobPostingId} does not exist, so it could not be updated`
+            `The jobPosting of id ${ctx.params.jobPostingId} does not exist.`
         );
         explainedError.status = 404;
 
         throw explainedError;
     }
 
-    ctx.body = updatedJobPosting;
+    ctx.body = jobPostingRevisions.revisions;
 });
 
+router.post(
+    '/:jobPostingId/revisions/:revisionNumber/restore',
+    canWriteJobPostings,
+    auditJobPosting('update'),
+    async (ctx) => {
+        const restoredJobPosting = await restoreJobPostingRevision({
+            client: ctx.db,
+            user: ctx.user,
+            jobPostingId: ctx.params.jobPostingId,
+            number: Number(ctx.params.revisionNumber),
+        });
+
+        if (restoredJobPosting.error) {
+            const explainedError = new Error(restoredJobPosting.error.message);
+            explainedError.status = restoredJobPosting.error.status || 400;
+
+            throw explainedError;
+        }
+
+        if (!restoredJobPosting.id) {
+            const explainedError = new Error(
+                `The revision ${ctx.params.revisionNumber} of the jobPosting of id ${ctx.params.jobPostingId} does not exist, so it could not be restored`
+            );
+            explainedError.status = 404;
+
+            throw explainedError;
+        }
+
+        ctx.body = restoredJobPosting;
+    }
+);
+
 module.exports = router;
@@ -0,0 +1,49 @@
+const { roles } = require('../toolbox/authentication');
+
+/**
+ * Restrict a jobPosting query to the jobPostings the user is allowed to see.
+ * Everyone sees the published jobPostings until their validThrough date,
+ * a recruiter also sees all the jobPostings of their organizations, and an admin sees everything.
+ * The deleted jobPostings are only seen when they are asked for.
+ *
+ * @param {object} client - The Database client
+ * @param {object} query - The jobPosting knex query
+ * @param {object} user - The authenticated user, or nothing for the public lists
+ * @param {boolean} includeDeleted - true to also see the jobPostings in the trash
+ * @returns {object} - The knex query
+ */
+const addVisibilityToQuery = (client, query, user, includeDeleted = false) => {
+    if (!includeDeleted) {
+        query.whereNull('job_posting.deleted_at');
+    }
+    if (user && user.role === roles.ADMIN) {
+        return query;
+    }
+
+    const isPublic = function () {
+        this.where('job_posting.status', 'published').andWhere(function () {
+            this.whereNull('job_posting.valid_through').orWhere(
+                'job_posting.valid_through',
+                '>=',
+                client.raw('current_date')
+            );
+        });
+    };
+    if (user && user.role === roles.RECRUITER) {
+        return query.andWhere(function () {
+            this.where(isPublic).orWhereIn(
+                'job_posting.hiring_organization_id',
+                client
+                    .select('organization_id')
+                    .from('user_organization')
+                    .where({ user_id: user.id })
+            );
+        });
+    }
+
+    return query.andWhere(isPublic);
+};
+
+module.exports = {
+    addVisibilityToQuery,
+};
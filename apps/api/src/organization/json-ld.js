@@ -0,0 +1,60 @@
+const config = require('../config');
+
+// the content type of the schema.org representations
+const jsonLdContentType = 'application/ld+json';
+
+/**
+ * Transforms an organization address into a schema.org PostalAddress
+ *
+ * @param {object} address - The address of an organization formatted for the API
+ * @returns {object} the JSON-LD PostalAddress
+ */
+const formatPostalAddressForJsonLd = (address = {}) => ({
+    '@type': 'PostalAddress',
+    streetAddress: address.streetAddress,
+    addressLocality: address.addressLocality,
+    postalCode: address.postalCode,
+    addressCountry: address.addressCountry,
+});
+
+/**
+ * Transforms an organization into its schema.org JSON-LD representation
+ *
+ * @param {object} organization - The organization formatted for the API
+ * @param {boolean} withContext - false when the organization is embedded in another JSON-LD object
+ * @returns {object} the JSON-LD Organization
+ */
+const formatOrganizationForJsonLd = (
+    organization,
+    { withContext = true } = {}
+) => ({
+    ...(withContext ? { '@context': 'https://schema.org' } : {}),
+    '@type': 'Organization',
+    '@id': `${config.urls.front}/organizations/${organization.id}`,
+    name: organization.name,
+    ...(organization.description
+        ? { description: organization.description }
+        : {}),
+    sameAs: organization.url,
+    url: organization.url,
+    ...(organization.image ? { logo: organization.image } : {}),
+    ...(organization.email ? { email: organization.email } : {}),
+    address: formatPostalAddressForJsonLd(organization.address),
+    ...(organization.contactPoints && organization.contactPoints.length
+        ? {
+              contactPoint: organization.contactPoints.map((contactPoint) => ({
+                  '@type': 'ContactPoint',
+                  name: contactPoint.name,
+                  email: contactPoint.email,
+                  telephone: contactPoint.telephone,
+                  contactType: contactPoint.contactType,
+              })),
+          }
+        : {}),
+});
+
+module.exports = {
+    formatOrganizationForJsonLd,
+    formatPostalAddressForJsonLd,
+    jsonLdContentType,
+};
@@ -0,0 +1,67 @@
+const config = require('../config');
+const { formatOrganizationForJsonLd } = require('./json-ld');
+
+describe('Organization JSON-LD', () => {
+    const organization = {
+        id: 'a122edec-5580-4a93-aff7-fc18b41e4c57',
+        name: 'Qwarry',
+        description: 'Qwarry est une entreprise caennaise',
+        url: 'https://www.qwarry.com/',
+        image: 'https://www.qwarry.com/logo.png',
+        email: null,
+        address: {
+            streetAddress: '1 rue de Bras',
+            addressLocality: 'Caen',
+            postalCode: '14000',
+            addressCountry: 'France',
+        },
+        contactPoints: [
+            {
+                identifier: 'abeb9875-2191-4097-8249-5b8defc42a3e',
+                name: 'John Do, CTO',
+                email: 'job@qwarry.com',
+                telephone: '0606060606',
+                contactType: "Offres d'emploi",
+            },
+        ],
+    };
+
+    describe('formatOrganizationForJsonLd', () => {
+        it('should return a schema.org Organization', () => {
+            expect(formatOrganizationForJsonLd(organization)).toEqual({
+                '@context': 'https://schema.org',
+                '@type': 'Organization',
+                '@id': `${config.urls.front}/organizations/a122edec-5580-4a93-aff7-fc18b41e4c57`,
+                name: 'Qwarry',
+                description: 'Qwarry est une entreprise caennaise',
+                sameAs: 'https://www.qwarry.com/',
+                url: 'https://www.qwarry.com/',
+                logo: 'https://www.qwarry.com/logo.png',
+                address: {
+                    '@type': 'PostalAddress',
+                    streetAddress: '1 rue de Bras',
+                    addressLocality: 'Caen',
+                    postalCode: '14000',
+                    addressCountry: 'France',
+                },
+                contactPoint: [
+                    {
+                        '@type': 'ContactPoint',
+                        name: 'John Do, CTO',
+                        email: 'job@qwarry.com',
+                        telephone: '0606060606',
+                        contactType: "Offres d'emploi",
+                    },
+                ],
+            });
+        });
+
+        it('should not contain the context when embedded in another object', () => {
+            expect(
+                formatOrganizationForJsonLd(organization, {
+                    withContext: false,
+                })['@context']
+            ).toBeUndefined();
+        });
+    });
+});
@@ -2,22 +2,62 @@ const omit = require('lodash.omit');
 const pick = require('lodash.pick');
 
 const {
+    addFiltersToQuery,
+    addSortToQuery,
     filtersSanitizer,
+    idFilterSanitizer,
     formatPaginationContentRange,
+    listFiltersSanitizer,
     paginationSanitizer,
     sortSanitizer,
 } = require('../toolbox/sanitizers');
+const {
+    canManageOrganization,
+    getForbiddenOrganizationError,
+} = require('../user/repository');
+const { geocodeAddress } = require('../toolbox/geocoding');
+const { runBulkWrite } = require('../toolbox/bulk');
+const { mergePatchResource } = require('../toolbox/merge-patch');
+const { getPreconditionError } = require('../toolbox/etag');
+const {
+    createRevision,
+    getRevision,
+    getRevisions,
+} = require('../revision/repository');
 
-const OrganizationFilterableFields = [
-    'name',
-    'address_locality',
-    'postal_code',
-];
+// the filters of the organization list: the fields with a column use the filter grammar
+// of the sanitizers, the other ones are applied by getFilteredOrganizationsQuery
+const OrganizationFilterableFields = {
+    id: {},
+    name: { column: 'organization.name', type: 'string', operator: 'like' },
+    address_locality: {
+        column: 'organization.address_locality',
+        type: 'string',
+        operator: 'prefix',
+    },
+    postal_code: {
+        column: 'organization.postal_code',
+        type: 'string',
+        operator: 'prefix',
+    },
+    deleted: {},
+};
 const OrganizationSortableFields = [
     'name',
     'id',
     'address_locality',
     'postal_code',
+    'deleted_at',
+];
+
+// the fields of an organization saved in its revisions, as sent to the update route
+const organizationRevisionFields = [
+    'name',
+    'description',
+    'image',
+    'email',
+    'url',
+    'address',
 ];
 
 /**
@@ -25,11 +65,17 @@ const OrganizationSortableFields = [
  *
  * @param {object} client - The Database client
  * @param {object} filters - Organization Filter
- * @param {Array} sort - Sort parameters [columnName, direction]
+ * @param {Array} sort - Sort parameters [[columnName, direction], ...]
+ * @param {boolean} includeDeleted - true to also list the organizations in the trash
  * @returns {Promise} - Knew query for filtrated organization list
  */
-const getFilteredOrganizationsQuery = (client, filters, sort) => {
-    const { name, address_locality, postal_code, ...restFilters } = filters;
+const getFilteredOrganizationsQuery = (
+    client,
+    filters,
+    sort,
+    includeDeleted
+) => {
+    const { id, deleted } = filters;
     const query = client
         .select(
             'organization.*',
@@ -47,22 +93,22 @@ const getFilteredOrganizationsQuery = (client, filters, sort) => {
             ) ORDER BY contact_point.contact_type))
             FROM contact_point WHERE contact_point.organization_id = organization.id) as contact_points`)
         )
-        .from('organization')
-        .where(restFilters);
+        .from('organization');
 
-    if (name) {
-        query.andWhere('name', 'LIKE', `%${name}%`);
+    if (!includeDeleted) {
+        query.whereNull('deleted_at');
     }
-    if (address_locality) {
-        query.andWhere('address_locality', 'LIKE', `${address_locality}%`);
+    if (id) {
+        query.whereIn('organization.id', idFilterSanitizer(id));
     }
-
-    if (postal_code) {
-        query.andWhere('postal_code', 'LIKE', `${postal_code}%`);
+    if (deleted !== undefined) {
+        // the trash lists the deleted organizations only
+        query[deleted ? 'whereNotNull' : 'whereNull']('deleted_at');
     }
+    addFiltersToQuery(query, filters, OrganizationFilterableFields);
 
     if (sort && sort.length) {
-        query.orderBy(...sort);
+        addSortToQuery(query, sort, 'organization.id');
     }
 
     return query;
@@ -76,6 +122,8 @@ const getFilteredOrganizationsQuery = (client, filters, sort) => {
  */
 const formatOrganizationForAPI = (dbOrganization) => ({
     ...omit(dbOrganization, [
+        'latitude',
+        'longitude',
         'addressCountry',
         'addressLocality',
         'postalCode',
@@ -89,6 +137,13 @@ const formatOrganizationForAPI = (dbOrganization) => ({
             'streetAddress',
         ]),
     },
+    ...(dbOrganization && dbOrganization.deletedAt !== undefined
+        ? {
+              deletedAt: dbOrganization.deletedAt
+                  ? dbOrganization.deletedAt.toISOString()
+                  : null,
+          }
+        : {}),
 });
 
 /**
@@ -96,8 +151,9 @@ const formatOrganizationForAPI = (dbOrganization) => ({
  *
  * @param {object} client - The Database client
  * @param {object} filters - Organization Filter
- * @param {Array} sort - Sort parameters [columnName, direction]
+ * @param {Array} sort - Sort parameters [[columnName, direction], ...]
  * @param {object} pagination - Pagination {perPage: 10, currentPage: 1}
+ * @param {boolean} includeDeleted - true to also list the organizations in the trash
  * @returns {Promise} - paginated object with paginated organization list and totalCount
  */
 const getOrganizationPaginatedList = async ({
@@ -105,11 +161,24 @@ const getOrganizationPaginatedList = async ({
     filters,
     sort,
     pagination,
+    includeDeleted = false,
 }) => {
+    const sanitizedList = listFiltersSanitizer(
+        filters,
+        OrganizationFilterableFields
+    );
+    if (sanitizedList.error) {
+        return sanitizedList;
+    }
+    const sanitizedSort = sortSanitizer(sort, OrganizationSortableFields);
+    if (sanitizedSort.error) {
+        return sanitizedSort;
+    }
     const query = getFilteredOrganizationsQuery(
         client,
-        filtersSanitizer(filters, OrganizationFilterableFields),
-        sortSanitizer(sort, OrganizationSortableFields)
+        sanitizedList.filters,
+        sanitizedSort.sort,
+        includeDeleted
     );
     const [perPage, currentPage] = paginationSanitizer(pagination);
 
@@ -124,17 +193,20 @@ const getOrganizationPaginatedList = async ({
 /**
  * Returns a organization and contact point object ready to be saved.
  * The data sent to this function is supposed to be complete and therefore tested beforehand.
+ * The organization is geocoded from its town with the bundled dataset.
+ * The deletion date is ignored, an organization only goes to the trash when it is deleted.
  *
  * @param {object} dataFromApi - The validated data sent from API to create a new organization
  * @returns {object} - an object with valid data for an organization and for a contactPoint
  */
 const prepareOrganizationDataForSave = (dataFromApi) => ({
     organization: {
-        ...omit(dataFromApi, ['address', 'contactPoints']),
+        ...omit(dataFromApi, ['address', 'contactPoints', 'deletedAt']),
         addressCountry: dataFromApi.address.addressCountry || null,
         addressLocality: dataFromApi.address.addressLocality,
         postalCode: dataFromApi.address.postalCode,
         streetAddress: dataFromApi.address.streetAddress,
+        ...geocodeAddress(dataFromApi.address),
     },
     contactPoint: dataFromApi.contactPoints[0],
     contactPoints: dataFromApi.contactPoints,
@@ -145,10 +217,15 @@ const prepareOrganizationDataForSave = (dataFromApi) => ({
  *
  * @param {object} client - The Database client
  * @param {string} organizationId - Organization Id
+ * @param {boolean} includeDeleted - true to also find an organization in the trash
  * @returns {Promise} - Knew query for single organization
  */
-const getOrganizationByIdQuery = (client, organizationId) => {
-    return client
+const getOrganizationByIdQuery = (
+    client,
+    organizationId,
+    includeDeleted = false
+) => {
+    const query = client
         .table('organization')
         .first(
             'organization.*',
@@ -167,6 +244,8 @@ const getOrganizationByIdQuery = (client, organizationId) => {
             FROM contact_point WHERE contact_point.organization_id = organization.id) as contact_points`)
         )
         .where({ id: organizationId });
+
+    return includeDeleted ? query : query.whereNull('deleted_at');
 };
 
 /**
@@ -224,31 +303,146 @@ const createOrganization = async ({ client, apiData }) => {
  *
  * @param {object} client - The Database client
  * @param {object} organizationId - The organization identifier
+ * @param {boolean} includeDeleted - true to also find an organization in the trash
  * @returns {Promise} - the organization
  */
-const getOrganization = async ({ client, organizationId }) => {
-    return getOrganizationByIdQuery(client, organizationId)
+const getOrganization = async ({
+    client,
+    organizationId,
+    includeDeleted = false,
+}) => {
+    return getOrganizationByIdQuery(client, organizationId, includeDeleted)
         .then(formatOrganizationForAPI)
         .catch((error) => ({ error }));
 };
 
 /**
- * Delete an organization
+ * Lock an organization until the end of the transaction writing it,
+ * and check that it has not changed since the client read it
+ *
+ * @param {object} client - The transaction of the write
+ * @param {string} organizationId - The organization identifier
+ * @param {string} ifMatch - The If-Match header of the request, empty to write the organization whatever its version
+ * @param {boolean} includeDeleted - true to also lock a organization in the trash
+ * @returns {Promise} - the current organization, rejected with a 412 error if it has changed
+ */
+const lockOrganization = ({
+    client,
+    organizationId,
+    ifMatch,
+    includeDeleted = false,
+}) =>
+    getOrganizationByIdQuery(client, organizationId, includeDeleted)
+        .forUpdate()
+        .then(formatOrganizationForAPI)
+        .then((organization) => {
+            const preconditionError = organization.id
+                ? getPreconditionError(ifMatch, 'organization', organization)
+                : null;
+            if (preconditionError) {
+                throw preconditionError;
+            }
+
+            return organization;
+        });
+
+/**
+ * Delete an organization, by moving it to the trash until it is purged.
+ * Its jobPostings go to the trash with it, at the same date, to be restored with it.
  *
  * @param {object} client - The Database client
  * @param {object} organizationId - The organization identifier
+ * @param {string} ifMatch - The If-Match header of the request, to delete the organization only if it has not changed
  * @returns {Promise} - the id if the deleted organization or an empty object if organization is not in db
  */
-const deleteOrganization = async ({ client, organizationId }) => {
-    return client('organization')
-        .where({ id: organizationId })
-        .del()
+const deleteOrganization = async ({ client, organizationId, ifMatch }) => {
+    const deletedAt = new Date();
+
+    return client
+        .transaction(async (trx) => {
+            await lockOrganization({ client: trx, organizationId, ifMatch });
+            const nbDeletion = await trx('organization')
+                .where({ id: organizationId })
+                .whereNull('deleted_at')
+                .update({ deletedAt });
+            await trx('job_posting')
+                .where({ hiringOrganizationId: organizationId })
+                .whereNull('deleted_at')
+                .update({ deletedAt });
+
+            return nbDeletion;
+        })
         .then((nbDeletion) => {
             return nbDeletion ? { id: organizationId } : {};
         })
         .catch((error) => ({ error }));
 };
 
+/**
+ * Delete several organizations in a single transaction, none of them is deleted if one of them fails
+ *
+ * @param {object} client - The Database client
+ * @param {Array} organizationIds - The organizations identifiers
+ * @returns {Promise} - the result of the deletion of each organization
+ */
+const deleteOrganizations = ({ client, organizationIds }) =>
+    runBulkWrite({
+        client,
+        resource: 'organization',
+        ids: organizationIds,
+        write: (trx, organizationId) =>
+            deleteOrganization({ client: trx, organizationId }),
+    });
+
+/**
+ * Restore an organization from the trash, with the jobPostings deleted with it
+ *
+ * @param {object} client - The Database client
+ * @param {object} organizationId - The organization identifier
+ * @returns {Promise} - the restored organization or an empty object if organization is not in the trash
+ */
+const restoreOrganization = async ({ client, organizationId }) => {
+    const deletedOrganization = await client
+        .first('id', 'deletedAt')
+        .from('organization')
+        .where({ id: organizationId })
+        .whereNotNull('deleted_at')
+        .catch((error) => ({ error }));
+    if (!deletedOrganization || deletedOrganization.error) {
+        return deletedOrganization || {};
+    }
+
+    return client
+        .transaction(async (trx) => {
+            await trx('organization')
+                .where({ id: organizationId })
+                .update({ deletedAt: null });
+            await trx('job_posting')
+                .where({
+                    hiringOrganizationId: organizationId,
+                    deletedAt: deletedOrganization.deletedAt,
+                })
+                .update({ deletedAt: null });
+        })
+        .then(() => getOrganizationByIdQuery(client, organizationId))
+        .then(formatOrganizationForAPI)
+        .catch((error) => ({ error }));
+};
+
+/**
+ * Purge the organizations deleted for longer than the retention period,
+ * with their contact points and their remaining jobPostings
+ *
+ * @param {object} client - The Database client
+ * @param {number} retentionDays - The number of days a deleted organization stays in the trash
+ * @returns {Promise} - the ids of the purged organizations
+ */
+const purgeDeletedOrganizations = ({ client, retentionDays }) =>
+    client('organization')
+        .whereRaw('deleted_at < now() - ?::interval', [`${retentionDays} days`])
+        .returning('id')
+        .del();
+
 /**
  * Method returning in array of chlidren's ids linked (1-n) to an object during parent editing
  *
@@ -263,83 +457,117 @@ const getIdsToDelete = (idsInDb, objectsFromApi) => {
     return idsInDb.filter((id) => !idsApi.includes(id));
 };
 
+/**
+ * Return the data of an organization saved in its revisions, in the format of the update route
+ *
+ * @param {object} organization - The organization formatted for the API
+ * @returns {object} - the revision data
+ */
+const getOrganizationRevisionData = (organization) => ({
+    ...pick(organization, organizationRevisionFields),
+    contactPoints: organization.contactPoints || [],
+});
+
 /**
  * Update an organization
  *
  * @param {object} client - The Database client
+ * @param {object} user - The authenticated user updating the organization
  * @param {object} apiData - The validated data sent from API to update an organization
+ * @param {number} restoredFrom - The number of the restored revision, if the update is a restoration
+ * @param {string} ifMatch - The If-Match header of the request, to update the organization only if it has not changed
  * @returns {Promise} - the updated organization
  */
-const updateOrganization = async ({ client, organizationId, apiData }) => {
+const updateOrganization = async ({
+    client,
+    user,
+    organizationId,
+    apiData,
+    restoredFrom,
+    ifMatch,
+}) => {
+    if (!(await canManageOrganization({ client, user, organizationId }))) {
+        return { error: getForbiddenOrganizationError() };
+    }
+
     const { organization, contactPoints } = prepareOrganizationDataForSave(
         apiData
     );
+    const updatedOrganization = await client
+        .transaction(async (trx) => {
+            // the previous version is read from the locked row, so that a concurrent
+            // update cannot change the organization or its contacts in the meantime
+            const previousOrganization = await lockOrganization({
+                client: trx,
+                organizationId,
+                ifMatch,
+            });
+            if (!previousOrganization.id) {
+                return {};
+            }
 
-    try {
-        await client.transaction((trx) => {
-            client('organization')
-                .transacting(trx)
+            await trx('organization')
                 .where({ id: organizationId })
-                .update(organization)
-                .then(async () => {
-                    const existingContactIds = await client('contact_point')
-                        .select('id')
-                        .where({ organization_id: organizationId })
-                        .then((contacts) =>
-                            contacts.map((contact) => contact.id)
-                        );
-
-                    const contactUpdates = contactPoints.reduce(
-                        (acc, contact) => {
-                            // Contacts to update
-                            if (
-                                contact.identifier &&
-                                existingContactIds.includes(contact.identifier)
-                            ) {
-                                acc.push(
-                                    client('contact_point')
-                                        .transacting(trx)
-                                        .where({ id: contact.identifier })
-                                        .update(omit(contact, ['identifier']))
-                                );
-                            }
-                            // Contacts to create
-                            if (!contact.identifier) {
-                                acc.push(
-                                    client('contact_point')
-                                        .transacting(trx)
-                                        .insert({
-                                            ...contact,
-                                            organizationId,
-                                        })
-                                );
-                            }
+                .update(organization);
 
-                            return acc;
-                        },
-                        []
+            const existingContactIds = (
+                previousOrganization.contactPoints || []
+            ).map((contact) => contact.identifier);
+            const contactUpdates = contactPoints.reduce((acc, contact) => {
+                // Contacts to update
+                if (
+                    contact.identifier &&
+                    existingContactIds.includes(contact.identifier)
+                ) {
+                    acc.push(
+                        trx('contact_point')
+                            .where({ id: contact.identifier })
+                            .update(omit(contact, ['identifier']))
                     );
-
-                    // Contacts to delete
-                    const idsToDelete = getIdsToDelete(
-                        existingContactIds,
-                        contactPoints
-                    );
-                    idsToDelete.map((id) =>
-                        contactUpdates.push(
-                            client('contact_point')
-                                .transacting(trx)
-                                .where({ id })
-                                .del()
-                        )
+                }
+                // Contacts to create
+                if (!contact.identifier) {
+                    acc.push(
+                        trx('contact_point').insert({
+                            ...contact,
+                            organizationId,
+                        })
                     );
-                    return Promise.all(contactUpdates);
-                })
-                .then(trx.commit)
-                .catch(trx.rollback);
-        });
-    } catch (error) {
-        return { error };
+                }
+
+                return acc;
+            }, []);
+
+            // Contacts to delete
+            const idsToDelete = getIdsToDelete(
+                existingContactIds,
+                contactPoints
+            );
+            idsToDelete.map((id) =>
+                contactUpdates.push(trx('contact_point').where({ id }).del())
+            );
+            await Promise.all(contactUpdates);
+
+            const nextOrganization = await getOrganizationByIdQuery(
+                trx,
+                organizationId
+            ).then(formatOrganizationForAPI);
+            // record the new version of the organization
+            await createRevision({
+                client: trx,
+                user,
+                resource: 'organization',
+                resourceId: organizationId,
+                before: getOrganizationRevisionData(previousOrganization),
+                after: getOrganizationRevisionData(nextOrganization),
+                restoredFrom,
+            });
+
+            return { id: organizationId };
+        })
+        .catch((error) => ({ error }));
+    if (!updatedOrganization.id) {
+        return updatedOrganization;
     }
 
     return getOrganizationByIdQuery(client, organizationId)
@@ -347,17 +575,260 @@ const updateOrganization = async ({ client, organizationId, apiData }) => {
         .catch((error) => ({ error }));
 };
 
+/**
+ * Lock an organization and return it in the format of its update route, to apply a merge patch to it.
+ * The patch is merged onto the locked organization, so that a concurrent update of other fields is not overwritten.
+ * The user must manage the organization before its version is checked, not to tell them the version of an organization they cannot see.
+ *
+ * @param {object} client - The Database transaction
+ * @param {object} user - The authenticated user updating the organization
+ * @param {string} organizationId - The organization identifier
+ * @param {string} ifMatch - The If-Match header of the request, to lock the organization only if it has not changed
+ * @returns {Promise} - the organization id and data, an empty object if it does not exist or an error
+ */
+const getOrganizationToPatch = async ({
+    client,
+    user,
+    organizationId,
+    ifMatch,
+}) => {
+    if (!(await canManageOrganization({ client, user, organizationId }))) {
+        return { error: getForbiddenOrganizationError() };
+    }
+
+    return lockOrganization({ client, organizationId, ifMatch })
+        .then((organization) =>
+            organization.id
+                ? {
+                      id: organization.id,
+                      data: getOrganizationRevisionData(organization),
+                  }
+                : {}
+        )
+        .catch((error) => ({ error }));
+};
+
+/**
+ * Update the fields of an organization sent in a JSON Merge Patch, the other fields are kept.
+ * The contact points sent in the patch replace all the contact points of the organization.
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user updating the organization
+ * @param {string} organizationId - The organization identifier
+ * @param {object} patch - The validated merge patch sent from API
+ * @param {string} ifMatch - The If-Match header of the request, to update the organization only if it has not changed
+ * @returns {Promise} - the updated organization or an empty object if organization is not in db
+ */
+const patchOrganization = ({ client, user, organizationId, patch, ifMatch }) =>
+    client
+        .transaction(async (trx) => {
+            const organization = await getOrganizationToPatch({
+                client: trx,
+                user,
+                organizationId,
+                ifMatch,
+            });
+            if (!organization.id) {
+                return organization;
+            }
+
+            return updateOrganization({
+                client: trx,
+                user,
+                organizationId,
+                apiData: mergePatchResource(organization.data, patch),
+                ifMatch,
+            });
+        })
+        .catch((error) => ({ error }));
+
+/**
+ * Update the fields of a contact point sent in a JSON Merge Patch, as an update of its organization
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user updating the organization
+ * @param {string} organizationId - The organization identifier
+ * @param {string} contactPointId - The contact point identifier
+ * @param {object} patch - The validated merge patch sent from API
+ * @returns {Promise} - the updated contact point or an empty object if contact point is not in db
+ */
+const patchContactPoint = ({
+    client,
+    user,
+    organizationId,
+    contactPointId,
+    patch,
+}) =>
+    client
+        .transaction(async (trx) => {
+            const organization = await getOrganizationToPatch({
+                client: trx,
+                user,
+                organizationId,
+            });
+            if (!organization.id) {
+                return organization;
+            }
+
+            const { contactPoints } = organization.data;
+            if (
+                !contactPoints.some(
+                    ({ identifier }) => identifier === contactPointId
+                )
+            ) {
+                return {};
+            }
+
+            const updatedOrganization = await updateOrganization({
+                client: trx,
+                user,
+                organizationId,
+                apiData: {
+                    ...organization.data,
+                    contactPoints: contactPoints.map((contactPoint) =>
+                        contactPoint.identifier === contactPointId
+                            ? {
+                                  ...mergePatchResource(contactPoint, patch),
+                                  identifier: contactPointId,
+                              }
+                            : contactPoint
+                    ),
+                },
+            });
+            if (!updatedOrganization.id) {
+                return updatedOrganization;
+            }
+
+            return updatedOrganization.contactPoints.find(
+                ({ identifier }) => identifier === contactPointId
+            );
+        })
+        .catch((error) => ({ error }));
+
+/**
+ * Update several organizations with the same merge patch in a single transaction,
+ * none of them is updated if one of them fails
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user updating the organizations
+ * @param {Array} organizationIds - The organizations identifiers
+ * @param {object} apiData - The validated merge patch sent from API to update the organizations
+ * @returns {Promise} - the result of the update of each organization
+ */
+const updateOrganizations = ({ client, user, organizationIds, apiData }) =>
+    runBulkWrite({
+        client,
+        resource: 'organization',
+        ids: organizationIds,
+        write: (trx, organizationId) =>
+            patchOrganization({
+                client: trx,
+                user,
+                organizationId,
+                patch: apiData,
+            }),
+    });
+
+/**
+ * Return the revisions of an organization, the most recent first
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user
+ * @param {string} organizationId - The organization identifier
+ * @returns {Promise} - the organization id and its revisions, an empty object if it does not exist or an error
+ */
+const getOrganizationRevisions = async ({ client, user, organizationId }) => {
+    if (!(await canManageOrganization({ client, user, organizationId }))) {
+        return { error: getForbiddenOrganizationError() };
+    }
+
+    const organization = await client
+        .first('id')
+        .from('organization')
+        .where({ id: organizationId })
+        .whereNull('deleted_at')
+        .catch((error) => ({ error }));
+    if (!organization || organization.error) {
+        return organization || {};
+    }
+
+    return getRevisions({
+        client,
+        resource: 'organization',
+        resourceId: organizationId,
+    })
+        .then((revisions) => ({ id: organizationId, revisions }))
+        .catch((error) => ({ error }));
+};
+
+/**
+ * Restore a revision of an organization, as a new update of the organization.
+ * The contact points deleted since the revision are created again.
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user
+ * @param {string} organizationId - The organization identifier
+ * @param {number} number - The number of the restored revision
+ * @returns {Promise} - the restored organization, an empty object if the revision does not exist or an error
+ */
+const restoreOrganizationRevision = async ({
+    client,
+    user,
+    organizationId,
+    number,
+}) => {
+    const revision = await getRevision({
+        client,
+        resource: 'organization',
+        resourceId: organizationId,
+        number,
+    }).catch((error) => ({ error }));
+    if (!revision || revision.error) {
+        return revision || {};
+    }
+
+    const existingContactIds = await client('contact_point')
+        .select('id')
+        .where({ organization_id: organizationId })
+        .then((contacts) => contacts.map((contact) => contact.id));
+
+    return updateOrganization({
+        client,
+        user,
+        organizationId,
+        apiData: {
+            ...revision.data,
+            contactPoints: revision.data.contactPoints.map((contact) =>
+                existingContactIds.includes(contact.identifier)
+                    ? contact
+                    : omit(contact, ['identifier'])
+            ),
+        },
+        restoredFrom: number,
+    });
+};
+
 module.exports = {
     createOrganization,
     deleteOrganization,
+    deleteOrganizations,
     filtersSanitizer,
     formatOrganizationForAPI,
     formatPaginationContentRange,
     getIdsToDelete,
     getOrganization,
     getOrganizationPaginatedList,
+    getOrganizationRevisionData,
+    getOrganizationRevisions,
+    lockOrganization,
     paginationSanitizer,
+    patchContactPoint,
+    patchOrganization,
     prepareOrganizationDataForSave,
+    purgeDeletedOrganizations,
+    restoreOrganization,
+    restoreOrganizationRevision,
     sortSanitizer,
     updateOrganization,
+    updateOrganizations,
 };
@@ -1,6 +1,7 @@
 const {
     formatOrganizationForAPI,
     getIdsToDelete,
+    getOrganizationRevisionData,
     prepareOrganizationDataForSave,
 } = require('./repository');
 
@@ -84,6 +85,8 @@ describe('Organization Repository', () => {
                     addressLocality: 'Caen',
                     postalCode: '14000',
                     streetAddress: '5, place de la Répulique',
+                    latitude: 49.18585,
+                    longitude: -0.35912,
                 },
                 contactPoint: {
                     email: 'job@org.org',
@@ -101,6 +104,16 @@ describe('Organization Repository', () => {
                 ],
             });
         });
+
+        it('should ignore the deletion date sent from API', () => {
+            const { organization } = prepareOrganizationDataForSave({
+                name: 'test org',
+                address: { addressLocality: 'Caen', postalCode: '14000' },
+                contactPoints: [],
+                deletedAt: '2020-05-03T07:45:12.000Z',
+            });
+            expect(organization).not.toHaveProperty('deletedAt');
+        });
     });
 
     describe('getIdsToDelete', () => {
@@ -142,4 +155,49 @@ describe('Organization Repository', () => {
             ).toEqual(['c']);
         });
     });
+
+    describe('getOrganizationRevisionData', () => {
+        it('should return the updatable fields of the organization with its contacts', () => {
+            const address = {
+                addressLocality: 'Caen',
+                postalCode: '14000',
+                streetAddress: '1 rue de la Paix',
+                addressCountry: 'FR',
+            };
+            const contactPoints = [
+                {
+                    identifier: 'contact-id',
+                    email: 'rh@example.com',
+                    name: 'Jane Do',
+                    contactType: "Offres d'emploi",
+                },
+            ];
+            expect(
+                getOrganizationRevisionData({
+                    identifier: 'organization-id',
+                    name: 'Flexcity',
+                    description: null,
+                    image: null,
+                    email: 'contact@example.com',
+                    url: 'https://www.example.com',
+                    address,
+                    contactPoints,
+                })
+            ).toEqual({
+                name: 'Flexcity',
+                description: null,
+                image: null,
+                email: 'contact@example.com',
+                url: 'https://www.example.com',
+                address,
+                contactPoints,
+            });
+        });
+
+        it('should return an empty list for an organization without contact', () => {
+            expect(
+                getOrganizationRevisionData({ name: 'Flexcity' }).contactPoints
+            ).toEqual([]);
+        });
+    });
 });
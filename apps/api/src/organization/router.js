@@ -2,34 +2,105 @@ const Router = require('koa-router');
 
 const {
     deleteOrganization,
+    deleteOrganizations,
     createOrganization,
     getOrganization,
     getOrganizationPaginatedList,
+    getOrganizationRevisions,
+    lockOrganization,
+    patchContactPoint,
+    patchOrganization,
+    restoreOrganization,
+    restoreOrganizationRevision,
     updateOrganization,
+    updateOrganizations,
 } = require('./repository');
+const { formatOrganizationForJsonLd, jsonLdContentType } = require('./json-ld');
 const {
-    parseJsonQueryParameter,
+    idsSanitizer,
+    includeDeletedSanitizer,
+    parseSortParameter,
+    parseListFilters,
     formatPaginationToLinkHeader,
 } = require('../toolbox/sanitizers');
+const { setBodyWithETag } = require('../toolbox/etag');
+const { authorize } = require('../toolbox/middleware/authentication');
+const { roles } = require('../toolbox/authentication');
+const { auditBulkWrite, auditWrite } = require('../audit-log/middleware');
 
 const router = new Router({
     prefix: '/api/organizations',
 });
 
+const canWriteOrganizations = authorize([roles.ADMIN]);
+const canUpdateOrganizations = authorize([roles.ADMIN, roles.RECRUITER]);
+
+/**
+ * Return the middleware recording the audit logs of an organization write,
+ * and of its contact points written with it
+ *
+ * @param {string} action - create, update or delete
+ * @returns {Function} the koa middleware
+ */
+const auditOrganization = (action) =>
+    auditWrite({
+        action,
+        resource: 'organization',
+        getResourceId: (ctx) => ctx.params.organizationId,
+        getRecord: (client, organizationId) =>
+            getOrganization({ client, organizationId, includeDeleted: true }),
+        lockRecord: (client, organizationId) =>
+            lockOrganization({ client, organizationId, includeDeleted: true }),
+        nestedResources: { contactPoints: 'contactPoint' },
+    });
+
+/**
+ * Return the middleware recording the audit logs of a bulk write of organizations,
+ * and of their contact points written with them
+ *
+ * @param {string} action - update or delete
+ * @param {Function} getResourceIds - returns the organizations identifiers from the koa context
+ * @returns {Function} the koa middleware
+ */
+const auditOrganizations = (action, getResourceIds) =>
+    auditBulkWrite({
+        action,
+        resource: 'organization',
+        getResourceIds,
+        getRecord: (client, organizationId) =>
+            getOrganization({ client, organizationId, includeDeleted: true }),
+        lockRecord: (client, organizationId) =>
+            lockOrganization({ client, organizationId, includeDeleted: true }),
+        nestedResources: { contactPoints: 'contactPoint' },
+    });
+
 router.get('/', async (ctx) => {
-    const { organizations, pagination } = await getOrganizationPaginatedList({
+    const organizationList = await getOrganizationPaginatedList({
         client: ctx.db,
-        filters: parseJsonQueryParameter(ctx.query.filters),
-        sort: parseJsonQueryParameter(ctx.query.sort),
+        filters: parseListFilters(ctx.query),
+        sort: parseSortParameter(ctx.query.sort),
         pagination: {
             currentPage: ctx.query.currentPage,
             perPage: ctx.query.perPage,
         },
+        includeDeleted: includeDeletedSanitizer(
+            ctx.query.includeDeleted,
+            ctx.user
+        ),
     });
 
+    if (organizationList.error) {
+        const explainedError = new Error(organizationList.error.message);
+        explainedError.status = 400;
+
+        throw explainedError;
+    }
+
+    const { organizations, pagination } = organizationList;
     const linkHeaderValue = formatPaginationToLinkHeader({
-        resourceURI: '/api/organizations',
+        resourceURI: `${ctx.origin}/api/organizations`,
         pagination,
+        query: ctx.query,
     });
 
     ctx.set('X-Total-Count', pagination.total);
@@ -39,26 +110,85 @@ router.get('/', async (ctx) => {
     ctx.body = organizations;
 });
 
-router.post('/', async (ctx) => {
-    const newOrganization = await createOrganization({
-        client: ctx.db,
-        apiData: ctx.request.body,
-    });
+router.post(
+    '/',
+    canWriteOrganizations,
+    auditOrganization('create'),
+    async (ctx) => {
+        const newOrganization = await createOrganization({
+            client: ctx.db,
+            apiData: ctx.request.body,
+        });
 
-    if (newOrganization.error) {
-        const explainedError = new Error(newOrganization.error.message);
-        explainedError.status = 400;
+        if (newOrganization.error) {
+            const explainedError = new Error(newOrganization.error.message);
+            explainedError.status = 400;
 
-        throw explainedError;
+            throw explainedError;
+        }
+
+        ctx.body = newOrganization;
     }
+);
 
-    ctx.body = newOrganization;
-});
+router.patch(
+    '/',
+    canUpdateOrganizations,
+    auditOrganizations('update', (ctx) => ctx.request.body.ids),
+    async (ctx) => {
+        const updatedOrganizations = await updateOrganizations({
+            client: ctx.db,
+            user: ctx.user,
+            organizationIds: ctx.request.body.ids,
+            apiData: ctx.request.body.data,
+        });
+
+        if (updatedOrganizations.error) {
+            const explainedError = new Error(
+                updatedOrganizations.error.message
+            );
+            explainedError.status = updatedOrganizations.error.status || 400;
+            explainedError.results = updatedOrganizations.results;
+
+            throw explainedError;
+        }
+
+        ctx.body = updatedOrganizations.results;
+    }
+);
+
+router.delete(
+    '/',
+    canWriteOrganizations,
+    auditOrganizations('delete', (ctx) => idsSanitizer(ctx.query.ids)),
+    async (ctx) => {
+        const deletedOrganizations = await deleteOrganizations({
+            client: ctx.db,
+            organizationIds: idsSanitizer(ctx.query.ids),
+        });
+
+        if (deletedOrganizations.error) {
+            const explainedError = new Error(
+                deletedOrganizations.error.message
+            );
+            explainedError.status = deletedOrganizations.error.status || 400;
+            explainedError.results = deletedOrganizations.results;
+
+            throw explainedError;
+        }
+
+        ctx.body = deletedOrganizations.results;
+    }
+);
 
 router.get('/:organizationId', async (ctx) => {
     const organization = await getOrganization({
         client: ctx.db,
         organizationId: ctx.params.organizationId,
+        includeDeleted: includeDeletedSanitizer(
+            ctx.query.includeDeleted,
+            ctx.user
+        ),
     });
 
     if (!organization.id) {
@@ -77,58 +207,244 @@ router.get('/:organizationId', async (ctx) => {
         throw explainedError;
     }
 
-    ctx.body = organization;
+    if (
+        ctx.accepts('application/json', jsonLdContentType) === jsonLdContentType
+    ) {
+        // the type must be set after the body, koa sets the json type for objects
+        ctx.body = formatOrganizationForJsonLd(organization);
+        ctx.type = jsonLdContentType;
+        return;
+    }
+
+    setBodyWithETag(ctx, organization);
 });
 
-router.delete('/:organizationId', async (ctx) => {
-    const deletedOrganization = await deleteOrganization({
-        client: ctx.db,
-        organizationId: ctx.params.organizationId,
-    });
+router.delete(
+    '/:organizationId',
+    canWriteOrganizations,
+    auditOrganization('delete'),
+    async (ctx) => {
+        const deletedOrganization = await deleteOrganization({
+            client: ctx.db,
+            organizationId: ctx.params.organizationId,
+            ifMatch: ctx.get('If-Match'),
+        });
 
-    if (!deletedOrganization.id) {
-        const explainedError = new Error(
-            `The organization of id ${ctx.params.organizationId} does not exist.`
-        );
-        explainedError.status = 404;
+        if (deletedOrganization.error) {
+            const explainedError = new Error(deletedOrganization.error.message);
+            explainedError.status = deletedOrganization.error.status || 400;
 
-        throw explainedError;
+            throw explainedError;
+        }
+
+        if (!deletedOrganization.id) {
+            const explainedError = new Error(
+                `The organization of id ${ctx.params.organizationId} does not exist.`
+            );
+            explainedError.status = 404;
+
+            throw explainedError;
+        }
+
+        ctx.body = deletedOrganization;
     }
+);
 
-    if (deletedOrganization.error) {
-        const explainedError = new Error(deletedOrganization.error.message);
-        explainedError.status = 400;
+router.post(
+    '/:organizationId/restore',
+    canWriteOrganizations,
+    auditOrganization('update'),
+    async (ctx) => {
+        const restoredOrganization = await restoreOrganization({
+            client: ctx.db,
+            organizationId: ctx.params.organizationId,
+        });
 
-        throw explainedError;
+        if (restoredOrganization.error) {
+            const explainedError = new Error(
+                restoredOrganization.error.message
+            );
+            explainedError.status = restoredOrganization.error.status || 400;
+
+            throw explainedError;
+        }
+
+        if (!restoredOrganization.id) {
+            const explainedError = new Error(
+                `The organization of id ${ctx.params.organizationId} is not in the trash, so it could not be restored`
+            );
+            explainedError.status = 404;
+
+            throw explainedError;
+        }
+
+        ctx.body = restoredOrganization;
     }
+);
 
-    ctx.body = deletedOrganization;
-});
+router.put(
+    '/:organizationId',
+    canUpdateOrganizations,
+    auditOrganization('update'),
+    async (ctx) => {
+        const updatedOrganization = await updateOrganization({
+            client: ctx.db,
+            user: ctx.user,
+            organizationId: ctx.params.organizationId,
+            apiData: ctx.request.body,
+            ifMatch: ctx.get('If-Match'),
+        });
 
-router.put('/:organizationId', async (ctx) => {
-    const updatedOrganization = await updateOrganization({
-        client: ctx.db,
-        organizationId: ctx.params.organizationId,
-        apiData: ctx.request.body,
-    });
+        if (updatedOrganization.error) {
+            const explainedError = new Error(updatedOrganization.error.message);
+            explainedError.status = updatedOrganization.error.status || 400;
 
-    if (updatedOrganization.error) {
-        const explainedError = new Error(updatedOrganization.error.message);
-        explainedError.status = 400;
+            throw explainedError;
+        }
 
-        throw explainedError;
+        if (!updatedOrganization.id) {
+            const explainedError = new Error(
+                `The organization of id ${ctx.params.organizationId} does not exist, so it could not be updated`
+            );
+            explainedError.status = 404;
+
+            throw explainedError;
+        }
+
+        setBodyWithETag(ctx, updatedOrganization);
     }
+);
 
-    if (!updatedOrganization.id) {
-        const explainedError = new Error(
-            `The organization of id ${ctx.params.organizationId} does not exist, so it could not be updated`
-        );
-        explainedError.status = 404;
+router.patch(
+    '/:organizationId',
+    canUpdateOrganizations,
+    auditOrganization('update'),
+    async (ctx) => {
+        const patchedOrganization = await patchOrganization({
+            client: ctx.db,
+            user: ctx.user,
+            organizationId: ctx.params.organizationId,
+            patch: ctx.request.body,
+            ifMatch: ctx.get('If-Match'),
+        });
 
-        throw explainedError;
+        if (patchedOrganization.error) {
+            const explainedError = new Error(patchedOrganization.error.message);
+            explainedError.status = patchedOrganization.error.status || 400;
+
+            throw explainedError;
+        }
+
+        if (!patchedOrganization.id) {
+            const explainedError = new Error(
+                `The organization of id ${ctx.params.organizationId} does not exist, so it could not be updated`
+            );
+            explainedError.status = 404;
+
+            throw explainedError;
+        }
+
+        setBodyWithETag(ctx, patchedOrganization);
     }
+);
 
-    ctx.body = updatedOrganization;
-});
+router.patch(
+    '/:organizationId/contact-points/:contactPointId',
+    canUpdateOrganizations,
+    auditOrganization('update'),
+    async (ctx) => {
+        const patchedContactPoint = await patchContactPoint({
+            client: ctx.db,
+            user: ctx.user,
+            organizationId: ctx.params.organizationId,
+            contactPointId: ctx.params.contactPointId,
+            patch: ctx.request.body,
+        });
+
+        if (patchedContactPoint.error) {
+            const explainedError = new Error(patchedContactPoint.error.message);
+            explainedError.status = patchedContactPoint.error.status || 400;
+
+            throw explainedError;
+        }
+
+        if (!patchedContactPoint.identifier) {
+            const explainedError = new Error(
+                `The contact point of id ${ctx.params.contactPointId} of the organization of id ${ctx.params.organizationId} does not exist, so it could not be updated`
+            );
+            explainedError.status = 404;
+
+            throw explainedError;
+        }
+
+        ctx.body = patchedContactPoint;
+    }
+);
+
+router.get(
+    '/:organizationId/revisions',
+    canUpdateOrganizations,
+    async (ctx) => {
+        const organizationRevisions = await getOrganizationRevisions({
+            client: ctx.db,
+            user: ctx.user,
+            organizationId: ctx.params.organizationId,
+        });
+
+        if (organizationRevisions.error) {
+            const explainedError = new Error(
+                organizationRevisions.error.message
+            );
+            explainedError.status = organizationRevisions.error.status || 400;
+
+            throw explainedError;
+        }
+
+        if (!organizationRevisions.id) {
+            const explainedError = new Error(
+                `The organization of id ${ctx.params.organizationId} does not exist.`
+            );
+            explainedError.status = 404;
+
+            throw explainedError;
+        }
+
+        ctx.body = organizationRevisions.revisions;
+    }
+);
+
+router.post(
+    '/:organizationId/revisions/:revisionNumber/restore',
+    canUpdateOrganizations,
+    auditOrganization('update'),
+    async (ctx) => {
+        const restoredOrganization = await restoreOrganizationRevision({
+            client: ctx.db,
+            user: ctx.user,
+            organizationId: ctx.params.organizationId,
+            number: Number(ctx.params.revisionNumber),
+        });
+
+        if (restoredOrganization.error) {
+            const explainedError = new Error(
+                restoredOrganization.error.message
+            );
+            explainedError.status = restoredOrganization.error.status || 400;
+
+            throw explainedError;
+        }
+
+        if (!restoredOrganization.id) {
+            const explainedError = new Error(
+                `The revision ${ctx.params.revisionNumber} of the organization of id ${ctx.params.organizationId} does not exist, so it could not be restored`
+            );
+            explainedError.status = 404;
+
+            throw explainedError;
+        }
+
+        ctx.body = restoredOrganization;
+    }
+);
 
 module.exports = router;
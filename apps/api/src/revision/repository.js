@@ -0,0 +1,109 @@
+const omit = require('lodash.omit');
+
+const { getAuditChanges } = require('../audit-log/repository');
+
+/**
+ * Record the new version of an updated resource, in the transaction of the update.
+ * The first update also records the original version, so that it can be restored.
+ * An update without change does not create a revision.
+ *
+ * @param {object} client - The Database client, or the transaction of the update
+ * @param {object} user - The authenticated user updating the resource
+ * @param {string} resource - The name of the updated resource
+ * @param {string} resourceId - The identifier of the updated resource
+ * @param {object} before - The revision data of the resource before the update
+ * @param {object} after - The revision data of the resource after the update
+ * @param {number} restoredFrom - The number of the restored revision, if the update is a restoration
+ * @returns {Promise} - the number of the new revision, or null without change
+ */
+const createRevision = async ({
+    client,
+    user,
+    resource,
+    resourceId,
+    before,
+    after,
+    restoredFrom = null,
+}) => {
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+        return null;
+    }
+
+    const lastRevision = await client
+        .first('number')
+        .from('revision')
+        .where({ resource, resourceId })
+        .orderBy('number', 'DESC');
+    const originalRevision = lastRevision
+        ? []
+        : [{ resource, resourceId, number: 1, data: before }];
+    const number = lastRevision ? lastRevision.number + 1 : 2;
+
+    await client('revision').insert([
+        ...originalRevision,
+        {
+            resource,
+            resourceId,
+            number,
+            data: after,
+            userId: user.id,
+            username: user.username,
+            restoredFrom,
+        },
+    ]);
+
+    return number;
+};
+
+/**
+ * Transforms db queried revisions into revision objects for API,
+ * with the fields changed since the previous revision
+ *
+ * @param {Array} dbRevisions - revisions data from database, the oldest first
+ * @returns {Array} the revision objects as describe in OpenAPI contract, the most recent first
+ */
+const formatRevisionsForAPI = (dbRevisions) =>
+    dbRevisions
+        .map((dbRevision, index) => ({
+            ...omit(dbRevision, ['resource', 'resourceId']),
+            changes: index
+                ? getAuditChanges(dbRevisions[index - 1].data, dbRevision.data)
+                : {},
+            createdAt: dbRevision.createdAt.toISOString(),
+        }))
+        .reverse();
+
+/**
+ * Return the revisions of a resource, the most recent first
+ *
+ * @param {object} client - The Database client
+ * @param {string} resource - The name of the resource
+ * @param {string} resourceId - The identifier of the resource
+ * @returns {Promise} - the revisions of the resource
+ */
+const getRevisions = ({ client, resource, resourceId }) =>
+    client
+        .select('*')
+        .from('revision')
+        .where({ resource, resourceId })
+        .orderBy('number', 'ASC')
+        .then(formatRevisionsForAPI);
+
+/**
+ * Return a revision of a resource
+ *
+ * @param {object} client - The Database client
+ * @param {string} resource - The name of the resource
+ * @param {string} resourceId - The identifier of the resource
+ * @param {number} number - The number of the revision
+ * @returns {Promise} - the revision from db, or undefined if it does not exist
+ */
+const getRevision = ({ client, resource, resourceId, number }) =>
+    client.first('*').from('revision').where({ resource, resourceId, number });
+
+module.exports = {
+    createRevision,
+    formatRevisionsForAPI,
+    getRevision,
+    getRevisions,
+};
@@ -0,0 +1,87 @@
+const { formatRevisionsForAPI } = require('./repository');
+
+describe('Revision repository', () => {
+    describe('formatRevisionsForAPI', () => {
+        const dbRevisions = [
+            {
+                id: 'revision-1',
+                resource: 'jobPosting',
+                resourceId: 'job-posting-id',
+                number: 1,
+                data: { title: 'Developpeur Python', skills: ['Python'] },
+                userId: null,
+                username: null,
+                restoredFrom: null,
+                createdAt: new Date('2020-05-02T09:00:00.000Z'),
+            },
+            {
+                id: 'revision-2',
+                resource: 'jobPosting',
+                resourceId: 'job-posting-id',
+                number: 2,
+                data: {
+                    title: 'Developpeur Python senior',
+                    skills: ['Python'],
+                },
+                userId: 'user-id',
+                username: 'admin',
+                restoredFrom: null,
+                createdAt: new Date('2020-05-02T10:00:00.000Z'),
+            },
+            {
+                id: 'revision-3',
+                resource: 'jobPosting',
+                resourceId: 'job-posting-id',
+                number: 3,
+                data: { title: 'Developpeur Python', skills: ['Python'] },
+                userId: 'user-id',
+                username: 'admin',
+                restoredFrom: 1,
+                createdAt: new Date('2020-05-02T11:00:00.000Z'),
+            },
+        ];
+
+        it('should return the most recent revisions first', () => {
+            expect(
+                formatRevisionsForAPI(dbRevisions).map(({ number }) => number)
+            ).toEqual([3, 2, 1]);
+        });
+
+        it('should return the fields changed since the previous revision', () => {
+            const [restored, updated, original] = formatRevisionsForAPI(
+                dbRevisions
+            );
+            expect(original.changes).toEqual({});
+            expect(updated.changes).toEqual({
+                title: {
+                    before: 'Developpeur Python',
+                    after: 'Developpeur Python senior',
+                },
+            });
+            expect(restored.changes).toEqual({
+                title: {
+                    before: 'Developpeur Python senior',
+                    after: 'Developpeur Python',
+                },
+            });
+        });
+
+        it('should format the revision for the API', () => {
+            expect(formatRevisionsForAPI([dbRevisions[1]])).toEqual([
+                {
+                    id: 'revision-2',
+                    number: 2,
+                    data: {
+                        title: 'Developpeur Python senior',
+                        skills: ['Python'],
+                    },
+                    userId: 'user-id',
+                    username: 'admin',
+                    restoredFrom: null,
+                    changes: {},
+                    createdAt: '2020-05-02T10:00:00.000Z',
+                },
+            ]);
+        });
+    });
+});
@@ -0,0 +1,148 @@
+const config = require('../config');
+const { sendMail } = require('../toolbox/mailer');
+
+// the French labels of the most used filters, the other filters keep their name
+const filterLabels = {
+    q: 'Recherche',
+    title: 'Titre',
+    skills: 'Compétences',
+    skills_in: "Au moins l'une des compétences",
+    employmentType: 'Type de contrat',
+    jobLocationType: 'Télétravail',
+    nearTown: 'Ville',
+    radiusKm: 'Rayon (km)',
+    hiringOrganizationName: 'Entreprise',
+};
+
+/**
+ * Return a readable description of a filter
+ *
+ * @param {string} key - The filter key
+ * @param {*} value - The filter value
+ * @returns {string} - the description of the filter
+ */
+const describeFilter = (key, value) => {
+    if (key === '$or') {
+        const groups = value.map(
+            (group) =>
+                `(${Object.keys(group)
+                    .map((groupKey) =>
+                        describeFilter(groupKey, group[groupKey])
+                    )
+                    .join(', ')})`
+        );
+        return `Au moins l'une des recherches : ${groups.join(' ou ')}`;
+    }
+
+    return `${filterLabels[key] || key} : ${
+        Array.isArray(value) ? value.join(', ') : value
+    }`;
+};
+
+/**
+ * Return a readable description of the filters of a savedSearch, one filter by line
+ *
+ * @param {object} filters - The filters of the savedSearch
+ * @returns {string} - the description of the filters
+ */
+const describeFilters = (filters) => {
+    const keys = Object.keys(filters || {});
+    if (!keys.length) {
+        return "- toutes les offres d'emploi";
+    }
+
+    return keys
+        .map((key) => `- ${describeFilter(key, filters[key])}`)
+        .join('\n');
+};
+
+/**
+ * Return the e-mail asking to confirm the subscription to a job alert
+ *
+ * @param {object} savedSearch - The savedSearch from db, with its tokens
+ * @returns {object} - the subject and text of the e-mail
+ */
+const getSavedSearchConfirmationMail = (savedSearch) => ({
+    subject: "Confirmez votre alerte d'offres d'emploi",
+    text: [
+        'Bonjour,',
+        '',
+        "Vous avez demandé à recevoir par e-mail les nouvelles offres d'emploi du JobBoard des CaenCamp.s correspondant à cette recherche :",
+        describeFilters(savedSearch.filters),
+        '',
+        'Pour activer cette alerte, confirmez votre adresse e-mail en suivant ce lien :',
+        `${config.urls.api}/api/saved-searches/confirm/${savedSearch.confirmationToken}`,
+        '',
+        "Si vous n'êtes pas à l'origine de cette demande, ignorez simplement cet e-mail.",
+    ].join('\n'),
+});
+
+/**
+ * Return the e-mail listing the new jobPostings matching a savedSearch
+ *
+ * @param {object} savedSearch - The savedSearch from db, with its tokens
+ * @param {Array} jobPostings - The new jobPostings formatted for the API
+ * @param {number} total - The number of new jobPostings, maybe more than the listed ones
+ * @returns {object} - the subject and text of the e-mail
+ */
+const getSavedSearchDigestMail = ({ savedSearch, jobPostings, total }) => ({
+    subject:
+        total > 1
+            ? `${total} nouvelles offres d'emploi pour votre alerte`
+            : "Une nouvelle offre d'emploi pour votre alerte",
+    text: [
+        'Bonjour,',
+        '',
+        "De nouvelles offres d'emploi correspondent à votre recherche :",
+        describeFilters(savedSearch.filters),
+        '',
+        ...jobPostings.map(
+            (jobPosting) =>
+                `- ${jobPosting.title} chez ${jobPosting.hiringOrganization.name} : ${config.urls.front}/jobs/${jobPosting.id}`
+        ),
+        ...(total > jobPostings.length
+            ? [
+                  `et ${total - jobPostings.length} autres offres sur ${
+                      config.urls.front
+                  }/jobs`,
+              ]
+            : []),
+        '',
+        'Pour ne plus recevoir cette alerte, suivez ce lien :',
+        `${config.urls.api}/api/saved-searches/unsubscribe/${savedSearch.unsubscribeToken}`,
+    ].join('\n'),
+});
+
+/**
+ * Send the confirmation e-mail of a new savedSearch
+ *
+ * @param {object} savedSearch - The savedSearch from db, with its tokens
+ * @returns {Promise} - the nodemailer information about the sent e-mail
+ */
+const sendSavedSearchConfirmation = (savedSearch) =>
+    sendMail({
+        to: savedSearch.email,
+        ...getSavedSearchConfirmationMail(savedSearch),
+    });
+
+/**
+ * Send the new jobPostings matching a savedSearch
+ *
+ * @param {object} savedSearch - The savedSearch from db, with its tokens
+ * @param {Array} jobPostings - The new jobPostings formatted for the API
+ * @param {number} total - The number of new jobPostings
+ * @returns {Promise} - the nodemailer information about the sent e-mail
+ */
+const sendSavedSearchDigest = ({ savedSearch, jobPostings, total }) =>
+    sendMail({
+        to: savedSearch.email,
+        ...getSavedSearchDigestMail({ savedSearch, jobPostings, total }),
+    });
+
+module.exports = {
+    describeFilters,
+    getSavedSearchConfirmationMail,
+    getSavedSearchDigestMail,
+    sendSavedSearchConfirmation,
+    sendSavedSearchDigest,
+};
@@ -0,0 +1,98 @@
+const config = require('../config');
+const {
+    describeFilters,
+    getSavedSearchConfirmationMail,
+    getSavedSearchDigestMail,
+} = require('./notification');
+
+describe('SavedSearch notification', () => {
+    const savedSearch = {
+        email: 'ada@lovelace.org',
+        filters: { skills_in: ['JavaScript', 'Python'], nearTown: 'Caen' },
+        confirmationToken: 'a'.repeat(64),
+        unsubscribeToken: 'b'.repeat(64),
+    };
+
+    describe('describeFilters', () => {
+        it('should describe each filter on its own line', () => {
+            expect(describeFilters(savedSearch.filters)).toEqual(
+                "- Au moins l'une des compétences : JavaScript, Python\n- Ville : Caen"
+            );
+        });
+
+        it('should describe the groups of an $or filter on the same line', () => {
+            expect(
+                describeFilters({
+                    $or: [
+                        { title: 'Elixir' },
+                        {
+                            employmentType: 'CDI',
+                            jobLocationType: 'TELECOMMUTE',
+                        },
+                    ],
+                })
+            ).toEqual(
+                "- Au moins l'une des recherches : (Titre : Elixir) ou (Type de contrat : CDI, Télétravail : TELECOMMUTE)"
+            );
+        });
+
+        it('should describe a search without filters', () => {
+            expect(describeFilters({})).toEqual("- toutes les offres d'emploi");
+        });
+    });
+
+    describe('getSavedSearchConfirmationMail', () => {
+        it('should contain the confirmation link only', () => {
+            const mail = getSavedSearchConfirmationMail(savedSearch);
+
+            expect(mail.text).toContain(
+                `${config.urls.api}/api/saved-searches/confirm/${savedSearch.confirmationToken}`
+            );
+            expect(mail.text).not.toContain(savedSearch.unsubscribeToken);
+        });
+    });
+
+    describe('getSavedSearchDigestMail', () => {
+        const jobPostings = [
+            {
+                id: 'a122edec-5580-4a93-aff7-fc18b41e4c57',
+                title: 'Developpeur Javascript',
+                hiringOrganization: { name: 'Qwarry' },
+            },
+        ];
+
+        it('should list the new jobPostings with the unsubscribe link', () => {
+            const mail = getSavedSearchDigestMail({
+                savedSearch,
+                jobPostings,
+                total: 1,
+            });
+
+            expect(mail.subject).toEqual(
+                "Une nouvelle offre d'emploi pour votre alerte"
+            );
+            expect(mail.text).toContain(
+                `- Developpeur Javascript chez Qwarry : ${config.urls.front}/jobs/a122edec-5580-4a93-aff7-fc18b41e4c57`
+            );
+            expect(mail.text).toContain(
+                `${config.urls.api}/api/saved-searches/unsubscribe/${savedSearch.unsubscribeToken}`
+            );
+            expect(mail.text).not.toContain(savedSearch.confirmationToken);
+        });
+
+        it('should count the jobPostings missing from the mail', () => {
+            const mail = getSavedSearchDigestMail({
+                savedSearch,
+                jobPostings,
+                total: 3,
+            });
+
+            expect(mail.subject).toEqual(
+                "3 nouvelles offres d'emploi pour votre alerte"
+            );
+            expect(mail.text).toContain(
+                `et 2 autres offres sur ${config.urls.front}/jobs`
+            );
+        });
+    });
+});
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const omit = require('lodash.omit');
+
+const { listFiltersSanitizer } = require('../toolbox/sanitizers');
+const {
+    getJobPostingPaginatedList,
+    jobPostingFilterableFields,
+} = require('../job-posting/repository');
+
+// the publication date filters are used by the alerts to only find the new jobPostings,
+// and the alerts only contain published jobPostings whatever their status filter
+const savedSearchFilterableFields = omit(jobPostingFilterableFields, [
+    'createdAt',
+    'publishedAt',
+    'status',
+]);
+
+// the maximum number of jobPostings in an alert e-mail
+const maxJobPostingsByAlert = 20;
+
+/**
+ * Return a random token, for the links of the e-mails
+ *
+ * @returns {string} - a 64 characters token
+ */
+const createToken = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Transforms a db queried savedSearch into a savedSearch object for API.
+ * The tokens must only be sent by e-mail.
+ *
+ * @param {object} dbSavedSearch - savedSearch data from database
+ * @returns {object} a savedSearch object for the API
+ */
+const formatSavedSearchForAPI = (dbSavedSearch) =>
+    dbSavedSearch
+        ? {
+              id: dbSavedSearch.id,
+              email: dbSavedSearch.email,
+              filters: dbSavedSearch.filters,
+              confirmed: !!dbSavedSearch.confirmedAt,
+              createdAt:
+                  dbSavedSearch.createdAt instanceof Date
+                      ? dbSavedSearch.createdAt.toISOString()
+                      : dbSavedSearch.createdAt,
+          }
+        : {};
+
+/**
+ * Return the created savedSearch, waiting for the confirmation of its e-mail.
+ * The filters are the ones of the jobPosting list, and are checked by running the search.
+ *
+ * @param {object} client - The Database client
+ * @param {object} apiData - The validated data sent from API: the e-mail and the filters
+ * @returns {Promise} - the created savedSearch
+ */
+const createSavedSearch = async ({ client, apiData }) => {
+    const { filters, error } = listFiltersSanitizer(
+        apiData.filters,
+        savedSearchFilterableFields
+    );
+    if (error) {
+        return { error };
+    }
+    const jobPostingList = await getJobPostingPaginatedList({
+        client,
+        filters,
+        pagination: { perPage: 1 },
+    });
+    if (jobPostingList.error) {
+        return { error: jobPostingList.error };
+    }
+
+    return client('saved_search')
+        .returning('*')
+        .insert({
+            email: apiData.email,
+            filters,
+            confirmationToken: createToken(),
+            unsubscribeToken: createToken(),
+        })
+        .then(([newSavedSearch]) => formatSavedSearchForAPI(newSavedSearch))
+        .catch((error) => ({ error }));
+};
+
+/**
+ * Return a savedSearch with its tokens, to send them by e-mail
+ *
+ * @param {object} client - The Database client
+ * @param {string} savedSearchId - The savedSearch identifier
+ * @returns {Promise} - the savedSearch from db
+ */
+const getDbSavedSearch = ({ client, savedSearchId }) =>
+    client.first('*').from('saved_search').where({ id: savedSearchId });
+
+/**
+ * Confirm the e-mail of a savedSearch: the alerts are only sent after this confirmation.
+ * A savedSearch can be confirmed several times, the first confirmation date is kept.
+ *
+ * @param {object} client - The Database client
+ * @param {string} token - The confirmation token sent by e-mail
+ * @returns {Promise} - the confirmed savedSearch or an empty object if the token is unknown
+ */
+const confirmSavedSearch = ({ client, token }) =>
+    client('saved_search')
+        .returning('*')
+        .where({ confirmationToken: token })
+        .update({
+            confirmedAt: client.raw('coalesce(confirmed_at, now())'),
+        })
+        .then(([confirmedSavedSearch]) =>
+            formatSavedSearchForAPI(confirmedSavedSearch)
+        )
+        .catch((error) => ({ error }));
+
+/**
+ * Delete a savedSearch from the link of its e-mails
+ *
+ * @param {object} client - The Database client
+ * @param {string} token - The unsubscribe token sent by e-mail
+ * @returns {Promise} - the id of the deleted savedSearch or an empty object if the token is unknown
+ */
+const deleteSavedSearchByToken = ({ client, token }) =>
+    client('saved_search')
+        .returning('id')
+        .where({ unsubscribeToken: token })
+        .del()
+        .then(([id]) => (id ? { id } : {}))
+        .catch((error) => ({ error }));
+
+/**
+ * Return the confirmed savedSearches, with their tokens, to send the alerts
+ *
+ * @param {object} client - The Database client
+ * @returns {Promise} - the savedSearches from db
+ */
+const getConfirmedSavedSearches = ({ client }) =>
+    client
+        .select('*')
+        .from('saved_search')
+        .whereNotNull('confirmedAt')
+        .orderBy('createdAt');
+
+/**
+ * Return the jobPostings matching a savedSearch, published since it was last checked.
+ * The first check looks for the jobPostings published since its confirmation.
+ *
+ * @param {object} client - The Database client
+ * @param {object} savedSearch - The savedSearch from db
+ * @param {Date} until - The date of the current check
+ * @returns {Promise} - the new jobPostings, the most recent first, and their total count
+ */
+const getNewJobPostingsOfSavedSearch = async ({
+    client,
+    savedSearch,
+    until,
+}) => {
+    const since = savedSearch.lastCheckedAt || savedSearch.confirmedAt;
+    const jobPostingList = await getJobPostingPaginatedList({
+        client,
+        filters: {
+            ...savedSearch.filters,
+            publishedAt_after: since.toISOString(),
+            publishedAt_before: until.toISOString(),
+        },
+        sort: ['datePosted', 'DESC'],
+        pagination: { perPage: maxJobPostingsByAlert, currentPage: 1 },
+    });
+    if (jobPostingList.error) {
+        return jobPostingList;
+    }
+
+    return {
+        jobPostings: jobPostingList.jobPostings,
+        total: jobPostingList.pagination.total,
+    };
+};
+
+/**
+ * Save the date of the last check of a savedSearch
+ *
+ * @param {object} client - The Database client
+ * @param {string} savedSearchId - The savedSearch identifier
+ * @param {Date} checkedAt - The date of the check
+ * @returns {Promise} - the number of updated savedSearches
+ */
+const markSavedSearchAsChecked = ({ client, savedSearchId, checkedAt }) =>
+    client('saved_search')
+        .where({ id: savedSearchId })
+        .update({ lastCheckedAt: checkedAt });
+
+module.exports = {
+    confirmSavedSearch,
+    createSavedSearch,
+    deleteSavedSearchByToken,
+    formatSavedSearchForAPI,
+    getConfirmedSavedSearches,
+    getDbSavedSearch,
+    getNewJobPostingsOfSavedSearch,
+    markSavedSearchAsChecked,
+    savedSearchFilterableFields,
+};
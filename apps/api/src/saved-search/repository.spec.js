@@ -0,0 +1,59 @@
+const {
+    formatSavedSearchForAPI,
+    savedSearchFilterableFields,
+} = require('./repository');
+
+describe('SavedSearch Repository', () => {
+    describe('formatSavedSearchForAPI', () => {
+        it('should return an empty object if data is not provided', () => {
+            expect(formatSavedSearchForAPI()).toEqual({});
+        });
+
+        it('should never return the tokens of the e-mails', () => {
+            const dbSavedSearch = {
+                id: '9b1e4c2a-3d5f-4e6a-8b7c-0d1e2f3a4b5c',
+                email: 'ada@lovelace.org',
+                filters: { skills_in: ['JavaScript'], nearTown: 'Caen' },
+                confirmationToken: 'a'.repeat(64),
+                unsubscribeToken: 'b'.repeat(64),
+                confirmedAt: null,
+                lastCheckedAt: null,
+                createdAt: new Date('2020-04-27T09:05:12.000Z'),
+            };
+
+            expect(formatSavedSearchForAPI(dbSavedSearch)).toEqual({
+                id: '9b1e4c2a-3d5f-4e6a-8b7c-0d1e2f3a4b5c',
+                email: 'ada@lovelace.org',
+                filters: { skills_in: ['JavaScript'], nearTown: 'Caen' },
+                confirmed: false,
+                createdAt: '2020-04-27T09:05:12.000Z',
+            });
+        });
+
+        it('should be confirmed once its e-mail is confirmed', () => {
+            expect(
+                formatSavedSearchForAPI({
+                    id: '9b1e4c2a-3d5f-4e6a-8b7c-0d1e2f3a4b5c',
+                    confirmedAt: new Date('2020-04-27T10:00:00.000Z'),
+                }).confirmed
+            ).toBe(true);
+        });
+    });
+
+    describe('savedSearchFilterableFields', () => {
+        it('should not allow the publication date filters used by the alerts', () => {
+            expect(Object.keys(savedSearchFilterableFields)).toContain(
+                'skills_in'
+            );
+            expect(Object.keys(savedSearchFilterableFields)).not.toContain(
+                'createdAt'
+            );
+            expect(Object.keys(savedSearchFilterableFields)).not.toContain(
+                'publishedAt'
+            );
+            expect(Object.keys(savedSearchFilterableFields)).not.toContain(
+                'status'
+            );
+        });
+    });
+});
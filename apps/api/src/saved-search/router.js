@@ -0,0 +1,74 @@
+const Router = require('koa-router');
+
+const {
+    confirmSavedSearch,
+    createSavedSearch,
+    deleteSavedSearchByToken,
+    getDbSavedSearch,
+} = require('./repository');
+const { sendSavedSearchConfirmation } = require('./notification');
+
+const router = new Router({
+    prefix: '/api/saved-searches',
+});
+
+/**
+ * Throw the error of a repository result, or a 404 if the token is unknown
+ *
+ * @param {object} result - the result of the repository
+ */
+const throwSavedSearchError = (result) => {
+    if (result.error) {
+        const explainedError = new Error(result.error.message);
+        explainedError.status = result.error.status || 400;
+
+        throw explainedError;
+    }
+
+    if (!result.id) {
+        const explainedError = new Error(
+            'The token does not match any saved search.'
+        );
+        explainedError.status = 404;
+
+        throw explainedError;
+    }
+};
+
+router.post('/', async (ctx) => {
+    const newSavedSearch = await createSavedSearch({
+        client: ctx.db,
+        apiData: ctx.request.body,
+    });
+    throwSavedSearchError(newSavedSearch);
+
+    const dbSavedSearch = await getDbSavedSearch({
+        client: ctx.db,
+        savedSearchId: newSavedSearch.id,
+    });
+    await sendSavedSearchConfirmation(dbSavedSearch);
+
+    ctx.body = newSavedSearch;
+});
+
+router.get('/confirm/:token', async (ctx) => {
+    const confirmedSavedSearch = await confirmSavedSearch({
+        client: ctx.db,
+        token: ctx.params.token,
+    });
+    throwSavedSearchError(confirmedSavedSearch);
+
+    ctx.body = confirmedSavedSearch;
+});
+
+router.get('/unsubscribe/:token', async (ctx) => {
+    const deletedSavedSearch = await deleteSavedSearchByToken({
+        client: ctx.db,
+        token: ctx.params.token,
+    });
+    throwSavedSearchError(deletedSavedSearch);
+
+    ctx.body = deletedSavedSearch;
+});
+
+module.exports = router;
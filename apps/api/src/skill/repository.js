@@ -0,0 +1,150 @@
+const {
+    addFiltersToQuery,
+    addSortToQuery,
+    listFiltersSanitizer,
+    paginationSanitizer,
+    sortSanitizer,
+} = require('../toolbox/sanitizers');
+const { addVisibilityToQuery } = require('../job-posting/visibility');
+
+const skillSortableFields = ['name', 'jobPostingCount'];
+
+// the filters of the skill list, all of them use the filter grammar of the sanitizers:
+// name is an autocomplete, the skills starting with the typed text whatever the case
+const skillFilterableFields = {
+    name: { column: 'skill.name', type: 'string', operator: 'iprefix' },
+};
+
+/**
+ * Clean a list of skill names before saving them:
+ * names are trimmed, empty names are removed, and duplicates are removed without case sensitivity.
+ *
+ * @param {Array} names - The skill names sent from API
+ * @returns {Array} - The unique skill names, in the order they were sent
+ */
+const normalizeSkillNames = (names = []) =>
+    names
+        .map((name) => (typeof name === 'string' ? name.trim() : ''))
+        .filter((name) => name)
+        .filter(
+            (name, index, allNames) =>
+                allNames.findIndex(
+                    (otherName) =>
+                        otherName.toLowerCase() === name.toLowerCase()
+                ) === index
+        );
+
+/**
+ * Knex query for filtrated skill list, with the number of public jobPostings using each skill:
+ * the drafts, the pending, expired and archived jobPostings and the trash are not counted
+ *
+ * @param {object} client - The Database client
+ * @param {object} filters - Skill Filter
+ * @param {Array} sort - Sort parameters [[columnName, direction], ...]
+ * @returns {Promise} - Knew query for filtrated skill list
+ */
+const getFilteredSkillsQuery = (client, filters, sort) => {
+    const publicJobPostings = addVisibilityToQuery(
+        client,
+        client.select('job_posting.id').from('job_posting')
+    ).as('public_job_posting');
+    const query = client
+        .select(
+            'skill.*',
+            client.raw(
+                'count(public_job_posting.id)::integer as job_posting_count'
+            )
+        )
+        .from('skill')
+        .leftJoin('job_posting_skill', {
+            'job_posting_skill.skill_id': 'skill.id',
+        })
+        .leftJoin(publicJobPostings, {
+            'public_job_posting.id': 'job_posting_skill.job_posting_id',
+        })
+        .groupBy('skill.id');
+
+    addFiltersToQuery(query, filters, skillFilterableFields);
+
+    if (sort && sort.length) {
+        addSortToQuery(query, sort, 'skill.id');
+    }
+
+    return query;
+};
+
+/**
+ * Return paginated and filtered list of skills
+ *
+ * @param {object} client - The Database client
+ * @param {object} filters - Skill Filter
+ * @param {Array} sort - Sort parameters [[columnName, direction], ...]
+ * @param {object} pagination - Pagination {perPage: 10, currentPage: 1}
+ * @returns {Promise} - paginated object with paginated skill list and totalCount
+ */
+const getSkillPaginatedList = async ({ client, filters, sort, pagination }) => {
+    const sanitizedList = listFiltersSanitizer(filters, skillFilterableFields);
+    if (sanitizedList.error) {
+        return sanitizedList;
+    }
+    const sanitizedSort = sortSanitizer(sort, skillSortableFields);
+    if (sanitizedSort.error) {
+        return sanitizedSort;
+    }
+    const query = getFilteredSkillsQuery(
+        client,
+        sanitizedList.filters,
+        sanitizedSort.sort
+    );
+    const [perPage, currentPage] = paginationSanitizer(pagination);
+
+    return query
+        .paginate({ perPage, currentPage, isLengthAware: true })
+        .then((result) => ({
+            skills: result.data,
+            pagination: result.pagination,
+        }))
+        .catch((error) => ({ error }));
+};
+
+/**
+ * Replace the skills of a jobPosting, creating the skills missing from the vocabulary.
+ * Existing skills are reused without case sensitivity, so "react" is linked to "React".
+ *
+ * @param {object} client - The Database client, or the current transaction
+ * @param {string} jobPostingId - The jobPosting identifier
+ * @param {Array} names - The skill names of the jobPosting
+ * @returns {Promise} - the ids of the linked skills
+ */
+const setJobPostingSkills = async ({ client, jobPostingId, names }) => {
+    const skillNames = normalizeSkillNames(names);
+
+    await client('job_posting_skill').where({ jobPostingId }).del();
+
+    const skillIds = [];
+    for (let position = 0; position < skillNames.length; position++) {
+        const {
+            rows: [skill],
+        } = await client.raw(
+            `INSERT INTO skill (name) VALUES (?)
+            ON CONFLICT ((lower(name))) DO UPDATE SET name = skill.name
+            RETURNING id`,
+            [skillNames[position]]
+        );
+        await client('job_posting_skill').insert({
+            jobPostingId,
+            skillId: skill.id,
+            position,
+        });
+        skillIds.push(skill.id);
+    }
+
+    return skillIds;
+};
+
+module.exports = {
+    getFilteredSkillsQuery,
+    getSkillPaginatedList,
+    normalizeSkillNames,
+    setJobPostingSkills,
+};
@@ -0,0 +1,57 @@
+const knex = require('knex')({ client: 'pg' });
+
+const {
+    getFilteredSkillsQuery,
+    getSkillPaginatedList,
+    normalizeSkillNames,
+} = require('./repository');
+
+describe('Skill Repository', () => {
+    describe('normalizeSkillNames', () => {
+        it('should return an empty array without skill names', () => {
+            expect(normalizeSkillNames()).toEqual([]);
+        });
+
+        it('should trim the skill names and remove the empty ones', () => {
+            expect(
+                normalizeSkillNames([' Machine learning', 'Python ', ' ', ''])
+            ).toEqual(['Machine learning', 'Python']);
+        });
+
+        it('should remove the duplicated skill names without case sensitivity, keeping the first one', () => {
+            expect(
+                normalizeSkillNames(['SQL', 'Python', 'sql', 'Sql'])
+            ).toEqual(['SQL', 'Python']);
+        });
+    });
+
+    describe('getFilteredSkillsQuery', () => {
+        it('should search the skills starting with the name, its wildcards searched literally', () => {
+            expect(
+                getFilteredSkillsQuery(knex, { name: '100%_c' }, []).toSQL()
+                    .bindings
+            ).toContain('100\\%\\_c%');
+        });
+
+        it('should only count the public jobPostings', () => {
+            const query = getFilteredSkillsQuery(knex, {}, []).toString();
+            expect(query).toContain(
+                'left join (select "job_posting"."id" from "job_posting" where "job_posting"."deleted_at" is null and ("job_posting"."status" = \'published\''
+            );
+            expect(query).toContain(
+                'count(public_job_posting.id)::integer as job_posting_count'
+            );
+        });
+    });
+
+    describe('getSkillPaginatedList', () => {
+        it('should return a 400 error for an invalid filter', async () => {
+            const { error } = await getSkillPaginatedList({
+                client: knex,
+                filters: { name: { $regex: 'py' } },
+            });
+            expect(error.status).toEqual(400);
+            expect(error.message).toEqual('The filter name must be a string.');
+        });
+    });
+});
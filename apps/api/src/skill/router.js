@@ -0,0 +1,47 @@
+const Router = require('koa-router');
+
+const { getSkillPaginatedList } = require('./repository');
+const {
+    parseJsonQueryParameter,
+    parseSortParameter,
+    formatPaginationToLinkHeader,
+} = require('../toolbox/sanitizers');
+
+const router = new Router({
+    prefix: '/api/skills',
+});
+
+router.get('/', async (ctx) => {
+    const skillList = await getSkillPaginatedList({
+        client: ctx.db,
+        filters: parseJsonQueryParameter(ctx.query.filters),
+        sort: parseSortParameter(ctx.query.sort),
+        pagination: {
+            currentPage: ctx.query.currentPage,
+            perPage: ctx.query.perPage,
+        },
+    });
+
+    if (skillList.error) {
+        const explainedError = new Error(skillList.error.message);
+        explainedError.status = 400;
+
+        throw explainedError;
+    }
+
+    const { skills, pagination } = skillList;
+
+    const linkHeaderValue = formatPaginationToLinkHeader({
+        resourceURI: `${ctx.origin}/api/skills`,
+        pagination,
+        query: ctx.query,
+    });
+
+    ctx.set('X-Total-Count', pagination.total);
+    if (linkHeaderValue) {
+        ctx.set('Link', linkHeaderValue);
+    }
+    ctx.body = skills;
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const jwt = require('jsonwebtoken');
+
+const config = require('../config');
+
+const roles = {
+    ADMIN: 'admin',
+    RECRUITER: 'recruiter',
+    ANONYMOUS: 'anonymous',
+};
+
+const anonymousUser = { id: null, username: null, role: roles.ANONYMOUS };
+
+// the other tokens signed by the API, like the renewal links, have their own audience
+const authenticationAudience = 'authentication';
+
+/**
+ * Create a signed authentication token for a user
+ *
+ * @param {object} user - the authenticated user
+ * @returns {string} the JWT token
+ */
+const createToken = ({ id, username, role }) =>
+    jwt.sign({ username, role }, config.security.jwtSecret, {
+        subject: id,
+        audience: authenticationAudience,
+        expiresIn: config.security.jwtExpiresIn,
+    });
+
+/**
+ * Return the user described by an authentication token
+ *
+ * @param {string} token - the JWT token
+ * @returns {(object|boolean)} the user or false if the token is invalid or expired
+ */
+const getUserFromToken = (token) => {
+    try {
+        const { sub, username, role } = jwt.verify(
+            token,
+            config.security.jwtSecret,
+            { audience: authenticationAudience }
+        );
+
+        return { id: sub, username, role };
+    } catch (error) {
+        return false;
+    }
+};
+
+module.exports = {
+    anonymousUser,
+    createToken,
+    getUserFromToken,
+    roles,
+};
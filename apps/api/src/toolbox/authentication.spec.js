@@ -0,0 +1,66 @@
+jest.mock('../config', () => ({
+    security: { jwtSecret: 'test-secret', jwtExpiresIn: '1h' },
+}));
+
+const jwt = require('jsonwebtoken');
+
+const { createToken, getUserFromToken } = require('./authentication');
+
+describe('Authentication', () => {
+    describe('createToken', () => {
+        it("should return a signed token containing the user's role", () => {
+            const token = createToken({
+                id: '9a6c8995-df54-446c-a5b8-71532c304751',
+                username: 'admin',
+                role: 'admin',
+            });
+            const payload = jwt.verify(token, 'test-secret');
+            expect(payload.sub).toEqual('9a6c8995-df54-446c-a5b8-71532c304751');
+            expect(payload.username).toEqual('admin');
+            expect(payload.role).toEqual('admin');
+        });
+    });
+
+    describe('getUserFromToken', () => {
+        it('should return the user described by a valid token', () => {
+            const token = createToken({
+                id: '9a6c8995-df54-446c-a5b8-71532c304751',
+                username: 'recruiter',
+                role: 'recruiter',
+            });
+            expect(getUserFromToken(token)).toEqual({
+                id: '9a6c8995-df54-446c-a5b8-71532c304751',
+                username: 'recruiter',
+                role: 'recruiter',
+            });
+        });
+
+        it('should return false if the token is not signed with the secret', () => {
+            const token = jwt.sign({ role: 'admin' }, 'another-secret', {
+                subject: '9a6c8995-df54-446c-a5b8-71532c304751',
+            });
+            expect(getUserFromToken(token)).toBe(false);
+        });
+
+        it('should return false if the token is expired', () => {
+            const token = jwt.sign({ role: 'admin' }, 'test-secret', {
+                subject: '9a6c8995-df54-446c-a5b8-71532c304751',
+                audience: 'authentication',
+                expiresIn: '-1h',
+            });
+            expect(getUserFromToken(token)).toBe(false);
+        });
+
+        it('should return false if the token is not an authentication token', () => {
+            const token = jwt.sign({ role: 'admin' }, 'test-secret', {
+                subject: '9a6c8995-df54-446c-a5b8-71532c304751',
+                audience: 'job-posting-renewal',
+            });
+            expect(getUserFromToken(token)).toBe(false);
+        });
+
+        it('should return false if the token is malformed', () => {
+            expect(getUserFromToken('not-a-token')).toBe(false);
+        });
+    });
+});
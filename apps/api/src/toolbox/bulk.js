@@ -0,0 +1,106 @@
+// the maximum number of resources written by a single bulk request
+const maxBulkSize = 100;
+
+// the status of the writes cancelled by the failure of another write of the same request
+const cancelledStatus = 424;
+
+/**
+ * Return an error with an HTTP status
+ *
+ * @param {string} message - The error message
+ * @param {number} status - The HTTP status of the error
+ * @returns {Error} the explained error
+ */
+const getBulkError = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+
+    return error;
+};
+
+/**
+ * Write several resources of the same type in a single transaction.
+ * Each write runs in its own savepoint, so that all the failures are reported,
+ * then the whole transaction is rolled back if one of them failed.
+ *
+ * @param {object} client - The Database client
+ * @param {string} resource - The name of the written resource, for the error messages
+ * @param {Array} ids - The identifiers of the resources to write
+ * @param {Function} write - writes a resource from a transaction and its identifier, returns a promise of the written resource, {} if it does not exist or {error}
+ * @returns {Promise} - the result of each write {id, status, message}, with an error if one of them failed
+ */
+const runBulkWrite = async ({ client, resource, ids, write }) => {
+    if (!Array.isArray(ids) || !ids.length || ids.length > maxBulkSize) {
+        return {
+            error: getBulkError(
+                `A bulk request must write between 1 and ${maxBulkSize} ${resource}s.`,
+                400
+            ),
+        };
+    }
+
+    const uniqueIds = [...new Set(ids)];
+    const results = [];
+    const bulkError = getBulkError('', 400);
+
+    return client
+        .transaction(async (trx) => {
+            for (let i = 0; i < uniqueIds.length; i++) {
+                const id = uniqueIds[i];
+                const result = await trx
+                    .transaction(async (savepoint) => {
+                        const written = await write(savepoint, id);
+                        if (written.error) {
+                            throw written.error;
+                        }
+                        if (!written.id) {
+                            throw getBulkError(
+                                `The ${resource} of id ${id} does not exist.`,
+                                404
+                            );
+                        }
+
+                        return { id, status: 200 };
+                    })
+                    .catch((error) => ({
+                        id,
+                        status: error.status || 400,
+                        message: error.message,
+                    }));
+                results.push(result);
+            }
+
+            const failure = results.find(({ status }) => status !== 200);
+            if (failure) {
+                bulkError.message = `The ${resource} of id ${failure.id} could not be written, so no ${resource} was written: ${failure.message}`;
+                bulkError.status = failure.status;
+
+                throw bulkError;
+            }
+
+            return { results };
+        })
+        .catch((error) => {
+            if (error !== bulkError) {
+                return { error };
+            }
+
+            return {
+                error,
+                results: results.map((result) =>
+                    result.status === 200
+                        ? {
+                              id: result.id,
+                              status: cancelledStatus,
+                              message: `The write of the ${resource} was cancelled by the failure of another one.`,
+                          }
+                        : result
+                ),
+            };
+        });
+};
+
+module.exports = {
+    maxBulkSize,
+    runBulkWrite,
+};
@@ -0,0 +1,92 @@
+const { maxBulkSize, runBulkWrite } = require('./bulk');
+
+describe('Bulk', () => {
+    describe('runBulkWrite', () => {
+        // a transaction of the fake client runs its callback with the client itself
+        const client = {
+            transaction: (callback) =>
+                Promise.resolve().then(() => callback(client)),
+        };
+
+        it('should return the result of each write', async () => {
+            const write = jest.fn((trx, id) => Promise.resolve({ id }));
+            expect(
+                await runBulkWrite({
+                    client,
+                    resource: 'jobPosting',
+                    ids: ['id1', 'id2', 'id1'],
+                    write,
+                })
+            ).toEqual({
+                results: [
+                    { id: 'id1', status: 200 },
+                    { id: 'id2', status: 200 },
+                ],
+            });
+            expect(write).toHaveBeenCalledTimes(2);
+        });
+
+        it('should report each failure and cancel the other writes', async () => {
+            const forbiddenError = new Error('Forbidden');
+            forbiddenError.status = 403;
+            const writtenResources = {
+                id1: { id: 'id1' },
+                id2: {},
+                id3: { error: forbiddenError },
+            };
+
+            const { error, results } = await runBulkWrite({
+                client,
+                resource: 'jobPosting',
+                ids: ['id1', 'id2', 'id3'],
+                write: (trx, id) => Promise.resolve(writtenResources[id]),
+            });
+
+            expect(error.status).toEqual(404);
+            expect(error.message).toEqual(
+                'The jobPosting of id id2 could not be written, so no jobPosting was written: The jobPosting of id id2 does not exist.'
+            );
+            expect(results).toEqual([
+                {
+                    id: 'id1',
+                    status: 424,
+                    message:
+                        'The write of the jobPosting was cancelled by the failure of another one.',
+                },
+                {
+                    id: 'id2',
+                    status: 404,
+                    message: 'The jobPosting of id id2 does not exist.',
+                },
+                { id: 'id3', status: 403, message: 'Forbidden' },
+            ]);
+        });
+
+        it('should refuse an empty or too large list of ids', async () => {
+            const write = jest.fn();
+            const tooManyIds = Array.from(
+                { length: maxBulkSize + 1 },
+                (value, index) => `id${index}`
+            );
+
+            const emptyBulk = await runBulkWrite({
+                client,
+                resource: 'organization',
+                ids: [],
+                write,
+            });
+            const tooLargeBulk = await runBulkWrite({
+                client,
+                resource: 'organization',
+                ids: tooManyIds,
+                write,
+            });
+
+            expect(emptyBulk.error.status).toEqual(400);
+            expect(tooLargeBulk.error.message).toEqual(
+                'A bulk request must write between 1 and 100 organizations.'
+            );
+            expect(write).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,253 @@
+const { uuidPattern } = require('./sanitizers');
+
+// a date or a timestamp in ISO format, as the values of the date columns in a cursor
+const isoDatePattern = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * The checks of the values of a cursor, by type of the sorted field, so that a forged cursor
+ * is refused before reaching the database. The decimal columns are read as strings from PostgreSQL.
+ */
+const cursorValueChecks = {
+    string: (value) => typeof value === 'string',
+    number: (value) =>
+        (typeof value === 'number' ||
+            (typeof value === 'string' && value.trim() !== '')) &&
+        Number.isFinite(Number(value)),
+    date: (value) =>
+        typeof value === 'string' &&
+        isoDatePattern.test(value) &&
+        !Number.isNaN(new Date(value).getTime()),
+    uuid: (value) => typeof value === 'string' && uuidPattern.test(value),
+};
+
+/**
+ * Return a cursor pagination error, sent with a 400 status
+ *
+ * @param {string} message - the explanation of the error
+ * @returns {Error} the error
+ */
+const getCursorError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+
+    return error;
+};
+
+/**
+ * Return the opaque cursor of a row: the values of its sort keys and its identifier,
+ * with the sort they belong to, in url-safe base64
+ *
+ * @param {Array} sort - the [field, direction] pairs of the list
+ * @param {Array} values - the values of the sorted fields, then the identifier
+ * @returns {string} the cursor
+ */
+const encodeCursor = (sort, values) =>
+    Buffer.from(JSON.stringify({ sort, values }))
+        .toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+
+/**
+ * Return the values of a cursor, if it was made for the current sort of the list
+ * and if its values match the types of the sorted fields and of the identifier
+ *
+ * @param {string} cursor - the cursor sent in the after or before query parameter
+ * @param {Array} sort - the [field, direction] pairs of the list
+ * @param {object} columns - the columns of the fields usable with a cursor: { title: { column: 'job_posting.title', type: 'string' } }
+ * @returns {object} the values of the sorted fields then the identifier, or an error
+ */
+const decodeCursor = (cursor, sort, columns) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    } catch (e) {
+        decoded = null;
+    }
+
+    if (
+        !decoded ||
+        !Array.isArray(decoded.values) ||
+        decoded.values.length !== sort.length + 1 ||
+        !cursorValueChecks.uuid(decoded.values[sort.length]) ||
+        sort.some(
+            ([field], index) =>
+                decoded.values[index] !== null &&
+                !cursorValueChecks[columns[field].type](decoded.values[index])
+        )
+    ) {
+        return { error: getCursorError('The cursor is invalid.') };
+    }
+    if (JSON.stringify(decoded.sort) !== JSON.stringify(sort)) {
+        return {
+            error: getCursorError(
+                'The cursor was made for another sort of the list.'
+            ),
+        };
+    }
+
+    return { values: decoded.values };
+};
+
+/**
+ * Return the values of the sort keys of a row, for its cursor
+ *
+ * @param {object} row - the row from database
+ * @param {Array} sort - the [field, direction] pairs of the list
+ * @returns {Array} the values of the sorted fields, then the identifier
+ */
+const getCursorValues = (row, sort) =>
+    [...sort.map(([field]) => row[field]), row.id].map((value) =>
+        value instanceof Date ? value.toISOString() : value
+    );
+
+/**
+ * Restrict a query to the rows after a cursor, in the order of its sort keys.
+ * A row is after the cursor if its first keys are equal to the ones of the cursor,
+ * and its next key is after the one of the cursor.
+ * As in PostgreSQL, the null values are after the other ones in ascending order, before them in descending order.
+ * The last key is the identifier, which is never null.
+ *
+ * @param {object} query - the knex query
+ * @param {Array} keys - the [column, direction] pairs of the sort, the identifier being the last one
+ * @param {Array} values - the values of the cursor
+ * @returns {object} the knex query
+ */
+const addCursorToQuery = (query, keys, values) =>
+    query.where(function () {
+        keys.forEach(([column, direction], index) => {
+            const value = values[index];
+            if (value === null && direction === 'ASC') {
+                // no value is after a null one in ascending order
+                return;
+            }
+
+            this.orWhere(function () {
+                keys.slice(0, index).forEach(
+                    ([previousColumn], previousIndex) => {
+                        if (values[previousIndex] === null) {
+                            this.whereNull(previousColumn);
+                        } else {
+                            this.where(previousColumn, values[previousIndex]);
+                        }
+                    }
+                );
+                if (value === null) {
+                    this.whereNotNull(column);
+                } else if (index === keys.length - 1) {
+                    // the identifier is never null
+                    this.where(column, direction === 'ASC' ? '>' : '<', value);
+                } else if (direction === 'ASC') {
+                    this.where(function () {
+                        this.where(column, '>', value).orWhereNull(column);
+                    });
+                } else {
+                    this.where(column, '<', value);
+                }
+            });
+        });
+    });
+
+const reverseDirection = (direction) => (direction === 'ASC' ? 'DESC' : 'ASC');
+
+/**
+ * Return a page of a list from a cursor, without counting the rows of the list or skipping them with an offset.
+ * With the after cursor, the page contains the rows following the cursor, from the start of the list if it is empty.
+ * With the before cursor, the page contains the rows preceding the cursor, up to the end of the list if it is empty.
+ * The next and prev cursors of the page are the ones of its last and first rows, if there are rows after or before them.
+ *
+ * @param {object} query - the knex query of the list, with its filters
+ * @param {Array} sort - the sanitized [field, direction] pairs of the list
+ * @param {object} columns - the columns of the fields usable with a cursor and their type: { title: { column: 'job_posting.title', type: 'string' } }
+ * @param {string} idColumn - the uuid identifier column, sorting the rows with the same values
+ * @param {number} perPage - the number of rows of the page
+ * @param {string} after - the cursor of the row preceding the page
+ * @param {string} before - the cursor of the row following the page
+ * @returns {Promise} - the rows of the page and its pagination, or an error
+ */
+const paginateWithCursor = async ({
+    query,
+    sort,
+    columns,
+    idColumn,
+    perPage,
+    after,
+    before,
+}) => {
+    if (after !== undefined && before !== undefined) {
+        return {
+            error: getCursorError(
+                'The after and before cursors cannot be used together.'
+            ),
+        };
+    }
+    const unsortableField = sort.find(([field]) => !columns[field]);
+    if (unsortableField) {
+        return {
+            error: getCursorError(
+                `The sort ${unsortableField[0]} cannot be used with a cursor.`
+            ),
+        };
+    }
+
+    const backward = before !== undefined;
+    const cursor = backward ? before : after;
+    const cursorValues = cursor
+        ? decodeCursor(cursor, sort, columns)
+        : { values: null };
+    if (cursorValues.error) {
+        return cursorValues;
+    }
+
+    // the rows before a cursor are the rows after it in the reverse order
+    const keys = [
+        ...sort.map(([field, direction]) => [columns[field].column, direction]),
+        [idColumn, 'ASC'],
+    ].map(([column, direction]) => [
+        column,
+        backward ? reverseDirection(direction) : direction,
+    ]);
+    query.clearOrder();
+    keys.forEach(([column, direction]) => {
+        query.orderBy(column, direction);
+    });
+    if (cursorValues.values) {
+        addCursorToQuery(query, keys, cursorValues.values);
+    }
+
+    const rows = await query.limit(perPage + 1);
+    const hasMore = rows.length > perPage;
+    const data = rows.slice(0, perPage);
+    if (backward) {
+        data.reverse();
+    }
+    const [firstRow, lastRow] = [data[0], data[data.length - 1]];
+    const hasNext = backward ? !!cursor : hasMore;
+    const hasPrev = backward ? hasMore : !!cursor;
+
+    return {
+        data,
+        pagination: {
+            perPage,
+            cursors: {
+                self: backward ? { before } : { after: after || '' },
+                next:
+                    hasNext && lastRow
+                        ? encodeCursor(sort, getCursorValues(lastRow, sort))
+                        : null,
+                prev:
+                    hasPrev && firstRow
+                        ? encodeCursor(sort, getCursorValues(firstRow, sort))
+                        : null,
+            },
+        },
+    };
+};
+
+module.exports = {
+    addCursorToQuery,
+    decodeCursor,
+    encodeCursor,
+    getCursorValues,
+    paginateWithCursor,
+};
@@ -0,0 +1,284 @@
+const knex = require('knex')({ client: 'pg' });
+
+const {
+    addCursorToQuery,
+    decodeCursor,
+    encodeCursor,
+    getCursorValues,
+    paginateWithCursor,
+} = require('./cursor');
+
+describe('Cursor', () => {
+    const postingIds = [
+        '1f5b4e33-5d1c-4d6b-9a1e-6c0a1f0b2c01',
+        '2f5b4e33-5d1c-4d6b-9a1e-6c0a1f0b2c02',
+        '3f5b4e33-5d1c-4d6b-9a1e-6c0a1f0b2c03',
+    ];
+    const sort = [['datePosted', 'DESC']];
+    const columns = {
+        datePosted: { column: 'job_posting.date_posted', type: 'date' },
+        title: { column: 'job_posting.title', type: 'string' },
+        baseSalaryMinValue: {
+            column: 'job_posting.base_salary_min_value',
+            type: 'number',
+        },
+    };
+
+    describe('encodeCursor and decodeCursor', () => {
+        it('should return the values of a cursor made for the same sort', () => {
+            const cursor = encodeCursor(sort, ['2020-12-03', postingIds[2]]);
+            expect(cursor).toMatch(/^[\w-]+$/);
+            expect(decodeCursor(cursor, sort, columns)).toEqual({
+                values: ['2020-12-03', postingIds[2]],
+            });
+        });
+
+        it('should return a 400 error for a cursor made for another sort', () => {
+            const { error } = decodeCursor(
+                encodeCursor(sort, ['2020-12-03', postingIds[2]]),
+                [['datePosted', 'ASC']],
+                columns
+            );
+            expect(error.status).toEqual(400);
+            expect(error.message).toEqual(
+                'The cursor was made for another sort of the list.'
+            );
+        });
+
+        it('should return a 400 error for an invalid cursor', () => {
+            expect(
+                decodeCursor('not-a-cursor', sort, columns).error.message
+            ).toEqual('The cursor is invalid.');
+            expect(
+                decodeCursor(encodeCursor(sort, [postingIds[2]]), sort, columns)
+                    .error.message
+            ).toEqual('The cursor is invalid.');
+            expect(
+                decodeCursor(
+                    encodeCursor(sort, [{}, postingIds[2]]),
+                    sort,
+                    columns
+                ).error.message
+            ).toEqual('The cursor is invalid.');
+        });
+        it('should return a 400 error for a well-formed cursor with values of the wrong types', () => {
+            const sortByTitleAndSalary = [
+                ['title', 'ASC'],
+                ['baseSalaryMinValue', 'DESC'],
+            ];
+            [
+                [sort, ['not-a-date', postingIds[2]]],
+                [sort, ['2020-12-03', 'posting-3']],
+                [sort, [20201203, postingIds[2]]],
+                [sortByTitleAndSalary, [42, '35000.00', postingIds[2]]],
+                [sortByTitleAndSalary, ['Developpeur', 'a lot', postingIds[2]]],
+            ].forEach(([cursorSort, values]) => {
+                const { error } = decodeCursor(
+                    encodeCursor(cursorSort, values),
+                    cursorSort,
+                    columns
+                );
+                expect(error.status).toEqual(400);
+                expect(error.message).toEqual('The cursor is invalid.');
+            });
+        });
+
+        it('should accept the null values and the decimals read from the database', () => {
+            const sortByTitleAndSalary = [
+                ['title', 'ASC'],
+                ['baseSalaryMinValue', 'DESC'],
+            ];
+            expect(
+                decodeCursor(
+                    encodeCursor(sortByTitleAndSalary, [
+                        'Developpeur',
+                        '35000.00',
+                        postingIds[2],
+                    ]),
+                    sortByTitleAndSalary,
+                    columns
+                )
+            ).toEqual({ values: ['Developpeur', '35000.00', postingIds[2]] });
+            expect(
+                decodeCursor(
+                    encodeCursor(sortByTitleAndSalary, [
+                        'Developpeur',
+                        null,
+                        postingIds[2],
+                    ]),
+                    sortByTitleAndSalary,
+                    columns
+                ).values
+            ).toEqual(['Developpeur', null, postingIds[2]]);
+        });
+    });
+
+    describe('getCursorValues', () => {
+        it('should return the sorted values then the identifier, with the dates in ISO format', () => {
+            expect(
+                getCursorValues(
+                    {
+                        id: postingIds[2],
+                        datePosted: new Date('2020-12-03T00:00:00.000Z'),
+                        title: 'R&D Software Engineer',
+                    },
+                    sort
+                )
+            ).toEqual(['2020-12-03T00:00:00.000Z', postingIds[2]]);
+        });
+    });
+
+    describe('addCursorToQuery', () => {
+        it('should only keep the rows after the cursor', () => {
+            expect(
+                addCursorToQuery(
+                    knex('job_posting'),
+                    [
+                        ['job_posting.date_posted', 'DESC'],
+                        ['job_posting.id', 'ASC'],
+                    ],
+                    ['2020-12-03', 'posting-3']
+                ).toString()
+            ).toEqual(
+                'select * from "job_posting" where (("job_posting"."date_posted" < \'2020-12-03\') or ("job_posting"."date_posted" = \'2020-12-03\' and "job_posting"."id" > \'posting-3\'))'
+            );
+        });
+
+        it('should keep the null values at the end of the ascending order', () => {
+            expect(
+                addCursorToQuery(
+                    knex('job_posting'),
+                    [
+                        ['job_posting.job_start_date', 'ASC'],
+                        ['job_posting.id', 'ASC'],
+                    ],
+                    ['2021-01-04', 'posting-3']
+                ).toString()
+            ).toEqual(
+                'select * from "job_posting" where ((("job_posting"."job_start_date" > \'2021-01-04\' or "job_posting"."job_start_date" is null)) or ("job_posting"."job_start_date" = \'2021-01-04\' and "job_posting"."id" > \'posting-3\'))'
+            );
+            expect(
+                addCursorToQuery(
+                    knex('job_posting'),
+                    [
+                        ['job_posting.job_start_date', 'ASC'],
+                        ['job_posting.id', 'ASC'],
+                    ],
+                    [null, 'posting-3']
+                ).toString()
+            ).toEqual(
+                'select * from "job_posting" where (("job_posting"."job_start_date" is null and "job_posting"."id" > \'posting-3\'))'
+            );
+        });
+    });
+
+    describe('paginateWithCursor', () => {
+        const rows = [
+            {
+                id: postingIds[2],
+                datePosted: new Date('2020-12-03'),
+            },
+            {
+                id: postingIds[1],
+                datePosted: new Date('2020-12-02'),
+            },
+            {
+                id: postingIds[0],
+                datePosted: new Date('2020-12-01'),
+            },
+        ];
+
+        const getQuery = (result) => {
+            const query = knex('job_posting').orderBy('title');
+            jest.spyOn(query, 'limit').mockResolvedValue(result);
+
+            return query;
+        };
+
+        it('should return the first page with the cursor of its last row', async () => {
+            const query = getQuery(rows);
+            const { data, pagination } = await paginateWithCursor({
+                query,
+                sort,
+                columns,
+                idColumn: 'job_posting.id',
+                perPage: 2,
+                after: '',
+            });
+
+            expect(query.limit).toHaveBeenCalledWith(3);
+            expect(query.toString()).toEqual(
+                'select * from "job_posting" order by "job_posting"."date_posted" DESC, "job_posting"."id" ASC'
+            );
+            expect(data).toEqual(rows.slice(0, 2));
+            expect(pagination).toEqual({
+                perPage: 2,
+                cursors: {
+                    self: { after: '' },
+                    next: encodeCursor(sort, [
+                        '2020-12-02T00:00:00.000Z',
+                        postingIds[1],
+                    ]),
+                    prev: null,
+                },
+            });
+        });
+
+        it('should read the rows before a cursor in the reverse order', async () => {
+            const before = encodeCursor(sort, [
+                '2020-12-01T00:00:00.000Z',
+                postingIds[0],
+            ]);
+            const query = getQuery([rows[1], rows[0]]);
+            const { data, pagination } = await paginateWithCursor({
+                query,
+                sort,
+                columns,
+                idColumn: 'job_posting.id',
+                perPage: 2,
+                before,
+            });
+
+            expect(query.toString()).toMatch(
+                /order by "job_posting"."date_posted" ASC, "job_posting"."id" DESC$/
+            );
+            expect(data).toEqual(rows.slice(0, 2));
+            expect(pagination.cursors).toEqual({
+                self: { before },
+                next: encodeCursor(sort, [
+                    '2020-12-02T00:00:00.000Z',
+                    postingIds[1],
+                ]),
+                prev: null,
+            });
+        });
+
+        it('should return a 400 error for a sort without column or both cursors', async () => {
+            const unsortable = await paginateWithCursor({
+                query: getQuery(rows),
+                sort: [['relevance', 'DESC']],
+                columns,
+                idColumn: 'job_posting.id',
+                perPage: 2,
+                after: '',
+            });
+            expect(unsortable.error.status).toEqual(400);
+            expect(unsortable.error.message).toEqual(
+                'The sort relevance cannot be used with a cursor.'
+            );
+
+            const bothCursors = await paginateWithCursor({
+                query: getQuery(rows),
+                sort,
+                columns,
+                idColumn: 'job_posting.id',
+                perPage: 2,
+                after: '',
+                before: '',
+            });
+            expect(bothCursors.error.message).toEqual(
+                'The after and before cursors cannot be used together.'
+            );
+        });
+    });
+});
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+/**
+ * Return the strong ETag of a resource, the hash of its JSON representation
+ *
+ * @param {object} resource - The resource formatted for the API
+ * @returns {string} the quoted ETag
+ */
+const getETag = (resource) =>
+    `"${crypto
+        .createHash('sha1')
+        .update(JSON.stringify(resource))
+        .digest('base64')}"`;
+
+/**
+ * Check the If-Match precondition of a write, with the strong comparison of the RFC 7232:
+ * a weak ETag never matches, and * matches any existing resource.
+ *
+ * @param {string} ifMatch - The If-Match header of the request, empty if it was not sent
+ * @param {string} resourceName - The name of the written resource, for the error message
+ * @param {object} resource - The current version of the resource formatted for the API
+ * @returns {Error} - a 412 error if the resource has changed, or null if the write can go on
+ */
+const getPreconditionError = (ifMatch, resourceName, resource) => {
+    if (!ifMatch) {
+        return null;
+    }
+
+    const etag = getETag(resource);
+    if (
+        ifMatch
+            .split(',')
+            .map((tag) => tag.trim())
+            .some((tag) => tag === '*' || tag === etag)
+    ) {
+        return null;
+    }
+
+    const error = new Error(
+        `The ${resourceName} of id ${resource.id} has changed since it was read, it must be read again before being written.`
+    );
+    error.status = 412;
+
+    return error;
+};
+
+/**
+ * Send a resource with its ETag, or a 304 Not Modified
+ * if the If-None-Match header of the request already has this version
+ *
+ * @param {object} ctx - The koa context
+ * @param {object} resource - The resource formatted for the API
+ */
+const setBodyWithETag = (ctx, resource) => {
+    ctx.body = resource;
+    ctx.etag = getETag(resource);
+    // fresh is only true for a GET or a HEAD
+    if (ctx.fresh) {
+        ctx.status = 304;
+    }
+};
+
+module.exports = {
+    getETag,
+    getPreconditionError,
+    setBodyWithETag,
+};
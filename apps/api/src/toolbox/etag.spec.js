@@ -0,0 +1,77 @@
+const { getETag, getPreconditionError, setBodyWithETag } = require('./etag');
+
+describe('ETag', () => {
+    const organization = { id: 'organization-id', name: 'Flexcity' };
+
+    describe('getETag', () => {
+        it('should return the same quoted ETag for the same representation', () => {
+            expect(getETag(organization)).toMatch(/^".+"$/);
+            expect(getETag({ ...organization })).toEqual(getETag(organization));
+        });
+
+        it('should return another ETag when the resource changes', () => {
+            expect(getETag({ ...organization, name: 'Limengo' })).not.toEqual(
+                getETag(organization)
+            );
+        });
+    });
+
+    describe('getPreconditionError', () => {
+        it('should let the write go on without If-Match header', () => {
+            expect(
+                getPreconditionError('', 'organization', organization)
+            ).toBeNull();
+        });
+
+        it('should let the write go on when one of the ETags matches', () => {
+            expect(
+                getPreconditionError(
+                    `"outdated", ${getETag(organization)}`,
+                    'organization',
+                    organization
+                )
+            ).toBeNull();
+            expect(
+                getPreconditionError('*', 'organization', organization)
+            ).toBeNull();
+        });
+
+        it('should return a 412 error when the resource has changed', () => {
+            const error = getPreconditionError(
+                getETag({ ...organization, name: 'Limengo' }),
+                'organization',
+                organization
+            );
+            expect(error.status).toEqual(412);
+            expect(error.message).toEqual(
+                'The organization of id organization-id has changed since it was read, it must be read again before being written.'
+            );
+        });
+
+        it('should not match a weak ETag', () => {
+            expect(
+                getPreconditionError(
+                    `W/${getETag(organization)}`,
+                    'organization',
+                    organization
+                ).status
+            ).toEqual(412);
+        });
+    });
+
+    describe('setBodyWithETag', () => {
+        it('should send the resource with its ETag', () => {
+            const ctx = { fresh: false };
+            setBodyWithETag(ctx, organization);
+            expect(ctx.body).toEqual(organization);
+            expect(ctx.etag).toEqual(getETag(organization));
+            expect(ctx.status).toBeUndefined();
+        });
+
+        it('should send a 304 when the client already has this version', () => {
+            const ctx = { fresh: true };
+            setBodyWithETag(ctx, organization);
+            expect(ctx.status).toEqual(304);
+        });
+    });
+});
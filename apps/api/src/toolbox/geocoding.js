@@ -0,0 +1,157 @@
+const communes = require('@etalab/decoupage-administratif/data/communes.json');
+const cities = require('cities.json');
+
+let townsIndex = null;
+
+/**
+ * Normalize a town name to compare names typed in different ways,
+ * e.g. "St-Aubin-sur-Mer" and "saint aubin sur mer"
+ *
+ * @param {string} name - a town name
+ * @returns {string} the normalized name
+ */
+const normalizeTownName = (name) =>
+    `${name || ''}`
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\bcedex\b.*$/, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(/\bst\b/g, 'saint')
+        .replace(/\bste\b/g, 'sainte')
+        .trim();
+
+/**
+ * Return the department code of a French postal code, as used by INSEE and GeoNames
+ *
+ * @param {string} postalCode - a French postal code
+ * @returns {string} the department code or null if the postal code is not valid
+ */
+const getDepartmentCode = (postalCode) => {
+    const code = `${postalCode || ''}`.trim();
+    if (!/^\d{5}$/.test(code)) {
+        return null;
+    }
+    // Corsica postal codes start with 20 for both departments
+    if (code.startsWith('20')) {
+        return parseInt(code, 10) < 20200 ? '2A' : '2B';
+    }
+    // overseas departments have three digits
+    if (code.startsWith('97')) {
+        return code.substring(0, 3);
+    }
+
+    return code.substring(0, 2);
+};
+
+/**
+ * Split a town search into the town name and its postal code,
+ * e.g. "Saint-Aubin-sur-Mer (14750)" or "14750 Saint-Aubin-sur-Mer"
+ *
+ * @param {string} search - a town name, with or without its postal code
+ * @returns {object} the town name and postal code
+ */
+const parseTownSearch = (search) => {
+    const text = `${search || ''}`;
+    const [postalCode = null] = text.match(/\b\d{5}\b/) || [];
+
+    return {
+        name: text.replace(/\b\d{5}\b/, '').replace(/[()]/g, ''),
+        postalCode,
+    };
+};
+
+/**
+ * The communes of the bundled INSEE dataset, with their La Poste postal codes,
+ * indexed by normalized name. Their coordinates come from the bundled GeoNames dataset,
+ * and are null for the communes GeoNames does not know.
+ * The datasets are only indexed on first use.
+ *
+ * @returns {Map} the towns by normalized name
+ */
+const getTownsIndex = () => {
+    if (!townsIndex) {
+        const coordinates = cities
+            .filter(({ country }) => country === 'FR')
+            .reduce((index, city) => {
+                const key = `${normalizeTownName(city.name)}|${city.admin2}`;
+                if (!index.has(key)) {
+                    index.set(key, {
+                        latitude: parseFloat(city.lat),
+                        longitude: parseFloat(city.lng),
+                    });
+                }
+                return index;
+            }, new Map());
+
+        townsIndex = communes
+            .filter(({ type }) => type === 'commune-actuelle')
+            .reduce((index, commune) => {
+                const key = normalizeTownName(commune.nom);
+                const { latitude = null, longitude = null } =
+                    coordinates.get(`${key}|${commune.departement}`) || {};
+                index.set(key, [
+                    ...(index.get(key) || []),
+                    {
+                        name: commune.nom,
+                        departmentCode: commune.departement,
+                        postalCodes: commune.codesPostaux || [],
+                        latitude,
+                        longitude,
+                    },
+                ]);
+                return index;
+            }, new Map());
+    }
+
+    return townsIndex;
+};
+
+/**
+ * Find the French communes matching a town name.
+ * When a postal code is given, the communes must have this postal code,
+ * or be in its department for the CEDEX postal codes.
+ *
+ * @param {string} name - the town name
+ * @param {string} postalCode - the town postal code
+ * @returns {Array} the matching towns, several when the name is ambiguous
+ */
+const findTowns = ({ name, postalCode }) => {
+    const towns = getTownsIndex().get(normalizeTownName(name)) || [];
+    const departmentCode = getDepartmentCode(postalCode);
+    if (!departmentCode) {
+        return towns;
+    }
+
+    const townsWithPostalCode = towns.filter(({ postalCodes }) =>
+        postalCodes.includes(`${postalCode}`.trim())
+    );
+
+    return townsWithPostalCode.length
+        ? townsWithPostalCode
+        : towns.filter((town) => town.departmentCode === departmentCode);
+};
+
+/**
+ * Return the coordinates columns of an address, to be saved with it
+ *
+ * @param {object} address - an address with addressLocality and postalCode
+ * @returns {object} the latitude and longitude, null if the town is unknown or ambiguous
+ */
+const geocodeAddress = ({ addressLocality, postalCode }) => {
+    const towns = findTowns({ name: addressLocality, postalCode });
+    const town = towns.length === 1 ? towns[0] : null;
+
+    return {
+        latitude: town ? town.latitude : null,
+        longitude: town ? town.longitude : null,
+    };
+};
+
+module.exports = {
+    findTowns,
+    geocodeAddress,
+    getDepartmentCode,
+    normalizeTownName,
+    parseTownSearch,
+};
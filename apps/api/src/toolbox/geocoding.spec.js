@@ -0,0 +1,121 @@
+const {
+    findTowns,
+    geocodeAddress,
+    getDepartmentCode,
+    normalizeTownName,
+    parseTownSearch,
+} = require('./geocoding');
+
+describe('Geocoding', () => {
+    describe('normalizeTownName', () => {
+        it('should ignore case, accents, punctuation and cedex', () => {
+            expect(normalizeTownName("L'Haÿ-les-Roses")).toEqual(
+                'l hay les roses'
+            );
+            expect(normalizeTownName('CAEN CEDEX 4')).toEqual('caen');
+        });
+
+        it('should expand saint abbreviations', () => {
+            expect(normalizeTownName('St-Aubin-sur-Mer')).toEqual(
+                'saint aubin sur mer'
+            );
+            expect(normalizeTownName('Ste Honorine')).toEqual(
+                'sainte honorine'
+            );
+        });
+    });
+
+    describe('getDepartmentCode', () => {
+        it('should return the department code of a postal code', () => {
+            expect(getDepartmentCode('14000')).toEqual('14');
+            expect(getDepartmentCode('20000')).toEqual('2A');
+            expect(getDepartmentCode('20200')).toEqual('2B');
+            expect(getDepartmentCode('97200')).toEqual('972');
+        });
+
+        it('should return null for an invalid postal code', () => {
+            expect(getDepartmentCode('1400')).toBeNull();
+            expect(getDepartmentCode(undefined)).toBeNull();
+        });
+    });
+
+    describe('parseTownSearch', () => {
+        it('should split the town name and its postal code', () => {
+            expect(parseTownSearch('Saint-Aubin-sur-Mer (14750)')).toEqual({
+                name: 'Saint-Aubin-sur-Mer ',
+                postalCode: '14750',
+            });
+            expect(parseTownSearch('Caen')).toEqual({
+                name: 'Caen',
+                postalCode: null,
+            });
+        });
+    });
+
+    describe('findTowns', () => {
+        it('should return the commune with its postal codes and coordinates', () => {
+            expect(findTowns({ name: 'caen' })).toEqual([
+                {
+                    name: 'Caen',
+                    departmentCode: '14',
+                    postalCodes: ['14000'],
+                    latitude: 49.18585,
+                    longitude: -0.35912,
+                },
+            ]);
+        });
+
+        it('should return all the communes with an ambiguous name', () => {
+            expect(
+                findTowns({ name: 'Saint-Aubin-sur-Mer' }).map(
+                    ({ departmentCode }) => departmentCode
+                )
+            ).toEqual(['14', '76']);
+        });
+
+        it('should only return the communes of the postal code, or of its department for a CEDEX', () => {
+            expect(
+                findTowns({ name: 'Saint-Aubin-sur-Mer', postalCode: '76740' })
+            ).toHaveLength(1);
+            expect(
+                findTowns({ name: 'Caen Cedex 9', postalCode: '14050' })
+            ).toHaveLength(1);
+            expect(
+                findTowns({ name: 'Colombelles', postalCode: '75001' })
+            ).toEqual([]);
+        });
+
+        it('should know the communes missing from GeoNames, without their coordinates', () => {
+            expect(findTowns({ name: 'Agy', postalCode: '14400' })).toEqual([
+                {
+                    name: 'Agy',
+                    departmentCode: '14',
+                    postalCodes: ['14400'],
+                    latitude: null,
+                    longitude: null,
+                },
+            ]);
+        });
+
+        it('should return no town for an unknown town', () => {
+            expect(findTowns({ name: 'Ville Imaginaire' })).toEqual([]);
+        });
+    });
+
+    describe('geocodeAddress', () => {
+        it('should return null coordinates for an unknown town', () => {
+            expect(
+                geocodeAddress({
+                    addressLocality: 'Ville Imaginaire',
+                    postalCode: '14000',
+                })
+            ).toEqual({ latitude: null, longitude: null });
+        });
+
+        it('should return null coordinates for an ambiguous town', () => {
+            expect(
+                geocodeAddress({ addressLocality: 'Saint-Aubin-sur-Mer' })
+            ).toEqual({ latitude: null, longitude: null });
+        });
+    });
+});
@@ -0,0 +1,16 @@
+/**
+ * Escape a text to include it in an HTML content, like the description of a feed item
+ *
+ * @param {string} text - the text to escape
+ * @returns {string} the escaped text
+ */
+const escapeHtml = (text) =>
+    `${text}`
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+module.exports = {
+    escapeHtml,
+};
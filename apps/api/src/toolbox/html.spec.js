@@ -0,0 +1,15 @@
+const { escapeHtml } = require('./html');
+
+describe('HTML toolbox', () => {
+    describe('escapeHtml', () => {
+        it('should escape the HTML special characters', () => {
+            expect(escapeHtml('<b>"Dupont" & fils</b>')).toEqual(
+                '&lt;b&gt;&quot;Dupont&quot; &amp; fils&lt;/b&gt;'
+            );
+        });
+
+        it('should convert the values to string', () => {
+            expect(escapeHtml(30000)).toEqual('30000');
+        });
+    });
+});
@@ -0,0 +1,57 @@
+const nodemailer = require('nodemailer');
+const signale = require('signale');
+
+const config = require('../config');
+
+/**
+ * Return the nodemailer transport options of a mailer configuration.
+ * The json transport does not send anything, it only builds the e-mails.
+ *
+ * @param {object} mailerConfig - the mailer part of the configuration
+ * @returns {object} the nodemailer transport options
+ */
+const getTransportOptions = ({ transport, host, port, user, password }) => {
+    if (transport === 'json') {
+        return { jsonTransport: true };
+    }
+
+    return {
+        host,
+        port,
+        secure: port === 465,
+        auth: user ? { user, pass: password } : undefined,
+    };
+};
+
+let transporter = null;
+
+/**
+ * Send an e-mail with the transport configured for the environment
+ *
+ * @param {(string|Array)} to - the recipients
+ * @param {string} subject - the e-mail subject
+ * @param {string} text - the plain text content
+ * @returns {Promise} - the nodemailer information about the sent e-mail
+ */
+const sendMail = async ({ to, subject, text }) => {
+    if (!transporter) {
+        transporter = nodemailer.createTransport(
+            getTransportOptions(config.mailer)
+        );
+    }
+
+    const info = await transporter.sendMail({
+        from: config.mailer.from,
+        to,
+        subject,
+        text,
+    });
+    signale.info(`E-mail "${subject}" sent to ${[].concat(to).join(', ')}`);
+
+    return info;
+};
+
+module.exports = {
+    getTransportOptions,
+    sendMail,
+};
@@ -0,0 +1,56 @@
+// the media type of the partial updates, described by the RFC 7396
+const mergePatchContentType = 'application/merge-patch+json';
+
+const isObject = (value) =>
+    !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Apply a JSON Merge Patch to a JSON document, following the RFC 7396:
+ * the objects are merged recursively, a null value removes a member,
+ * and any other value, arrays included, replaces the member.
+ *
+ * @param {*} target - The patched document
+ * @param {*} patch - The merge patch
+ * @returns {*} the patched document, the target is left untouched
+ */
+const mergePatch = (target, patch) => {
+    if (!isObject(patch)) {
+        return patch;
+    }
+
+    return Object.keys(patch).reduce(
+        (patched, key) => {
+            if (patch[key] === null) {
+                delete patched[key];
+                return patched;
+            }
+            patched[key] = mergePatch(patched[key], patch[key]);
+            return patched;
+        },
+        isObject(target) ? { ...target } : {}
+    );
+};
+
+/**
+ * Apply a JSON Merge Patch to a resource saved in the database.
+ * A field removed by the patch is a column emptied, so it is kept with a null value.
+ *
+ * @param {object} resource - The resource in the format of its update route
+ * @param {object} patch - The merge patch
+ * @returns {object} the patched resource, ready to be updated
+ */
+const mergePatchResource = (resource, patch) => ({
+    ...mergePatch(resource, patch),
+    ...Object.keys(patch)
+        .filter((key) => patch[key] === null)
+        .reduce((removedFields, key) => {
+            removedFields[key] = null;
+            return removedFields;
+        }, {}),
+});
+
+module.exports = {
+    mergePatch,
+    mergePatchContentType,
+    mergePatchResource,
+};
@@ -0,0 +1,55 @@
+const { mergePatch, mergePatchResource } = require('./merge-patch');
+
+describe('Merge patch', () => {
+    describe('mergePatch', () => {
+        it('should replace the members sent in the patch and keep the others', () => {
+            const jobPosting = { title: 'Dev', url: 'https://jobs.caen.camp' };
+            expect(mergePatch(jobPosting, { title: 'Dev Elixir' })).toEqual({
+                title: 'Dev Elixir',
+                url: 'https://jobs.caen.camp',
+            });
+        });
+
+        it('should merge the nested objects and remove the null members', () => {
+            expect(
+                mergePatch(
+                    {
+                        baseSalary: {
+                            currency: 'EUR',
+                            minValue: 30000,
+                            maxValue: 35000,
+                        },
+                        validThrough: '2020-06-01',
+                    },
+                    { baseSalary: { minValue: null }, validThrough: null }
+                )
+            ).toEqual({ baseSalary: { currency: 'EUR', maxValue: 35000 } });
+        });
+
+        it('should replace the arrays', () => {
+            expect(
+                mergePatch(
+                    { skills: ['Elixir', 'Phoenix'] },
+                    { skills: ['Go'] }
+                )
+            ).toEqual({ skills: ['Go'] });
+        });
+
+        it('should not modify the patched document', () => {
+            const target = { baseSalary: { minValue: 30000 } };
+            mergePatch(target, { baseSalary: { minValue: 40000 } });
+            expect(target).toEqual({ baseSalary: { minValue: 30000 } });
+        });
+    });
+
+    describe('mergePatchResource', () => {
+        it('should keep the fields removed by the patch with a null value', () => {
+            expect(
+                mergePatchResource(
+                    { title: 'Dev', validThrough: '2020-06-01' },
+                    { validThrough: null }
+                )
+            ).toEqual({ title: 'Dev', validThrough: null });
+        });
+    });
+});
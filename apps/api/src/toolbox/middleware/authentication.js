@@ -0,0 +1,55 @@
+const { anonymousUser, getUserFromToken, roles } = require('../authentication');
+
+/**
+ * This middleware sets the caller of the API in ctx.user.
+ * A request without Authorization header is made by an anonymous user.
+ */
+const authenticationMiddleware = async (ctx, next) => {
+    const authorization = ctx.get('Authorization');
+    if (!authorization) {
+        ctx.user = anonymousUser;
+        return next();
+    }
+
+    const [scheme, token] = authorization.split(' ');
+    const user = scheme === 'Bearer' && token && getUserFromToken(token);
+    if (!user) {
+        const explainedError = new Error(
+            'The authentication token is invalid or expired.'
+        );
+        explainedError.status = 401;
+
+        throw explainedError;
+    }
+
+    ctx.user = user;
+    await next();
+};
+
+/**
+ * Return a middleware allowing only the given roles to access a route
+ *
+ * @param {Array} allowedRoles - the roles allowed to access the route
+ * @returns {function} the koa middleware
+ */
+const authorize = (allowedRoles) => async (ctx, next) => {
+    const role = ctx.user ? ctx.user.role : roles.ANONYMOUS;
+    if (!allowedRoles.includes(role)) {
+        const isAnonymous = role === roles.ANONYMOUS;
+        const explainedError = new Error(
+            isAnonymous
+                ? 'You must be authenticated to access this resource.'
+                : 'You are not allowed to access this resource.'
+        );
+        explainedError.status = isAnonymous ? 401 : 403;
+
+        throw explainedError;
+    }
+
+    await next();
+};
+
+module.exports = {
+    authenticationMiddleware,
+    authorize,
+};
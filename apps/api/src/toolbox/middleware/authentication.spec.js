@@ -0,0 +1,80 @@
+jest.mock('../../config', () => ({
+    security: { jwtSecret: 'test-secret', jwtExpiresIn: '1h' },
+}));
+
+const { createToken } = require('../authentication');
+const { authenticationMiddleware, authorize } = require('./authentication');
+
+const getContext = (authorization) => ({
+    get: (header) => (header === 'Authorization' ? authorization : ''),
+});
+
+describe('Authentication middleware', () => {
+    describe('authenticationMiddleware', () => {
+        it('should set an anonymous user if there is no Authorization header', async () => {
+            const ctx = getContext('');
+            const next = jest.fn();
+            await authenticationMiddleware(ctx, next);
+            expect(ctx.user.role).toEqual('anonymous');
+            expect(next).toHaveBeenCalledTimes(1);
+        });
+
+        it('should set the user described by a valid bearer token', async () => {
+            const token = createToken({
+                id: '9a6c8995-df54-446c-a5b8-71532c304751',
+                username: 'admin',
+                role: 'admin',
+            });
+            const ctx = getContext(`Bearer ${token}`);
+            const next = jest.fn();
+            await authenticationMiddleware(ctx, next);
+            expect(ctx.user).toEqual({
+                id: '9a6c8995-df54-446c-a5b8-71532c304751',
+                username: 'admin',
+                role: 'admin',
+            });
+            expect(next).toHaveBeenCalledTimes(1);
+        });
+
+        it('should throw a 401 error if the token is invalid', async () => {
+            const next = jest.fn();
+            await expect(
+                authenticationMiddleware(getContext('Bearer invalid'), next)
+            ).rejects.toMatchObject({ status: 401 });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should throw a 401 error if the scheme is not Bearer', async () => {
+            await expect(
+                authenticationMiddleware(
+                    getContext('Basic YWRtaW4='),
+                    jest.fn()
+                )
+            ).rejects.toMatchObject({ status: 401 });
+        });
+    });
+
+    describe('authorize', () => {
+        it('should call next if the user role is allowed', async () => {
+            const next = jest.fn();
+            await authorize(['admin'])({ user: { role: 'admin' } }, next);
+            expect(next).toHaveBeenCalledTimes(1);
+        });
+
+        it('should throw a 401 error for an anonymous user', async () => {
+            const next = jest.fn();
+            await expect(
+                authorize(['admin'])({ user: { role: 'anonymous' } }, next)
+            ).rejects.toMatchObject({ status: 401 });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should throw a 403 error for an authenticated user without the allowed role', async () => {
+            const next = jest.fn();
+            await expect(
+                authorize(['admin'])({ user: { role: 'recruiter' } }, next)
+            ).rejects.toMatchObject({ status: 403 });
+            expect(next).not.toHaveBeenCalled();
+        });
+    });
+});
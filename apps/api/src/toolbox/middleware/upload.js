@@ -0,0 +1,42 @@
+const multer = require('@koa/multer');
+
+const config = require('../../config');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.storage.maxFileSize, files: 1 },
+});
+
+/**
+ * Return a middleware parsing a multipart/form-data body with a single file.
+ * The fields are set in ctx.request.body and the file in ctx.request.file,
+ * kept in memory until it is saved in the storage.
+ *
+ * @param {string} fieldName - the name of the file field
+ * @returns {function} the koa middleware
+ */
+const uploadSingleFile = (fieldName) => {
+    const uploadMiddleware = upload.single(fieldName);
+
+    return async (ctx, next) => {
+        try {
+            await uploadMiddleware(ctx, () => Promise.resolve());
+        } catch (error) {
+            const explainedError = new Error(
+                error.code === 'LIMIT_FILE_SIZE'
+                    ? `The file is too large, the maximum size is ${config.storage.maxFileSize} bytes.`
+                    : `The uploaded file is invalid (${error.message}).`
+            );
+            explainedError.status =
+                error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+
+            throw explainedError;
+        }
+
+        await next();
+    };
+};
+
+module.exports = {
+    uploadSingleFile,
+};
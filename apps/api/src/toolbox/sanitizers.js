@@ -1,5 +1,9 @@
+const omit = require('lodash.omit');
 const querystring = require('querystring');
 
+const config = require('../config');
+const { roles } = require('./authentication');
+
 /**
  * Method to clean the filters sent in query parameters
  *
@@ -28,39 +32,107 @@ const filtersSanitizer = (filters, filterableFields) => {
 };
 
 /**
- * Method to clean the sort sent in query parameters
+ * Return a sort validation error, sent with a 400 status
  *
- * @param {object} sort - sort from query parameters
- * @param {object} sortableFields the fields allowed to be used as a sort
- * @returns {object} Ready-to-use filters for the sql query
+ * @param {string} message - the explanation of the error
+ * @returns {Error} the error
  */
-const sortSanitizer = (sort, sortableFields) => {
-    const sortTwoFirstParameters = [
-        sort ? sort[0] || null : null,
-        sort ? sort[1] || null : null,
-    ];
-    if (
-        !sortTwoFirstParameters ||
-        !sortableFields.includes(sortTwoFirstParameters[0])
-    ) {
-        return [sortableFields[0], 'ASC'];
+const getSortError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+
+    return error;
+};
+
+/**
+ * Method to clean the sort sent in query parameters, a list of [field, direction] pairs
+ * sorting the list by the first field, then by the second one for the same values, and so on.
+ * A single [field, direction] pair is also accepted, and a pair without direction is sorted ASC.
+ * An unknown field or direction is an error, the default sort is only used without sort.
+ *
+ * @param {Array} sort - sort from query parameters: [[field, direction], ...] or [field, direction]
+ * @param {Array} sortableFields the fields allowed to be used as a sort
+ * @param {Array} defaultSort - the [field, direction] pairs used without sort, the first sortable field ASC by default
+ * @returns {object} the ready-to-use [field, direction] pairs for the sql query in sort, or an error
+ */
+const sortSanitizer = (
+    sort,
+    sortableFields,
+    defaultSort = [[sortableFields[0], 'ASC']]
+) => {
+    if (!sort || (Array.isArray(sort) && !sort.length)) {
+        return { sort: defaultSort };
     }
 
-    if (!['ASC', 'DESC'].includes(sort[1])) {
-        return [sortTwoFirstParameters[0], 'ASC'];
+    const pairs =
+        Array.isArray(sort) && typeof sort[0] === 'string' ? [sort] : sort;
+    if (!Array.isArray(pairs) || !pairs.every(Array.isArray)) {
+        return {
+            error: getSortError(
+                'The sort must be a [field, direction] pair or a list of these pairs.'
+            ),
+        };
+    }
+
+    const sanitizedPairs = [];
+    for (const [field, direction = 'ASC'] of pairs) {
+        if (!sortableFields.includes(field)) {
+            return {
+                error: getSortError(`The field ${field} cannot be sorted.`),
+            };
+        }
+        if (!['ASC', 'DESC'].includes(direction)) {
+            return {
+                error: getSortError(
+                    `The sort direction ${direction} must be ASC or DESC.`
+                ),
+            };
+        }
+        // only the first sort of a field is kept
+        if (!sanitizedPairs.some(([otherField]) => otherField === field)) {
+            sanitizedPairs.push([field, direction]);
+        }
+    }
+
+    return { sort: sanitizedPairs };
+};
+
+/**
+ * Add a sanitized sort to a knex query, with the identifier as the last sort,
+ * so that the objects with the same sorted values keep the same order from a page to another.
+ *
+ * @param {object} query - the knex query
+ * @param {Array} sort - the [column, direction] pairs
+ * @param {string} idColumn - the identifier column, like job_posting.id
+ * @returns {object} the knex query
+ */
+const addSortToQuery = (query, sort, idColumn) => {
+    sort.forEach(([column, direction]) => {
+        query.orderBy(column, direction);
+    });
+    if (!sort.some(([column]) => [idColumn, 'id'].includes(column))) {
+        query.orderBy(idColumn, 'ASC');
     }
 
-    return sortTwoFirstParameters;
+    return query;
 };
 
 /**
- * Function to clean the pagination sent in query parameters
+ * Function to clean the pagination sent in query parameters.
+ * The number of items per page is capped by the maxPerPage setting,
+ * and the number of items per page and the current page are at least 1.
  *
  * @param {object} pagination - pagination object from query parameters
  * @returns {Array} Ready-to-use filters for the sql query
  */
 const paginationSanitizer = ({ perPage, currentPage }) => {
-    return [parseInt(perPage) || 10, parseInt(currentPage) || 1];
+    return [
+        Math.max(
+            Math.min(parseInt(perPage) || 10, config.pagination.maxPerPage),
+            1
+        ),
+        Math.max(parseInt(currentPage) || 1, 1),
+    ];
 };
 
 /**
@@ -80,72 +152,540 @@ const parseJsonQueryParameter = (parameter) => {
     }
 };
 
+/**
+ * Method to read the sort query parameter, in JSON ([field, direction] or [[field, direction], ...])
+ * or in the compact form -datePosted,title, a field preceded by a minus sign being sorted DESC.
+ *
+ * @param {string} parameter - the sort query parameter
+ * @returns {(Array|boolean)} the parsed sort or false if not set
+ */
+const parseSortParameter = (parameter) => {
+    const sort = parseJsonQueryParameter(parameter);
+    if (sort !== false || typeof parameter !== 'string') {
+        return sort;
+    }
+
+    return parameter
+        .split(',')
+        .map((field) => field.trim())
+        .filter((field) => field !== '')
+        .map((field) =>
+            field.startsWith('-')
+                ? [field.slice(1), 'DESC']
+                : [field.replace(/^\+/, ''), 'ASC']
+        );
+};
+
+/**
+ * Method to read the includeDeleted query parameter, only an administrator can see the objects in the trash
+ *
+ * @param {string} parameter - the includeDeleted query parameter
+ * @param {object} user - the authenticated user
+ * @returns {boolean} true if the deleted objects must be included
+ */
+const includeDeletedSanitizer = (parameter, user) =>
+    !!user &&
+    user.role === roles.ADMIN &&
+    parseJsonQueryParameter(parameter) === true;
+
+/**
+ * Method to read a list of identifiers sent as a JSON array in query parameters
+ *
+ * @param {string} parameter - the query parameter with the stringified identifiers
+ * @returns {Array} the identifiers, or an empty array if incorrectly formatted
+ */
+const idsSanitizer = (parameter) => {
+    const ids = parseJsonQueryParameter(parameter);
+    if (!Array.isArray(ids)) {
+        return [];
+    }
+
+    return ids.filter((id) => typeof id === 'string' && id.trim() !== '');
+};
+
+/**
+ * Method to read the filters of a list from its query parameters:
+ * the filters parameter, and the ids parameter as a shortcut for the id filter
+ *
+ * @param {object} query - the query parameters of the list
+ * @returns {(object|boolean)} the parsed filters or false if incorrectly formatted
+ */
+const parseListFilters = ({ filters, ids }) => {
+    const parsedFilters = parseJsonQueryParameter(filters);
+    if (ids === undefined) {
+        return parsedFilters;
+    }
+
+    return { ...parsedFilters, id: idsSanitizer(ids) };
+};
+
+// the identifiers of the jobPostings and organizations
+const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Method to clean the id filter of a list, a single identifier or an array of identifiers.
+ * The values which are not uuids are ignored, as they cannot match any object.
+ *
+ * @param {(string|Array)} id - the id filter
+ * @returns {Array} the identifiers to look for
+ */
+const idFilterSanitizer = (id) =>
+    [].concat(id).filter((value) => uuidPattern.test(value));
+
+// the wildcards of a LIKE pattern, escaped in the values searched with the like operators
+const likeWildcards = /[\\%_]/g;
+
+/**
+ * Escape the wildcards of a value searched with LIKE or ILIKE, to search them literally
+ *
+ * @param {string} value - the searched value
+ * @returns {string} the value with its wildcards escaped
+ */
+const escapeLikeValue = (value) => value.replace(likeWildcards, '\\$&');
+
+/**
+ * The operators of the filter grammar, used as suffixes of the filtered field: {"title_ilike": "dev"}.
+ * Each operator applies to some types of fields, and adds its condition to a knex query.
+ */
+const filterOperators = {
+    eq: {
+        types: ['string', 'number', 'date'],
+        where: (query, column, value) =>
+            Array.isArray(value)
+                ? query.whereIn(column, value)
+                : query.where(column, value),
+    },
+    neq: {
+        types: ['string', 'number', 'date'],
+        where: (query, column, value) =>
+            Array.isArray(value)
+                ? query.whereNotIn(column, value)
+                : query.whereNot(column, value),
+    },
+    in: {
+        types: ['string', 'number', 'date'],
+        where: (query, column, value) => query.whereIn(column, value),
+    },
+    nin: {
+        types: ['string', 'number', 'date'],
+        where: (query, column, value) => query.whereNotIn(column, value),
+    },
+    like: {
+        types: ['string'],
+        where: (query, column, value) =>
+            query.where(column, 'LIKE', `%${escapeLikeValue(value)}%`),
+    },
+    ilike: {
+        types: ['string'],
+        where: (query, column, value) =>
+            query.where(column, 'ILIKE', `%${escapeLikeValue(value)}%`),
+    },
+    prefix: {
+        types: ['string'],
+        where: (query, column, value) =>
+            query.where(column, 'LIKE', `${escapeLikeValue(value)}%`),
+    },
+    iprefix: {
+        types: ['string'],
+        where: (query, column, value) =>
+            query.where(column, 'ILIKE', `${escapeLikeValue(value)}%`),
+    },
+    gt: {
+        types: ['number', 'date'],
+        where: (query, column, value) => query.where(column, '>', value),
+    },
+    gte: {
+        types: ['number', 'date'],
+        where: (query, column, value) => query.where(column, '>=', value),
+    },
+    lt: {
+        types: ['number', 'date'],
+        where: (query, column, value) => query.where(column, '<', value),
+    },
+    lte: {
+        types: ['number', 'date'],
+        where: (query, column, value) => query.where(column, '<=', value),
+    },
+    before: {
+        types: ['date'],
+        where: (query, column, value) => query.where(column, '<', value),
+    },
+    after: {
+        types: ['date'],
+        where: (query, column, value) => query.where(column, '>', value),
+    },
+    null: {
+        types: ['string', 'number', 'date'],
+        where: (query, column, value) =>
+            value ? query.whereNull(column) : query.whereNotNull(column),
+    },
+};
+
+// the operators accepting several values
+const multipleValuesOperators = ['eq', 'neq', 'in', 'nin'];
+
+// the key of a group of filters of which at least one must match: {"$or": [{...}, {...}]}
+const orFilterKey = '$or';
+
+const hasOwnProperty = (object, key) =>
+    Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Return the filterable field and the operator of a filter key.
+ * A key without operator uses the default operator of its field, eq if it has none.
+ *
+ * @param {string} key - the filter key, like title or title_ilike
+ * @param {object} filterableFields - the filterable fields of the list
+ * @returns {object} the field, its definition and the operator, or null if the field is unknown
+ */
+const parseFilterKey = (key, filterableFields) => {
+    if (hasOwnProperty(filterableFields, key)) {
+        const definition = filterableFields[key];
+        return {
+            field: key,
+            definition,
+            operator: definition.operator || 'eq',
+        };
+    }
+
+    const separatorIndex = key.lastIndexOf('_');
+    const field = key.slice(0, separatorIndex);
+    if (
+        separatorIndex <= 0 ||
+        !hasOwnProperty(filterableFields, field) ||
+        !filterableFields[field].column
+    ) {
+        return null;
+    }
+
+    return {
+        field,
+        definition: filterableFields[field],
+        operator: key.slice(separatorIndex + 1),
+    };
+};
+
+/**
+ * Return a filter validation error, sent with a 400 status
+ *
+ * @param {string} message - the explanation of the error
+ * @returns {Error} the error
+ */
+const getFilterError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+
+    return error;
+};
+
+/**
+ * Return the value of a filter converted to the type of its field
+ *
+ * @param {string} key - the filter key, for the error message
+ * @param {string} type - the type of the filtered field: string, number or date
+ * @param {*} value - the value sent in the filter
+ * @returns {object} the converted value, or an error if the value does not match the type
+ */
+const convertFilterValue = (key, type, value) => {
+    if (type === 'number') {
+        const number =
+            typeof value === 'number' || typeof value === 'string'
+                ? Number(value)
+                : NaN;
+        return Number.isNaN(number) || `${value}`.trim() === ''
+            ? { error: getFilterError(`The filter ${key} must be a number.`) }
+            : { value: number };
+    }
+    if (type === 'date') {
+        const date =
+            typeof value === 'string' ? new Date(value) : new Date(NaN);
+        return Number.isNaN(date.getTime())
+            ? { error: getFilterError(`The filter ${key} must be a date.`) }
+            : { value: date.toISOString() };
+    }
+    if (typeof value !== 'string' && typeof value !== 'number') {
+        return { error: getFilterError(`The filter ${key} must be a string.`) };
+    }
+
+    return { value: `${value}` };
+};
+
+/**
+ * Return a filter of the grammar with its value checked and converted to the type of its field
+ *
+ * @param {string} key - the filter key
+ * @param {*} value - the value sent in the filter
+ * @param {object} parsedKey - the field, its definition and the operator of the key
+ * @returns {object} the sanitized value, or an error
+ */
+const sanitizeFilterValue = (key, value, { field, definition, operator }) => {
+    const { type } = definition;
+    if (!hasOwnProperty(filterOperators, operator)) {
+        return {
+            error: getFilterError(
+                `The filter ${key} uses the unknown operator ${operator}.`
+            ),
+        };
+    }
+    if (!filterOperators[operator].types.includes(type)) {
+        return {
+            error: getFilterError(
+                `The operator ${operator} cannot be used on the filter ${field}.`
+            ),
+        };
+    }
+    if (operator === 'null') {
+        return typeof value === 'boolean'
+            ? { value }
+            : {
+                  error: getFilterError(
+                      `The filter ${key} must be true or false.`
+                  ),
+              };
+    }
+    if (Array.isArray(value) || ['in', 'nin'].includes(operator)) {
+        if (!multipleValuesOperators.includes(operator)) {
+            return {
+                error: getFilterError(
+                    `The filter ${key} cannot have several values.`
+                ),
+            };
+        }
+        const values = []
+            .concat(value)
+            .map((item) => convertFilterValue(key, type, item));
+        const invalidValue = values.find((item) => item.error);
+
+        return invalidValue || { value: values.map((item) => item.value) };
+    }
+
+    return convertFilterValue(key, type, value);
+};
+
+/**
+ * Method to check the filters of a list against the filter grammar.
+ * The filterable fields with a column are filtered with the operators of the grammar:
+ * eq, neq, in, nin, like, ilike, prefix, iprefix, gt, gte, lt, lte, before, after and null.
+ * The fields without column are the ones the repository applies itself, they are kept as sent.
+ * An $or key gathers groups of filters, of which at least one must match.
+ * The unknown fields are ignored, but an invalid operator or value is an error.
+ *
+ * @param {object} filters - the filters from query parameters
+ * @param {object} filterableFields - the filterable fields: {title: { column: 'job_posting.title', type: 'string', operator: 'like' }}
+ * @param {boolean} inOrGroup - true for the filters of an $or group, which only accept the fields with a column
+ * @returns {object} the sanitized filters, or an error
+ */
+const listFiltersSanitizer = (filters, filterableFields, inOrGroup = false) => {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+        return { filters: {} };
+    }
+
+    const sanitizedFilters = {};
+    for (const key of Object.keys(filters)) {
+        const value = filters[key];
+        if (
+            value === undefined ||
+            (typeof value === 'string' && value.trim() === '')
+        ) {
+            continue;
+        }
+
+        if (key === orFilterKey) {
+            if (!Array.isArray(value) || !value.length) {
+                return {
+                    error: getFilterError(
+                        `The filter ${orFilterKey} must be an array of filters.`
+                    ),
+                };
+            }
+            const groups = value.map((group) =>
+                listFiltersSanitizer(group, filterableFields, true)
+            );
+            const invalidGroup = groups.find(
+                (group) => group.error || !Object.keys(group.filters).length
+            );
+            if (invalidGroup) {
+                return {
+                    error:
+                        invalidGroup.error ||
+                        getFilterError(
+                            `The groups of the filter ${orFilterKey} must not be empty.`
+                        ),
+                };
+            }
+            sanitizedFilters[key] = groups.map((group) => group.filters);
+            continue;
+        }
+
+        const parsedKey = parseFilterKey(key, filterableFields);
+        if (inOrGroup && (!parsedKey || !parsedKey.definition.column)) {
+            return {
+                error: getFilterError(
+                    `The filter ${key} cannot be used in an ${orFilterKey} group.`
+                ),
+            };
+        }
+        if (!parsedKey) {
+            continue;
+        }
+        if (!parsedKey.definition.column) {
+            sanitizedFilters[key] = value;
+            continue;
+        }
+
+        const sanitizedValue = sanitizeFilterValue(key, value, parsedKey);
+        if (sanitizedValue.error) {
+            return { error: sanitizedValue.error };
+        }
+        sanitizedFilters[key] = sanitizedValue.value;
+    }
+
+    return { filters: sanitizedFilters };
+};
+
+/**
+ * Add the filters of the grammar to a knex query, the sanitized filters of the fields with a column.
+ * The other filters must be added to the query by the repository.
+ *
+ * @param {object} query - the knex query
+ * @param {object} filters - the filters sanitized by listFiltersSanitizer
+ * @param {object} filterableFields - the filterable fields of the list
+ * @returns {object} the knex query
+ */
+const addFiltersToQuery = (query, filters, filterableFields) => {
+    Object.keys(filters).forEach((key) => {
+        if (key === orFilterKey) {
+            query.where(function () {
+                filters[key].forEach((group) => {
+                    this.orWhere(function () {
+                        addFiltersToQuery(this, group, filterableFields);
+                    });
+                });
+            });
+            return;
+        }
+
+        const parsedKey = parseFilterKey(key, filterableFields);
+        if (!parsedKey || !parsedKey.definition.column) {
+            return;
+        }
+        filterOperators[parsedKey.operator].where(
+            query,
+            parsedKey.definition.column,
+            filters[key]
+        );
+    });
+
+    return query;
+};
+
+// the query parameters replaced in each link of the pagination
+const paginationQueryParameters = ['currentPage', 'perPage', 'after', 'before'];
+
 /**
  * Function to return a single pagination information
  *
+ * @param {string} resourceURI - the absolute URI of the list
+ * @param {object} params - the query parameters of the link
+ * @param {string} rel - the relation of the link
+ * @returns {String}
+ * @example <http://localhost:8001/api/job-postings?currentPage=1&perPage=10>; rel="self"
+ */
+const linkHeaderItem = (resourceURI, params, rel) =>
+    `<${resourceURI}?${querystring.stringify(params)}>; rel="${rel}"`;
+
+/**
+ * Function to return the pagination information of a page read from a cursor,
+ * with first, prev, self, next and last relations. The after and before cursors
+ * are empty for the first and last pages, prev and next are missing at the start and end of the list.
+ *
  * @param {object}
  * @returns {String}
- * @example </api/job-postings?currentPage=1&perPage=10>; rel="self"
+ * @example <http://localhost:8001/api/job-postings?after=eyJzb3J0Ijp&perPage=10>; rel="next"
  */
-const linkHeaderItem = ({ resourceURI, currentPage, perPage, rel }) => {
-    const params = {
-        currentPage,
-        perPage,
-    };
-    return `<${resourceURI}?${querystring.stringify(params)}>; rel="${rel}"`;
-};
+const formatCursorPaginationToLinkHeader = ({
+    resourceURI,
+    params,
+    perPage,
+    cursors,
+}) =>
+    [
+        ['first', { after: '' }],
+        cursors.prev && ['prev', { before: cursors.prev }],
+        ['self', cursors.self],
+        cursors.next && ['next', { after: cursors.next }],
+        ['last', { before: '' }],
+    ]
+        .filter((item) => item)
+        .map(([rel, cursor]) =>
+            linkHeaderItem(resourceURI, { ...params, ...cursor, perPage }, rel)
+        )
+        .join(',');
 
 /**
  * Function to return a fill pagination information with
- * first, prev, self, next and last relations.
+ * first, prev, self, next and last relations, from the page number or the cursors of the page.
+ * The links keep the other query parameters of the request, such as its filters and its sort,
+ * and prev and next are missing on the first and last pages.
  *
  * @param {object}
  * @returns {String}
  */
-const formatPaginationToLinkHeader = ({ resourceURI, pagination = {} }) => {
-    const { currentPage, perPage, lastPage } = pagination;
+const formatPaginationToLinkHeader = ({
+    resourceURI,
+    pagination = {},
+    query = {},
+}) => {
+    const { currentPage, perPage, lastPage, cursors } = pagination;
+    const params = omit(query, paginationQueryParameters);
+
+    if (resourceURI && perPage && cursors) {
+        return formatCursorPaginationToLinkHeader({
+            resourceURI,
+            params,
+            perPage,
+            cursors,
+        });
+    }
 
     if (!resourceURI || !currentPage || !perPage || !lastPage) {
         return null;
     }
 
-    const prevPage =
-        currentPage - 1 <= lastPage && currentPage - 1 > 0
-            ? currentPage - 1
-            : currentPage;
-    const nextPage =
-        currentPage + 1 <= lastPage ? currentPage + 1 : currentPage;
-
-    let items = [
-        { resourceURI, currentPage: 1, perPage, rel: 'first' },
-        {
-            resourceURI,
-            currentPage: prevPage,
-            perPage,
-            rel: 'prev',
-        },
-        { resourceURI, currentPage, perPage, rel: 'self' },
-        {
-            resourceURI,
-            currentPage: nextPage,
-            perPage,
-            rel: 'next',
-        },
-        {
-            resourceURI,
-            currentPage: lastPage,
-            perPage,
-            rel: 'last',
-        },
+    const items = [
+        ['first', 1],
+        currentPage > 1 && ['prev', Math.min(currentPage - 1, lastPage)],
+        ['self', currentPage],
+        currentPage < lastPage && ['next', currentPage + 1],
+        ['last', lastPage],
     ];
 
-    return items.map((item) => linkHeaderItem(item)).join(',');
+    return items
+        .filter((item) => item)
+        .map(([rel, page]) =>
+            linkHeaderItem(
+                resourceURI,
+                { ...params, currentPage: page, perPage },
+                rel
+            )
+        )
+        .join(',');
 };
 
 module.exports = {
+    addFiltersToQuery,
+    addSortToQuery,
+    escapeLikeValue,
     filtersSanitizer,
+    idFilterSanitizer,
+    idsSanitizer,
+    includeDeletedSanitizer,
+    listFiltersSanitizer,
     paginationSanitizer,
     parseJsonQueryParameter,
+    parseListFilters,
+    parseSortParameter,
     sortSanitizer,
     formatPaginationToLinkHeader,
+    uuidPattern,
 };
@@ -1,7 +1,17 @@
+const knex = require('knex')({ client: 'pg' });
+
 const {
+    addFiltersToQuery,
+    addSortToQuery,
     filtersSanitizer,
     formatPaginationToLinkHeader,
+    idFilterSanitizer,
+    idsSanitizer,
+    includeDeletedSanitizer,
+    listFiltersSanitizer,
     paginationSanitizer,
+    parseListFilters,
+    parseSortParameter,
     sortSanitizer,
 } = require('./sanitizers');
 
@@ -85,31 +95,54 @@ describe('Sanitizers', () => {
     describe('sortSanitizer', () => {
         it('should return the first sortable field ASC if query sort are not set', () => {
             const defaultSortableFields = ['foo', 'bar'];
-            expect(sortSanitizer(undefined, defaultSortableFields)).toEqual([
-                'foo',
-                'ASC',
-            ]);
+            expect(sortSanitizer(undefined, defaultSortableFields)).toEqual({
+                sort: [['foo', 'ASC']],
+            });
+            expect(sortSanitizer([], defaultSortableFields)).toEqual({
+                sort: [['foo', 'ASC']],
+            });
         });
 
-        it('should return the first sortable field ASC if query sort is not an array', () => {
-            const defaultSortableFields = ['foo', 'bar'];
+        it('should return the default sort if query sort are not set', () => {
             expect(
-                sortSanitizer({ bar: 'DESC' }, defaultSortableFields)
-            ).toEqual(['foo', 'ASC']);
+                sortSanitizer(false, ['foo', 'bar'], [['bar', 'DESC']])
+            ).toEqual({ sort: [['bar', 'DESC']] });
         });
 
-        it('should return the first sortable field ASC if query sort is not a sortable field', () => {
-            const defaultSortableFields = ['foo', 'bar'];
-            expect(
-                sortSanitizer(['notSortable', 'DESC'], defaultSortableFields)
-            ).toEqual(['foo', 'ASC']);
+        it('should return a 400 error if query sort is not an array', () => {
+            const { error } = sortSanitizer({ bar: 'DESC' }, ['foo', 'bar']);
+            expect(error.status).toEqual(400);
+            expect(error.message).toEqual(
+                'The sort must be a [field, direction] pair or a list of these pairs.'
+            );
         });
 
-        it('should replace the sort order with ASC if the query param sort order is not valid', () => {
-            const defaultSortableFields = ['foo', 'bar'];
-            expect(
-                sortSanitizer(['bar', 'horizontal'], defaultSortableFields)
-            ).toEqual(['bar', 'ASC']);
+        it('should return a 400 error if query sort is not a sortable field', () => {
+            const { error } = sortSanitizer(
+                ['notSortable', 'DESC'],
+                ['foo', 'bar']
+            );
+            expect(error.status).toEqual(400);
+            expect(error.message).toEqual(
+                'The field notSortable cannot be sorted.'
+            );
+        });
+
+        it('should return a 400 error if the query param sort order is not valid', () => {
+            const { error } = sortSanitizer(
+                ['bar', 'horizontal'],
+                ['foo', 'bar']
+            );
+            expect(error.status).toEqual(400);
+            expect(error.message).toEqual(
+                'The sort direction horizontal must be ASC or DESC.'
+            );
+        });
+
+        it('should sort ASC a field without direction', () => {
+            expect(sortSanitizer(['bar'], ['foo', 'bar'])).toEqual({
+                sort: [['bar', 'ASC']],
+            });
         });
 
         it('should remove the supernumerary parameters of the sorting array', () => {
@@ -119,14 +152,120 @@ describe('Sanitizers', () => {
                     ['bar', 'DESC', 'this', 'is', 'too', 'much'],
                     defaultSortableFields
                 )
-            ).toEqual(['bar', 'DESC']);
+            ).toEqual({ sort: [['bar', 'DESC']] });
         });
 
         it('should return a well formated sort from query parameter', () => {
             const defaultSortableFields = ['foo', 'bar'];
             expect(
                 sortSanitizer(['bar', 'DESC'], defaultSortableFields)
-            ).toEqual(['bar', 'DESC']);
+            ).toEqual({ sort: [['bar', 'DESC']] });
+        });
+
+        it('should keep each pair of a multi-column sort in its order', () => {
+            const defaultSortableFields = ['foo', 'bar', 'baz'];
+            expect(
+                sortSanitizer(
+                    [
+                        ['baz', 'ASC'],
+                        ['foo', 'DESC'],
+                    ],
+                    defaultSortableFields
+                )
+            ).toEqual({
+                sort: [
+                    ['baz', 'ASC'],
+                    ['foo', 'DESC'],
+                ],
+            });
+        });
+
+        it('should return a 400 error for an invalid pair of a multi-column sort', () => {
+            const defaultSortableFields = ['foo', 'bar', 'baz'];
+            expect(
+                sortSanitizer(
+                    [
+                        ['baz', 'ASC'],
+                        ['notSortable', 'ASC'],
+                    ],
+                    defaultSortableFields
+                ).error.message
+            ).toEqual('The field notSortable cannot be sorted.');
+            expect(
+                sortSanitizer([['baz', 'ASC'], 'bar'], defaultSortableFields)
+                    .error.status
+            ).toEqual(400);
+        });
+
+        it('should only keep the first sort of a field', () => {
+            const defaultSortableFields = ['foo', 'bar'];
+            expect(
+                sortSanitizer(
+                    [
+                        ['bar', 'DESC'],
+                        ['bar', 'ASC'],
+                    ],
+                    defaultSortableFields
+                )
+            ).toEqual({ sort: [['bar', 'DESC']] });
+        });
+    });
+
+    describe('parseSortParameter', () => {
+        it('should parse a sort in JSON', () => {
+            expect(parseSortParameter('["title","DESC"]')).toEqual([
+                'title',
+                'DESC',
+            ]);
+            expect(
+                parseSortParameter(
+                    '[["employmentType","ASC"],["datePosted","DESC"]]'
+                )
+            ).toEqual([
+                ['employmentType', 'ASC'],
+                ['datePosted', 'DESC'],
+            ]);
+        });
+
+        it('should parse the compact form, a minus sign sorting a field DESC', () => {
+            expect(
+                parseSortParameter('-datePosted, title,+employmentType')
+            ).toEqual([
+                ['datePosted', 'DESC'],
+                ['title', 'ASC'],
+                ['employmentType', 'ASC'],
+            ]);
+        });
+
+        it('should return false if the sort is not set', () => {
+            expect(parseSortParameter(undefined)).toBe(false);
+        });
+    });
+
+    describe('addSortToQuery', () => {
+        it('should sort by each column then by the identifier', () => {
+            expect(
+                addSortToQuery(
+                    knex('job_posting'),
+                    [
+                        ['employment_type', 'ASC'],
+                        ['date_posted', 'DESC'],
+                    ],
+                    'job_posting.id'
+                ).toString()
+            ).toEqual(
+                'select * from "job_posting" order by "employment_type" ASC, "date_posted" DESC, "job_posting"."id" ASC'
+            );
+        });
+
+        it('should not sort twice by the identifier', () => {
+            expect(
+                addSortToQuery(
+                    knex('organization'),
+                    [['id', 'DESC']],
+                    'organization.id'
+                ).toString()
+            ).toEqual('select * from "organization" order by "id" DESC');
         });
     });
 
@@ -137,6 +276,18 @@ describe('Sanitizers', () => {
             ).toEqual([12, 2]);
         });
 
+        it('should cap the number of items per page', () => {
+            expect(
+                paginationSanitizer({ perPage: '5000', currentPage: '2' })
+            ).toEqual([100, 2]);
+        });
+
+        it('should raise the negative pagination params to 1', () => {
+            expect(
+                paginationSanitizer({ perPage: '-5', currentPage: '-2' })
+            ).toEqual([1, 1]);
+        });
+
         it('should return default pagination if pagination array is empty', () => {
             expect(paginationSanitizer({})).toEqual([10, 1]);
         });
@@ -168,6 +319,230 @@ describe('Sanitizers', () => {
         });
     });
 
+    describe('idsSanitizer', () => {
+        it('should return the identifiers of a stringified array', () => {
+            expect(idsSanitizer('["id1","id2"]')).toEqual(['id1', 'id2']);
+        });
+
+        it('should remove the identifiers which are not strings', () => {
+            expect(idsSanitizer('["id1",2,null," "]')).toEqual(['id1']);
+        });
+
+        it('should return an empty array for a parameter which is not an array', () => {
+            expect(idsSanitizer(undefined)).toEqual([]);
+            expect(idsSanitizer('id1')).toEqual([]);
+            expect(idsSanitizer('{"id":"id1"}')).toEqual([]);
+        });
+    });
+
+    describe('listFiltersSanitizer', () => {
+        const filterableFields = {
+            q: {},
+            title: { column: 'title', type: 'string', operator: 'like' },
+            status: { column: 'status', type: 'string' },
+            salary: { column: 'salary', type: 'number' },
+            createdAt: { column: 'created_at', type: 'date' },
+        };
+
+        it('should keep the filters applied by the repository as they are sent', () => {
+            expect(
+                listFiltersSanitizer(
+                    { q: 'elixir', unknown: 'yes' },
+                    filterableFields
+                )
+            ).toEqual({ filters: { q: 'elixir' } });
+        });
+
+        it('should convert the values to the type of their field', () => {
+            expect(
+                listFiltersSanitizer(
+                    {
+                        title_ilike: 'dev',
+                        status_in: 'draft',
+                        salary_gte: '30000',
+                        createdAt_before: '2020-05-01',
+                        createdAt_null: false,
+                    },
+                    filterableFields
+                )
+            ).toEqual({
+                filters: {
+                    title_ilike: 'dev',
+                    status_in: ['draft'],
+                    salary_gte: 30000,
+                    createdAt_before: '2020-05-01T00:00:00.000Z',
+                    createdAt_null: false,
+                },
+            });
+        });
+
+        it('should return a 400 error for an invalid operator or value', () => {
+            [
+                [
+                    { title_foo: 'dev' },
+                    'The filter title_foo uses the unknown operator foo.',
+                ],
+                [
+                    { title_gte: 'dev' },
+                    'The operator gte cannot be used on the filter title.',
+                ],
+                [
+                    { salary_lte: 'abc' },
+                    'The filter salary_lte must be a number.',
+                ],
+                [
+                    { createdAt_after: 'yesterday' },
+                    'The filter createdAt_after must be a date.',
+                ],
+                [
+                    { status_null: 'yes' },
+                    'The filter status_null must be true or false.',
+                ],
+                [
+                    { title_like: ['dev'] },
+                    'The filter title_like cannot have several values.',
+                ],
+            ].forEach(([filters, message]) => {
+                const { error } = listFiltersSanitizer(
+                    filters,
+                    filterableFields
+                );
+                expect(error.message).toEqual(message);
+                expect(error.status).toEqual(400);
+            });
+        });
+
+        it('should check each group of an $or filter', () => {
+            expect(
+                listFiltersSanitizer(
+                    { $or: [{ status: 'draft' }, { salary_gt: '40000' }] },
+                    filterableFields
+                )
+            ).toEqual({
+                filters: { $or: [{ status: 'draft' }, { salary_gt: 40000 }] },
+            });
+            expect(
+                listFiltersSanitizer(
+                    { $or: [{ q: 'elixir' }] },
+                    filterableFields
+                ).error.message
+            ).toEqual('The filter q cannot be used in an $or group.');
+            expect(
+                listFiltersSanitizer({ $or: {} }, filterableFields).error
+                    .message
+            ).toEqual('The filter $or must be an array of filters.');
+            expect(
+                listFiltersSanitizer({ $or: [{}] }, filterableFields).error
+                    .message
+            ).toEqual('The groups of the filter $or must not be empty.');
+        });
+    });
+
+    describe('addFiltersToQuery', () => {
+        const filterableFields = {
+            q: {},
+            title: { column: 'title', type: 'string', operator: 'like' },
+            status: { column: 'status', type: 'string' },
+            salary: { column: 'salary', type: 'number' },
+        };
+
+        it('should add the conditions of the operators to the query', () => {
+            expect(
+                addFiltersToQuery(
+                    knex('job_posting'),
+                    {
+                        q: 'elixir',
+                        title: '100%',
+                        status: ['draft', 'published'],
+                        salary_gte: 30000,
+                        salary_null: false,
+                        status_iprefix: 'pub',
+                    },
+                    filterableFields
+                ).toString()
+            ).toEqual(
+                `select * from "job_posting" where "title" like E'%100\\\\%%' and "status" in ('draft', 'published') and "salary" >= 30000 and "salary" is not null and "status" ilike 'pub%'`
+            );
+        });
+
+        it('should add the groups of an $or filter between parentheses', () => {
+            expect(
+                addFiltersToQuery(
+                    knex('job_posting'),
+                    {
+                        status_neq: 'archived',
+                        $or: [
+                            { status: 'draft' },
+                            { title_ilike: 'dev', salary_lt: 30000 },
+                        ],
+                    },
+                    filterableFields
+                ).toString()
+            ).toEqual(
+                `select * from "job_posting" where not "status" = 'archived' and (("status" = 'draft') or ("title" ilike '%dev%' and "salary" < 30000))`
+            );
+        });
+    });
+
+    describe('idFilterSanitizer', () => {
+        const uuid = 'a122edec-5580-4a93-aff7-fc18b41e4c57';
+
+        it('should return the identifiers of an array or a single identifier', () => {
+            expect(idFilterSanitizer([uuid])).toEqual([uuid]);
+            expect(idFilterSanitizer(uuid)).toEqual([uuid]);
+        });
+
+        it('should ignore the values which are not uuids', () => {
+            expect(idFilterSanitizer([uuid, 'not-an-uuid', 42, null])).toEqual([
+                uuid,
+            ]);
+            expect(idFilterSanitizer('not-an-uuid')).toEqual([]);
+        });
+    });
+
+    describe('parseListFilters', () => {
+        it('should parse the filters query parameter', () => {
+            expect(parseListFilters({ filters: '{"name":"Flex"}' })).toEqual({
+                name: 'Flex',
+            });
+            expect(parseListFilters({ filters: 'not-json' })).toBe(false);
+        });
+
+        it('should read the ids query parameter as an id filter', () => {
+            expect(
+                parseListFilters({
+                    filters: '{"name":"Flex"}',
+                    ids: '["id1","id2"]',
+                })
+            ).toEqual({ name: 'Flex', id: ['id1', 'id2'] });
+            expect(parseListFilters({ ids: 'not-json' })).toEqual({ id: [] });
+        });
+    });
+
+    describe('includeDeletedSanitizer', () => {
+        const admin = { id: 'admin-id', role: 'admin' };
+
+        it('should include the deleted objects if an admin asks for them', () => {
+            expect(includeDeletedSanitizer('true', admin)).toBe(true);
+        });
+
+        it('should not include the deleted objects by default', () => {
+            expect(includeDeletedSanitizer(undefined, admin)).toBe(false);
+            expect(includeDeletedSanitizer('false', admin)).toBe(false);
+            expect(includeDeletedSanitizer('yes', admin)).toBe(false);
+        });
+
+        it('should never include the deleted objects for the other users', () => {
+            expect(
+                includeDeletedSanitizer('true', {
+                    id: 'recruiter-id',
+                    role: 'recruiter',
+                })
+            ).toBe(false);
+            expect(includeDeletedSanitizer('true', undefined)).toBe(false);
+        });
+    });
+
     describe('formatPaginationToLinkHeader', () => {
         it('should contain all pagination elements', () => {
             expect(
@@ -190,7 +565,7 @@ describe('Sanitizers', () => {
             );
         });
 
-        it('should have same first, prev and self elements', () => {
+        it('should not have prev element on the first page', () => {
             expect(
                 formatPaginationToLinkHeader({
                     resourceURI: '/api/resources',
@@ -203,7 +578,6 @@ describe('Sanitizers', () => {
             ).toEqual(
                 [
                     '</api/resources?currentPage=1&perPage=10>; rel="first"',
-                    '</api/resources?currentPage=1&perPage=10>; rel="prev"',
                     '</api/resources?currentPage=1&perPage=10>; rel="self"',
                     '</api/resources?currentPage=2&perPage=10>; rel="next"',
                     '</api/resources?currentPage=3&perPage=10>; rel="last"',
@@ -211,7 +585,7 @@ describe('Sanitizers', () => {
             );
         });
 
-        it('should have same self, next and last elements', () => {
+        it('should not have next element on the last page', () => {
             expect(
                 formatPaginationToLinkHeader({
                     resourceURI: '/api/resources',
@@ -226,13 +600,12 @@ describe('Sanitizers', () => {
                     '</api/resources?currentPage=1&perPage=10>; rel="first"',
                     '</api/resources?currentPage=2&perPage=10>; rel="prev"',
                     '</api/resources?currentPage=3&perPage=10>; rel="self"',
-                    '</api/resources?currentPage=3&perPage=10>; rel="next"',
                     '</api/resources?currentPage=3&perPage=10>; rel="last"',
                 ].join(',')
             );
         });
 
-        it('should have same first, prev, self, next and last elements', () => {
+        it('should have neither prev nor next element on a single page', () => {
             expect(
                 formatPaginationToLinkHeader({
                     resourceURI: '/api/resources',
@@ -245,14 +618,39 @@ describe('Sanitizers', () => {
             ).toEqual(
                 [
                     '</api/resources?currentPage=1&perPage=10>; rel="first"',
-                    '</api/resources?currentPage=1&perPage=10>; rel="prev"',
                     '</api/resources?currentPage=1&perPage=10>; rel="self"',
-                    '</api/resources?currentPage=1&perPage=10>; rel="next"',
                     '</api/resources?currentPage=1&perPage=10>; rel="last"',
                 ].join(',')
             );
         });
 
+        it('should keep the other query parameters of the request in the links', () => {
+            expect(
+                formatPaginationToLinkHeader({
+                    resourceURI: 'http://localhost:8001/api/resources',
+                    pagination: {
+                        currentPage: 2,
+                        perPage: 10,
+                        lastPage: 3,
+                    },
+                    query: {
+                        filters: '{"title":"dev"}',
+                        sort: '-datePosted',
+                        currentPage: '2',
+                        perPage: '10',
+                    },
+                })
+            ).toEqual(
+                [
+                    '<http://localhost:8001/api/resources?filters=%7B%22title%22%3A%22dev%22%7D&sort=-datePosted&currentPage=1&perPage=10>; rel="first"',
+                    '<http://localhost:8001/api/resources?filters=%7B%22title%22%3A%22dev%22%7D&sort=-datePosted&currentPage=1&perPage=10>; rel="prev"',
+                    '<http://localhost:8001/api/resources?filters=%7B%22title%22%3A%22dev%22%7D&sort=-datePosted&currentPage=2&perPage=10>; rel="self"',
+                    '<http://localhost:8001/api/resources?filters=%7B%22title%22%3A%22dev%22%7D&sort=-datePosted&currentPage=3&perPage=10>; rel="next"',
+                    '<http://localhost:8001/api/resources?filters=%7B%22title%22%3A%22dev%22%7D&sort=-datePosted&currentPage=3&perPage=10>; rel="last"',
+                ].join(',')
+            );
+        });
+
         it('should contain return null if any element is missing', () => {
             expect(
                 formatPaginationToLinkHeader({
@@ -286,5 +684,52 @@ describe('Sanitizers', () => {
                 })
             ).toBeNull();
         });
+
+        it('should contain the cursors of the pages in the cursor mode', () => {
+            expect(
+                formatPaginationToLinkHeader({
+                    resourceURI: '/api/resources',
+                    query: { sort: 'title', after: 'cursor-2' },
+                    pagination: {
+                        perPage: 10,
+                        cursors: {
+                            self: { after: 'cursor-2' },
+                            prev: 'cursor-3',
+                            next: 'cursor-12',
+                        },
+                    },
+                })
+            ).toEqual(
+                [
+                    '</api/resources?sort=title&after=&perPage=10>; rel="first"',
+                    '</api/resources?sort=title&before=cursor-3&perPage=10>; rel="prev"',
+                    '</api/resources?sort=title&after=cursor-2&perPage=10>; rel="self"',
+                    '</api/resources?sort=title&after=cursor-12&perPage=10>; rel="next"',
+                    '</api/resources?sort=title&before=&perPage=10>; rel="last"',
+                ].join(',')
+            );
+        });
+
+        it('should not contain the prev and next cursors at the start and end of the list', () => {
+            expect(
+                formatPaginationToLinkHeader({
+                    resourceURI: '/api/resources',
+                    pagination: {
+                        perPage: 10,
+                        cursors: {
+                            self: { after: '' },
+                            prev: null,
+                            next: null,
+                        },
+                    },
+                })
+            ).toEqual(
+                [
+                    '</api/resources?after=&perPage=10>; rel="first"',
+                    '</api/resources?after=&perPage=10>; rel="self"',
+                    '</api/resources?before=&perPage=10>; rel="last"',
+                ].join(',')
+            );
+        });
     });
 });
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../config');
+
+/**
+ * Create a storage keeping the files in a local directory.
+ * Files are saved under a random key: the original file name must be kept by the caller.
+ *
+ * @param {string} directory - the directory of the files
+ * @returns {object} the storage, with save, read and remove functions
+ */
+const createLocalStorage = (directory) => {
+    // the key must never allow to read a file outside of the directory
+    const getFilePath = (key) => path.join(directory, path.basename(key));
+
+    return {
+        /**
+         * @param {Buffer} content - the file content
+         * @param {string} extension - the file extension, like ".pdf"
+         * @returns {Promise} - the key of the saved file
+         */
+        save: async ({ content, extension = '' }) => {
+            const key = `${crypto.randomBytes(16).toString('hex')}${extension}`;
+            await fs.promises.mkdir(directory, { recursive: true });
+            await fs.promises.writeFile(getFilePath(key), content);
+
+            return key;
+        },
+        /**
+         * @param {string} key - the key of the file
+         * @returns {Promise} - the file content
+         */
+        read: (key) => fs.promises.readFile(getFilePath(key)),
+        /**
+         * @param {string} key - the key of the file
+         * @returns {Promise} - resolved when the file is removed
+         */
+        remove: (key) => fs.promises.unlink(getFilePath(key)),
+    };
+};
+
+const storageFactories = {
+    local: () => createLocalStorage(config.storage.directory),
+};
+
+let storage = null;
+
+/**
+ * Return the storage of the uploaded files configured for the environment
+ *
+ * @returns {object} the storage, with save, read and remove functions
+ */
+const getStorage = () => {
+    if (!storage) {
+        storage = storageFactories[config.storage.driver]();
+    }
+
+    return storage;
+};
+
+module.exports = {
+    createLocalStorage,
+    getStorage,
+};
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLocalStorage } = require('./storage');
+
+describe('Storage', () => {
+    describe('createLocalStorage', () => {
+        let directory;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jobboard-'));
+        });
+
+        afterEach(() => {
+            fs.readdirSync(directory).forEach((file) =>
+                fs.unlinkSync(path.join(directory, file))
+            );
+            fs.rmdirSync(directory);
+        });
+
+        it('should save a file under a random key with its extension', async () => {
+            const storage = createLocalStorage(directory);
+            const key = await storage.save({
+                content: Buffer.from('my cv'),
+                extension: '.pdf',
+            });
+
+            expect(key).toMatch(/^[0-9a-f]{32}\.pdf$/);
+            expect(fs.readFileSync(path.join(directory, key), 'utf8')).toEqual(
+                'my cv'
+            );
+        });
+
+        it('should read and remove a saved file', async () => {
+            const storage = createLocalStorage(directory);
+            const key = await storage.save({ content: Buffer.from('my cv') });
+
+            expect((await storage.read(key)).toString()).toEqual('my cv');
+            await storage.remove(key);
+            expect(fs.readdirSync(directory)).toEqual([]);
+        });
+
+        it('should never read a file outside of its directory', async () => {
+            const storage = createLocalStorage(directory);
+            const outsideFile = `${directory}-secret`;
+            fs.writeFileSync(outsideFile, 'secret');
+
+            await expect(
+                storage.read(`../${path.basename(outsideFile)}`)
+            ).rejects.toThrow('ENOENT');
+            fs.unlinkSync(outsideFile);
+        });
+    });
+});
@@ -0,0 +1,155 @@
+const bcrypt = require('bcryptjs');
+const omit = require('lodash.omit');
+
+const { roles } = require('../toolbox/authentication');
+
+const userRoles = [roles.ADMIN, roles.RECRUITER];
+
+/**
+ * Transforms a db queried user into an user object for API.
+ * The password hash must never leave the repository.
+ *
+ * @param {object} dbUser - user data from database
+ * @returns {object} an user object without password
+ */
+const formatUserForAPI = (dbUser) => (dbUser ? omit(dbUser, ['password']) : {});
+
+/**
+ * Return the hash of a password
+ *
+ * @param {string} password - the plain text password
+ * @returns {Promise} - the password hash
+ */
+const hashPassword = (password) => bcrypt.hash(password, 10);
+
+/**
+ * Return the identifiers of the organizations managed by a user
+ *
+ * @param {object} client - The Database client
+ * @param {string} userId - The user identifier
+ * @returns {Promise} - an array of organization identifiers
+ */
+const getUserOrganizationIds = ({ client, userId }) =>
+    client
+        .select('organization_id')
+        .from('user_organization')
+        .where({ user_id: userId })
+        .then((links) => links.map((link) => link.organizationId));
+
+/**
+ * Return the created user
+ *
+ * @param {object} client - The Database client
+ * @param {object} apiData - The user data: username, plain text password, role
+ * and the identifiers of the organizations managed by a recruiter
+ * @returns {Promise} - the created user
+ */
+const createUser = async ({ client, apiData }) => {
+    const { username, password, role, organizationIds = [] } = apiData;
+    if (!userRoles.includes(role)) {
+        return { error: new Error(`the role ${role} does not exist`) };
+    }
+    if (role === roles.RECRUITER && !organizationIds.length) {
+        return {
+            error: new Error('a recruiter must be linked to an organization'),
+        };
+    }
+    const hashedPassword = await hashPassword(password);
+
+    return client
+        .transaction(async (trx) => {
+            const [newUser] = await trx('user')
+                .returning('*')
+                .insert({ username, password: hashedPassword, role });
+
+            if (organizationIds.length) {
+                await trx('user_organization').insert(
+                    organizationIds.map((organizationId) => ({
+                        userId: newUser.id,
+                        organizationId,
+                    }))
+                );
+            }
+
+            return { ...formatUserForAPI(newUser), organizationIds };
+        })
+        .catch((error) => ({ error }));
+};
+
+/**
+ * Return the user matching the credentials
+ *
+ * @param {object} client - The Database client
+ * @param {string} username - The user name
+ * @param {string} password - The plain text password
+ * @returns {Promise} - the user or an empty object if credentials are invalid
+ */
+const getUserByCredentials = async ({ client, username, password }) => {
+    const user = await client.first('*').from('user').where({ username });
+    if (!user) {
+        return {};
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+        return {};
+    }
+
+    return {
+        ...formatUserForAPI(user),
+        organizationIds: await getUserOrganizationIds({
+            client,
+            userId: user.id,
+        }),
+    };
+};
+
+/**
+ * Check that a user is allowed to manage an organization and its job postings.
+ * An admin manages all organizations, a recruiter only the ones linked to their account.
+ *
+ * @param {object} client - The Database client
+ * @param {object} user - The authenticated user
+ * @param {string} organizationId - The organization identifier
+ * @returns {Promise} - true if the user can manage the organization
+ */
+const canManageOrganization = async ({ client, user, organizationId }) => {
+    if (user.role === roles.ADMIN) {
+        return true;
+    }
+    if (user.role !== roles.RECRUITER) {
+        return false;
+    }
+
+    const link = await client
+        .first('organization_id')
+        .from('user_organization')
+        .where({ user_id: user.id, organization_id: organizationId });
+
+    return !!link;
+};
+
+/**
+ * Return the error explaining that a user does not manage an organization
+ *
+ * @returns {Error} - an error with a 403 status
+ */
+const getForbiddenOrganizationError = () => {
+    const error = new Error(
+        'You are not allowed to manage this organization or its job postings.'
+    );
+    error.status = 403;
+
+    return error;
+};
+
+module.exports = {
+    canManageOrganization,
+    createUser,
+    formatUserForAPI,
+    getForbiddenOrganizationError,
+    getUserByCredentials,
+    getUserOrganizationIds,
+    hashPassword,
+    userRoles,
+};
@@ -0,0 +1,81 @@
+const { canManageOrganization, formatUserForAPI } = require('./repository');
+
+const getClient = (link) => {
+    const query = {
+        from: () => query,
+        where: jest.fn(() => Promise.resolve(link)),
+    };
+
+    return { first: jest.fn(() => query) };
+};
+
+describe('User repository', () => {
+    describe('formatUserForAPI', () => {
+        it('should remove the password hash from the user', () => {
+            expect(
+                formatUserForAPI({
+                    id: '9a6c8995-df54-446c-a5b8-71532c304751',
+                    username: 'admin',
+                    password: '$2a$10$hash',
+                    role: 'admin',
+                })
+            ).toEqual({
+                id: '9a6c8995-df54-446c-a5b8-71532c304751',
+                username: 'admin',
+                role: 'admin',
+            });
+        });
+
+        it('should return an empty object if return from db is null', () => {
+            expect(formatUserForAPI(null)).toEqual({});
+        });
+    });
+
+    describe('canManageOrganization', () => {
+        const organizationId = 'a122edec-5580-4a93-aff7-fc18b41e4c57';
+
+        it('should allow an admin to manage any organization', async () => {
+            const client = getClient();
+            await expect(
+                canManageOrganization({
+                    client,
+                    user: { role: 'admin' },
+                    organizationId,
+                })
+            ).resolves.toBe(true);
+            expect(client.first).not.toHaveBeenCalled();
+        });
+
+        it('should not allow an anonymous user to manage an organization', async () => {
+            const client = getClient();
+            await expect(
+                canManageOrganization({
+                    client,
+                    user: { role: 'anonymous' },
+                    organizationId,
+                })
+            ).resolves.toBe(false);
+            expect(client.first).not.toHaveBeenCalled();
+        });
+
+        it('should allow a recruiter to manage an organization linked to their account', async () => {
+            await expect(
+                canManageOrganization({
+                    client: getClient({ organizationId }),
+                    user: { id: 'recruiter-id', role: 'recruiter' },
+                    organizationId,
+                })
+            ).resolves.toBe(true);
+        });
+
+        it('should not allow a recruiter to manage another organization', async () => {
+            await expect(
+                canManageOrganization({
+                    client: getClient(undefined),
+                    user: { id: 'recruiter-id', role: 'recruiter' },
+                    organizationId,
+                })
+            ).resolves.toBe(false);
+        });
+    });
+});
@@ -1,4 +1,5 @@
 export { default as JobPosting } from "./job-posting.svelte";
+export { default as JobPostingRenewal } from "./job-posting-renewal.svelte";
 export { default as JobPostings } from "./job-postings.svelte";
 export { default as Organization } from "./organization.svelte";
 export { default as Organizations } from "./organizations.svelte";
@@ -2,3 +2,4 @@ export * from "./job-postings";
 export * from "./job-posting";
 export * from "./organizations";
 export * from "./organization";
+export * from "./job-posting-renewal";
@@ -0,0 +1,32 @@
+import { writable } from "svelte/store";
+import axios from "axios";
+
+// the renewal of a job posting from the link sent before its expiration,
+// only made once its owner has confirmed it
+const store = () => {
+    const { subscribe, set, update } = writable(null);
+
+    const renew = async (token) => {
+        try {
+            const { data } = await axios.post(
+                `http://127.0.0.1:8001/api/job-postings/renew/${token}`
+            );
+            set({ jobPosting: data });
+        } catch (error) {
+            set({
+                error: error.response
+                    ? error.response.data.message
+                    : error.message,
+            });
+        }
+    };
+
+    return {
+        subscribe,
+        set,
+        update,
+        renew,
+    };
+};
+
+export const JobPostingRenewalStore = store();
@@ -19,4 +19,27 @@ const store = () => {
     };
 };
 
+// the schema.org representation of the job posting, for the search engines
+const jsonLdStore = () => {
+    const { subscribe, set, update } = writable(null);
+
+    const init = async (id) => {
+        const { data } = await axios.get(
+            `http://127.0.0.1:8001/api/job-postings/${id}`,
+            {
+                headers: { Accept: "application/ld+json" },
+            }
+        );
+        set(data);
+    };
+
+    return {
+        subscribe,
+        set,
+        update,
+        init,
+    };
+};
+
 export const JobPostingStore = store();
+export const JobPostingJsonLdStore = jsonLdStore();
@@ -0,0 +1,12 @@
+/**
+ * Return the script tag of a JSON-LD object, to inject it in the head of a page.
+ * The "<" characters are escaped so that the content can't close the script tag.
+ *
+ * @param {object} jsonLd - the JSON-LD object, as returned by the API
+ * @returns {string} the HTML script tag
+ */
+export const getJsonLdScript = (jsonLd) =>
+    `<script type="application/ld+json">${JSON.stringify(jsonLd).replace(
+        /</g,
+        "\\u003c"
+    )}</script>`;
@@ -0,0 +1,21 @@
+import { getJsonLdScript } from "./json-ld";
+
+describe("getJsonLdScript", () => {
+    it("returns the JSON-LD in a script tag", () => {
+        expect.assertions(1);
+
+        expect(
+            getJsonLdScript({ "@type": "JobPosting", title: "Dev" })
+        ).toEqual(
+            '<script type="application/ld+json">{"@type":"JobPosting","title":"Dev"}</script>'
+        );
+    });
+
+    it("escapes the content closing the script tag", () => {
+        expect.assertions(1);
+
+        expect(
+            getJsonLdScript({ description: "<p>Dev</p></script>" })
+        ).not.toContain("</p>");
+    });
+});
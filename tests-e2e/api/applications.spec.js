@@ -0,0 +1,238 @@
+import frisby from 'frisby';
+
+import { authenticateAs } from './authentication';
+
+const getJobPostingByOrganizationName = (name) =>
+    frisby
+        .get('http://api:3001/api/job-postings')
+        .then((resp) =>
+            resp.json.find((job) => job.hiringOrganization.name === name)
+        );
+
+const getApplicationForm = ({
+    name = 'Ada Lovelace',
+    email = 'ada@lovelace.org',
+    cv = { filename: 'cv-ada.pdf', contentType: 'application/pdf' },
+} = {}) => {
+    const form = frisby.formData();
+    form.append('name', name);
+    form.append('email', email);
+    form.append('message', 'Votre offre me plait beaucoup.');
+    if (cv) {
+        form.append('cv', Buffer.from('%PDF-1.4 CV de Ada'), cv);
+    }
+
+    return form;
+};
+
+const postApplication = (jobPostingId, form = getApplicationForm()) =>
+    frisby.post(
+        `http://api:3001/api/job-postings/${jobPostingId}/applications`,
+        { body: form }
+    );
+
+describe('Applications API Endpoints', () => {
+    describe('POST: /api/job-postings/:id/applications', () => {
+        it('devrait permettre de postuler à une offre sans être authentifié', async () => {
+            expect.hasAssertions();
+            const jobPosting = await getJobPostingByOrganizationName('Qwarry');
+            await postApplication(jobPosting.id)
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json).toEqual(
+                        expect.objectContaining({
+                            jobPostingId: jobPosting.id,
+                            name: 'Ada Lovelace',
+                            email: 'ada@lovelace.org',
+                            message: 'Votre offre me plait beaucoup.',
+                            status: 'received',
+                            cv: {
+                                fileName: 'cv-ada.pdf',
+                                mimeType: 'application/pdf',
+                                size: 18,
+                            },
+                        })
+                    );
+                    expect(resp.json.cvFileKey).toBeUndefined();
+                });
+        });
+
+        it('devrait retourner une erreur 400 si le CV est manquant', async () => {
+            expect.hasAssertions();
+            const jobPosting = await getJobPostingByOrganizationName('Qwarry');
+            await postApplication(
+                jobPosting.id,
+                getApplicationForm({ cv: null })
+            )
+                .expect('status', 400)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual('The CV file is missing');
+                });
+        });
+
+        it("devrait retourner une erreur 400 si le CV n'est pas un document", async () => {
+            expect.hasAssertions();
+            const jobPosting = await getJobPostingByOrganizationName('Qwarry');
+            await postApplication(
+                jobPosting.id,
+                getApplicationForm({
+                    cv: { filename: 'cv.png', contentType: 'image/png' },
+                })
+            )
+                .expect('status', 400)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'The CV file must be a PDF, DOC, DOCX or ODT file, not image/png'
+                    );
+                });
+        });
+
+        it("devrait retourner une erreur 400 si l'e-mail du candidat est mal formaté", async () => {
+            expect.hasAssertions();
+            const jobPosting = await getJobPostingByOrganizationName('Qwarry');
+            await postApplication(
+                jobPosting.id,
+                getApplicationForm({ email: 'ada' })
+            )
+                .expect('status', 400)
+                .then((resp) => {
+                    expect(resp.json.message).toContain('email');
+                });
+        });
+
+        it("devrait retourner une erreur 404 si l'offre d'emploi n'existe pas", async () => {
+            expect.hasAssertions();
+            await postApplication('a122edec-5580-4a93-aff7-fc18b41e4c57')
+                .expect('status', 404)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'The jobPosting of id a122edec-5580-4a93-aff7-fc18b41e4c57 does not exist.'
+                    );
+                });
+        });
+
+        it('devrait refuser la liste des candidatures à un utilisateur anonyme', async () => {
+            expect.hasAssertions();
+            const jobPosting = await getJobPostingByOrganizationName('Qwarry');
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings/${jobPosting.id}/applications`
+                )
+                .expect('status', 401)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'You must be authenticated to access this resource.'
+                    );
+                });
+        });
+    });
+
+    describe('Suivi des candidatures par un recruteur', () => {
+        beforeAll(() => authenticateAs('recruiter'));
+
+        it('devrait renvoyer au recruteur la liste paginée des candidatures aux offres de son entreprise', async () => {
+            expect.hasAssertions();
+            const jobPosting = await getJobPostingByOrganizationName('Qwarry');
+            const { json: application } = await postApplication(
+                jobPosting.id,
+                getApplicationForm({ name: 'Grace Hopper' })
+            );
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings/${jobPosting.id}/applications`
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(
+                        parseInt(resp.headers.get('x-total-count'), 10)
+                    ).toBeGreaterThanOrEqual(1);
+                    // the most recent applications first
+                    expect(resp.json[0]).toEqual(application);
+                });
+        });
+
+        it("devrait retourner une erreur 403 si le recruteur consulte les candidatures d'une entreprise qu'il ne gère pas", async () => {
+            expect.hasAssertions();
+            const jobPosting = await getJobPostingByOrganizationName(
+                'Flexcity'
+            );
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings/${jobPosting.id}/applications`
+                )
+                .expect('status', 403)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'You are not allowed to manage this organization or its job postings.'
+                    );
+                });
+        });
+
+        it("devrait permettre au recruteur de changer le statut d'une candidature", async () => {
+            expect.hasAssertions();
+            const jobPosting = await getJobPostingByOrganizationName('Qwarry');
+            const { json: application } = await postApplication(jobPosting.id);
+            await frisby
+                .put(
+                    `http://api:3001/api/job-postings/${jobPosting.id}/applications/${application.id}`,
+                    { status: 'reviewed' },
+                    { json: true }
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json).toEqual({
+                        ...application,
+                        status: 'reviewed',
+                    });
+                });
+        });
+
+        it("devrait retourner une erreur 400 si le statut n'existe pas", async () => {
+            expect.hasAssertions();
+            const jobPosting = await getJobPostingByOrganizationName('Qwarry');
+            const { json: application } = await postApplication(jobPosting.id);
+            await frisby
+                .put(
+                    `http://api:3001/api/job-postings/${jobPosting.id}/applications/${application.id}`,
+                    { status: 'archived' },
+                    { json: true }
+                )
+                .expect('status', 400);
+        });
+
+        it("devrait retourner une erreur 404 si la candidature n'existe pas", async () => {
+            expect.hasAssertions();
+            const jobPosting = await getJobPostingByOrganizationName('Qwarry');
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings/${jobPosting.id}/applications/a122edec-5580-4a93-aff7-fc18b41e4c57`
+                )
+                .expect('status', 404)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        `The application of id a122edec-5580-4a93-aff7-fc18b41e4c57 does not exist for the jobPosting of id ${jobPosting.id}.`
+                    );
+                });
+        });
+
+        it("devrait permettre au recruteur de télécharger le CV d'une candidature", async () => {
+            expect.hasAssertions();
+            const jobPosting = await getJobPostingByOrganizationName('Qwarry');
+            const { json: application } = await postApplication(jobPosting.id);
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings/${jobPosting.id}/applications/${application.id}/cv`
+                )
+                .expect('status', 200)
+                .expect('header', 'content-type', 'application/pdf')
+                .expect(
+                    'header',
+                    'content-disposition',
+                    'attachment; filename="cv-ada.pdf"'
+                )
+                .then((resp) => {
+                    expect(resp.body).toEqual('%PDF-1.4 CV de Ada');
+                });
+        });
+    });
+});
@@ -0,0 +1,185 @@
+import querystring from 'querystring';
+import frisby from 'frisby';
+
+import { authenticateAs, getToken } from './authentication';
+
+const newOrganization = {
+    name: 'Audit org',
+    description: 'desc',
+    image: 'https://www.org.org/logo.svg',
+    email: 'contact@org.org',
+    url: 'https://www.org.org',
+    address: {
+        addressCountry: 'FR',
+        addressLocality: 'Caen',
+        postalCode: '14000',
+        streetAddress: '5, place de la Répulique',
+    },
+    contactPoints: [
+        {
+            email: 'job@org.org',
+            telephone: '0606060606',
+            name: 'John Do, CTO',
+            contactType: "Offres d'emploi",
+        },
+    ],
+};
+
+const newJobPosting = {
+    title: 'Developpeur Rust',
+    url: 'https://jobs.caen.camp',
+    datePosted: '2010-03-02',
+    employerOverview:
+        "Au sein d'une équipe DSI composée de juniors et de séniors",
+    employmentType: 'CDI',
+    experienceRequirements: "2 ans d'experience sur un projet Rust",
+    jobStartDate: '2020-05-02',
+    skills: ['Rust'],
+    baseSalary: {
+        currency: 'EUR',
+        minValue: 35000,
+        maxValue: 40000,
+        unitText: 'YEAR',
+    },
+    jobLocationType: 'TELECOMMUTE',
+    validThrough: null,
+};
+
+const getAuditLogs = (filters) =>
+    frisby.get(
+        `http://api:3001/api/audit-logs?${querystring.stringify({
+            filters: JSON.stringify(filters),
+        })}`
+    );
+
+describe('Audit logs API Endpoints', () => {
+    beforeAll(() => authenticateAs('admin'));
+
+    describe('GET: /api/audit-logs', () => {
+        it("devrait enregistrer la création, la modification et la suppression d'une entreprise et de ses contacts", async () => {
+            expect.hasAssertions();
+            const organization = await frisby
+                .post('http://api:3001/api/organizations', newOrganization, {
+                    json: true,
+                })
+                .expect('status', 200)
+                .then((resp) => resp.json);
+
+            await frisby
+                .put(
+                    `http://api:3001/api/organizations/${organization.id}`,
+                    { ...newOrganization, name: 'Audit org renamed' },
+                    { json: true }
+                )
+                .expect('status', 200);
+            await frisby
+                .delete(`http://api:3001/api/organizations/${organization.id}`)
+                .expect('status', 200);
+
+            await getAuditLogs({ resourceId: organization.id })
+                .expect('status', 200)
+                .expect('header', 'x-total-count', '3')
+                .then((resp) => {
+                    expect(
+                        resp.json.map(({ action, username }) => ({
+                            action,
+                            username,
+                        }))
+                    ).toEqual([
+                        { action: 'delete', username: 'admin' },
+                        { action: 'update', username: 'admin' },
+                        { action: 'create', username: 'admin' },
+                    ]);
+                    expect(resp.json[1].changes).toEqual({
+                        name: {
+                            before: 'Audit org',
+                            after: 'Audit org renamed',
+                        },
+                    });
+                });
+
+            return getAuditLogs({
+                resource: 'contactPoint',
+                resourceId: organization.contactPoints[0].identifier,
+            })
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.map(({ action }) => action)).toEqual([
+                        'delete',
+                        'create',
+                    ]);
+                });
+        });
+
+        it("devrait enregistrer le changement de statut d'une offre d'emploi", async () => {
+            expect.hasAssertions();
+            const organization = await frisby
+                .get('http://api:3001/api/organizations')
+                .then((resp) =>
+                    resp.json.find((org) => org.name === 'Flexcity')
+                );
+            const jobPosting = await frisby
+                .post(
+                    'http://api:3001/api/job-postings',
+                    {
+                        ...newJobPosting,
+                        hiringOrganizationId: organization.id,
+                    },
+                    { json: true }
+                )
+                .expect('status', 200)
+                .then((resp) => resp.json);
+
+            await frisby
+                .post(
+                    `http://api:3001/api/job-postings/${jobPosting.id}/transitions`,
+                    { status: 'pending' },
+                    { json: true }
+                )
+                .expect('status', 200);
+
+            await getAuditLogs({
+                resource: 'jobPosting',
+                resourceId: jobPosting.id,
+            })
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.map(({ action }) => action)).toEqual([
+                        'update',
+                        'create',
+                    ]);
+                    expect(resp.json[0].changes.status).toEqual({
+                        before: 'draft',
+                        after: 'pending',
+                    });
+                });
+
+            return frisby
+                .delete(`http://api:3001/api/job-postings/${jobPosting.id}`)
+                .expect('status', 200);
+        });
+
+        it("devrait retourner une erreur 400 si une date filtrée n'est pas une date", async () => {
+            expect.hasAssertions();
+            await getAuditLogs({ createdAt_after: 'hier' })
+                .expect('status', 400)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'The filter createdAt_after must be a date.'
+                    );
+                });
+        });
+
+        it('devrait être interdit aux recruteurs', async () => {
+            expect.hasAssertions();
+            const token = await getToken('recruiter');
+
+            return frisby
+                .setup({
+                    request: { headers: { Authorization: `Bearer ${token}` } },
+                })
+                .get('http://api:3001/api/audit-logs')
+                .expect('status', 403);
+        });
+    });
+});
@@ -0,0 +1,35 @@
+import frisby from 'frisby';
+
+export const credentials = {
+    admin: { username: 'admin', password: 'admin-password' },
+    recruiter: { username: 'recruiter', password: 'recruiter-password' },
+};
+
+/**
+ * Return a valid authentication token for one of the fixed users
+ *
+ * @param {string} user - 'admin' or 'recruiter'
+ * @returns {Promise} the JWT token
+ */
+export const getToken = (user) =>
+    frisby
+        .post('http://api:3001/api/authenticate', credentials[user], {
+            json: true,
+        })
+        .then((resp) => resp.json.token);
+
+/**
+ * Authenticate all the following frisby requests as one of the fixed users
+ *
+ * @param {string} user - 'admin' or 'recruiter'
+ */
+export const authenticateAs = async (user) => {
+    const token = await getToken(user);
+    frisby.globalSetup({
+        request: {
+            headers: {
+                Authorization: `Bearer ${token}`,
+            },
+        },
+    });
+};
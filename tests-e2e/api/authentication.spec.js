@@ -0,0 +1,101 @@
+import frisby from 'frisby';
+
+import { credentials, getToken } from './authentication';
+
+describe('Authentication API Endpoints', () => {
+    describe('POST: /api/authenticate', () => {
+        it('devrait retourner une erreur 401 si les identifiants sont invalides', async () => {
+            expect.hasAssertions();
+            await frisby
+                .post(
+                    'http://api:3001/api/authenticate',
+                    { username: 'admin', password: 'wrong-password' },
+                    { json: true }
+                )
+                .expect('status', 401)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'Invalid username or password.'
+                    );
+                });
+        });
+
+        it('devrait retourner une erreur 400 sans identifiants', async () => {
+            expect.hasAssertions();
+            await frisby
+                .post('http://api:3001/api/authenticate', {}, { json: true })
+                .expect('status', 400)
+                .then((resp) => {
+                    expect(resp.json.message).toBeDefined();
+                });
+        });
+
+        it("devrait retourner un jeton et l'utilisateur si les identifiants sont valides", async () => {
+            expect.hasAssertions();
+            await frisby
+                .post('http://api:3001/api/authenticate', credentials.admin, {
+                    json: true,
+                })
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.token).toBeDefined();
+                    expect(resp.json.user.username).toEqual('admin');
+                    expect(resp.json.user.role).toEqual('admin');
+                    expect(resp.json.user.password).toBeUndefined();
+                });
+        });
+    });
+
+    describe('Routes protégées', () => {
+        it('devrait retourner une erreur 401 sans jeton sur une route en écriture', async () => {
+            expect.hasAssertions();
+            await frisby
+                .delete(
+                    'http://api:3001/api/organizations/9a6c8995-df54-446c-a5b8-71532c304751'
+                )
+                .expect('status', 401)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'You must be authenticated to access this resource.'
+                    );
+                });
+        });
+
+        it('devrait retourner une erreur 401 avec un jeton invalide', async () => {
+            expect.hasAssertions();
+            await frisby
+                .setup({
+                    request: {
+                        headers: { Authorization: 'Bearer not-a-valid-token' },
+                    },
+                })
+                .get('http://api:3001/api/organizations')
+                .expect('status', 401)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'The authentication token is invalid or expired.'
+                    );
+                });
+        });
+
+        it("devrait retourner une erreur 403 si le rôle de l'utilisateur ne permet pas l'accès", async () => {
+            expect.hasAssertions();
+            const token = await getToken('recruiter');
+            await frisby
+                .setup({
+                    request: {
+                        headers: { Authorization: `Bearer ${token}` },
+                    },
+                })
+                .delete(
+                    'http://api:3001/api/organizations/9a6c8995-df54-446c-a5b8-71532c304751'
+                )
+                .expect('status', 403)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'You are not allowed to access this resource.'
+                    );
+                });
+        });
+    });
+});
@@ -0,0 +1,187 @@
+import frisby from 'frisby';
+
+import { authenticateAs } from './authentication';
+
+const newJobPosting = {
+    title: 'Developpeur Elixir',
+    url: 'https://jobs.caen.camp',
+    datePosted: '2010-03-02',
+    employerOverview:
+        "Au sein d'une équipe DSI composée de juniors et de séniors",
+    employmentType: 'CDI',
+    experienceRequirements: "2 ans d'experience sur un projet Elixir",
+    jobStartDate: '2020-05-02',
+    skills: ['Elixir'],
+    baseSalary: {
+        currency: 'EUR',
+        minValue: 35000,
+        maxValue: 40000,
+        unitText: 'YEAR',
+    },
+    jobLocationType: 'ONSITE',
+    validThrough: null,
+};
+
+const unknownId = '4a2b5d6c-1a2b-4c3d-8e9f-0a1b2c3d4e5f';
+
+describe('Bulk API Endpoints', () => {
+    let jobPostingIds;
+
+    beforeAll(async () => {
+        await authenticateAs('admin');
+        const organization = await frisby
+            .get('http://api:3001/api/organizations')
+            .then((resp) => resp.json.find((org) => org.name === 'Flexcity'));
+        jobPostingIds = await Promise.all(
+            [1, 2].map(() =>
+                frisby
+                    .post(
+                        'http://api:3001/api/job-postings',
+                        {
+                            ...newJobPosting,
+                            hiringOrganizationId: organization.id,
+                        },
+                        { json: true }
+                    )
+                    .then((resp) => resp.json.id)
+            )
+        );
+    });
+
+    describe('PATCH: /api/job-postings', () => {
+        it("devrait modifier les champs envoyés de plusieurs offres d'emploi", async () => {
+            expect.hasAssertions();
+            await frisby
+                .patch(
+                    'http://api:3001/api/job-postings',
+                    {
+                        ids: jobPostingIds,
+                        data: { jobLocationType: 'TELECOMMUTE' },
+                    },
+                    { json: true }
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json).toEqual(
+                        jobPostingIds.map((id) => ({ id, status: 200 }))
+                    );
+                });
+
+            return frisby
+                .get(`http://api:3001/api/job-postings/${jobPostingIds[1]}`)
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.jobLocationType).toEqual('TELECOMMUTE');
+                    expect(resp.json.title).toEqual(newJobPosting.title);
+                });
+        });
+
+        it("ne devrait modifier aucune offre si l'une d'elles n'existe pas", async () => {
+            expect.hasAssertions();
+            await frisby
+                .patch(
+                    'http://api:3001/api/job-postings',
+                    {
+                        ids: [jobPostingIds[0], unknownId],
+                        data: { jobLocationType: 'HYBRID' },
+                    },
+                    { json: true }
+                )
+                .expect('status', 404)
+                .then((resp) => {
+                    expect(
+                        resp.json.results.map(({ status }) => status)
+                    ).toEqual([424, 404]);
+                });
+
+            return frisby
+                .get(`http://api:3001/api/job-postings/${jobPostingIds[0]}`)
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.jobLocationType).toEqual('TELECOMMUTE');
+                });
+        });
+    });
+
+    describe('POST: /api/job-postings/transitions', () => {
+        it("devrait changer le statut de plusieurs offres d'emploi", async () => {
+            expect.hasAssertions();
+            await frisby
+                .post(
+                    'http://api:3001/api/job-postings/transitions',
+                    {
+                        ids: jobPostingIds,
+                        data: { status: 'pending' },
+                    },
+                    { json: true }
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json).toEqual(
+                        jobPostingIds.map((id) => ({ id, status: 200 }))
+                    );
+                });
+
+            return frisby
+                .get(`http://api:3001/api/job-postings/${jobPostingIds[1]}`)
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.status).toEqual('pending');
+                });
+        });
+
+        it("ne devrait changer le statut d'aucune offre si l'une d'elles n'existe pas", async () => {
+            expect.hasAssertions();
+            await frisby
+                .post(
+                    'http://api:3001/api/job-postings/transitions',
+                    {
+                        ids: [jobPostingIds[0], unknownId],
+                        data: { status: 'published' },
+                    },
+                    { json: true }
+                )
+                .expect('status', 404)
+                .then((resp) => {
+                    expect(
+                        resp.json.results.map(({ status }) => status)
+                    ).toEqual([424, 404]);
+                });
+
+            return frisby
+                .get(`http://api:3001/api/job-postings/${jobPostingIds[0]}`)
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.status).toEqual('pending');
+                });
+        });
+    });
+
+    describe('DELETE: /api/job-postings', () => {
+        it("devrait supprimer plusieurs offres d'emploi", async () => {
+            expect.hasAssertions();
+            await frisby
+                .delete(
+                    `http://api:3001/api/job-postings?ids=${encodeURIComponent(
+                        JSON.stringify(jobPostingIds)
+                    )}`
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.map(({ id }) => id)).toEqual(
+                        jobPostingIds
+                    );
+                });
+
+            return frisby
+                .get(`http://api:3001/api/job-postings/${jobPostingIds[0]}`)
+                .expect('status', 404);
+        });
+
+        it('devrait refuser une suppression sans identifiant', () => {
+            return frisby
+                .delete('http://api:3001/api/job-postings?ids=[]')
+                .expect('status', 400);
+        });
+    });
+});
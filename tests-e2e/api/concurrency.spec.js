@@ -0,0 +1,196 @@
+import frisby from 'frisby';
+import omit from 'lodash.omit';
+
+import { authenticateAs } from './authentication';
+
+const newOrganization = {
+    name: 'Concurrence',
+    description: 'Une entreprise modifiée par deux administrateurs',
+    image: 'https://www.concurrence.org/logo.svg',
+    email: 'contact@concurrence.org',
+    url: 'https://www.concurrence.org',
+    address: {
+        addressCountry: 'FR',
+        addressLocality: 'Caen',
+        postalCode: '14000',
+        streetAddress: '5, place de la Répulique',
+    },
+    contactPoints: [
+        {
+            email: 'job@concurrence.org',
+            telephone: '0606060606',
+            name: 'John Do, CTO',
+            contactType: "Offres d'emploi",
+        },
+    ],
+};
+
+const getOrganizationUrl = (organization) =>
+    `http://api:3001/api/organizations/${organization.id}`;
+
+/**
+ * Return the ETag of an organization, with its current data
+ *
+ * @param {object} organization - The organization
+ * @returns {Promise} the organization and its ETag
+ */
+const readOrganization = (organization) =>
+    frisby
+        .get(getOrganizationUrl(organization))
+        .expect('status', 200)
+        .then((resp) => ({
+            organization: resp.json,
+            etag: resp.headers.get('etag'),
+        }));
+
+/**
+ * Update an organization as read, with its ETag in the If-Match header
+ *
+ * @param {object} organization - The organization as read
+ * @param {string} etag - The ETag of the version read
+ * @param {object} changes - The changed fields
+ * @returns {object} the frisby spec of the update
+ */
+const updateOrganization = (organization, etag, changes) =>
+    frisby.put(getOrganizationUrl(organization), {
+        headers: { 'Content-Type': 'application/json', 'If-Match': etag },
+        body: {
+            ...omit(organization, ['id', 'deletedAt']),
+            ...changes,
+        },
+    });
+
+describe('Concurrency API Endpoints', () => {
+    let createdOrganization;
+
+    beforeAll(async () => {
+        await authenticateAs('admin');
+        createdOrganization = await frisby
+            .post('http://api:3001/api/organizations', newOrganization, {
+                json: true,
+            })
+            .expect('status', 200)
+            .then((resp) => resp.json);
+    });
+
+    describe('GET: /api/organizations/:organizationId', () => {
+        it("devrait renvoyer la version de l'entreprise dans l'en-tête ETag", async () => {
+            expect.hasAssertions();
+            const { etag } = await readOrganization(createdOrganization);
+            expect(etag).toMatch(/^".+"$/);
+
+            await frisby
+                .get(getOrganizationUrl(createdOrganization), {
+                    headers: { 'If-None-Match': etag },
+                })
+                .expect('status', 304);
+
+            return frisby
+                .get(getOrganizationUrl(createdOrganization), {
+                    headers: { 'If-None-Match': '"outdated"' },
+                })
+                .expect('status', 200);
+        });
+    });
+
+    describe('PUT: /api/organizations/:organizationId', () => {
+        it("devrait refuser d'écraser les modifications faites depuis la lecture de l'entreprise", async () => {
+            expect.hasAssertions();
+            const firstRead = await readOrganization(createdOrganization);
+            const secondRead = await readOrganization(createdOrganization);
+
+            const newETag = await updateOrganization(
+                firstRead.organization,
+                firstRead.etag,
+                {
+                    contactPoints: [
+                        {
+                            ...firstRead.organization.contactPoints[0],
+                            telephone: '0707070707',
+                        },
+                    ],
+                }
+            )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.headers.get('etag')).not.toEqual(
+                        firstRead.etag
+                    );
+                    return resp.headers.get('etag');
+                });
+
+            await updateOrganization(secondRead.organization, secondRead.etag, {
+                description: 'Une description écrasée',
+            })
+                .expect('status', 412)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        `The organization of id ${createdOrganization.id} has changed since it was read, it must be read again before being written.`
+                    );
+                });
+
+            const { organization } = await readOrganization(
+                createdOrganization
+            );
+            expect(organization.contactPoints[0].telephone).toEqual(
+                '0707070707'
+            );
+            expect(organization.description).toEqual(
+                newOrganization.description
+            );
+            expect((await readOrganization(createdOrganization)).etag).toEqual(
+                newETag
+            );
+        });
+    });
+
+    describe('PATCH: /api/organizations/:organizationId', () => {
+        it('devrait conserver les champs modifiés par deux patchs simultanés', async () => {
+            expect.hasAssertions();
+            const patchOrganization = (patch) =>
+                frisby
+                    .patch(getOrganizationUrl(createdOrganization), {
+                        headers: {
+                            'Content-Type': 'application/merge-patch+json',
+                        },
+                        body: patch,
+                    })
+                    .expect('status', 200);
+
+            await Promise.all([
+                patchOrganization({ description: 'Une description modifiée' }),
+                patchOrganization({ url: 'https://www.concurrence.fr' }),
+            ]);
+
+            const { organization } = await readOrganization(
+                createdOrganization
+            );
+            expect(organization.description).toEqual(
+                'Une description modifiée'
+            );
+            expect(organization.url).toEqual('https://www.concurrence.fr');
+        });
+    });
+
+    describe('DELETE: /api/organizations/:organizationId', () => {
+        it('devrait refuser de supprimer une entreprise modifiée depuis sa lecture, et la supprimer sinon', async () => {
+            expect.hasAssertions();
+            await frisby
+                .delete(getOrganizationUrl(createdOrganization), {
+                    headers: { 'If-Match': '"outdated"' },
+                })
+                .expect('status', 412);
+
+            const { etag } = await readOrganization(createdOrganization);
+
+            return frisby
+                .delete(getOrganizationUrl(createdOrganization), {
+                    headers: { 'If-Match': etag },
+                })
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.id).toEqual(createdOrganization.id);
+                });
+        });
+    });
+});
@@ -2,6 +2,9 @@ import querystring from 'querystring';
 import frisby from 'frisby';
 import omit from 'lodash.omit';
 
+import { authenticateAs } from './authentication';
+import { getLinkHeader } from './pagination';
+
 const newJobPosting = {
     title: 'Developpeur Javascript',
     url: 'https://jobs.caen.camp',
@@ -11,12 +14,21 @@ const newJobPosting = {
     employmentType: 'CDD',
     experienceRequirements: "3 ans d'experience sur un projet Javascript",
     jobStartDate: '2020-05-02',
-    skills: 'JavaScript, Devops, Php, ...',
+    skills: ['JavaScript', 'Devops', 'Php'],
+    baseSalary: {
+        currency: 'EUR',
+        minValue: 30000,
+        maxValue: 34000,
+        unitText: 'YEAR',
+    },
+    jobLocationType: 'HYBRID',
     validThrough: null,
     hiringOrganizationId: 'a122edec-5580-4a93-aff7-fc18b41e4c57',
 };
 
 describe('JobPostings API Endpoints', () => {
+    beforeAll(() => authenticateAs('admin'));
+
     describe('GET: /api/job-postings', () => {
         it('devrait renvoyer une liste paginée ordonnée par date de création sans paramètres de requête', async () => {
             expect.hasAssertions();
@@ -32,13 +44,9 @@ describe('JobPostings API Endpoints', () => {
                 .expect(
                     'header',
                     'link',
-                    [
-                        '</api/job-postings?currentPage=1&perPage=10>; rel="first"',
-                        // '</api/job-postings?currentPage=1&perPage=10>; rel="prev"',
-                        // '</api/job-postings?currentPage=1&perPage=10>; rel="self"',
-                        // '</api/job-postings?currentPage=1&perPage=10>; rel="next"',
-                        // '</api/job-postings?currentPage=1&perPage=10>; rel="last"',
-                    ].join(',')
+                    getLinkHeader('/api/job-postings', {
+                        links: [['first', 1]],
+                    })
                 )
                 .then((resp) => {
                     expect(resp.json).toHaveLength(3);
@@ -73,13 +81,10 @@ describe('JobPostings API Endpoints', () => {
                 .expect(
                     'header',
                     'link',
-                    [
-                        '</api/job-postings?currentPage=1&perPage=10>; rel="first"',
-                        // '</api/job-postings?currentPage=1&perPage=10>; rel="prev"',
-                        // '</api/job-postings?currentPage=1&perPage=10>; rel="self"',
-                        // '</api/job-postings?currentPage=1&perPage=10>; rel="next"',
-                        // '</api/job-postings?currentPage=1&perPage=10>; rel="last"',
-                    ].join(',')
+                    getLinkHeader('/api/job-postings', {
+                        query: { sort: JSON.stringify(['title', 'DESC']) },
+                        links: [['first', 1]],
+                    })
                 )
                 .then((resp) => {
                     expect(resp.json).toHaveLength(3);
@@ -114,13 +119,10 @@ describe('JobPostings API Endpoints', () => {
                 .expect(
                     'header',
                     'link',
-                    [
-                        '</api/job-postings?currentPage=1&perPage=10>; rel="first"',
-                        // '</api/job-postings?currentPage=1&perPage=10>; rel="prev"',
-                        // '</api/job-postings?currentPage=1&perPage=10>; rel="self"',
-                        // '</api/job-postings?currentPage=1&perPage=10>; rel="next"',
-                        // '</api/job-postings?currentPage=1&perPage=10>; rel="last"',
-                    ].join(',')
+                    getLinkHeader('/api/job-postings', {
+                        query: { sort: JSON.stringify(['datePosted', 'ASC']) },
+                        links: [['first', 1]],
+                    })
                 )
                 .then((resp) => {
                     expect(resp.json).toHaveLength(3);
@@ -154,13 +156,19 @@ describe('JobPostings API Endpoints', () => {
                 .expect('header', 'x-total-count', '3')
                 .then((resp) => {
                     expect(resp.headers.get('link')).toBe(
-                        [
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="first"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="prev"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="self"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="next"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="last"',
-                        ].join(',')
+                        getLinkHeader('/api/job-postings', {
+                            query: {
+                                sort: JSON.stringify([
+                                    'hiringOrganizationPostalCode',
+                                    'ASC',
+                                ]),
+                            },
+                            links: [
+                                ['first', 1],
+                                ['self', 1],
+                                ['last', 1],
+                            ],
+                        })
                     );
                     expect(resp.json).toHaveLength(3);
                     expect(
@@ -175,6 +183,99 @@ describe('JobPostings API Endpoints', () => {
                 });
         });
 
+        it('devrait pouvoir renvoyer une liste ordonnée sur plusieurs champs [[employmentType, ASC], [datePosted, DESC]]', async () => {
+            expect.hasAssertions();
+            const expectedTitles = [
+                'R&D Software Engineer',
+                'Ingénieur Lead Full Stack technico-fonctionnel',
+                'Data Science Lead',
+            ];
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?sort=${JSON.stringify([
+                        ['employmentType', 'ASC'],
+                        ['datePosted', 'DESC'],
+                    ])}`
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.map(({ title }) => title)).toEqual(
+                        expectedTitles
+                    );
+                });
+            await frisby
+                .get(
+                    'http://api:3001/api/job-postings?sort=employmentType,-datePosted'
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.map(({ title }) => title)).toEqual(
+                        expectedTitles
+                    );
+                });
+        });
+
+        it('devrait retourner une erreur 400 pour un tri sur un champ ou dans un sens inconnu', async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?sort=${JSON.stringify([
+                        'status',
+                        'ASC',
+                    ])}`
+                )
+                .expect('status', 400)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'The field status cannot be sorted.'
+                    );
+                });
+
+            return frisby
+                .get(
+                    `http://api:3001/api/job-postings?sort=${JSON.stringify([
+                        'title',
+                        'UP',
+                    ])}`
+                )
+                .expect('status', 400)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'The sort direction UP must be ASC or DESC.'
+                    );
+                });
+        });
+
+        it('devrait accepter un tri sur chacun des champs triables', async () => {
+            expect.hasAssertions();
+            const sortableFields = [
+                'datePosted',
+                'title',
+                'jobStartDate',
+                'validThrough',
+                'employmentType',
+                'hiringOrganizationName',
+                'hiringOrganizationPostalCode',
+                'hiringOrganizationAddressLocality',
+                'hiringOrganizationAddressCountry',
+                'baseSalaryMinValue',
+                'baseSalaryMaxValue',
+                'statusUpdatedAt',
+                'deletedAt',
+                'relevance',
+                'distance',
+            ];
+            for (const field of sortableFields) {
+                await frisby
+                    .get(
+                        `http://api:3001/api/job-postings?sort=${JSON.stringify(
+                            [field, 'DESC']
+                        )}`
+                    )
+                    .expect('status', 200);
+            }
+        });
+
         it('devrait pouvoir modifier la pagination avec les paramètres de requête "pagination"', async () => {
             expect.hasAssertions();
             await frisby
@@ -193,13 +294,15 @@ describe('JobPostings API Endpoints', () => {
                 .expect('header', 'x-total-count', '3')
                 .then((resp) => {
                     expect(resp.headers.get('link')).toBe(
-                        [
-                            '</api/job-postings?currentPage=1&perPage=2>; rel="first"',
-                            '</api/job-postings?currentPage=1&perPage=2>; rel="prev"',
-                            '</api/job-postings?currentPage=1&perPage=2>; rel="self"',
-                            '</api/job-postings?currentPage=2&perPage=2>; rel="next"',
-                            '</api/job-postings?currentPage=2&perPage=2>; rel="last"',
-                        ].join(',')
+                        getLinkHeader('/api/job-postings', {
+                            perPage: 2,
+                            links: [
+                                ['first', 1],
+                                ['self', 1],
+                                ['next', 2],
+                                ['last', 2],
+                            ],
+                        })
                     );
                     expect(resp.json).toHaveLength(2);
                 });
@@ -219,18 +322,83 @@ describe('JobPostings API Endpoints', () => {
                 .expect('header', 'x-total-count', '3')
                 .then((resp) => {
                     expect(resp.headers.get('link')).toBe(
-                        [
-                            '</api/job-postings?currentPage=1&perPage=2>; rel="first"',
-                            '</api/job-postings?currentPage=1&perPage=2>; rel="prev"',
-                            '</api/job-postings?currentPage=2&perPage=2>; rel="self"',
-                            '</api/job-postings?currentPage=2&perPage=2>; rel="next"',
-                            '</api/job-postings?currentPage=2&perPage=2>; rel="last"',
-                        ].join(',')
+                        getLinkHeader('/api/job-postings', {
+                            perPage: 2,
+                            links: [
+                                ['first', 1],
+                                ['prev', 1],
+                                ['self', 2],
+                                ['last', 2],
+                            ],
+                        })
                     );
                     expect(resp.json).toHaveLength(1);
                 });
         });
 
+        it("devrait pouvoir parcourir la liste par curseur avec les liens de l'en-tête Link", async () => {
+            expect.hasAssertions();
+            const getLinks = (resp) =>
+                resp.headers
+                    .get('link')
+                    .split(',')
+                    .reduce((links, link) => {
+                        const [, uri, rel] = link.match(/^<(.+)>; rel="(.+)"$/);
+                        return { ...links, [rel]: uri };
+                    }, {});
+
+            const firstPage = await frisby
+                .get('http://api:3001/api/job-postings?after=&perPage=2')
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.headers.get('x-total-count')).toBeNull();
+                    expect(resp.json.map(({ title }) => title)).toEqual([
+                        'Data Science Lead',
+                        'Ingénieur Lead Full Stack technico-fonctionnel',
+                    ]);
+                    return getLinks(resp);
+                });
+            expect(firstPage.prev).toBeUndefined();
+            expect(firstPage.first).toEqual(
+                'http://api:3001/api/job-postings?after=&perPage=2'
+            );
+
+            const lastPage = await frisby
+                .get(firstPage.next)
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.map(({ title }) => title)).toEqual([
+                        'R&D Software Engineer',
+                    ]);
+                    return getLinks(resp);
+                });
+            expect(lastPage.next).toBeUndefined();
+
+            await frisby
+                .get(lastPage.prev)
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.map(({ title }) => title)).toEqual([
+                        'Data Science Lead',
+                        'Ingénieur Lead Full Stack technico-fonctionnel',
+                    ]);
+                });
+
+            return frisby
+                .get(
+                    firstPage.next.replace(
+                        'after=',
+                        `sort=${JSON.stringify(['title', 'DESC'])}&after=`
+                    )
+                )
+                .expect('status', 400)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'The cursor was made for another sort of the list.'
+                    );
+                });
+        });
+
         it('devrait accepter un filtre par title en "%LIKE%"', async () => {
             expect.hasAssertions();
             await frisby
@@ -248,13 +416,17 @@ describe('JobPostings API Endpoints', () => {
                 .expect('header', 'x-total-count', '2')
                 .then((resp) => {
                     expect(resp.headers.get('link')).toBe(
-                        [
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="first"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="prev"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="self"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="next"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="last"',
-                        ].join(',')
+                        getLinkHeader('/api/job-postings', {
+                            query: {
+                                filters: JSON.stringify({ title: 'Lead' }),
+                                sort: JSON.stringify(['title', 'DESC']),
+                            },
+                            links: [
+                                ['first', 1],
+                                ['self', 1],
+                                ['last', 1],
+                            ],
+                        })
                     );
                     expect(resp.json).toHaveLength(2);
                     expect(resp.json[0].title).toStrictEqual(
@@ -283,13 +455,19 @@ describe('JobPostings API Endpoints', () => {
                 .expect('header', 'x-total-count', '2')
                 .then((resp) => {
                     expect(resp.headers.get('link')).toBe(
-                        [
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="first"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="prev"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="self"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="next"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="last"',
-                        ].join(',')
+                        getLinkHeader('/api/job-postings', {
+                            query: {
+                                filters: JSON.stringify({
+                                    hiringOrganizationPostalCode: 14,
+                                }),
+                                sort: JSON.stringify(['title', 'DESC']),
+                            },
+                            links: [
+                                ['first', 1],
+                                ['self', 1],
+                                ['last', 1],
+                            ],
+                        })
                     );
                     expect(resp.json).toHaveLength(2);
                     expect(resp.json[0].title).toStrictEqual(
@@ -310,57 +488,444 @@ describe('JobPostings API Endpoints', () => {
                     })}`
                 )
                 .expect('status', 200)
-                .expect(
-                    'header',
-                    'content-type',
-                    'application/json; charset=utf-8'
-                )
-                .expect('header', 'x-total-count', '1')
+                .expect(
+                    'header',
+                    'content-type',
+                    'application/json; charset=utf-8'
+                )
+                .expect('header', 'x-total-count', '1')
+                .then((resp) => {
+                    expect(resp.headers.get('link')).toBe(
+                        getLinkHeader('/api/job-postings', {
+                            query: {
+                                filters: JSON.stringify({
+                                    datePosted_after: '2019-12-02',
+                                }),
+                            },
+                            links: [
+                                ['first', 1],
+                                ['self', 1],
+                                ['last', 1],
+                            ],
+                        })
+                    );
+                    expect(resp.json).toHaveLength(1);
+                    expect(resp.json[0].title).toStrictEqual(
+                        'R&D Software Engineer'
+                    );
+                });
+        });
+
+        it('devrait accepter un filtre par jobStartDate_before', async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?filters=${JSON.stringify({
+                        jobStartDate_before: '2020-05-02',
+                    })}`
+                )
+                .expect('status', 200)
+                .expect(
+                    'header',
+                    'content-type',
+                    'application/json; charset=utf-8'
+                )
+                .expect('header', 'x-total-count', '1')
+                .then((resp) => {
+                    expect(resp.headers.get('link')).toBe(
+                        getLinkHeader('/api/job-postings', {
+                            query: {
+                                filters: JSON.stringify({
+                                    jobStartDate_before: '2020-05-02',
+                                }),
+                            },
+                            links: [
+                                ['first', 1],
+                                ['self', 1],
+                                ['last', 1],
+                            ],
+                        })
+                    );
+                    expect(resp.json).toHaveLength(1);
+                    expect(resp.json[0].title).toStrictEqual(
+                        'Ingénieur Lead Full Stack technico-fonctionnel'
+                    );
+                });
+        });
+
+        it('devrait accepter un filtre par skills, les offres devant demander toutes les compétences', async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?filters=${JSON.stringify({
+                        skills: ['sql', 'Python'],
+                    })}`
+                )
+                .expect('status', 200)
+                .expect('header', 'x-total-count', '1')
+                .then((resp) => {
+                    expect(resp.json).toHaveLength(1);
+                    expect(resp.json[0].title).toStrictEqual(
+                        'Data Science Lead'
+                    );
+                    expect(resp.json[0].skills).toEqual([
+                        'Machine learning',
+                        'Python',
+                        'Spark',
+                        'SQL',
+                    ]);
+                });
+        });
+
+        it("devrait accepter un filtre par skills_in, les offres devant demander l'une des compétences", async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?filters=${JSON.stringify({
+                        skills_in: ['sql', 'Python'],
+                    })}&sort=${JSON.stringify(['title', 'ASC'])}`
+                )
+                .expect('status', 200)
+                .expect('header', 'x-total-count', '2')
+                .then((resp) => {
+                    expect(resp.json.map(({ title }) => title)).toEqual([
+                        'Data Science Lead',
+                        'R&D Software Engineer',
+                    ]);
+                });
+        });
+
+        it('devrait accepter un filtre par jobLocationType', async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?filters=${JSON.stringify({
+                        jobLocationType: 'TELECOMMUTE',
+                    })}`
+                )
+                .expect('status', 200)
+                .expect('header', 'x-total-count', '1')
+                .then((resp) => {
+                    expect(resp.json[0].title).toStrictEqual(
+                        'R&D Software Engineer'
+                    );
+                    expect(resp.json[0].baseSalary).toBeNull();
+                });
+        });
+
+        it('devrait accepter des filtres sur la fourchette de salaire', async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?filters=${JSON.stringify({
+                        baseSalary_min_gte: 40000,
+                        baseSalary_max_lte: 60000,
+                    })}`
+                )
+                .expect('status', 200)
+                .expect('header', 'x-total-count', '1')
+                .then((resp) => {
+                    expect(resp.json[0].title).toStrictEqual(
+                        'Data Science Lead'
+                    );
+                    expect(resp.json[0].baseSalary).toStrictEqual({
+                        currency: 'EUR',
+                        minValue: 45000,
+                        maxValue: 55000,
+                        unitText: 'YEAR',
+                    });
+                    expect(resp.json[0].jobLocationType).toStrictEqual(
+                        'HYBRID'
+                    );
+                });
+        });
+
+        it('devrait accepter une recherche plein texte insensible à la casse avec le filtre q', async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?filters=${JSON.stringify({
+                        q: 'react',
+                    })}`
+                )
+                .expect('status', 200)
+                .expect('header', 'x-total-count', '1')
+                .then((resp) => {
+                    expect(resp.json).toHaveLength(1);
+                    expect(resp.json[0].title).toStrictEqual(
+                        'Ingénieur Lead Full Stack technico-fonctionnel'
+                    );
+                    expect(resp.json[0].highlight.skills).toContain(
+                        '<mark>React</mark>'
+                    );
+                    expect(
+                        resp.json[0].highlight.experienceRequirements
+                    ).toContain('<mark>react</mark>');
+                });
+        });
+
+        it('devrait accepter la syntaxe des moteurs de recherche avec le filtre q', async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?filters=${JSON.stringify({
+                        q: 'python or react',
+                    })}`
+                )
+                .expect('status', 200)
+                .expect('header', 'x-total-count', '2')
+                .then((resp) => {
+                    expect(resp.json.map(({ title }) => title).sort()).toEqual([
+                        'Data Science Lead',
+                        'Ingénieur Lead Full Stack technico-fonctionnel',
+                    ]);
+                });
+        });
+
+        it("devrait accepter un filtre nearTown et renvoyer les offres triées par distance à l'entreprise", async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?filters=${JSON.stringify({
+                        nearTown: 'Caen',
+                        radiusKm: 20,
+                    })}`
+                )
+                .expect('status', 200)
+                .expect('header', 'x-total-count', '2')
+                .then((resp) => {
+                    expect(resp.json.map(({ title }) => title).sort()).toEqual([
+                        'Data Science Lead',
+                        'Ingénieur Lead Full Stack technico-fonctionnel',
+                    ]);
+                    resp.json.forEach(({ distance }) => {
+                        expect(distance).toBeGreaterThan(0);
+                        expect(distance).toBeLessThanOrEqual(20);
+                    });
+                });
+        });
+
+        it('devrait accepter un filtre near avec des coordonnées et un rayon en kilomètres', async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?filters=${JSON.stringify({
+                        near: { lat: 48.8566, lng: 2.3522, radiusKm: 10 },
+                    })}`
+                )
+                .expect('status', 200)
+                .expect('header', 'x-total-count', '1')
+                .then((resp) => {
+                    expect(resp.json[0].title).toStrictEqual(
+                        'R&D Software Engineer'
+                    );
+                });
+        });
+
+        it("devrait retourner une erreur 400 si la ville du filtre nearTown n'existe pas", async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?filters=${JSON.stringify({
+                        nearTown: 'Ville Imaginaire',
+                    })}`
+                )
+                .expect('status', 400)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'The town Ville Imaginaire is unknown'
+                    );
+                });
+        });
+
+        it('devrait retourner une erreur 400 si plusieurs communes portent le nom de la ville du filtre nearTown', async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?filters=${JSON.stringify({
+                        nearTown: 'Saint-Aubin-sur-Mer',
+                    })}`
+                )
+                .expect('status', 400)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'The town Saint-Aubin-sur-Mer is ambiguous, add its postal code: Saint-Aubin-sur-Mer (14750), Saint-Aubin-sur-Mer (76740)'
+                    );
+                });
+        });
+
+        it('devrait accepter les opérateurs de filtre et les groupes $or', async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?filters=${JSON.stringify({
+                        $or: [
+                            { title_ilike: 'data science' },
+                            { jobLocationType: 'TELECOMMUTE' },
+                        ],
+                    })}&sort=${JSON.stringify(['title', 'ASC'])}`
+                )
+                .expect('status', 200)
+                .expect('header', 'x-total-count', '2')
+                .then((resp) => {
+                    expect(resp.json.map(({ title }) => title)).toEqual([
+                        'Data Science Lead',
+                        'R&D Software Engineer',
+                    ]);
+                });
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?filters=${JSON.stringify({
+                        jobLocationType_nin: ['TELECOMMUTE'],
+                        baseSalary_max_lt: 50000,
+                    })}`
+                )
+                .expect('status', 200)
+                .expect('header', 'x-total-count', '1')
+                .then((resp) => {
+                    expect(resp.json[0].title).toStrictEqual(
+                        'Ingénieur Lead Full Stack technico-fonctionnel'
+                    );
+                });
+        });
+
+        it('devrait retourner une erreur 400 si un filtre est invalide', async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?filters=${JSON.stringify({
+                        datePosted_after: 'hier',
+                    })}`
+                )
+                .expect('status', 400)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'The filter datePosted_after must be a date.'
+                    );
+                });
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?filters=${JSON.stringify({
+                        title_contains: 'Lead',
+                    })}`
+                )
+                .expect('status', 400)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'The filter title_contains uses the unknown operator contains.'
+                    );
+                });
+        });
+    });
+
+    describe('GET: /api/job-postings/feed.rss et /api/job-postings/feed.atom', () => {
+        it("devrait renvoyer un flux RSS des offres d'emploi filtrées", async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings/feed.rss?filters=${JSON.stringify(
+                        { hiringOrganizationName: 'Qwarry' }
+                    )}`
+                )
+                .expect('status', 200)
+                .expect('header', 'content-type', 'application/rss+xml')
+                .then((resp) => {
+                    expect(resp.body).toContain('<rss version="2.0"');
+                    expect(resp.body).toContain(' - Qwarry]]></title>');
+                    expect(resp.body).not.toContain(' - Flexcity]]></title>');
+                });
+        });
+
+        it('devrait limiter le flux aux offres du paramètre ids', async () => {
+            expect.hasAssertions();
+            const jobPostings = await frisby
+                .get('http://api:3001/api/job-postings?perPage=2')
+                .then((resp) => resp.json);
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings/feed.atom?ids=${JSON.stringify(
+                        [jobPostings[0].identifier]
+                    )}`
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.body.match(/<entry>/g)).toHaveLength(1);
+                    expect(resp.body).toContain(jobPostings[0].title);
+                    expect(resp.body).not.toContain(jobPostings[1].title);
+                });
+        });
+
+        it("devrait renvoyer un flux Atom des offres d'emploi", async () => {
+            expect.hasAssertions();
+            await frisby
+                .get('http://api:3001/api/job-postings/feed.atom?perPage=2')
+                .expect('status', 200)
+                .expect('header', 'content-type', 'application/atom+xml')
+                .then((resp) => {
+                    expect(resp.body).toContain(
+                        '<feed xmlns="http://www.w3.org/2005/Atom">'
+                    );
+                    expect(resp.body.match(/<entry>/g)).toHaveLength(2);
+                });
+        });
+
+        it("devrait renvoyer le flux selon l'en-tête Accept de la liste des offres d'emploi", async () => {
+            expect.hasAssertions();
+            await frisby
+                .setup({
+                    request: { headers: { Accept: 'application/atom+xml' } },
+                })
+                .get('http://api:3001/api/job-postings')
+                .expect('status', 200)
+                .expect('header', 'content-type', 'application/atom+xml')
                 .then((resp) => {
-                    expect(resp.headers.get('link')).toBe(
-                        [
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="first"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="prev"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="self"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="next"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="last"',
-                        ].join(',')
-                    );
-                    expect(resp.json).toHaveLength(1);
-                    expect(resp.json[0].title).toStrictEqual(
-                        'R&D Software Engineer'
+                    expect(resp.body).toContain(
+                        '<feed xmlns="http://www.w3.org/2005/Atom">'
                     );
                 });
         });
 
-        it('devrait accepter un filtre par jobStartDate_before', async () => {
+        it("devrait retourner une erreur 400 si la ville du filtre nearTown n'existe pas", async () => {
             expect.hasAssertions();
             await frisby
                 .get(
-                    `http://api:3001/api/job-postings?filters=${JSON.stringify({
-                        jobStartDate_before: '2020-05-02',
-                    })}`
+                    `http://api:3001/api/job-postings/feed.rss?filters=${JSON.stringify(
+                        { nearTown: 'Ville Imaginaire' }
+                    )}`
                 )
+                .expect('status', 400);
+        });
+    });
+
+    describe('GET: /api/job-postings/:id en JSON-LD', () => {
+        it("devrait renvoyer la représentation schema.org de l'offre avec l'en-tête Accept application/ld+json", async () => {
+            expect.hasAssertions();
+            const jobPostings = await frisby
+                .get('http://api:3001/api/job-postings')
+                .then((resp) => resp.json);
+            const jobPosting = jobPostings[0];
+            await frisby
+                .setup({
+                    request: { headers: { Accept: 'application/ld+json' } },
+                })
+                .get(`http://api:3001/api/job-postings/${jobPosting.id}`)
                 .expect('status', 200)
-                .expect(
-                    'header',
-                    'content-type',
-                    'application/json; charset=utf-8'
-                )
-                .expect('header', 'x-total-count', '1')
+                .expect('header', 'content-type', 'application/ld+json')
                 .then((resp) => {
-                    expect(resp.headers.get('link')).toBe(
-                        [
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="first"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="prev"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="self"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="next"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="last"',
-                        ].join(',')
-                    );
-                    expect(resp.json).toHaveLength(1);
-                    expect(resp.json[0].title).toStrictEqual(
-                        'Ingénieur Lead Full Stack technico-fonctionnel'
+                    expect(resp.json).toEqual(
+                        expect.objectContaining({
+                            '@context': 'https://schema.org',
+                            '@type': 'JobPosting',
+                            title: jobPosting.title,
+                            datePosted: jobPosting.datePosted,
+                            hiringOrganization: expect.objectContaining({
+                                '@type': 'Organization',
+                                name: jobPosting.hiringOrganization.name,
+                            }),
+                            jobLocation: expect.objectContaining({
+                                '@type': 'Place',
+                            }),
+                        })
                     );
                 });
         });
@@ -412,6 +977,32 @@ describe('JobPostings API Endpoints', () => {
                 });
         });
 
+        it('devrait retourner une erreur 400 si le salaire minimum est supérieur au salaire maximum', async () => {
+            expect.hasAssertions();
+            const organization = await frisby
+                .get('http://api:3001/api/organizations')
+                .expect('status', 200)
+                .then((resp) => {
+                    return resp.json.find((org) => org.name === 'Flexcity');
+                });
+            await frisby
+                .post(
+                    'http://api:3001/api/job-postings',
+                    {
+                        ...newJobPosting,
+                        hiringOrganizationId: organization.id,
+                        baseSalary: { minValue: 40000, maxValue: 30000 },
+                    },
+                    { json: true }
+                )
+                .expect('status', 400)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'The baseSalary minValue must be lower than or equal to its maxValue'
+                    );
+                });
+        });
+
         it("devrait retourner une erreur 400 si l'ìdentifiant de l'entreprise est mal formatté", async () => {
             expect.hasAssertions();
             await frisby
@@ -479,7 +1070,7 @@ describe('JobPostings API Endpoints', () => {
                     'application/json; charset=utf-8'
                 );
             expect({
-                ...omit(createdJobPosting, ['id']),
+                ...omit(createdJobPosting, ['id', 'statusUpdatedAt']),
                 hiringOrganization: omit(createdJobPosting.hiringOrganization, [
                     'identifier',
                 ]),
@@ -493,8 +1084,19 @@ describe('JobPostings API Endpoints', () => {
                 experienceRequirements:
                     "3 ans d'experience sur un projet Javascript",
                 jobStartDate: '2020-05-02',
-                skills: 'JavaScript, Devops, Php, ...',
+                skills: ['JavaScript', 'Devops', 'Php'],
+                baseSalary: {
+                    currency: 'EUR',
+                    minValue: 30000,
+                    maxValue: 34000,
+                    unitText: 'YEAR',
+                },
+                jobLocationType: 'HYBRID',
                 validThrough: null,
+                status: 'draft',
+                publishedAt: null,
+                renewedAt: null,
+                deletedAt: null,
                 hiringOrganization: {
                     name: 'Flexcity',
                     image:
@@ -643,13 +1245,13 @@ describe('JobPostings API Endpoints', () => {
                 .expect('header', 'x-total-count', '4')
                 .then((resp) => {
                     expect(resp.headers.get('link')).toBe(
-                        [
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="first"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="prev"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="self"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="next"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="last"',
-                        ].join(',')
+                        getLinkHeader('/api/job-postings', {
+                            links: [
+                                ['first', 1],
+                                ['self', 1],
+                                ['last', 1],
+                            ],
+                        })
                     );
                     expect(
                         resp.json.find((jb) => jb.id === createdJobPosting.id)
@@ -673,13 +1275,13 @@ describe('JobPostings API Endpoints', () => {
                 .expect('header', 'x-total-count', '3')
                 .then((resp) => {
                     expect(resp.headers.get('link')).toBe(
-                        [
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="first"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="prev"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="self"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="next"',
-                            '</api/job-postings?currentPage=1&perPage=10>; rel="last"',
-                        ].join(',')
+                        getLinkHeader('/api/job-postings', {
+                            links: [
+                                ['first', 1],
+                                ['self', 1],
+                                ['last', 1],
+                            ],
+                        })
                     );
                     expect(
                         resp.json.find((jb) => jb.id === createdJobPosting.id)
@@ -841,12 +1443,15 @@ describe('JobPostings API Endpoints', () => {
                         hiringOrganizationId:
                             createdJobPosting.hiringOrganization.identifier,
                         title: 'Developpeur Php',
+                        skills: ['php', 'Laravel'],
                     },
                     { json: true }
                 )
                 .expect('status', 200)
                 .then((resp) => {
                     expect(resp.json.title).toEqual('Developpeur Php');
+                    // existing skills are reused whatever the case
+                    expect(resp.json.skills).toEqual(['Php', 'Laravel']);
                     expect(resp.json.hiringOrganization.identifier).toEqual(
                         organization.id
                     );
@@ -918,4 +1523,331 @@ describe('JobPostings API Endpoints', () => {
                 .expect('status', 200);
         });
     });
+
+    describe('PATCH: /api/job-postings/:jobPostingId', () => {
+        const mergePatchHeaders = {
+            'Content-Type': 'application/merge-patch+json',
+        };
+
+        it("devrait retourner une erreur 415 si le patch n'est pas envoyé en application/merge-patch+json", async () => {
+            expect.hasAssertions();
+            await frisby
+                .patch(
+                    'http://api:3001/api/job-postings/b6c2cd95-1dfa-4fa0-a776-8f125918c45c',
+                    { title: 'Developpeur Php' },
+                    { json: true }
+                )
+                .expect('status', 415)
+                .then((resp) => {
+                    expect(resp.json.message).toMatch(/^Unsupported mediaType/);
+                });
+        });
+
+        it("devrait retourner une erreur 404 si l'offre d'emploi n'existe pas", async () => {
+            expect.hasAssertions();
+            await frisby
+                .patch(
+                    'http://api:3001/api/job-postings/b6c2cd95-1dfa-4fa0-a776-8f125918c45c',
+                    {
+                        headers: mergePatchHeaders,
+                        body: { title: 'Developpeur Php' },
+                    }
+                )
+                .expect('status', 404)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'The jobPosting of id b6c2cd95-1dfa-4fa0-a776-8f125918c45c does not exist, so it could not be updated'
+                    );
+                });
+        });
+
+        it('devrait ne modifier que les champs envoyés dans le patch', async () => {
+            expect.hasAssertions();
+            const { json: createdJobPosting } = await frisby
+                .post(
+                    'http://api:3001/api/job-postings',
+                    { ...newJobPosting, validThrough: '2030-01-01' },
+                    { json: true }
+                )
+                .expect('status', 200);
+
+            await frisby
+                .patch(
+                    `http://api:3001/api/job-postings/${createdJobPosting.id}`,
+                    {
+                        headers: mergePatchHeaders,
+                        body: {
+                            title: 'Developpeur Php',
+                            baseSalary: { maxValue: 38000 },
+                            validThrough: null,
+                        },
+                    }
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.title).toEqual('Developpeur Php');
+                    expect(resp.json.baseSalary).toEqual({
+                        ...newJobPosting.baseSalary,
+                        maxValue: 38000,
+                    });
+                    expect(resp.json.validThrough).toBeNull();
+                    expect(resp.json.url).toEqual(newJobPosting.url);
+                    expect(resp.json.skills).toEqual(newJobPosting.skills);
+                    expect(resp.json.hiringOrganization.identifier).toEqual(
+                        newJobPosting.hiringOrganizationId
+                    );
+                });
+
+            return frisby
+                .delete(
+                    `http://api:3001/api/job-postings/${createdJobPosting.id}`
+                )
+                .expect('status', 200);
+        });
+
+        it('devrait conserver les champs modifiés par deux patchs simultanés', async () => {
+            expect.hasAssertions();
+            const { json: createdJobPosting } = await frisby
+                .post('http://api:3001/api/job-postings', newJobPosting, {
+                    json: true,
+                })
+                .expect('status', 200);
+            const jobPostingUrl = `http://api:3001/api/job-postings/${createdJobPosting.id}`;
+
+            await Promise.all([
+                frisby
+                    .patch(jobPostingUrl, {
+                        headers: mergePatchHeaders,
+                        body: { title: 'Developpeur Php' },
+                    })
+                    .expect('status', 200),
+                frisby
+                    .patch(jobPostingUrl, {
+                        headers: mergePatchHeaders,
+                        body: { url: 'https://jobs.caen.camp/php' },
+                    })
+                    .expect('status', 200),
+            ]);
+
+            await frisby
+                .get(jobPostingUrl)
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.title).toEqual('Developpeur Php');
+                    expect(resp.json.url).toEqual('https://jobs.caen.camp/php');
+                });
+
+            return frisby.delete(jobPostingUrl).expect('status', 200);
+        });
+    });
+
+    describe('POST: /api/job-postings/:jobPostingId/transitions', () => {
+        const createDraftJobPosting = async () => {
+            const organization = await frisby
+                .get('http://api:3001/api/organizations')
+                .then((resp) =>
+                    resp.json.find((org) => org.name === 'Flexcity')
+                );
+
+            return frisby
+                .post(
+                    'http://api:3001/api/job-postings',
+                    {
+                        ...newJobPosting,
+                        title: 'Developpeur Elixir',
+                        hiringOrganizationId: organization.id,
+                    },
+                    { json: true }
+                )
+                .then((resp) => resp.json);
+        };
+
+        const transition = (jobPostingId, body) =>
+            frisby.post(
+                `http://api:3001/api/job-postings/${jobPostingId}/transitions`,
+                body,
+                { json: true }
+            );
+
+        it("devrait publier une offre après sa relecture et garder l'historique de ses statuts", async () => {
+            expect.hasAssertions();
+            const createdJobPosting = await createDraftJobPosting();
+            expect(createdJobPosting.status).toEqual('draft');
+
+            // the public feeds only contain the published jobPostings
+            await frisby
+                .get('http://api:3001/api/job-postings/feed.rss')
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.body).not.toContain('Developpeur Elixir');
+                });
+
+            await transition(createdJobPosting.id, { status: 'pending' })
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.status).toEqual('pending');
+                });
+            await transition(createdJobPosting.id, {
+                status: 'published',
+                reason: 'Offre relue',
+            })
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.status).toEqual('published');
+                    expect(resp.json.publishedAt).not.toBeNull();
+                });
+
+            await frisby
+                .get('http://api:3001/api/job-postings/feed.rss')
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.body).toContain('Developpeur Elixir');
+                });
+
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings/${createdJobPosting.id}/transitions`
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(
+                        resp.json.map(({ fromStatus, toStatus, reason }) => ({
+                            fromStatus,
+                            toStatus,
+                            reason,
+                        }))
+                    ).toEqual([
+                        {
+                            fromStatus: 'draft',
+                            toStatus: 'pending',
+                            reason: null,
+                        },
+                        {
+                            fromStatus: 'pending',
+                            toStatus: 'published',
+                            reason: 'Offre relue',
+                        },
+                    ]);
+                    expect(resp.json[0].username).toEqual('admin');
+                });
+
+            return frisby
+                .delete(
+                    `http://api:3001/api/job-postings/${createdJobPosting.id}`
+                )
+                .expect('status', 200);
+        });
+
+        it('devrait accepter un filtre par status', async () => {
+            expect.hasAssertions();
+            const createdJobPosting = await createDraftJobPosting();
+
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?${querystring.stringify({
+                        filters: JSON.stringify({ status: ['draft'] }),
+                    })}`
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.map(({ id }) => id)).toEqual([
+                        createdJobPosting.id,
+                    ]);
+                });
+
+            return frisby
+                .delete(
+                    `http://api:3001/api/job-postings/${createdJobPosting.id}`
+                )
+                .expect('status', 200);
+        });
+
+        it('devrait lister les offres à relire et renvoyer une offre refusée en brouillon', async () => {
+            expect.hasAssertions();
+            const createdJobPosting = await createDraftJobPosting();
+            await transition(createdJobPosting.id, {
+                status: 'pending',
+            }).expect('status', 200);
+
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings?${querystring.stringify({
+                        filters: JSON.stringify({ status: ['pending'] }),
+                        sort: JSON.stringify(['statusUpdatedAt', 'ASC']),
+                    })}`
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.map(({ id }) => id)).toContain(
+                        createdJobPosting.id
+                    );
+                });
+
+            await transition(createdJobPosting.id, {
+                status: 'draft',
+                reason: 'Le salaire doit être précisé',
+            })
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.status).toEqual('draft');
+                });
+
+            return frisby
+                .delete(
+                    `http://api:3001/api/job-postings/${createdJobPosting.id}`
+                )
+                .expect('status', 200);
+        });
+
+        it("devrait retourner une erreur 409 si la transition n'est pas autorisée", async () => {
+            expect.hasAssertions();
+            const createdJobPosting = await createDraftJobPosting();
+
+            await transition(createdJobPosting.id, { status: 'published' })
+                .expect('status', 409)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'A jobPosting cannot go from the draft status to the published status.'
+                    );
+                });
+
+            return frisby
+                .delete(
+                    `http://api:3001/api/job-postings/${createdJobPosting.id}`
+                )
+                .expect('status', 200);
+        });
+
+        it("devrait retourner une erreur 400 si le statut n'existe pas", async () => {
+            expect.hasAssertions();
+            const createdJobPosting = await createDraftJobPosting();
+
+            await transition(createdJobPosting.id, { status: 'deleted' })
+                .expect('status', 400)
+                .then((resp) => {
+                    expect(resp.json.message).toContain(
+                        'RequestValidationError'
+                    );
+                });
+
+            return frisby
+                .delete(
+                    `http://api:3001/api/job-postings/${createdJobPosting.id}`
+                )
+                .expect('status', 200);
+        });
+
+        it("devrait retourner une erreur 404 si l'offre d'emploi n'existe pas", async () => {
+            expect.hasAssertions();
+            await transition('9a6c8995-df54-446c-a5b8-71532c304751', {
+                status: 'pending',
+            })
+                .expect('status', 404)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'The jobPosting of id 9a6c8995-df54-446c-a5b8-71532c304751 does not exist, so its status could not be changed'
+                    );
+                });
+        });
+    });
 });
@@ -2,6 +2,9 @@ import querystring from 'querystring';
 import frisby from 'frisby';
 import omit from 'lodash.omit';
 
+import { authenticateAs } from './authentication';
+import { getLinkHeader } from './pagination';
+
 const incompleteDataForCreation = {
     description: 'desc',
     image: 'https://www.org.org/logo.svg',
@@ -29,6 +32,8 @@ const completeDataForCreation = {
 };
 
 describe('Organizations API Endpoints', () => {
+    beforeAll(() => authenticateAs('admin'));
+
     describe('GET: /api/organizations', () => {
         it("devrait renvoyer une liste paginée ordonnée par nom d'entreprise sans paramètres de requête", async () => {
             expect.hasAssertions();
@@ -43,13 +48,13 @@ describe('Organizations API Endpoints', () => {
                 .expect('header', 'x-total-count', '3')
                 .then((resp) => {
                     expect(resp.headers.get('link')).toBe(
-                        [
-                            '</api/organizations?currentPage=1&perPage=10>; rel="first"',
-                            '</api/organizations?currentPage=1&perPage=10>; rel="prev"',
-                            '</api/organizations?currentPage=1&perPage=10>; rel="self"',
-                            '</api/organizations?currentPage=1&perPage=10>; rel="next"',
-                            '</api/organizations?currentPage=1&perPage=10>; rel="last"',
-                        ].join(',')
+                        getLinkHeader('/api/organizations', {
+                            links: [
+                                ['first', 1],
+                                ['self', 1],
+                                ['last', 1],
+                            ],
+                        })
                     );
                     expect(resp.json).toHaveLength(3);
                     expect(resp.json[0].name).toStrictEqual('Flexcity');
@@ -76,13 +81,15 @@ describe('Organizations API Endpoints', () => {
                 .expect('header', 'x-total-count', '3')
                 .then((resp) => {
                     expect(resp.headers.get('link')).toBe(
-                        [
-                            '</api/organizations?currentPage=1&perPage=1>; rel="first"',
-                            '</api/organizations?currentPage=1&perPage=1>; rel="prev"',
-                            '</api/organizations?currentPage=1&perPage=1>; rel="self"',
-                            '</api/organizations?currentPage=2&perPage=1>; rel="next"',
-                            '</api/organizations?currentPage=3&perPage=1>; rel="last"',
-                        ].join(',')
+                        getLinkHeader('/api/organizations', {
+                            perPage: 1,
+                            links: [
+                                ['first', 1],
+                                ['self', 1],
+                                ['next', 2],
+                                ['last', 3],
+                            ],
+                        })
                     );
                     expect(resp.json).toHaveLength(1);
                     expect(resp.json[0].name).toStrictEqual('Flexcity');
@@ -103,13 +110,15 @@ describe('Organizations API Endpoints', () => {
                 .expect('header', 'x-total-count', '3')
                 .then((resp) => {
                     expect(resp.headers.get('link')).toBe(
-                        [
-                            '</api/organizations?currentPage=1&perPage=1>; rel="first"',
-                            '</api/organizations?currentPage=2&perPage=1>; rel="prev"',
-                            '</api/organizations?currentPage=3&perPage=1>; rel="self"',
-                            '</api/organizations?currentPage=3&perPage=1>; rel="next"',
-                            '</api/organizations?currentPage=3&perPage=1>; rel="last"',
-                        ].join(',')
+                        getLinkHeader('/api/organizations', {
+                            perPage: 1,
+                            links: [
+                                ['first', 1],
+                                ['prev', 2],
+                                ['self', 3],
+                                ['last', 3],
+                            ],
+                        })
                     );
                     expect(resp.json).toHaveLength(1);
                     expect(resp.json[0].name).toStrictEqual('Qwarry');
@@ -164,13 +173,14 @@ describe('Organizations API Endpoints', () => {
                 .expect('header', 'x-total-count', '1')
                 .then((resp) => {
                     expect(resp.headers.get('link')).toBe(
-                        [
-                            '</api/organizations?currentPage=1&perPage=10>; rel="first"',
-                            '</api/organizations?currentPage=1&perPage=10>; rel="prev"',
-                            '</api/organizations?currentPage=1&perPage=10>; rel="self"',
-                            '</api/organizations?currentPage=1&perPage=10>; rel="next"',
-                            '</api/organizations?currentPage=1&perPage=10>; rel="last"',
-                        ].join(',')
+                        getLinkHeader('/api/organizations', {
+                            query: { filters: JSON.stringify({ name: 'lex' }) },
+                            links: [
+                                ['first', 1],
+                                ['self', 1],
+                                ['last', 1],
+                            ],
+                        })
                     );
                     expect(resp.json).toHaveLength(1);
                     expect(resp.json[0].name).toStrictEqual('Flexcity');
@@ -194,13 +204,18 @@ describe('Organizations API Endpoints', () => {
                 .expect('header', 'x-total-count', '1')
                 .then((resp) => {
                     expect(resp.headers.get('link')).toBe(
-                        [
-                            '</api/organizations?currentPage=1&perPage=10>; rel="first"',
-                            '</api/organizations?currentPage=1&perPage=10>; rel="prev"',
-                            '</api/organizations?currentPage=1&perPage=10>; rel="self"',
-                            '</api/organizations?currentPage=1&perPage=10>; rel="next"',
-                            '</api/organizations?currentPage=1&perPage=10>; rel="last"',
-                        ].join(',')
+                        getLinkHeader('/api/organizations', {
+                            query: {
+                                filters: JSON.stringify({
+                                    address_locality: 'Auber',
+                                }),
+                            },
+                            links: [
+                                ['first', 1],
+                                ['self', 1],
+                                ['last', 1],
+                            ],
+                        })
                     );
                     expect(resp.json).toHaveLength(1);
                     expect(resp.json[0].name).toStrictEqual('Flexcity');
@@ -240,13 +255,16 @@ describe('Organizations API Endpoints', () => {
                 .expect('header', 'x-total-count', '2')
                 .then((resp) => {
                     expect(resp.headers.get('link')).toBe(
-                        [
-                            '</api/organizations?currentPage=1&perPage=10>; rel="first"',
-                            '</api/organizations?currentPage=1&perPage=10>; rel="prev"',
-                            '</api/organizations?currentPage=1&perPage=10>; rel="self"',
-                            '</api/organizations?currentPage=1&perPage=10>; rel="next"',
-                            '</api/organizations?currentPage=1&perPage=10>; rel="last"',
-                        ].join(',')
+                        getLinkHeader('/api/organizations', {
+                            query: {
+                                filters: JSON.stringify({ postal_code: 14 }),
+                            },
+                            links: [
+                                ['first', 1],
+                                ['self', 1],
+                                ['last', 1],
+                            ],
+                        })
                     );
                     expect(resp.json).toHaveLength(2);
                 });
@@ -267,6 +285,50 @@ describe('Organizations API Endpoints', () => {
                     expect(resp.json).toHaveLength(0);
                 });
         });
+
+        it('devrait accepter un filtre par identifiants, et le paramètre ids comme raccourci', async () => {
+            expect.hasAssertions();
+            const organizations = await frisby
+                .get('http://api:3001/api/organizations')
+                .expect('status', 200)
+                .then((resp) => resp.json);
+            const ids = [organizations[0].id, organizations[2].id];
+
+            await frisby
+                .get(
+                    `http://api:3001/api/organizations?filters=${JSON.stringify(
+                        { id: ids }
+                    )}`
+                )
+                .expect('status', 200)
+                .expect('header', 'x-total-count', '2')
+                .then((resp) => {
+                    expect(resp.json.map(({ id }) => id).sort()).toEqual(
+                        ids.sort()
+                    );
+                });
+            await frisby
+                .get(
+                    `http://api:3001/api/organizations?ids=${JSON.stringify(
+                        ids
+                    )}`
+                )
+                .expect('status', 200)
+                .expect('header', 'x-total-count', '2')
+                .then((resp) => {
+                    expect(resp.json.map(({ id }) => id).sort()).toEqual(
+                        ids.sort()
+                    );
+                });
+            await frisby
+                .get(
+                    `http://api:3001/api/organizations?ids=${JSON.stringify([
+                        'not-an-uuid',
+                    ])}`
+                )
+                .expect('status', 200)
+                .expect('header', 'x-total-count', '0');
+        });
     });
 
     describe('POST: /api/organizations', () => {
@@ -438,6 +500,31 @@ describe('Organizations API Endpoints', () => {
                     expect(qwarry).toEqual(qwarryFromGet.json);
                 });
         });
+
+        it("devrait retourner la représentation schema.org de l'entreprise avec l'en-tête Accept application/ld+json", async () => {
+            expect.hasAssertions();
+            const organizations = await frisby
+                .get('http://api:3001/api/organizations')
+                .then((resp) => resp.json);
+            const qwarry = organizations.find((org) => org.name === 'Qwarry');
+            await frisby
+                .setup({
+                    request: { headers: { Accept: 'application/ld+json' } },
+                })
+                .get(`http://api:3001/api/organizations/${qwarry.id}`)
+                .expect('status', 200)
+                .expect('header', 'Content-Type', 'application/ld+json')
+                .then((resp) => {
+                    expect(resp.json).toEqual(
+                        expect.objectContaining({
+                            '@context': 'https://schema.org',
+                            '@type': 'Organization',
+                            name: 'Qwarry',
+                            sameAs: qwarry.url,
+                        })
+                    );
+                });
+        });
     });
 
     describe('DELETE: /api/organizations/:organizationId', () => {
@@ -498,13 +585,13 @@ describe('Organizations API Endpoints', () => {
                         .expect('header', 'x-total-count', '4')
                         .then((resp) => {
                             expect(resp.headers.get('link')).toBe(
-                                [
-                                    '</api/organizations?currentPage=1&perPage=10>; rel="first"',
-                                    '</api/organizations?currentPage=1&perPage=10>; rel="prev"',
-                                    '</api/organizations?currentPage=1&perPage=10>; rel="self"',
-                                    '</api/organizations?currentPage=1&perPage=10>; rel="next"',
-                                    '</api/organizations?currentPage=1&perPage=10>; rel="last"',
-                                ].join(',')
+                                getLinkHeader('/api/organizations', {
+                                    links: [
+                                        ['first', 1],
+                                        ['self', 1],
+                                        ['last', 1],
+                                    ],
+                                })
                             );
                         });
                     expect(
@@ -523,13 +610,13 @@ describe('Organizations API Endpoints', () => {
                         .expect('header', 'x-total-count', '3')
                         .then((resp) => {
                             expect(resp.headers.get('link')).toBe(
-                                [
-                                    '</api/organizations?currentPage=1&perPage=10>; rel="first"',
-                                    '</api/organizations?currentPage=1&perPage=10>; rel="prev"',
-                                    '</api/organizations?currentPage=1&perPage=10>; rel="self"',
-                                    '</api/organizations?currentPage=1&perPage=10>; rel="next"',
-                                    '</api/organizations?currentPage=1&perPage=10>; rel="last"',
-                                ].join(',')
+                                getLinkHeader('/api/organizations', {
+                                    links: [
+                                        ['first', 1],
+                                        ['self', 1],
+                                        ['last', 1],
+                                    ],
+                                })
                             );
                         });
                     expect(
@@ -0,0 +1,22 @@
+import querystring from 'querystring';
+
+/**
+ * Return the expected Link header of a list page, whose absolute links
+ * keep the query parameters of the request
+ *
+ * @param {string} path - the path of the list, like /api/job-postings
+ * @param {object} options - the query parameters of the request except the pagination,
+ * the number of items per page and the [rel, currentPage] pairs of the links
+ * @returns {string} the Link header
+ */
+export const getLinkHeader = (path, { query = {}, perPage = 10, links }) =>
+    links
+        .map(
+            ([rel, currentPage]) =>
+                `<http://api:3001${path}?${querystring.stringify({
+                    ...query,
+                    currentPage,
+                    perPage,
+                })}>; rel="${rel}"`
+        )
+        .join(',');
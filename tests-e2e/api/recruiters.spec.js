@@ -0,0 +1,168 @@
+import frisby from 'frisby';
+import omit from 'lodash.omit';
+
+import { authenticateAs } from './authentication';
+
+const newJobPosting = {
+    title: 'Developpeur Javascript',
+    url: 'https://jobs.caen.camp',
+    datePosted: '2010-03-02',
+    employerOverview:
+        "Au sein d'une équipe DSI composée de juniors et de séniors",
+    employmentType: 'CDD',
+    experienceRequirements: "3 ans d'experience sur un projet Javascript",
+    jobStartDate: '2020-05-02',
+    skills: ['JavaScript', 'Devops', 'Php'],
+    validThrough: null,
+};
+
+const getOrganizationByName = (name) =>
+    frisby
+        .get('http://api:3001/api/organizations')
+        .then((resp) => resp.json.find((org) => org.name === name));
+
+describe('Recruiter access', () => {
+    beforeAll(() => authenticateAs('recruiter'));
+
+    it("devrait retourner une erreur 403 si le recruteur crée une offre pour une entreprise qu'il ne gère pas", async () => {
+        expect.hasAssertions();
+        const organization = await getOrganizationByName('Flexcity');
+        await frisby
+            .post(
+                'http://api:3001/api/job-postings',
+                { ...newJobPosting, hiringOrganizationId: organization.id },
+                { json: true }
+            )
+            .expect('status', 403)
+            .then((resp) => {
+                expect(resp.json.message).toEqual(
+                    'You are not allowed to manage this organization or its job postings.'
+                );
+            });
+    });
+
+    it('devrait permettre au recruteur de créer et supprimer une offre pour son entreprise', async () => {
+        expect.hasAssertions();
+        const organization = await getOrganizationByName('Qwarry');
+        const { json: createdJobPosting } = await frisby
+            .post(
+                'http://api:3001/api/job-postings',
+                { ...newJobPosting, hiringOrganizationId: organization.id },
+                { json: true }
+            )
+            .expect('status', 200);
+        expect(createdJobPosting.hiringOrganization.name).toEqual('Qwarry');
+
+        await frisby
+            .delete(`http://api:3001/api/job-postings/${createdJobPosting.id}`)
+            .expect('status', 200);
+    });
+
+    it("devrait retourner une erreur 403 si le recruteur modifie une offre d'une entreprise qu'il ne gère pas", async () => {
+        expect.hasAssertions();
+        const jobPosting = await frisby
+            .get('http://api:3001/api/job-postings')
+            .then((resp) =>
+                resp.json.find(
+                    (job) => job.hiringOrganization.name === 'Flexcity'
+                )
+            );
+        await frisby
+            .put(
+                `http://api:3001/api/job-postings/${jobPosting.id}`,
+                {
+                    ...omit(jobPosting, ['id', 'hiringOrganization']),
+                    hiringOrganizationId:
+                        jobPosting.hiringOrganization.identifier,
+                },
+                { json: true }
+            )
+            .expect('status', 403);
+    });
+
+    it("devrait retourner une erreur 403 plutôt que 412 si le recruteur modifie partiellement une offre d'une entreprise qu'il ne gère pas", async () => {
+        expect.hasAssertions();
+        const jobPosting = await frisby
+            .get('http://api:3001/api/job-postings')
+            .then((resp) =>
+                resp.json.find(
+                    (job) => job.hiringOrganization.name === 'Flexcity'
+                )
+            );
+        await frisby
+            .patch(`http://api:3001/api/job-postings/${jobPosting.id}`, {
+                headers: {
+                    'Content-Type': 'application/merge-patch+json',
+                    'If-Match': '"not-the-current-version"',
+                },
+                body: { title: 'Titre modifié' },
+            })
+            .expect('status', 403);
+    });
+
+    it('devrait permettre au recruteur de soumettre son offre à relecture, mais pas de la publier', async () => {
+        expect.hasAssertions();
+        const organization = await getOrganizationByName('Qwarry');
+        const { json: createdJobPosting } = await frisby
+            .post(
+                'http://api:3001/api/job-postings',
+                { ...newJobPosting, hiringOrganizationId: organization.id },
+                { json: true }
+            )
+            .expect('status', 200);
+        const transitionsUrl = `http://api:3001/api/job-postings/${createdJobPosting.id}/transitions`;
+
+        await frisby
+            .post(transitionsUrl, { status: 'pending' }, { json: true })
+            .expect('status', 200)
+            .then((resp) => {
+                expect(resp.json.status).toEqual('pending');
+            });
+        await frisby
+            .post(transitionsUrl, { status: 'published' }, { json: true })
+            .expect('status', 403)
+            .then((resp) => {
+                expect(resp.json.message).toEqual(
+                    'Only an administrator can set the published status of a jobPosting.'
+                );
+            });
+
+        await frisby
+            .delete(`http://api:3001/api/job-postings/${createdJobPosting.id}`)
+            .expect('status', 200);
+    });
+
+    it("devrait retourner une erreur 403 si le recruteur modifie une entreprise qu'il ne gère pas", async () => {
+        expect.hasAssertions();
+        const organization = await getOrganizationByName('Flexcity');
+        await frisby
+            .put(
+                `http://api:3001/api/organizations/${organization.id}`,
+                omit(organization, ['id']),
+                { json: true }
+            )
+            .expect('status', 403);
+    });
+
+    it("devrait retourner une erreur 403 plutôt que 412 si le recruteur modifie partiellement une entreprise qu'il ne gère pas", async () => {
+        expect.hasAssertions();
+        const organization = await getOrganizationByName('Flexcity');
+        await frisby
+            .patch(`http://api:3001/api/organizations/${organization.id}`, {
+                headers: {
+                    'Content-Type': 'application/merge-patch+json',
+                    'If-Match': '"not-the-current-version"',
+                },
+                body: { description: 'Description modifiée' },
+            })
+            .expect('status', 403);
+    });
+
+    it('devrait retourner une erreur 403 si le recruteur supprime une entreprise', async () => {
+        expect.hasAssertions();
+        const organization = await getOrganizationByName('Qwarry');
+        await frisby
+            .delete(`http://api:3001/api/organizations/${organization.id}`)
+            .expect('status', 403);
+    });
+});
@@ -0,0 +1,198 @@
+import frisby from 'frisby';
+
+import { authenticateAs } from './authentication';
+
+const newOrganization = {
+    name: 'Revision org',
+    description: 'desc',
+    image: 'https://www.org.org/logo.svg',
+    email: 'contact@org.org',
+    url: 'https://www.org.org',
+    address: {
+        addressCountry: 'FR',
+        addressLocality: 'Caen',
+        postalCode: '14000',
+        streetAddress: '5, place de la Répulique',
+    },
+    contactPoints: [
+        {
+            email: 'job@org.org',
+            telephone: '0606060606',
+            name: 'John Do, CTO',
+            contactType: "Offres d'emploi",
+        },
+    ],
+};
+
+const newJobPosting = {
+    title: 'Developpeur Elixir',
+    url: 'https://jobs.caen.camp',
+    datePosted: '2010-03-02',
+    employerOverview:
+        "Au sein d'une équipe DSI composée de juniors et de séniors",
+    employmentType: 'CDI',
+    experienceRequirements: "2 ans d'experience sur un projet Elixir",
+    jobStartDate: '2020-05-02',
+    skills: ['Elixir'],
+    baseSalary: {
+        currency: 'EUR',
+        minValue: 35000,
+        maxValue: 40000,
+        unitText: 'YEAR',
+    },
+    jobLocationType: 'TELECOMMUTE',
+    validThrough: null,
+};
+
+describe('Revisions API Endpoints', () => {
+    beforeAll(() => authenticateAs('admin'));
+
+    describe('GET: /api/organizations/:id/revisions', () => {
+        it("devrait enregistrer les versions d'une entreprise et restaurer la version d'origine", async () => {
+            expect.hasAssertions();
+            const organization = await frisby
+                .post('http://api:3001/api/organizations', newOrganization, {
+                    json: true,
+                })
+                .expect('status', 200)
+                .then((resp) => resp.json);
+
+            await frisby
+                .get(
+                    `http://api:3001/api/organizations/${organization.id}/revisions`
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json).toEqual([]);
+                });
+
+            await frisby
+                .put(
+                    `http://api:3001/api/organizations/${organization.id}`,
+                    {
+                        ...newOrganization,
+                        name: 'Revision org renamed',
+                        contactPoints: organization.contactPoints,
+                    },
+                    { json: true }
+                )
+                .expect('status', 200);
+
+            await frisby
+                .get(
+                    `http://api:3001/api/organizations/${organization.id}/revisions`
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.map(({ number }) => number)).toEqual([
+                        2,
+                        1,
+                    ]);
+                    expect(resp.json[0].username).toEqual('admin');
+                    expect(resp.json[0].changes).toEqual({
+                        name: {
+                            before: 'Revision org',
+                            after: 'Revision org renamed',
+                        },
+                    });
+                });
+
+            await frisby
+                .post(
+                    `http://api:3001/api/organizations/${organization.id}/revisions/1/restore`
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.name).toEqual('Revision org');
+                    expect(resp.json.contactPoints).toEqual(
+                        organization.contactPoints
+                    );
+                });
+
+            await frisby
+                .get(
+                    `http://api:3001/api/organizations/${organization.id}/revisions`
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json[0].number).toEqual(3);
+                    expect(resp.json[0].restoredFrom).toEqual(1);
+                });
+
+            return frisby
+                .delete(`http://api:3001/api/organizations/${organization.id}`)
+                .expect('status', 200);
+        });
+
+        it("devrait renvoyer une 404 pour une version qui n'existe pas", async () => {
+            expect.hasAssertions();
+            const organization = await frisby
+                .get('http://api:3001/api/organizations')
+                .then((resp) =>
+                    resp.json.find((org) => org.name === 'Flexcity')
+                );
+
+            return frisby
+                .post(
+                    `http://api:3001/api/organizations/${organization.id}/revisions/999/restore`
+                )
+                .expect('status', 404);
+        });
+    });
+
+    describe('GET: /api/job-postings/:id/revisions', () => {
+        it("devrait enregistrer les versions d'une offre d'emploi et restaurer une version précédente", async () => {
+            expect.hasAssertions();
+            const organization = await frisby
+                .get('http://api:3001/api/organizations')
+                .then((resp) =>
+                    resp.json.find((org) => org.name === 'Flexcity')
+                );
+            const jobPostingData = {
+                ...newJobPosting,
+                hiringOrganizationId: organization.id,
+            };
+            const jobPosting = await frisby
+                .post('http://api:3001/api/job-postings', jobPostingData, {
+                    json: true,
+                })
+                .expect('status', 200)
+                .then((resp) => resp.json);
+
+            await frisby
+                .put(
+                    `http://api:3001/api/job-postings/${jobPosting.id}`,
+                    { ...jobPostingData, skills: ['Elixir', 'Phoenix'] },
+                    { json: true }
+                )
+                .expect('status', 200);
+
+            await frisby
+                .get(
+                    `http://api:3001/api/job-postings/${jobPosting.id}/revisions`
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json[0].changes).toEqual({
+                        skills: {
+                            before: ['Elixir'],
+                            after: ['Elixir', 'Phoenix'],
+                        },
+                    });
+                });
+
+            await frisby
+                .post(
+                    `http://api:3001/api/job-postings/${jobPosting.id}/revisions/1/restore`
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.skills).toEqual(['Elixir']);
+                });
+
+            return frisby
+                .delete(`http://api:3001/api/job-postings/${jobPosting.id}`)
+                .expect('status', 200);
+        });
+    });
+});
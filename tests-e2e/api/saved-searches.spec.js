@@ -0,0 +1,91 @@
+import frisby from 'frisby';
+
+const postSavedSearch = (body) =>
+    frisby.post('http://api:3001/api/saved-searches', body, { json: true });
+
+describe('Saved Searches API Endpoints', () => {
+    describe('POST: /api/saved-searches', () => {
+        it('devrait créer une alerte en attente de confirmation, sans renvoyer ses jetons', async () => {
+            expect.hasAssertions();
+            await postSavedSearch({
+                email: 'ada@lovelace.org',
+                filters: { skills_in: ['JavaScript'], nearTown: 'Caen' },
+            })
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json).toEqual(
+                        expect.objectContaining({
+                            email: 'ada@lovelace.org',
+                            filters: {
+                                skills_in: ['JavaScript'],
+                                nearTown: 'Caen',
+                            },
+                            confirmed: false,
+                        })
+                    );
+                    expect(resp.json.confirmationToken).toBeUndefined();
+                    expect(resp.json.unsubscribeToken).toBeUndefined();
+                });
+        });
+
+        it('devrait ignorer les filtres inconnus', async () => {
+            expect.hasAssertions();
+            await postSavedSearch({
+                email: 'ada@lovelace.org',
+                filters: { q: 'javascript', unknown: 'value' },
+            })
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.filters).toEqual({ q: 'javascript' });
+                });
+        });
+
+        it("devrait retourner une erreur 400 si l'e-mail est mal formaté", async () => {
+            expect.hasAssertions();
+            await postSavedSearch({ email: 'ada', filters: {} })
+                .expect('status', 400)
+                .then((resp) => {
+                    expect(resp.json.message).toContain('email');
+                });
+        });
+
+        it("devrait retourner une erreur 400 si la ville de l'alerte est inconnue", async () => {
+            expect.hasAssertions();
+            await postSavedSearch({
+                email: 'ada@lovelace.org',
+                filters: { nearTown: 'Atlantis' },
+            }).expect('status', 400);
+        });
+    });
+
+    describe('GET: /api/saved-searches/confirm/:token', () => {
+        it("devrait retourner une erreur 404 si le jeton n'existe pas", async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/saved-searches/confirm/${'a'.repeat(
+                        64
+                    )}`
+                )
+                .expect('status', 404)
+                .then((resp) => {
+                    expect(resp.json.message).toEqual(
+                        'The token does not match any saved search.'
+                    );
+                });
+        });
+    });
+
+    describe('GET: /api/saved-searches/unsubscribe/:token', () => {
+        it("devrait retourner une erreur 404 si le jeton n'existe pas", async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/saved-searches/unsubscribe/${'b'.repeat(
+                        64
+                    )}`
+                )
+                .expect('status', 404);
+        });
+    });
+});
@@ -0,0 +1,44 @@
+import frisby from 'frisby';
+
+describe('Skills API Endpoints', () => {
+    describe('GET: /api/skills', () => {
+        it("devrait renvoyer une liste paginée des compétences avec leur nombre d'offres", async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/skills?sort=${JSON.stringify([
+                        'jobPostingCount',
+                        'DESC',
+                    ])}&perPage=1`
+                )
+                .expect('status', 200)
+                .expect(
+                    'header',
+                    'content-type',
+                    'application/json; charset=utf-8'
+                )
+                .then((resp) => {
+                    expect(resp.json).toHaveLength(1);
+                    expect(resp.json[0].name).toStrictEqual('SQL');
+                    expect(resp.json[0].jobPostingCount).toStrictEqual(2);
+                });
+        });
+
+        it("devrait permettre l'autocomplétion avec le filtre name, sans tenir compte de la casse", async () => {
+            expect.hasAssertions();
+            await frisby
+                .get(
+                    `http://api:3001/api/skills?filters=${JSON.stringify({
+                        name: 'py',
+                    })}`
+                )
+                .expect('status', 200)
+                .expect('header', 'x-total-count', '1')
+                .then((resp) => {
+                    expect(resp.json).toHaveLength(1);
+                    expect(resp.json[0].name).toStrictEqual('Python');
+                    expect(resp.json[0].jobPostingCount).toStrictEqual(1);
+                });
+        });
+    });
+});
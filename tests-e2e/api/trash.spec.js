@@ -0,0 +1,134 @@
+import frisby from 'frisby';
+
+import { authenticateAs } from './authentication';
+
+const newOrganization = {
+    name: 'Trash org',
+    description: 'desc',
+    image: 'https://www.org.org/logo.svg',
+    email: 'contact@org.org',
+    url: 'https://www.org.org',
+    address: {
+        addressCountry: 'FR',
+        addressLocality: 'Caen',
+        postalCode: '14000',
+        streetAddress: '5, place de la Répulique',
+    },
+    contactPoints: [],
+};
+
+const newJobPosting = {
+    title: 'Developpeur Elixir',
+    url: 'https://jobs.caen.camp',
+    datePosted: '2010-03-02',
+    employerOverview:
+        "Au sein d'une équipe DSI composée de juniors et de séniors",
+    employmentType: 'CDI',
+    experienceRequirements: "2 ans d'experience sur un projet Elixir",
+    jobStartDate: '2020-05-02',
+    skills: ['Elixir'],
+    baseSalary: {
+        currency: 'EUR',
+        minValue: 35000,
+        maxValue: 40000,
+        unitText: 'YEAR',
+    },
+    jobLocationType: 'TELECOMMUTE',
+    validThrough: null,
+};
+
+describe('Trash API Endpoints', () => {
+    beforeAll(() => authenticateAs('admin'));
+
+    describe('POST: /api/organizations/:id/restore', () => {
+        it('devrait placer une entreprise et ses offres dans la corbeille, puis les restaurer', async () => {
+            expect.hasAssertions();
+            const organization = await frisby
+                .post('http://api:3001/api/organizations', newOrganization, {
+                    json: true,
+                })
+                .expect('status', 200)
+                .then((resp) => resp.json);
+            const jobPosting = await frisby
+                .post(
+                    'http://api:3001/api/job-postings',
+                    { ...newJobPosting, hiringOrganizationId: organization.id },
+                    { json: true }
+                )
+                .expect('status', 200)
+                .then((resp) => resp.json);
+
+            await frisby
+                .delete(`http://api:3001/api/organizations/${organization.id}`)
+                .expect('status', 200);
+
+            await frisby
+                .get(`http://api:3001/api/organizations/${organization.id}`)
+                .expect('status', 404);
+            await frisby
+                .get(`http://api:3001/api/job-postings/${jobPosting.id}`)
+                .expect('status', 404);
+
+            await frisby
+                .get(
+                    `http://api:3001/api/organizations/${organization.id}?includeDeleted=true`
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.deletedAt).not.toBeNull();
+                });
+            await frisby
+                .get(
+                    `http://api:3001/api/organizations?includeDeleted=true&filters=${encodeURIComponent(
+                        JSON.stringify({ deleted: true })
+                    )}`
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.map(({ id }) => id)).toContain(
+                        organization.id
+                    );
+                });
+
+            await frisby
+                .post(
+                    `http://api:3001/api/job-postings/${jobPosting.id}/restore`
+                )
+                .expect('status', 409);
+
+            await frisby
+                .post(
+                    `http://api:3001/api/organizations/${organization.id}/restore`
+                )
+                .expect('status', 200)
+                .then((resp) => {
+                    expect(resp.json.deletedAt).toBeNull();
+                });
+            await frisby
+                .get(`http://api:3001/api/job-postings/${jobPosting.id}`)
+                .expect('status', 200);
+
+            await frisby
+                .delete(`http://api:3001/api/job-postings/${jobPosting.id}`)
+                .expect('status', 200);
+            return frisby
+                .delete(`http://api:3001/api/organizations/${organization.id}`)
+                .expect('status', 200);
+        });
+
+        it("devrait renvoyer une 404 pour une entreprise qui n'est pas dans la corbeille", async () => {
+            expect.hasAssertions();
+            const organization = await frisby
+                .get('http://api:3001/api/organizations')
+                .then((resp) =>
+                    resp.json.find((org) => org.name === 'Flexcity')
+                );
+
+            return frisby
+                .post(
+                    `http://api:3001/api/organizations/${organization.id}/restore`
+                )
+                .expect('status', 404);
+        });
+    });
+});